@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { verifyGuestOrderToken } from '../services/guestAccessService.js';
 
 // Protect routes - require authentication
 export const protect = async (req, res, next) => {
@@ -88,4 +89,36 @@ export const optionalAuth = async (req, res, next) => {
   } catch (error) {
     next();
   }
-};
\ No newline at end of file
+};
+
+// Order endpoints open to a signed-in owner/admin OR a guest order token
+// (X-Order-Token header or ?token=, issued by /api/guest-orders) scoped to this order.
+export const orderAccess = (scope) => async (req, res, next) => {
+  const guestToken = req.headers['x-order-token'] || req.query.token;
+  if (!guestToken) return protect(req, res, next);
+
+  try {
+    const decoded = verifyGuestOrderToken(guestToken);
+    if (decoded.oid !== req.params.id || !decoded.scope?.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Token is not valid for this order'
+      });
+    }
+    req.guestOrder = decoded;
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Order link expired, request a new one'
+    });
+  }
+};
+
+// Owner, admin or a guest holding a token for this order
+export const canAccessOrder = (req, order) => {
+  if (req.guestOrder) return req.guestOrder.oid === String(order._id);
+  if (!req.user) return false;
+  const ownerId = order.user?._id || order.user;
+  return req.user.role === 'admin' || (ownerId && ownerId.toString() === req.user.id);
+};
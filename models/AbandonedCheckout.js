@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+export const ABANDONED_CHECKOUT_STATUSES = ['active', 'recovered', 'completed', 'superseded'];
+
+// An unpaid checkout we follow up on. The cart is copied from the PaymentIntent,
+// which the intent sweeper purges long before we stop counting recoveries.
+const abandonedCheckoutSchema = new mongoose.Schema({
+  intent: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentIntent' },
+  intentId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  customerName: { type: String, default: '' },
+  orderItems: { type: Array, default: [] },
+  shippingAddress: { type: Object, default: {} },
+  cartTotal: { type: Number, default: 0 },
+  abandonedAt: { type: Date, required: true },   // when the intent was created
+  status: { type: String, enum: ABANDONED_CHECKOUT_STATUSES, default: 'active' },
+  remindersSent: { type: Number, default: 0 },
+  reminders: {
+    type: [{
+      step: Number,
+      sentAt: { type: Date, default: Date.now },
+      couponCode: String
+    }],
+    default: []
+  },
+  nextReminderAt: { type: Date },
+  lastError: { type: String, default: '' },
+  resumedAt: { type: Date },                     // first click on a resume link
+  couponCode: { type: String, default: '' },
+  recoveredOrder: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  recoveredOrderId: { type: String },
+  recoveredAt: { type: Date },
+  recoveredValue: { type: Number, default: 0 },
+  recoveredWithCoupon: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+abandonedCheckoutSchema.index({ status: 1, nextReminderAt: 1 }); // Reminder worker
+abandonedCheckoutSchema.index({ abandonedAt: -1 });              // Recovery report
+
+export default mongoose.models.AbandonedCheckout || mongoose.model('AbandonedCheckout', abandonedCheckoutSchema);
@@ -55,6 +55,15 @@ const couponSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
     usedAt: {
       type: Date,
       default: Date.now
@@ -79,10 +88,28 @@ const couponSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  source: {
+    type: String,
+    enum: ['admin', 'abandoned_checkout'],
+    default: 'admin'
+  },
+  // Offer made to one customer (abandoned-checkout coupons); empty for public codes
+  assignedTo: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    }
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    // System-generated coupons (e.g. abandoned-checkout offers) have no admin author
+    required: function () { return this.source === 'admin'; }
   }
 }, {
   timestamps: true
@@ -99,6 +126,30 @@ couponSchema.methods.isValid = function() {
   );
 };
 
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+function isCustomer(entry, { user, email }) {
+  return Boolean(
+    (user && entry?.user && String(entry.user) === String(user)) ||
+    (email && entry?.email && entry.email === normalizeEmail(email))
+  );
+}
+
+// Can this customer's checkout use the coupon: valid dates, offered to them and within
+// both usage limits. `order` is an order already counted against it (re-pricing it).
+couponSchema.methods.appliesTo = function({ user, email, order } = {}) {
+  const now = new Date();
+  if (!this.isActive || this.validFrom > now || this.validUntil < now) return false;
+
+  const assigned = this.assignedTo || {};
+  if ((assigned.user || assigned.email) && !isCustomer(assigned, { user, email })) return false;
+
+  const others = (this.usedBy || []).filter(u => !order || String(u.order) !== String(order));
+  const used = this.usedCount - ((this.usedBy || []).length - others.length);
+  const usedByCustomer = others.filter(u => isCustomer(u, { user, email })).length;
+  return used < this.usageLimit && usedByCustomer < this.userLimit;
+};
+
 // Calculate discount amount
 couponSchema.methods.calculateDiscount = function(orderAmount) {
   if (!this.isValid() || orderAmount < this.minimumAmount) {
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+export const FULFILLMENT_TASK_TYPES = ['push', 'assign', 'pickup'];
+export const FULFILLMENT_TASK_STATUSES = ['pending', 'running', 'succeeded', 'skipped', 'dead'];
+
+// One courier step for one order (outbox row); retried with backoff until it
+// succeeds or runs out of attempts ('dead')
+const fulfillmentTaskSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true, index: true },
+  type: { type: String, enum: FULFILLMENT_TASK_TYPES, required: true },
+  status: { type: String, enum: FULFILLMENT_TASK_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  nextRunAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String, default: '' },
+  failures: {
+    type: [{
+      at: { type: Date, default: Date.now },
+      attempt: Number,
+      message: String
+    }],
+    default: []
+  },
+  completedAt: { type: Date },
+  note: { type: String, default: '' } // why it was skipped / who retried it
+}, {
+  timestamps: true
+});
+
+fulfillmentTaskSchema.index({ order: 1, type: 1 }, { unique: true });
+fulfillmentTaskSchema.index({ status: 1, nextRunAt: 1 }); // Worker picks due tasks
+
+export default mongoose.models.FulfillmentTask || mongoose.model('FulfillmentTask', fulfillmentTaskSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+export const GIFT_CARD_STATUSES = ['active', 'void'];
+
+export const GIFT_CARD_ENTRY_KINDS = [
+  'issue',      // bought with an order
+  'redeem',     // applied to a checkout
+  'release',    // checkout hold given back (payment failed / order not placed)
+  'refund',     // refund of an order the card paid for
+  'adjust',     // admin correction, either way
+  'void'        // admin voided the card; what was left is gone
+];
+
+// One balance change; `key` makes a repeated redeem / release / refund a no-op
+const giftCardEntrySchema = new mongoose.Schema({
+  kind: { type: String, enum: GIFT_CARD_ENTRY_KINDS, required: true },
+  amountPaise: { type: Number, required: true },        // signed: + adds to the balance
+  balanceAfterPaise: { type: Number, required: true },
+  key: { type: String },
+  reference: { type: String },                          // checkout intent, order number or refund id
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderId: { type: String },
+  note: { type: String, default: '' },
+  actor: {
+    kind: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, default: '' }
+  },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A digital gift card (services/giftCardService.js). The balance only changes through the
+// service, together with an entry.
+const giftCardSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },  // GC-XXXX-XXXX-XXXX, stored upper-case
+  initialPaise: { type: Number, required: true, min: 1 },
+  balancePaise: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'INR' },
+  status: { type: String, enum: GIFT_CARD_STATUSES, default: 'active' },
+  expiresAt: { type: Date, required: true },
+  recipient: {
+    email: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String, default: '' }
+  },
+  senderName: { type: String, default: '' },
+  message: { type: String, default: '' },
+  // Where it was bought: one card per unit of a gift card order line
+  purchaser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderId: { type: String },
+  orderItem: { type: mongoose.Schema.Types.ObjectId },
+  unit: { type: Number, default: 0 },
+  emailedAt: { type: Date },
+  emailError: { type: String },
+  voidedAt: { type: Date },
+  voidReason: { type: String },
+  entries: { type: [giftCardEntrySchema], default: [] }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ order: 1, orderItem: 1, unit: 1 }, { unique: true, partialFilterExpression: { order: { $type: 'objectId' } } });
+giftCardSchema.index({ 'recipient.email': 1, createdAt: -1 });
+giftCardSchema.index({ orderId: 1 });
+giftCardSchema.index({ status: 1, createdAt: -1 });
+giftCardSchema.index({ 'entries.reference': 1 });   // Cards used by an intent / order / refund
+
+// Codes are secrets: only the last four characters appear in lists and on orders
+giftCardSchema.methods.maskedCode = function () {
+  return `GC-****-****-${this.code.slice(-4)}`;
+};
+
+export default mongoose.models.GiftCard || mongoose.model('GiftCard', giftCardSchema);
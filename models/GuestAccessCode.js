@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+// One-time code / magic link a guest uses to open their order.
+// Only hashes are stored; the plain values go out by email.
+const guestAccessCodeSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  orderId: { type: String, required: true, index: true },
+  channel: { type: String, enum: ['email', 'sms'], default: 'email' },
+  codeHash: { type: String, required: true },
+  linkHash: { type: String, required: true, index: true },
+  attempts: { type: Number, default: 0 },
+  usedAt: { type: Date },
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
+// Mongo removes expired codes on its own
+guestAccessCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.models.GuestAccessCode || mongoose.model('GuestAccessCode', guestAccessCodeSchema);
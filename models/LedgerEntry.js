@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const LEDGER_ENTRY_TYPES = [
+  'charge',         // gateway captured a payment
+  'refund',         // money back to the customer
+  'cod_collected',  // courier collected cash on delivery
+  'cod_remitted',   // courier paid the cash over
+  'gateway_fee',
+  'settlement',     // gateway paid out to our bank
+  'adjustment'      // manual correction by an admin
+];
+
+// Every entry moves amountPaise from the credit account to the debit account
+// (services/ledgerService.js has the accounts). Entries are never edited or
+// deleted; a mistake is corrected with an adjustment.
+const ledgerEntrySchema = new mongoose.Schema({
+  entryId: { type: String, required: true, unique: true },
+  type: { type: String, enum: LEDGER_ENTRY_TYPES, required: true },
+  debit: { type: String, required: true },
+  credit: { type: String, required: true },
+  amountPaise: {
+    type: Number,
+    required: true,
+    validate: { validator: v => Number.isInteger(v) && v > 0, message: 'amountPaise must be a positive integer' }
+  },
+  currency: { type: String, default: 'INR' },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderId: { type: String },
+  paymentMethod: { type: String },
+  reference: { type: String },        // gateway payment / refund id, remittance UTR
+  idempotencyKey: { type: String },   // one entry per gateway event, however often it is reported
+  note: { type: String, default: '' },
+  actor: {
+    kind: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, default: '' }
+  },
+  meta: { type: mongoose.Schema.Types.Mixed }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+ledgerEntrySchema.index({ order: 1, createdAt: 1 });
+ledgerEntrySchema.index({ debit: 1 });
+ledgerEntrySchema.index({ credit: 1 });
+ledgerEntrySchema.index({ reference: 1 });
+
+function immutable() {
+  throw new Error('Ledger entries are immutable; post an adjustment instead');
+}
+
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('Ledger entries are immutable; post an adjustment instead'));
+  next();
+});
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+
+export default mongoose.models.LedgerEntry || mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// A day's hand-over to the couriers: which parcels went, with what AWB, COD and weight
+const manifestOrderSchema = new mongoose.Schema({
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  orderId: { type: String, required: true },
+  awbNumber: { type: String, required: true },
+  courier: { type: String, default: '' },
+  paymentMethod: { type: String },
+  codAmount: { type: Number, default: 0 },
+  weight: { type: Number, default: 0 }, // grams, as declared to the courier
+  consignee: { type: String, default: '' },
+  city: { type: String, default: '' },
+  pincode: { type: String, default: '' },
+  units: { type: Number, default: 0 }
+}, { _id: false });
+
+const courierSummarySchema = new mongoose.Schema({
+  courier: { type: String, default: '' },
+  orders: { type: Number, default: 0 },
+  codAmount: { type: Number, default: 0 },
+  weight: { type: Number, default: 0 }
+}, { _id: false });
+
+const manifestSchema = new mongoose.Schema({
+  manifestId: { type: String, required: true, unique: true },
+  orders: { type: [manifestOrderSchema], default: [] },
+  couriers: { type: [courierSummarySchema], default: [] },
+  totals: {
+    orders: { type: Number, default: 0 },
+    codAmount: { type: Number, default: 0 },
+    weight: { type: Number, default: 0 }
+  },
+  labelsMissing: { type: [String], default: [] }, // orderIds the courier had no label for
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+manifestSchema.index({ createdAt: -1 });
+
+export default mongoose.models.Manifest || mongoose.model('Manifest', manifestSchema);
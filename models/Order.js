@@ -1,5 +1,37 @@
 import mongoose from 'mongoose';
 
+export const ORDER_STATUSES = ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Allowed status moves; anything not listed is rejected (409)
+export const ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],   // returned straight from shipped: RTO, never delivered
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+// Courier-side lifecycle of order.shipping (see services/shipmentSync.js for the mapping)
+export const SHIPMENT_STATUSES = [
+  'pending', 'pushed', 'push_failed', 'assigned', 'pickup_scheduled',
+  'picked_up', 'in_transit', 'out_for_delivery', 'ndr', 'delivered',
+  'rto', 'rto_delivered', 'cancelled'
+];
+
+// Cash-on-delivery checks before a COD order is sent to the courier (services/codVerificationService.js)
+export const COD_VERIFICATION_STATUSES = ['otp_pending', 'review', 'verified', 'approved', 'rejected'];
+
+export class OrderTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from '${from}' to '${to}'`);
+    this.name = 'OrderTransitionError';
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -25,16 +57,139 @@ const orderItemSchema = new mongoose.Schema({
   },
 size: { type: String },
 variantId: { type: String },
+variant: { type: String },
+// Gift card line: who gets the card (services/giftCardService.js issues one per unit)
+giftCard: {
+  recipientEmail: { type: String },
+  recipientName: { type: String },
+  senderName: { type: String },
+  message: { type: String }
+},
 });
+
+// Gift card lines are digital: no stock on the shelf, nothing for the courier
+export const isGiftCardLine = (item) => Boolean(item?.giftCard?.recipientEmail);
+
 const shippingSchema = new mongoose.Schema({
+  carrier: { type: String },        // adapter the order was booked with (services/shipping.js)
   order_id: { type: String },
   reference_id: { type: String },   // ID from shipping partner
   awb_number: { type: String },     // Air Waybill for tracking
   courier: { type: String },        // Courier name if provided
-  status: { type: String, enum: ["pushed", "assigned", "pickup_scheduled"], default: "pending" }, // shipping partner status
+  status: { type: String, enum: SHIPMENT_STATUSES, default: "pending" }, // shipping partner status
   label_url: { type: String },      // if label PDF is generated
+  error: { type: String },          // last push error
+  needsSync: { type: Boolean, default: false }, // local changes not yet accepted by the partner
+  courierStatus: { type: String },  // last status text from the courier, unmapped
+  expectedDelivery: { type: Date },
+  ndrReason: { type: String },      // why the last delivery attempt failed
+  ndrCount: { type: Number, default: 0 },
+  lastEventAt: { type: Date },
+  lastSyncedAt: { type: Date },     // last webhook or poll
+  notified: { type: [String], default: undefined }, // milestones already emailed
+  manifestId: { type: String },     // Manifest.manifestId once handed over
+  manifestedAt: { type: Date },
+  parcel: {                         // what was declared to the courier (grams / cm)
+    carton: String,
+    weight: Number,                 // chargeable: max(actual, volumetric)
+    actualWeight: Number,
+    volumetricWeight: Number,
+    length: Number,
+    width: Number,
+    height: Number
+  },
+}, { _id: false });
+
+// Courier scans, oldest first (webhooks + polling)
+const trackingEventSchema = new mongoose.Schema({
+  status: { type: String, required: true }, // courier's wording
+  mapped: { type: String },                 // SHIPMENT_STATUSES value, when recognised
+  location: { type: String, default: '' },
+  remark: { type: String, default: '' },
+  at: { type: Date, required: true },
+  source: { type: String, enum: ['webhook', 'poll', 'admin'], default: 'poll' }
 }, { _id: false });
 
+// Lines dropped before shipment (partial cancellation)
+const cancelledItemSchema = new mongoose.Schema({
+  orderItem: { type: mongoose.Schema.Types.ObjectId }, // Order.orderItems[]._id at the time
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  name: { type: String, required: true },
+  price: { type: Number, required: true },
+  quantity: { type: Number, required: true, min: 1 },
+  variantId: { type: String },
+  variant: { type: String },
+  reason: { type: String, default: '' },
+  refundId: { type: String, default: '' },
+  cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Money going back to the customer (returns, cancellations, goodwill)
+const refundSchema = new mongoose.Schema({
+  refundId: { type: String, required: true },
+  amount: { type: Number, required: true, min: [0, 'Refund amount cannot be negative'] },
+  walletAmount: { type: Number, default: 0 }, // part of amount paid back as store credit
+  giftCardAmount: { type: Number, default: 0 }, // part of amount put back on the gift cards the order used
+  giftCards: [{                                 // how giftCardAmount is split across them
+    _id: false,
+    card: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    amount: Number
+  }],
+  reason: { type: String, default: '' },
+  source: { type: String, enum: ['return', 'cancellation', 'line_cancellation', 'order_edit', 'manual'], default: 'manual' },
+  returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest' },
+  status: { type: String, enum: ['pending', 'processing', 'succeeded', 'failed'], default: 'pending' },
+  gateway: { type: String, default: '' },     // 'wallet' / 'gift_card' when none of it goes to the gateway
+  gatewayRefundId: { type: String, default: '' },
+  gatewayResponse: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String, default: '' },
+  processedAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: {
+    kind: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, default: '' }
+  },
+  note: { type: String, default: '' },
+  changes: { type: [mongoose.Schema.Types.Mixed], default: undefined }, // [{ field, from, to }] for edits
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const codRiskFlagSchema = new mongoose.Schema({
+  rule: { type: String, required: true },
+  action: { type: String, enum: ['review', 'block'], required: true },
+  message: { type: String, default: '' }
+}, { _id: false });
+
+const codVerificationSchema = new mongoose.Schema({
+  status: { type: String, enum: COD_VERIFICATION_STATUSES },
+  phone: { type: String },            // last 10 digits the OTP went to
+  otpHash: { type: String },
+  otpExpiresAt: { type: Date },
+  otpAttempts: { type: Number, default: 0 },
+  otpSends: { type: Number, default: 0 },
+  otpSentAt: { type: Date },
+  otpVerifiedAt: { type: Date },
+  risk: {
+    action: { type: String, enum: ['allow', 'review', 'block'] },
+    flags: { type: [codRiskFlagSchema], default: [] },
+    assessedAt: { type: Date }
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String, default: '' }
+}, {
+  _id: false,
+  // Orders are returned to customers as-is; never send the code hash along
+  toJSON: { transform: (doc, ret) => { delete ret.otpHash; return ret; } }
+});
+
 const shippingAddressSchema = new mongoose.Schema({
   fullName: {
     type: String,
@@ -85,19 +240,31 @@ const orderSchema = new mongoose.Schema({
   paymentMethod: {
     type: String,
     required: true,
-    enum: ['stripe', 'razorpay', 'cod', 'phonepe']
+    enum: ['stripe', 'razorpay', 'cod', 'phonepe', 'wallet', 'gift_card'] // wallet / gift_card: nothing left for a gateway
   },
   invoice: {
     pdfUrl: { type: String },          // optional - S3/url or local path
     generatedAt: { type: Date },
     breakdown: { type: Object }        // store numeric breakdown used to render
   },
+  codVerification: codVerificationSchema,
   paymentResult: {
     id: String,
     status: String,
     update_time: String,
     email_address: String
   },
+  // Checkout this order was created from (services/paymentService.js). Unique, so a
+  // webhook and the redirect status check racing each other cannot create two orders.
+  intentId: { type: String, unique: true, sparse: true },
+  merchantOrderId: { type: String },
+  gatewayOrderId: { type: String },
+  paymentId: { type: String },
+  emailSent: { type: Boolean, default: false },
+  // Paid, but its stock could not be taken (sold out meanwhile): held back from the
+  // courier until an admin allocates stock (PUT /api/orders/:id/allocate-stock) or cancels
+  awaitingStock: { type: Boolean, default: false },
+  emailError: { type: String },
   itemsPrice: {
     type: Number,
     required: true,
@@ -127,10 +294,33 @@ const orderSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // The coupon's terms as applied at checkout; re-pricing uses these, not the live coupon
+  couponTerms: {
+    type: { type: String, enum: ['percent', 'flat'] },
+    value: { type: Number },
+    minOrderValue: { type: Number, default: 0 },
+    maxDiscount: { type: Number, default: 0 }     // 0 = no cap
+  },
   discountAmount: {
     type: Number,
     default: 0
   },
+  // Part of totalPrice paid from the store credit wallet (services/walletService.js)
+  walletAmount: {
+    type: Number,
+    default: 0
+  },
+  // Part of totalPrice paid with gift cards (services/giftCardService.js), per card
+  giftCardAmount: {
+    type: Number,
+    default: 0
+  },
+  giftCards: [{
+    _id: false,
+    card: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    code: { type: String },             // masked
+    amount: { type: Number }
+  }],
   isPaid: {
     type: Boolean,
     required: true,
@@ -152,9 +342,25 @@ const orderSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
+  refunds: {
+    type: [refundSchema],
+    default: []
+  },
+  cancelledItems: {
+    type: [cancelledItemSchema],
+    default: []
+  },
+  trackingEvents: {
+    type: [trackingEventSchema],
+    default: []
+  },
   trackingNumber: {
     type: String,
     default: ''
@@ -180,13 +386,72 @@ orderSchema.index({ user: 1, createdAt: -1 });    // “My Orders” dashboard
 orderSchema.index({ orderId: 1 });                // Payment/webhook lookup
 orderSchema.index({ status: 1 });                 // Admin order filters
 orderSchema.index({ isPaid: 1, createdAt: -1 });  // Paid order analytics
+orderSchema.index({ 'refunds.refundId': 1 });     // Refund callbacks
+orderSchema.index({ 'refunds.gatewayRefundId': 1 });
+orderSchema.index({ 'shipping.awb_number': 1 });    // Courier webhooks
+orderSchema.index({ 'shipping.status': 1, 'shipping.lastSyncedAt': 1 }); // Tracking poller
+orderSchema.index({ 'codVerification.status': 1, createdAt: 1 });          // COD review queue
+orderSchema.index({ 'giftCards.card': 1 }, { sparse: true });             // Orders a gift card paid for
 
 // Generate order number before save
 orderSchema.pre('save', function (next) {
   if (!this.orderNumber) {
     this.orderNumber = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
   }
+  // Seed history with the initial state
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: { kind: 'system' }, note: 'Order created' });
+  }
   next();
 });
 
+orderSchema.methods.canTransitionTo = function (next) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(next);
+};
+
+// Move to `next` and record who did it. Throws OrderTransitionError on an illegal move.
+orderSchema.methods.transitionTo = function (next, { actor = {}, note = '' } = {}) {
+  if (!this.canTransitionTo(next)) {
+    throw new OrderTransitionError(this.status, next);
+  }
+  const from = this.status;
+  this.status = next;
+  this.statusHistory.push({
+    from,
+    to: next,
+    actor: { kind: actor.kind || 'system', user: actor.user || undefined, name: actor.name || '' },
+    note,
+    at: new Date()
+  });
+  return from;
+};
+
+// Paid up front from store credit: the wallet and gift card parts of totalPrice
+orderSchema.methods.prepaidCredit = function () {
+  return Number((Number(this.walletAmount || 0) + Number(this.giftCardAmount || 0)).toFixed(2));
+};
+
+// Cash the courier collects: COD orders less what was paid from the wallet or gift cards
+orderSchema.methods.codCollectable = function () {
+  if (this.paymentMethod !== 'cod') return 0;
+  return Math.max(0, Number((Number(this.totalPrice || 0) - this.prepaidCredit()).toFixed(2)));
+};
+
+// Lines the courier carries (gift cards are emailed)
+orderSchema.methods.shippableItems = function () {
+  return (this.orderItems || []).filter(item => !isGiftCardLine(item));
+};
+
+// History entry for a change that keeps the status (line cancellation, admin edit)
+orderSchema.methods.logChange = function ({ actor = {}, note = '', changes } = {}) {
+  this.statusHistory.push({
+    from: this.status,
+    to: this.status,
+    actor: { kind: actor.kind || 'system', user: actor.user || undefined, name: actor.name || '' },
+    note,
+    changes: changes?.length ? changes : undefined,
+    at: new Date()
+  });
+};
+
 export default mongoose.model('Order', orderSchema);
\ No newline at end of file
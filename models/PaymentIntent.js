@@ -15,14 +15,18 @@ const PaymentAttemptSchema = new mongoose.Schema({
   attemptId: { type: String, required: true },
   createdAt: { type: Date, default: Date.now },
   amountPaise: Number,
+  gateway: { type: String },                    // intent.provider when the session was opened
+  reference: { type: String },                  // the session's merchantOrderId / gatewayOrderId
   gatewayResponse: mongoose.Schema.Types.Mixed,
-  status: { type: String, enum: ['initiated','processing','success','failed'], default: 'initiated' }
+  // superseded: the checkout moved to another gateway; payments on this session are not accepted
+  status: { type: String, enum: ['initiated','processing','success','failed','expired','superseded'], default: 'initiated' }
 });
 
 const PaymentIntentSchema = new mongoose.Schema({
   intentId: { type: String, required: true, unique: true }, // generate (nanoid/uuid)
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
   orderItems: { type: Array, required: true },
+  pricedItems: { type: Array, default: undefined }, // Order.orderItems as priced into `totals` (pricingService.toOrderItems)
   merchantOrderId: { type: String, index: true },
   shippingAddress: { type: ShippingSchema, default: {} },
   customerInfo: { type: Object, required: true },
@@ -33,13 +37,59 @@ const PaymentIntentSchema = new mongoose.Schema({
     codFee: Number,
     tax: Number,
     total: Number,
-    totalPaise: Number
+    walletAmount: { type: Number, default: 0 }, // paid from the store credit wallet
+    giftCardAmount: { type: Number, default: 0 }, // paid with gift cards
+    totalPaise: Number                          // collected by the gateway: total less walletAmount and giftCardAmount
   },
-  provider: { type: String, enum: ['phonepe','razorpay','stripe','none'], default: 'phonepe' },
+  wallet: {                                     // services/walletService.js
+    amountPaise: { type: Number, default: 0 },
+    status: { type: String, enum: ['held', 'committed', 'released'] },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' }
+  },
+  giftCards: [{                                 // services/giftCardService.js, one hold per card
+    _id: false,
+    card: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard' },
+    code: { type: String },                     // masked
+    amountPaise: { type: Number },
+    status: { type: String, enum: ['held', 'committed', 'released'] }
+  }],
+  provider: { type: String, enum: ['phonepe','razorpay','stripe','wallet','gift_card','none'], default: 'phonepe' },
   status: { type: String, enum: ['pending','initiated','paid','failed','expired'], default: 'pending' },
   stockAdjusted: { type: Boolean, default: false },
+  couponCode: { type: String, default: null },
+  couponTerms: {                                // copied to the order (see Order.couponTerms)
+    type: { type: String, enum: ['percent', 'flat'] },
+    value: Number,
+    minOrderValue: Number,
+    maxDiscount: Number
+  },
+  gatewayOrderId: { type: String }, // gateway-side session (Razorpay order_..., Stripe pi_..., PhonePe order id)
+  paymentId: { type: String },      // gateway payment / transaction id
+  paymentRef: { type: String },     // what refunds are issued against (see services/paymentGateways.js)
+  gatewayResponse: mongoose.Schema.Types.Mixed,
+  reconciliationRequired: { type: Boolean, default: false }, // paid, but no order could be created
+  reconciliationNote: { type: String },
+  gatewayAmountPaise: { type: Number }, // captured amount as reported by the gateway
+  reconciliation: {                      // services/paymentReconciliation.js
+    checks: { type: Number, default: 0 },
+    lastCheckedAt: { type: Date },
+    lastGatewayState: { type: String },
+    lastError: { type: String },
+    recoveredAt: { type: Date },         // found paid by the job
+    failedAt: { type: Date }             // found failed by the job
+  },
+  paidAt: { type: Date },
   attempts: [PaymentAttemptSchema],
   expiresAt: { type: Date },
+  expiredAt: { type: Date },
   createdAt: { type: Date, default: Date.now }
 });
+PaymentIntentSchema.index({ status: 1, expiresAt: 1 });
+PaymentIntentSchema.index({ status: 1, createdAt: 1 });
+PaymentIntentSchema.index({ gatewayOrderId: 1 }, { sparse: true }); // Gateway webhooks
+PaymentIntentSchema.index({ 'attempts.reference': 1 }, { sparse: true }); // Webhooks for superseded sessions
+PaymentIntentSchema.index({ provider: 1, status: 1, 'reconciliation.lastCheckedAt': 1 }); // Reconciliation
+PaymentIntentSchema.index({ paidAt: 1 }, { sparse: true }); // Daily report
+PaymentIntentSchema.index({ 'wallet.status': 1, status: 1 }, { sparse: true }); // Stranded wallet holds
+PaymentIntentSchema.index({ 'giftCards.status': 1, status: 1 }, { sparse: true }); // Stranded gift card holds
 export default mongoose.models.PaymentIntent || mongoose.model('PaymentIntent', PaymentIntentSchema);
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+export const DELIVERY_ZONES = ['local', 'regional', 'metro', 'national', 'special'];
+
+// Where we deliver, imported from the courier's pincode sheet (utils/importPincodes.js)
+const pincodeSchema = new mongoose.Schema({
+  pincode: { type: String, required: true, unique: true, match: [/^\d{6}$/, 'Pincode must be 6 digits'] },
+  city: { type: String, default: '' },
+  state: { type: String, default: '' },
+  zone: { type: String, enum: DELIVERY_ZONES, default: 'national' },
+  prepaid: { type: Boolean, default: true },
+  cod: { type: Boolean, default: true },
+  deliveryDays: { type: Number, min: 0 }, // overrides the zone's transit days
+  isActive: { type: Boolean, default: true },
+  source: { type: String, enum: ['import', 'admin', 'live'], default: 'import' }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.Pincode || mongoose.model('Pincode', pincodeSchema);
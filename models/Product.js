@@ -118,12 +118,12 @@ const productSchema = new mongoose.Schema({
   weight: {
     type: Number,
     default: 0
-  },
+  }, // grams; fallback when a variant has none
   dimensions: {
     length: Number,
     width: Number,
     height: Number
-  },
+  }, // cm
  tags: [{ type: String, index: true }], // ✅ Tag-based recommendations
  features: [String],
  benefits: { type: [String], default: [] }, 	 
@@ -143,7 +143,9 @@ const productSchema = new mongoose.Schema({
         size: { type: String, required: true }, // e.g. "500ml", "1L"
         price: { type: Number, required: true },
         originalPrice: { type: Number },
-        stock: { type: Number, default: 0, min: [0, 'Stock cannot be negative'] }
+        stock: { type: Number, default: 0, min: [0, 'Stock cannot be negative'] },
+        weight: { type: Number, min: [0, 'Weight cannot be negative'] }, // grams, packed unit
+        dimensions: { length: Number, width: Number, height: Number }      // cm
       }
     ],
   reviews: [reviewSchema],
@@ -174,6 +176,13 @@ const productSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Digital gift card (services/giftCardService.js): each variant is a denomination and its
+  // stock caps how many can still be sold. Cart lines carry the recipient; nothing ships.
+  isGiftCard: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
   seoTitle: String,
   seoDescription: String,
   seoKeywords: [String],
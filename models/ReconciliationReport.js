@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const intentLineSchema = new mongoose.Schema({
+  intentId: { type: String },
+  provider: { type: String },
+  merchantOrderId: { type: String },
+  orderId: { type: String },
+  expectedPaise: { type: Number },  // intent totals.totalPaise
+  capturedPaise: { type: Number },  // what the gateway reports
+  differencePaise: { type: Number },
+  note: { type: String }
+}, { _id: false });
+
+// One UTC day of online payments checked against the gateways (services/paymentReconciliation.js).
+// Regenerating a day replaces its report.
+const reconciliationReportSchema = new mongoose.Schema({
+  date: { type: String, required: true, unique: true }, // YYYY-MM-DD (UTC)
+  gateways: [{ type: String }],
+  generatedAt: { type: Date, default: Date.now },
+  summary: {
+    paid: { type: Number, default: 0 },
+    expectedPaise: { type: Number, default: 0 },
+    capturedPaise: { type: Number, default: 0 },
+    recovered: { type: Number, default: 0 },       // paid intents found by the job, not by webhook/browser
+    markedFailed: { type: Number, default: 0 },
+    mismatches: { type: Number, default: 0 },
+    unverified: { type: Number, default: 0 },      // gateway amount could not be fetched
+    paidWithoutOrder: { type: Number, default: 0 },
+    stillPending: { type: Number, default: 0 }     // checked but neither paid nor failed yet
+  },
+  mismatches: { type: [intentLineSchema], default: [] },
+  recovered: { type: [intentLineSchema], default: [] },
+  paidWithoutOrder: { type: [intentLineSchema], default: [] },
+  unverified: { type: [intentLineSchema], default: [] }
+}, {
+  timestamps: true
+});
+
+export default mongoose.models.ReconciliationReport ||
+  mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = ['damaged', 'leaking', 'wrong_item', 'missing_item', 'quality', 'other'];
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'pickup_scheduled', 'received', 'refunded', 'closed'];
+
+// Allowed RMA moves
+export const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'received'],
+  pickup_scheduled: ['received'],
+  received: ['refunded', 'closed'],
+  refunded: ['closed'],
+  rejected: [],
+  closed: []
+};
+
+const returnItemSchema = new mongoose.Schema({
+  orderItem: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.orderItems[]._id
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: String, default: '' },
+  variant: { type: String, default: '' },
+  name: { type: String, required: true },
+  price: { type: Number, required: true },
+  quantity: { type: Number, required: true, min: [1, 'Quantity must be at least 1'] },
+  reason: { type: String, enum: RETURN_REASONS, required: true },
+  comment: { type: String, default: '' },
+  // set on receipt
+  disposition: { type: String, enum: ['pending', 'restock', 'write_off'], default: 'pending' }
+}, { _id: false });
+
+const returnHistorySchema = new mongoose.Schema({
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: {
+    kind: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, default: '' }
+  },
+  note: { type: String, default: '' },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaId: { type: String, required: true, unique: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, index: true },
+  orderId: { type: String, required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  items: {
+    type: [returnItemSchema],
+    validate: [v => Array.isArray(v) && v.length > 0, 'At least one item is required']
+  },
+  photos: { type: [String], default: [] },
+  status: { type: String, enum: RETURN_STATUSES, default: 'requested', index: true },
+  statusHistory: { type: [returnHistorySchema], default: [] },
+  reversePickup: {
+    carrier: { type: String },     // adapter the pickup was booked with
+    reference_id: { type: String },
+    awb_number: { type: String },
+    courier: { type: String },
+    status: { type: String, enum: ['not_booked', 'booked', 'failed'], default: 'not_booked' },
+    error: { type: String }
+  },
+  refundAmount: { type: Number, default: 0 },
+  refundId: { type: String, default: '' }, // Order.refunds[].refundId
+  rejectionReason: { type: String, default: '' },
+  adminNote: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+returnRequestSchema.methods.canTransitionTo = function (next) {
+  return (RETURN_TRANSITIONS[this.status] || []).includes(next);
+};
+
+returnRequestSchema.methods.transitionTo = function (next, { actor = {}, note = '' } = {}) {
+  if (!this.canTransitionTo(next)) {
+    const err = new Error(`Cannot change return status from '${this.status}' to '${next}'`);
+    err.statusCode = 409;
+    throw err;
+  }
+  const from = this.status;
+  this.status = next;
+  this.statusHistory.push({
+    from,
+    to: next,
+    actor: { kind: actor.kind || 'system', user: actor.user || undefined, name: actor.name || '' },
+    note,
+    at: new Date()
+  });
+  return from;
+};
+
+returnRequestSchema.pre('save', function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ from: null, to: this.status, actor: { kind: 'customer', user: this.user }, note: 'Return requested' });
+  }
+  next();
+});
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
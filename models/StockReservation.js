@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+const reservationItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: String, default: '' },
+  variant: { type: String, default: '' },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// One reservation per checkout reference (PaymentIntent.intentId or Order.orderId).
+// Stock is decremented when the reservation is created; commit keeps it, release puts it back.
+const stockReservationSchema = new mongoose.Schema({
+  reference: { type: String, required: true, unique: true },
+  referenceType: { type: String, enum: ['intent', 'order'], default: 'intent' },
+  items: { type: [reservationItemSchema], default: [] },
+  status: {
+    type: String,
+    enum: ['active', 'committed', 'released'],
+    default: 'active',
+    index: true
+  },
+  expiresAt: { type: Date, index: true },
+  committedAt: { type: Date },
+  releasedAt: { type: Date },
+  releaseReason: { type: String, default: '' }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.models.StockReservation || mongoose.model('StockReservation', stockReservationSchema);
@@ -44,6 +44,11 @@ const userSchema = new mongoose.Schema({
     zipCode: String,
     country: String
   },
+  // Store credit. Only services/walletService.js changes it, together with a WalletTransaction.
+  wallet: {
+    balancePaise: { type: Number, default: 0, min: 0 },
+    updatedAt: { type: Date }
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
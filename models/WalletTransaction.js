@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const WALLET_CREDIT_KINDS = [
+  'goodwill',     // admin credit that does not expire
+  'promotional',  // admin credit with an expiry date
+  'refund',       // refund paid out as store credit
+  'release'       // checkout hold given back (payment failed / order cancelled before it was placed)
+];
+
+export const WALLET_DEBIT_KINDS = [
+  'checkout',     // applied to an order
+  'admin_debit',
+  'expiry'        // promotional credit that lapsed unspent
+];
+
+// One change to User.wallet.balancePaise, written in the same transaction as the
+// balance (services/walletService.js). Never edited afterwards, except the
+// remainingPaise bookkeeping on expiring credits.
+const walletTransactionSchema = new mongoose.Schema({
+  transactionId: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['credit', 'debit'], required: true },
+  kind: { type: String, enum: [...WALLET_CREDIT_KINDS, ...WALLET_DEBIT_KINDS], required: true },
+  amountPaise: {
+    type: Number,
+    required: true,
+    validate: { validator: v => Number.isInteger(v) && v > 0, message: 'amountPaise must be a positive integer' }
+  },
+  balanceAfterPaise: { type: Number, required: true },
+  // Expiring credits: what is left of them to spend (debits use the soonest expiry first)
+  expiresAt: { type: Date },
+  remainingPaise: { type: Number },
+  // Debits: the expiring credits they used, so a released hold can give them back
+  consumed: [{
+    _id: false,
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction' },
+    amountPaise: Number
+  }],
+  reason: { type: String, default: '' },
+  reference: { type: String },        // checkout intent, order number or refund id
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderId: { type: String },
+  idempotencyKey: { type: String },
+  actor: {
+    kind: { type: String, enum: ['admin', 'customer', 'system'], default: 'system' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, default: '' }
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+walletTransactionSchema.index({ idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+walletTransactionSchema.index({ user: 1, createdAt: -1 });                  // Wallet history
+walletTransactionSchema.index({ user: 1, remainingPaise: 1, expiresAt: 1 }); // Spendable expiring credit
+walletTransactionSchema.index({ expiresAt: 1, remainingPaise: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } }); // Expiry job
+walletTransactionSchema.index({ reference: 1 });
+
+export default mongoose.models.WalletTransaction || mongoose.model('WalletTransaction', walletTransactionSchema);
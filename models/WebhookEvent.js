@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENT_SOURCES = ['payment', 'shipping'];
+export const WEBHOOK_EVENT_STATUSES = ['received', 'processed', 'ignored', 'rejected', 'failed'];
+// Deliveries that failed verification are dropped by MongoDB after this long
+export const REJECTED_WEBHOOK_TTL_DAYS = Number(process.env.WEBHOOK_REJECTED_TTL_DAYS || 7);
+
+const replaySchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  by: {
+    kind: { type: String, enum: ['admin', 'customer', 'system'], default: 'admin' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: { type: String, default: '' }
+  },
+  status: { type: String, enum: WEBHOOK_EVENT_STATUSES },
+  error: { type: String },
+  outcome: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// One inbound gateway / courier webhook, as received. Re-deliveries of an
+// already-handled event bump `deliveries` instead of creating a new row.
+const webhookEventSchema = new mongoose.Schema({
+  source: { type: String, enum: WEBHOOK_EVENT_SOURCES, required: true },
+  provider: { type: String, required: true },            // phonepe | razorpay | stripe | carrier name
+  eventId: { type: String },                              // gateway event id, else sha256 of the body
+  eventType: { type: String, default: '' },
+  rawBody: { type: String, select: false },
+  headers: { type: Object, select: false },
+  verified: { type: Boolean, default: false },
+  verificationError: { type: String },
+  status: { type: String, enum: WEBHOOK_EVENT_STATUSES, default: 'received' },
+  outcome: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String },
+  intentId: { type: String },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  orderId: { type: String },
+  deliveries: { type: Number, default: 1 },
+  lastDeliveredAt: { type: Date, default: Date.now },
+  processedAt: { type: Date },
+  replays: { type: [replaySchema], default: [] }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } } // Dedupe
+);
+webhookEventSchema.index({ createdAt: -1 });
+webhookEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: REJECTED_WEBHOOK_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { status: 'rejected' } } // TTL
+);
+webhookEventSchema.index({ source: 1, status: 1, createdAt: -1 }); // Admin search
+webhookEventSchema.index({ intentId: 1 });
+webhookEventSchema.index({ orderId: 1 });
+
+export default mongoose.models.WebhookEvent || mongoose.model('WebhookEvent', webhookEventSchema);
@@ -1,10 +1,66 @@
 import express from 'express';
 import User from '../models/User.js';
 import Product from '../models/Product.js';
-import Order from '../models/Order.js';
+import Order, { OrderTransitionError } from '../models/Order.js';
 import Blog from '../models/Blog.js';
 import Coupon from '../models/Coupon.js';
+import PaymentIntent from '../models/PaymentIntent.js';
+import StockReservation from '../models/StockReservation.js';
 import { protect, admin } from '../middleware/auth.js';
+import { getIntentSweeperStats, runIntentSweep } from '../services/intentSweeper.js';
+import { getShipmentSyncStats, runShipmentSync, OPEN_SHIPMENT_STATUSES } from '../services/shipmentSync.js';
+import FulfillmentTask, { FULFILLMENT_TASK_STATUSES } from '../models/FulfillmentTask.js';
+import {
+  getFulfillmentOutboxStats,
+  runFulfillmentOutbox,
+  retryFulfillmentTask,
+  retryOrderFulfillment
+} from '../services/fulfillmentOutbox.js';
+import { actorFromRequest, fulfilGiftCards } from '../services/orderLifecycle.js';
+import { reviewCodOrder, CodVerificationError } from '../services/codVerificationService.js';
+import AbandonedCheckout, { ABANDONED_CHECKOUT_STATUSES } from '../models/AbandonedCheckout.js';
+import {
+  getRecoveryReport,
+  getAbandonedCheckoutStats,
+  runAbandonedCheckoutJob
+} from '../services/abandonedCheckoutService.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import {
+  getPaymentReconciliationStats,
+  runPaymentReconciliation,
+  buildReconciliationReport,
+  stuckIntentFilter
+} from '../services/paymentReconciliation.js';
+import WebhookEvent, { WEBHOOK_EVENT_SOURCES, WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+import { replayWebhookEvent, redactWebhookHeaders, WebhookEventError } from '../services/webhookEventService.js';
+import LedgerEntry, { LEDGER_ENTRY_TYPES } from '../models/LedgerEntry.js';
+import WalletTransaction, { WALLET_CREDIT_KINDS, WALLET_DEBIT_KINDS } from '../models/WalletTransaction.js';
+import {
+  creditWallet,
+  debitWallet,
+  getWalletSummary,
+  getWalletExpiryStats,
+  runWalletExpiry,
+  WalletError
+} from '../services/walletService.js';
+import {
+  getReceivables,
+  getOrderLedger,
+  postLedgerEntry,
+  recordCodRemittanceBatch,
+  toPaise,
+  LedgerError,
+  PAYMENT_METHODS
+} from '../services/ledgerService.js';
+import GiftCard, { GIFT_CARD_STATUSES } from '../models/GiftCard.js';
+import {
+  findGiftCard,
+  deliverGiftCard,
+  voidGiftCard,
+  adjustGiftCard,
+  normalizeGiftCardCode,
+  GiftCardError
+} from '../services/giftCardService.js';
 
 const router = express.Router();
 
@@ -288,6 +344,234 @@ router.delete('/users/:id', protect, admin, async (req, res) => {
   }
 });
 
+// Amount from an admin form: amountPaise, else amount in ₹
+const walletAmountPaise = (body = {}) => (
+  body.amountPaise !== undefined ? Number(body.amountPaise) : Math.round(Number(body.amount || 0) * 100)
+);
+
+function walletErrorResponse(res, error) {
+  if (error instanceof WalletError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// @desc    A customer's store credit: balance, expiring credit and history (?kind=)
+// @route   GET /api/admin/users/:id/wallet
+// @access  Private/Admin
+router.get('/users/:id/wallet', protect, admin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const filter = { user: req.params.id };
+    if ([...WALLET_CREDIT_KINDS, ...WALLET_DEBIT_KINDS].includes(req.query.kind)) filter.kind = req.query.kind;
+
+    const [wallet, transactions, total] = await Promise.all([
+      getWalletSummary(req.params.id),
+      WalletTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WalletTransaction.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      wallet,
+      count: transactions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      transactions
+    });
+  } catch (error) {
+    walletErrorResponse(res, error);
+  }
+});
+
+// @desc    Give store credit (goodwill; promotional: true expires, at expiresAt or after the default period)
+// @route   POST /api/admin/users/:id/wallet/credit   { amount | amountPaise, reason, promotional?, expiresAt?, idempotencyKey? }
+// @access  Private/Admin
+router.post('/users/:id/wallet/credit', protect, admin, async (req, res) => {
+  try {
+    const { reason, promotional, expiresAt, idempotencyKey } = req.body || {};
+    if (!String(reason || '').trim()) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    const transaction = await creditWallet(req.params.id, {
+      amountPaise: walletAmountPaise(req.body),
+      kind: promotional === true ? 'promotional' : 'goodwill',
+      reason: String(reason).trim(),
+      expiresAt,
+      idempotencyKey: idempotencyKey ? `admin:${idempotencyKey}` : undefined,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({ success: true, transaction, wallet: await getWalletSummary(req.params.id) });
+  } catch (error) {
+    walletErrorResponse(res, error);
+  }
+});
+
+// @desc    Take store credit back (never below zero)
+// @route   POST /api/admin/users/:id/wallet/debit   { amount | amountPaise, reason, idempotencyKey? }
+// @access  Private/Admin
+router.post('/users/:id/wallet/debit', protect, admin, async (req, res) => {
+  try {
+    const { reason, idempotencyKey } = req.body || {};
+    if (!String(reason || '').trim()) {
+      return res.status(400).json({ success: false, message: 'reason is required' });
+    }
+
+    const transaction = await debitWallet(req.params.id, {
+      amountPaise: walletAmountPaise(req.body),
+      kind: 'admin_debit',
+      reason: String(reason).trim(),
+      idempotencyKey: idempotencyKey ? `admin:${idempotencyKey}` : undefined,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({ success: true, transaction, wallet: await getWalletSummary(req.params.id) });
+  } catch (error) {
+    walletErrorResponse(res, error);
+  }
+});
+
+function giftCardErrorResponse(res, error) {
+  if (error instanceof GiftCardError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// @desc    Gift cards (?status=&q= code, recipient email or order number); codes are masked
+// @route   GET /api/admin/gift-cards
+// @access  Private/Admin
+router.get('/gift-cards', protect, admin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const filter = {};
+    if (GIFT_CARD_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    const q = String(req.query.q || '').trim();
+    if (q) {
+      const code = normalizeGiftCardCode(q);
+      filter.$or = [{ 'recipient.email': q.toLowerCase() }, { orderId: q }];
+      if (code) filter.$or.push({ code });
+    }
+
+    const [cards, total] = await Promise.all([
+      GiftCard.find(filter)
+        .select('-entries')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GiftCard.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: cards.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      giftCards: cards.map(card => ({ ...card.toObject(), code: card.maskedCode() }))
+    });
+  } catch (error) {
+    giftCardErrorResponse(res, error);
+  }
+});
+
+// @desc    One gift card with its full code and balance history (by id or code)
+// @route   GET /api/admin/gift-cards/:id
+// @access  Private/Admin
+router.get('/gift-cards/:id', protect, admin, async (req, res) => {
+  try {
+    const giftCard = await findGiftCard(req.params.id);
+    res.status(200).json({ success: true, giftCard });
+  } catch (error) {
+    giftCardErrorResponse(res, error);
+  }
+});
+
+// @desc    Void a gift card (what is left on it is gone)
+// @route   POST /api/admin/gift-cards/:id/void   { reason }
+// @access  Private/Admin
+router.post('/gift-cards/:id/void', protect, admin, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ success: false, message: 'reason is required' });
+
+    const card = await findGiftCard(req.params.id);
+    const giftCard = await voidGiftCard(card, { reason, actor: actorFromRequest(req) });
+    res.status(200).json({ success: true, giftCard });
+  } catch (error) {
+    giftCardErrorResponse(res, error);
+  }
+});
+
+// @desc    Correct a gift card balance (signed amount) and/or extend its expiry
+// @route   POST /api/admin/gift-cards/:id/adjust   { amount | amountPaise, expiresAt?, reason }
+// @access  Private/Admin
+router.post('/gift-cards/:id/adjust', protect, admin, async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ success: false, message: 'reason is required' });
+
+    const card = await findGiftCard(req.params.id);
+    const giftCard = await adjustGiftCard(card, {
+      amountPaise: walletAmountPaise(req.body),
+      expiresAt: req.body.expiresAt,
+      reason,
+      actor: actorFromRequest(req)
+    });
+    res.status(200).json({ success: true, giftCard });
+  } catch (error) {
+    giftCardErrorResponse(res, error);
+  }
+});
+
+// @desc    Email a gift card to its recipient again (a digital-only order completes once all its cards are out)
+// @route   POST /api/admin/gift-cards/:id/resend
+// @access  Private/Admin
+router.post('/gift-cards/:id/resend', protect, admin, async (req, res) => {
+  try {
+    const card = await findGiftCard(req.params.id);
+    if (card.status !== 'active') {
+      return res.status(409).json({ success: false, message: `Gift card is ${card.status}` });
+    }
+
+    try {
+      await deliverGiftCard(card);
+    } catch (err) {
+      return res.status(502).json({ success: false, message: 'Gift card email failed', error: err?.message || String(err) });
+    }
+
+    if (card.order) {
+      const order = await Order.findById(card.order);
+      if (order) {
+        await fulfilGiftCards(order).catch(err =>
+          console.warn(`[giftCards] completing order ${order.orderId} failed:`, err?.message || err)
+        );
+      }
+    }
+    res.status(200).json({ success: true, giftCard: { ...card.toObject(), code: card.maskedCode() } });
+  } catch (error) {
+    giftCardErrorResponse(res, error);
+  }
+});
+
 // @desc    Get sales analytics
 // @route   GET /api/admin/analytics/sales
 // @access  Private/Admin
@@ -453,4 +737,789 @@ res.json({
     res.status(500).json({ success: false, message: "Server error" });
   }
 });
-export default router;
\ No newline at end of file
+// @desc    Payment-intent sweeper status (run counts, last result, failures)
+// @route   GET /api/admin/jobs/intent-sweeper
+// @access  Private/Admin
+router.get('/jobs/intent-sweeper', protect, admin, async (req, res) => {
+  try {
+    const pendingIntents = await PaymentIntent.countDocuments({ status: { $in: ['pending', 'initiated'] } });
+    const activeReservations = await StockReservation.countDocuments({ status: 'active' });
+
+    res.status(200).json({
+      success: true,
+      sweeper: getIntentSweeperStats(),
+      pendingIntents,
+      activeReservations
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the payment-intent sweeper now
+// @route   POST /api/admin/jobs/intent-sweeper/run
+// @access  Private/Admin
+router.post('/jobs/intent-sweeper/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runIntentSweep();
+
+    res.status(200).json({
+      success: true,
+      result,
+      sweeper: getIntentSweeperStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Shipment sync status (run counts, last result, failures)
+// @route   GET /api/admin/jobs/shipment-sync
+// @access  Private/Admin
+router.get('/jobs/shipment-sync', protect, admin, async (req, res) => {
+  try {
+    const openShipments = await Order.countDocuments({ 'shipping.status': { $in: OPEN_SHIPMENT_STATUSES } });
+    const ndr = await Order.countDocuments({ 'shipping.status': 'ndr' });
+
+    res.status(200).json({
+      success: true,
+      sync: getShipmentSyncStats(),
+      openShipments,
+      ndr
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the shipment sync now
+// @route   POST /api/admin/jobs/shipment-sync/run
+// @access  Private/Admin
+router.post('/jobs/shipment-sync/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runShipmentSync();
+
+    res.status(200).json({
+      success: true,
+      result,
+      sync: getShipmentSyncStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Stuck courier tasks (dead, or pending after a failure)
+// @route   GET /api/admin/fulfillment?status=dead&type=push
+// @access  Private/Admin
+router.get('/fulfillment', protect, admin, async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const filter = {};
+    if (status && FULFILLMENT_TASK_STATUSES.includes(status)) filter.status = status;
+    else filter.$or = [{ status: 'dead' }, { status: 'pending', attempts: { $gt: 0 } }];
+    if (type) filter.type = type;
+
+    const [tasks, total] = await Promise.all([
+      FulfillmentTask.find(filter)
+        .populate('order', 'orderId status paymentMethod totalPrice shipping.status shipping.error createdAt')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FulfillmentTask.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: tasks.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      tasks
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Retry one courier task now (resets its attempts)
+// @route   POST /api/admin/fulfillment/:taskId/retry
+// @access  Private/Admin
+router.post('/fulfillment/:taskId/retry', protect, admin, async (req, res) => {
+  try {
+    const task = await retryFulfillmentTask(req.params.taskId, { actor: actorFromRequest(req) });
+    if (!task) {
+      return res.status(409).json({
+        success: false,
+        message: 'Task not found, or it is not pending/dead'
+      });
+    }
+
+    res.status(200).json({ success: true, task });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Retry every stuck courier task of an order (queues a push if it has none)
+// @route   POST /api/admin/fulfillment/orders/:id/retry
+// @access  Private/Admin
+router.post('/fulfillment/orders/:id/retry', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const tasks = await retryOrderFulfillment(order, { actor: actorFromRequest(req) });
+    const latest = await Order.findById(order._id).select('orderId shipping');
+
+    res.status(200).json({ success: true, tasks, shipping: latest?.shipping });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    COD orders flagged by the risk rules, oldest first
+// @route   GET /api/admin/cod-review
+// @access  Private/Admin
+router.get('/cod-review', protect, admin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+    const filter = { 'codVerification.status': 'review' };
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .select('orderId user status totalPrice shippingAddress orderItems codVerification createdAt')
+        .populate('user', 'name email')
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Order.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      orders
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Approve (→ processing) or reject (→ cancelled) a flagged COD order
+// @route   POST /api/admin/cod-review/:id  { decision: 'approve' | 'reject', note? }
+// @access  Private/Admin
+router.post('/cod-review/:id', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    await reviewCodOrder(order, {
+      decision: req.body.decision,
+      note: req.body.note,
+      actor: actorFromRequest(req)
+    });
+    res.status(200).json({ success: true, order });
+  } catch (error) {
+    if (error instanceof CodVerificationError || error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Fulfillment outbox worker status
+// @route   GET /api/admin/jobs/fulfillment-outbox
+// @access  Private/Admin
+router.get('/jobs/fulfillment-outbox', protect, admin, async (req, res) => {
+  try {
+    const counts = await FulfillmentTask.aggregate([
+      { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      outbox: getFulfillmentOutboxStats(),
+      counts: counts.map(c => ({ type: c._id.type, status: c._id.status, count: c.count }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the fulfillment outbox now
+// @route   POST /api/admin/jobs/fulfillment-outbox/run
+// @access  Private/Admin
+router.post('/jobs/fulfillment-outbox/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runFulfillmentOutbox();
+
+    res.status(200).json({
+      success: true,
+      result,
+      outbox: getFulfillmentOutboxStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Abandoned checkouts (?status=active|recovered|completed|superseded)
+// @route   GET /api/admin/abandoned-checkouts
+// @access  Private/Admin
+router.get('/abandoned-checkouts', protect, admin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const filter = {};
+    if (ABANDONED_CHECKOUT_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+
+    const [checkouts, total] = await Promise.all([
+      AbandonedCheckout.find(filter)
+        .select('-shippingAddress')
+        .sort({ abandonedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AbandonedCheckout.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: checkouts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      checkouts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Abandoned-checkout recovery rate (?from=&to=, default last 30 days)
+// @route   GET /api/admin/abandoned-checkouts/report
+// @access  Private/Admin
+router.get('/abandoned-checkouts/report', protect, admin, async (req, res) => {
+  try {
+    const report = await getRecoveryReport({ from: req.query.from, to: req.query.to });
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Abandoned-checkout job status
+// @route   GET /api/admin/jobs/abandoned-checkouts
+// @access  Private/Admin
+router.get('/jobs/abandoned-checkouts', protect, admin, async (req, res) => {
+  try {
+    const active = await AbandonedCheckout.countDocuments({ status: 'active' });
+
+    res.status(200).json({
+      success: true,
+      job: getAbandonedCheckoutStats(),
+      active
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the abandoned-checkout job now
+// @route   POST /api/admin/jobs/abandoned-checkouts/run
+// @access  Private/Admin
+router.post('/jobs/abandoned-checkouts/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runAbandonedCheckoutJob();
+
+    res.status(200).json({
+      success: true,
+      result,
+      job: getAbandonedCheckoutStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Payment reconciliation job status
+// @route   GET /api/admin/jobs/payment-reconciliation
+// @access  Private/Admin
+router.get('/jobs/payment-reconciliation', protect, admin, async (req, res) => {
+  try {
+    const stuck = await PaymentIntent.countDocuments(stuckIntentFilter());
+
+    res.status(200).json({
+      success: true,
+      job: getPaymentReconciliationStats(),
+      stuck
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the payment reconciliation job now
+// @route   POST /api/admin/jobs/payment-reconciliation/run
+// @access  Private/Admin
+router.post('/jobs/payment-reconciliation/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runPaymentReconciliation();
+
+    res.status(200).json({
+      success: true,
+      result,
+      job: getPaymentReconciliationStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Wallet job status (promotional credit expiry, stranded checkout holds)
+// @route   GET /api/admin/jobs/wallet-expiry
+// @access  Private/Admin
+router.get('/jobs/wallet-expiry', protect, admin, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      job: getWalletExpiryStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run the wallet job now
+// @route   POST /api/admin/jobs/wallet-expiry/run
+// @access  Private/Admin
+router.post('/jobs/wallet-expiry/run', protect, admin, async (req, res) => {
+  try {
+    const result = await runWalletExpiry();
+
+    res.status(200).json({
+      success: true,
+      result,
+      job: getWalletExpiryStats()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Daily payment reconciliation reports (summaries), newest first
+// @route   GET /api/admin/payments/reconciliation-reports
+// @access  Private/Admin
+router.get('/payments/reconciliation-reports', protect, admin, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '30', 10)));
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .select('date gateways generatedAt summary')
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReconciliationReport.countDocuments()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: reports.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      reports
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    One day's reconciliation report (built when missing; ?refresh=1 rebuilds it)
+// @route   GET /api/admin/payments/reconciliation-reports/:date  (YYYY-MM-DD, UTC)
+// @access  Private/Admin
+router.get('/payments/reconciliation-reports/:date', protect, admin, async (req, res) => {
+  try {
+    const { date } = req.params;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+      return res.status(400).json({ success: false, message: 'date must be YYYY-MM-DD' });
+    }
+
+    let report = req.query.refresh === '1' ? null : await ReconciliationReport.findOne({ date });
+    if (!report) report = await buildReconciliationReport(date);
+
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Stored webhooks (?source=&provider=&status=&eventType=&q=&from=&to=)
+// @route   GET /api/admin/webhook-events
+// @access  Private/Admin
+router.get('/webhook-events', protect, admin, async (req, res) => {
+  try {
+    const { source, provider, status, eventType, q, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const filter = {};
+    if (WEBHOOK_EVENT_SOURCES.includes(source)) filter.source = source;
+    if (WEBHOOK_EVENT_STATUSES.includes(status)) filter.status = status;
+    if (provider) filter.provider = String(provider);
+    if (eventType) filter.eventType = String(eventType);
+    // Event id, checkout intent or order number
+    if (q) filter.$or = [{ eventId: String(q) }, { intentId: String(q) }, { orderId: String(q) }];
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-replays')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      events
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    One stored webhook with its raw body and headers (secrets redacted)
+// @route   GET /api/admin/webhook-events/:id
+// @access  Private/Admin
+router.get('/webhook-events/:id', protect, admin, async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id).select('+rawBody +headers');
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Webhook event not found' });
+    }
+
+    const view = event.toObject();
+    view.headers = redactWebhookHeaders(view.headers);
+    res.status(200).json({ success: true, event: view });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Run a stored webhook through its handler again
+// @route   POST /api/admin/webhook-events/:id/replay
+// @access  Private/Admin
+router.post('/webhook-events/:id/replay', protect, admin, async (req, res) => {
+  try {
+    const event = await replayWebhookEvent(req.params.id, { actor: actorFromRequest(req) });
+    const view = event.toObject();
+    delete view.rawBody;
+    delete view.headers;
+
+    res.status(200).json({ success: true, event: view, replay: view.replays[view.replays.length - 1] });
+  } catch (error) {
+    if (error instanceof WebhookEventError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Outstanding receivables per payment method (?from=&to= bound the orders counted as due)
+// @route   GET /api/admin/ledger/receivables
+// @access  Private/Admin
+router.get('/ledger/receivables', protect, admin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && Number.isNaN(Date.parse(from))) || (to && Number.isNaN(Date.parse(to)))) {
+      return res.status(400).json({ success: false, message: 'from / to must be dates' });
+    }
+
+    const receivables = await getReceivables({
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined
+    });
+    res.status(200).json({ success: true, ...receivables });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Ledger entries and derived balance of one order
+// @route   GET /api/admin/ledger/orders/:id
+// @access  Private/Admin
+router.get('/ledger/orders/:id', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const { entries, balance } = await getOrderLedger(order);
+    res.status(200).json({ success: true, orderId: order.orderId, balance, entries });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Ledger entries, newest first (?type=&paymentMethod=&orderId=&reference=&from=&to=)
+// @route   GET /api/admin/ledger/entries
+// @access  Private/Admin
+router.get('/ledger/entries', protect, admin, async (req, res) => {
+  try {
+    const { type, paymentMethod, orderId, reference, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '50', 10)));
+
+    const filter = {};
+    if (LEDGER_ENTRY_TYPES.includes(type)) filter.type = type;
+    if (PAYMENT_METHODS.includes(paymentMethod)) filter.paymentMethod = paymentMethod;
+    if (orderId) filter.orderId = String(orderId);
+    if (reference) filter.reference = String(reference);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// Postings an admin may make by hand; charges, refunds and COD collections come from the flows
+const MANUAL_LEDGER_TYPES = ['gateway_fee', 'settlement', 'cod_remitted', 'adjustment'];
+
+// @desc    Post a manual entry (gateway fee, settlement, COD remittance or adjustment)
+// @route   POST /api/admin/ledger/entries
+//          { type, amount | amountPaise, orderId?, paymentMethod?, debit?, credit?, reference?, note?, idempotencyKey? }
+// @access  Private/Admin
+router.post('/ledger/entries', protect, admin, async (req, res) => {
+  try {
+    const { type, amount, orderId, paymentMethod, debit, credit, reference, note, idempotencyKey } = req.body || {};
+    if (!MANUAL_LEDGER_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of ${MANUAL_LEDGER_TYPES.join(', ')}` });
+    }
+
+    let order = null;
+    if (orderId) {
+      order = await Order.findOne({ orderId: String(orderId) });
+      if (!order) {
+        return res.status(404).json({ success: false, message: 'Order not found' });
+      }
+    }
+
+    const amountPaise = req.body.amountPaise !== undefined ? Number(req.body.amountPaise) : toPaise(amount);
+    const entry = await postLedgerEntry({
+      type,
+      amountPaise,
+      order,
+      paymentMethod,
+      debit,
+      credit,
+      reference: reference ? String(reference) : undefined,
+      idempotencyKey: idempotencyKey ? `manual:${idempotencyKey}` : undefined,
+      note: note ? String(note) : '',
+      actor: actorFromRequest(req)
+    });
+
+    res.status(201).json({ success: true, entry });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Record a courier's COD remittance across orders (amount defaults to the cash not yet remitted)
+// @route   POST /api/admin/ledger/cod-remittances   { reference, note?, orders: [{ orderId, amount? }] }
+// @access  Private/Admin
+router.post('/ledger/cod-remittances', protect, admin, async (req, res) => {
+  try {
+    const { reference, note, orders } = req.body || {};
+    const lines = Array.isArray(orders)
+      ? orders.map(line => ({
+        orderId: line?.orderId,
+        amountPaise: line?.amount !== undefined ? toPaise(line.amount) : undefined
+      }))
+      : orders;
+
+    const { posted, skipped } = await recordCodRemittanceBatch({
+      reference: reference ? String(reference) : '',
+      lines,
+      actor: actorFromRequest(req),
+      note: note ? String(note) : ''
+    });
+
+    res.status(200).json({
+      success: true,
+      remittedPaise: posted.reduce((sum, e) => sum + e.amountPaise, 0),
+      posted,
+      skipped
+    });
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,84 @@
+// routes/checkout.js
+import express from 'express';
+import { optionalAuth } from '../middleware/auth.js';
+import { quoteCheckout, PricingError } from '../services/pricingService.js';
+import { resumeCheckout, AbandonedCheckoutError } from '../services/abandonedCheckoutService.js';
+import { walletApplication, WalletError, toPaise } from '../services/walletService.js';
+import { giftCardApplication, GiftCardError } from '../services/giftCardService.js';
+import { giftCardCodesFromBody } from './payments/common.js';
+import { assertCodServiceable, CodVerificationError } from '../services/codVerificationService.js';
+
+const router = express.Router();
+
+// @desc    Price a cart server-side (variants, coupon, shipping, COD fee, GST;
+//          giftCardCodes adds the gift card split, then useWallet: true the store credit
+//          split for a signed-in customer)
+// @route   POST /api/checkout/quote
+// @access  Public
+router.post('/quote', optionalAuth, async (req, res) => {
+  try {
+    const { orderItems, couponCode, paymentMethod, shippingAddress, useWallet } = req.body;
+    const isCod = String(paymentMethod || '').toLowerCase() === 'cod';
+    const minRemainderPaise = isCod ? 0 : undefined;
+    // Tell the customer early; order creation checks again either way
+    if (isCod && shippingAddress?.postalCode) await assertCodServiceable(shippingAddress.postalCode);
+
+    const quote = await quoteCheckout({ orderItems, couponCode, paymentMethod, shippingAddress, user: req.user?._id });
+    const giftCardCodes = giftCardCodesFromBody(req.body);
+    const giftCards = giftCardCodes.length
+      ? await giftCardApplication(giftCardCodes, quote.totalPaise, {
+        giftCardLinesPaise: toPaise(quote.giftCardsPrice),
+        minRemainderPaise
+      })
+      : undefined;
+    const wallet = useWallet === true && req.user
+      ? await walletApplication(req.user._id, giftCards ? giftCards.payablePaise : quote.totalPaise, {
+        giftCardLinesPaise: toPaise(quote.giftCardsPrice),
+        minRemainderPaise
+      })
+      : undefined;
+
+    res.status(200).json({
+      success: true,
+      quote,
+      giftCards,
+      wallet
+    });
+  } catch (error) {
+    if (error instanceof PricingError || error instanceof CodVerificationError || error instanceof WalletError || error instanceof GiftCardError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cart behind an abandoned-checkout email link
+// @route   GET /api/checkout/resume?token=
+// @access  Public (signed link)
+router.get('/resume', async (req, res) => {
+  try {
+    const checkout = await resumeCheckout(req.query.token);
+    res.status(200).json({ success: true, checkout });
+  } catch (error) {
+    if (error instanceof AbandonedCheckoutError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+export default router;
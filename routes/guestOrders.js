@@ -0,0 +1,77 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import {
+  requestGuestAccess,
+  verifyGuestCode,
+  redeemGuestLink,
+  GuestAccessError,
+  GUEST_ACCESS
+} from '../services/guestAccessService.js';
+
+const router = express.Router();
+
+// Codes are 6 digits; keep guessing expensive
+const guestAccessLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.GUEST_ACCESS_RATE_LIMIT_MAX || '10', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many attempts, try again later.' }
+});
+
+router.use(guestAccessLimiter);
+
+function handleError(res, error) {
+  if (error instanceof GuestAccessError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+// @desc    Send a one-time code + magic link for a guest order
+// @route   POST /api/guest-orders/request-access
+// @access  Public
+router.post('/request-access', async (req, res) => {
+  try {
+    const { orderId, email, phone } = req.body;
+    await requestGuestAccess({ orderId, email, phone });
+
+    // Same answer whether or not the details matched
+    res.status(200).json({
+      success: true,
+      message: `If the details match an order, a code has been sent to the email on it. It expires in ${GUEST_ACCESS.codeTtlMinutes} minutes.`
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Exchange the emailed code for an order token
+// @route   POST /api/guest-orders/verify
+// @access  Public
+router.post('/verify', async (req, res) => {
+  try {
+    const result = await verifyGuestCode({ orderId: req.body.orderId, code: req.body.code });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Exchange a magic-link token for an order token
+// @route   POST /api/guest-orders/redeem
+// @access  Public
+router.post('/redeem', async (req, res) => {
+  try {
+    const result = await redeemGuestLink(req.body.token);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,196 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Manifest from '../models/Manifest.js';
+import { protect, admin } from '../middleware/auth.js';
+import { actorFromRequest } from '../services/orderLifecycle.js';
+import {
+  findReadyOrders,
+  resolveOrders,
+  buildLabelsPdf,
+  createManifest,
+  renderManifestPdf,
+  renderPickListPdf,
+  renderManifestLabels,
+  ManifestError
+} from '../services/manifestService.js';
+
+const router = express.Router();
+
+// Packing desk only
+router.use(protect, admin);
+
+const sendPdf = (res, pdf, filename, headers = {}) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename=${filename}`,
+    ...headers
+  });
+  res.send(pdf);
+};
+
+const handleError = (res, error) => {
+  if (error instanceof ManifestError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message, rejected: error.details });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+const findManifest = (id) => (
+  mongoose.Types.ObjectId.isValid(id) ? Manifest.findById(id) : Manifest.findOne({ manifestId: id })
+);
+
+// @desc    Orders with an AWB that are not on a manifest yet
+// @route   GET /api/manifests/ready
+// @access  Private/Admin
+router.get('/ready', async (req, res) => {
+  try {
+    const orders = await findReadyOrders({ limit: Math.min(Number(req.query.limit) || 200, 500) });
+    res.status(200).json({
+      success: true,
+      count: orders.length,
+      orders: orders.map(o => ({
+        _id: o._id,
+        orderId: o.orderId,
+        createdAt: o.createdAt,
+        paymentMethod: o.paymentMethod,
+        totalPrice: o.totalPrice,
+        carrier: o.shipping.carrier,
+        courier: o.shipping.courier || o.courierPartner,
+        awbNumber: o.shipping.awb_number,
+        shipmentStatus: o.shipping.status,
+        weight: o.shipping.parcel?.weight
+      }))
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Courier labels for a set of ready orders, merged into one PDF
+// @route   POST /api/manifests/labels  { orders: [id | orderId] }
+// @access  Private/Admin
+router.post('/labels', async (req, res) => {
+  try {
+    const { ready, rejected } = await resolveOrders(req.body.orders, { allowManifested: true });
+    if (!ready.length) throw new ManifestError('None of the orders has a printable label', 409, rejected);
+
+    const { pdf, missing } = await buildLabelsPdf(ready);
+    if (!pdf) {
+      return res.status(502).json({ success: false, message: 'Courier returned no labels', missing, rejected });
+    }
+
+    sendPdf(res, pdf, `labels_${Date.now()}.pdf`, {
+      'X-Labels-Missing': missing.join(','),
+      'X-Orders-Rejected': rejected.map(r => r.order).join(',')
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Manifest a set of ready orders (grouped by courier)
+// @route   POST /api/manifests  { orders: [id | orderId] }
+// @access  Private/Admin
+router.post('/', async (req, res) => {
+  try {
+    const { manifest, rejected } = await createManifest(req.body.orders, { actor: actorFromRequest(req) });
+    res.status(201).json({ success: true, manifest, rejected });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Recent manifests
+// @route   GET /api/manifests
+// @access  Private/Admin
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    const [manifests, total] = await Promise.all([
+      Manifest.find()
+        .select('-orders')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'name email'),
+      Manifest.countDocuments()
+    ]);
+
+    res.status(200).json({ success: true, manifests, total, page, pages: Math.ceil(total / limit) });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    One manifest
+// @route   GET /api/manifests/:id
+// @access  Private/Admin
+router.get('/:id', async (req, res) => {
+  try {
+    const manifest = await findManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ success: false, message: 'Manifest not found' });
+    }
+    res.status(200).json({ success: true, manifest });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Manifest sheet (one hand-over page per courier)
+// @route   GET /api/manifests/:id/manifest.pdf
+// @access  Private/Admin
+router.get('/:id/manifest.pdf', async (req, res) => {
+  try {
+    const manifest = await findManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ success: false, message: 'Manifest not found' });
+    }
+    sendPdf(res, await renderManifestPdf(manifest), `manifest_${manifest.manifestId}.pdf`);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Pick-list and packing slips for a manifest
+// @route   GET /api/manifests/:id/picklist.pdf
+// @access  Private/Admin
+router.get('/:id/picklist.pdf', async (req, res) => {
+  try {
+    const manifest = await findManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ success: false, message: 'Manifest not found' });
+    }
+    sendPdf(res, await renderPickListPdf(manifest), `picklist_${manifest.manifestId}.pdf`);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    All labels on a manifest, merged
+// @route   GET /api/manifests/:id/labels.pdf
+// @access  Private/Admin
+router.get('/:id/labels.pdf', async (req, res) => {
+  try {
+    const manifest = await findManifest(req.params.id);
+    if (!manifest) {
+      return res.status(404).json({ success: false, message: 'Manifest not found' });
+    }
+
+    const { pdf, missing } = await renderManifestLabels(manifest);
+    if (!pdf) {
+      return res.status(502).json({ success: false, message: 'Courier returned no labels', missing });
+    }
+    sendPdf(res, pdf, `labels_${manifest.manifestId}.pdf`, { 'X-Labels-Missing': missing.join(',') });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
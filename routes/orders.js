@@ -1,32 +1,106 @@
 import express from 'express';
-import Order from '../models/Order.js';
-import Product from '../models/Product.js';
-import { protect, admin } from '../middleware/auth.js';
+import Order, { ORDER_STATUSES, OrderTransitionError, isGiftCardLine } from '../models/Order.js';
+import { protect, admin, optionalAuth, orderAccess, canAccessOrder } from '../middleware/auth.js';
 //import { validateOrder } from '../middleware/validateOrder.js';
 import { validateGuestOrder } from '../middleware/validateGuestOrder.js';
 import { sendEmail } from '../utils/email.js';
 import { sendOrderConfirmation } from '../utils/email.js';
-import { shippedEmailTemplate } from '../utils/email.js';
-import { ShippingAPI } from "../services/shipping.js";
+import { getCarrier } from "../services/shipping.js";
 import { calculateInvoice } from "../utils/invoiceCalculator.js"
+import { quoteCheckout, toOrderItems, recordCouponUsage, releaseCouponUsage, PricingError, PRICING } from "../services/pricingService.js";
+import StockReservation from '../models/StockReservation.js';
+import PaymentIntent from '../models/PaymentIntent.js';
+import {
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  reservationMatches,
+  StockError
+} from "../services/stockReservationService.js";
+import { pushOrderToShipping } from "../services/fulfillmentOutbox.js";
+import { completeIntentOrder } from "../services/paymentService.js";
+import { allocateOrderStock } from "../services/orderService.js";
+import { transitionOrder, actorFromRequest } from "../services/orderLifecycle.js";
+import {
+  assessCodRisk,
+  assertCodAllowed,
+  assertCodServiceable,
+  startCodVerification,
+  CodVerificationError
+} from "../services/codVerificationService.js";
+import ReturnRequest from '../models/ReturnRequest.js';
+import { createReturn, ReturnError } from "../services/returnService.js";
+import {
+  createRefund,
+  processRefund,
+  syncRefund,
+  refundedAmount,
+  refundableBalance,
+  RefundError
+} from "../services/refundService.js";
+import { cancelOrderLines, editOrder, OrderAdjustmentError } from "../services/orderAdjustmentService.js";
+import { walletApplication, debitWallet, creditWallet, releaseWalletHold, toPaise, WalletError } from "../services/walletService.js";
+import { recordWalletPayment, recordGiftCardPayment } from "../services/ledgerService.js";
+import {
+  giftCardApplication,
+  redeemGiftCards,
+  restoreGiftCards,
+  releaseGiftCardHolds,
+  GiftCardError
+} from "../services/giftCardService.js";
+import { giftCardCodesFromBody } from "./payments/common.js";
 import { generateInvoicePDF, savePdfToLocal } from "../services/invoiceGenerator.js"
 import path from "path";
 import fs from "fs-extra";
 
 const router = express.Router();
 
-// @desc    Create new order
+// The caller's own checkout intent: same customer, or the same email for a guest
+function ownsIntent(req, intent, email) {
+  if (intent.user) return Boolean(req.user) && String(intent.user) === String(req.user._id);
+  const intentEmail = String(intent.shippingAddress?.email || intent.customerInfo?.email || '').trim().toLowerCase();
+  return Boolean(intentEmail) && intentEmail === String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Stock held for the caller's unpaid checkout intent, taken over by this COD order.
+ * Only an active hold for exactly these lines qualifies; the intent is closed (so it
+ * cannot be paid as well) and its wallet / gift card holds are given back.
+ * Resolves to the reservation reference, or null to reserve afresh.
+ */
+async function takeOverIntentHold(req, { intentId, email, items, orderId }) {
+  if (!intentId) return null;
+  const intent = await PaymentIntent.findOne({ intentId: String(intentId) });
+  if (!intent || !ownsIntent(req, intent, email) || !['pending', 'initiated'].includes(intent.status)) return null;
+
+  const reservation = await StockReservation.findOne({ reference: intent.intentId, status: 'active' });
+  if (!reservation || !reservationMatches(reservation, items)) return null;
+
+  const claimed = await PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: { $in: ['pending', 'initiated'] } },
+    { $set: { status: 'failed', reconciliationNote: `stock hold taken over by COD order ${orderId}` } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  await releaseWalletHold(claimed, 'Paid by COD instead')
+    .catch(e => console.warn('[orders] wallet release warning:', e?.message || e));
+  await releaseGiftCardHolds(claimed, 'Paid by COD instead')
+    .catch(e => console.warn('[orders] gift card release warning:', e?.message || e));
+  return claimed.intentId;
+}
+
+// @desc    Create new order (COD: giftCardCodes, then useWallet / walletAmount, pay part of it)
 // @route   POST /api/orders
-// @access  Private
-router.post('/', validateGuestOrder, async (req, res) => {
+// @access  Public (optionalAuth; store credit needs a signed-in customer)
+router.post('/', optionalAuth, validateGuestOrder, async (req, res) => {
   try {
     const {
       orderItems,
       shippingAddress,
       customerInfo,
       paymentMethod,
-      couponCode,
-      discountAmount
+      couponCode
     } = req.body;
 const finalShippingAddress = shippingAddress || {
   fullName: `${customerInfo.firstName} ${customerInfo.lastName}`,
@@ -46,167 +120,174 @@ const finalShippingAddress = shippingAddress || {
       });
     }
 
-    // Verify products exist and have sufficient stock
-    let itemsPrice = 0;
-    const bulkOps = [];
-    const finalOrderItems = []; // ✅ new array to push corrected items
-
-for (const item of orderItems) {
-  const product = await Product.findById(item.product);
-  if (!product) {
-    return res.status(404).json({ success: false, message: `Product not found: ${item.product}` });
-  }
-
-  let unitPrice;
-  let variantSize;
-  let targetVariant;
-
-  if (item.variantId) {
-    // ✅ Product detail page
-    targetVariant = product.variants.id(item.variantId);
-  } else if (item.size && item.size !== "default") {
-    // ✅ fallback via size
-    targetVariant = product.variants.find(v => v.size === item.size);
-  } else {
-    // ✅ Products page → default to first variant
-    targetVariant = product.variants[0];
-  }
-
-  if (!targetVariant) {
-    return res.status(400).json({ success: false, message: `No valid variant found for ${product.name}` });
-  }
-
-  unitPrice = targetVariant.price;
-  variantSize = targetVariant.size;
-
-  if (targetVariant.stock < item.quantity) {
-    return res.status(400).json({ success: false, message: `Insufficient stock for ${product.name} (${variantSize}). Available: ${targetVariant.stock}` });
-  }
-
-  bulkOps.push({
-    updateOne: {
-      filter: { _id: product._id, 'variants._id': targetVariant._id },
-      update: { $inc: { 'variants.$.stock': -item.quantity } }
+    // Paid checkout intent: the payment pipeline already made (or now makes) its order
+    if (req.body.intentId) {
+      const intent = await PaymentIntent.findOne({ intentId: String(req.body.intentId) });
+      if (intent?.status === 'paid' && ownsIntent(req, intent, finalShippingAddress.email)) {
+        const intentOrder = await completeIntentOrder(intent);
+        if (!intentOrder) {
+          return res.status(409).json({ success: false, message: 'Payment received; your order is being reviewed by our team' });
+        }
+        return res.status(201).json({ success: true, message: 'Order created successfully', order: intentOrder });
+      }
     }
-  });
 
-  finalOrderItems.push({
-    product: product._id,
-    name: variantSize ? `${product.name} - ${variantSize}` : product.name,
-    image: product.images?.[0]?.url || "",
-    price: Number(unitPrice) || 0,
-    quantity: Number(item.quantity) || 0,
-    variant: variantSize || "default"
-  });
-
-  itemsPrice += unitPrice * item.quantity;
-}
-
-    const taxPrice = 0;
-    const shippingPrice = itemsPrice > 499 ? 0 : 99;
+    // Authoritative pricing: variant prices, coupon, shipping, COD fee.
+    // Client-supplied totals/discountAmount are ignored.
     const method = paymentMethod.toLowerCase();
-    const codFee = method === "cod" ? 50 : 0;
-    const discount = discountAmount || 0;
-    const totalPrice = itemsPrice + taxPrice + shippingPrice + codFee - discount;
+    const quote = await quoteCheckout({
+      orderItems,
+      couponCode,
+      paymentMethod: method,
+      shippingAddress: finalShippingAddress,
+      user: req.user?._id
+    });
 
+    const finalOrderItems = toOrderItems(quote);
     const order = new Order({
       orderId: req.body.orderId,
       orderItems: finalOrderItems,
       user: req.user ? req.user._id : null,
       shippingAddress: finalShippingAddress,
       paymentMethod: method,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      codFee,
-      totalPrice,
-      couponCode,
-      discountAmount
-    });
-
-    const createdOrder = await order.save();
-    //if (bulkOps.length) await Product.bulkWrite(bulkOps);
-       if (bulkOps.length) {
-  await Product.bulkWrite(bulkOps);
-
-  // 🔧 Sync parent stock with variant totals
-  for (const item of finalOrderItems) {
-    const product = await Product.findById(item.product);
-    if (product) {
-      const totalStock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-      if (totalStock === 0 && product.isActive) {
-      product.isActive = false;
-      await product.save();
+      itemsPrice: quote.itemsPrice,
+      taxPrice: quote.tax,
+      shippingPrice: quote.shippingFee,
+      codFee: quote.codFee,
+      totalPrice: quote.total,
+      couponCode: quote.coupon?.code || '',
+      couponTerms: quote.coupon?.terms,
+      discountAmount: quote.discountAmount
+    });
+
+    // 🎁 Gift cards: same as store credit below, and applied before it
+    const giftCardCodes = giftCardCodesFromBody(req.body);
+    let giftCardApplied = null;
+    if (giftCardCodes.length) {
+      if (method !== 'cod') {
+        return res.status(400).json({ success: false, message: 'Use the checkout intent to pay online with a gift card' });
       }
+      giftCardApplied = await giftCardApplication(giftCardCodes, toPaise(quote.total), { minRemainderPaise: 0 });
+      if (giftCardApplied.payablePaise === 0) {
+        return res.status(400).json({ success: false, message: 'Your gift cards cover this order; pay with them at checkout instead of COD' });
+      }
+      order.giftCardAmount = giftCardApplied.amountPaise / 100;
+      order.giftCards = giftCardApplied.cards
+        .filter(c => c.amountPaise > 0)
+        .map(c => ({ card: c.card, code: c.code, amount: c.amountPaise / 100 }));
+    }
+    const giftCardPaise = giftCardApplied?.amountPaise || 0;
+
+    // 👛 Store credit: online checkouts apply it on the payment intent; here only COD,
+    // where the courier collects the rest
+    let walletPaise = 0;
+    if (req.body.useWallet === true) {
+      if (method !== 'cod') {
+        return res.status(400).json({ success: false, message: 'Use the checkout intent to pay online with wallet credit' });
+      }
+      const { walletAmount } = req.body;
+      const application = await walletApplication(req.user?._id, toPaise(quote.total) - giftCardPaise, {
+        requestedPaise: walletAmount === undefined || walletAmount === null || walletAmount === '' ? undefined : toPaise(walletAmount),
+        giftCardLinesPaise: toPaise(quote.giftCardsPrice),
+        minRemainderPaise: 0
+      });
+      if (application.payablePaise === 0) {
+        return res.status(400).json({ success: false, message: 'Your wallet covers this order; pay with the wallet at checkout instead of COD' });
+      }
+      walletPaise = application.amountPaise;
+      order.walletAmount = walletPaise / 100;
+    }
+
+    await order.validate();
+
+    // 💵 COD: refuse before holding stock if the pincode or the risk rules block it
+    if (method === 'cod') await assertCodServiceable(finalShippingAddress.postalCode);
+    const codRisk = method === 'cod' ? await assessCodRisk(order) : null;
+    if (codRisk) assertCodAllowed(codRisk, order);
+
+    // 📦 Stock: reuse the hold taken at payment-intent time, else reserve now.
+    // The reservation is only committed once the order is saved.
+    const stockRef = await takeOverIntentHold(req, {
+      intentId: req.body.intentId,
+      email: finalShippingAddress.email,
+      items: quote.items,
+      orderId: order.orderId
+    }) || order.orderId;
+    if (stockRef === order.orderId) {
+      await reserveStock({ reference: stockRef, referenceType: 'order', items: quote.items });
     }
-  }
-}
-    
-    // 🚚 Push to Shipping Partner
-    try {
-const pushResp = await ShippingAPI.pushOrder({
-  order_id: createdOrder.orderId,
-  order_date: new Date(createdOrder.createdAt).toISOString().split("T")[0],
-  order_type: "NON ESSENTIALS", // or "ESSENTIALS", if applicable
-  consignee_name: finalShippingAddress.fullName,
-  consignee_phone: finalShippingAddress.phone,
-  consignee_email: finalShippingAddress.email,
-  consignee_address_line_one: finalShippingAddress.address,
-  consignee_address_line_two: finalShippingAddress.addressLine2 || "",
-  consignee_city: finalShippingAddress.city,
-  consignee_state: finalShippingAddress.state,
-  consignee_pin_code: finalShippingAddress.postalCode,
-
-  product_detail: createdOrder.orderItems.map((item) => ({
-    name: item.name,
-    sku_number: item.product.toString(),
-    quantity: item.quantity,
-    unit_price: item.price,
-    discount: 0,
-    hsn: "",
-    product_category: "Other",
-  })),
-
-  payment_type: createdOrder.paymentMethod === "cod" ? "COD" : "PREPAID",
-  cod_amount:
-    createdOrder.paymentMethod === "cod"
-      ? createdOrder.totalPrice.toString()
-      : "",
-  weight: 500, // in grams (adjust based on order)
-  length: 10,
-  width: 10,
-  height: 5,
-  warehouse_id: process.env.SHIPPING_WAREHOUSE_ID || "",
-});
-      createdOrder.shipping = {
-        order_id: pushResp.data.order_id,
-        reference_id: pushResp.data.reference_id,
-        awb_number: pushResp.data.awb_number || null,
-        status: "pushed"
-      };
-      await createdOrder.save();
 
+    let giftCardHolds = [];
+    let walletHold = null;
+    let couponCounted = false;
+    let createdOrder;
+    try {
+      if (order.couponCode) {
+        couponCounted = await recordCouponUsage(order);
+        if (!couponCounted) throw new PricingError(`Coupon ${order.couponCode} has reached its usage limit`, 409);
+      }
+      if (giftCardPaise > 0) {
+        giftCardHolds = await redeemGiftCards(giftCardApplied, { reference: order.orderId, order, actor: actorFromRequest(req) });
+      }
+      if (walletPaise > 0) {
+        walletHold = await debitWallet(req.user._id, {
+          amountPaise: walletPaise,
+          kind: 'checkout',
+          reason: 'COD order',
+          reference: order.orderId,
+          order,
+          idempotencyKey: `checkout:${order.orderId}`,
+          actor: actorFromRequest(req)
+        });
+      }
+      createdOrder = await order.save();
     } catch (err) {
-      console.error("❌ Shipping API failed:", err.message);
-    }
-// 2. Auto-assign courier
-//try {
-//  const assignResp = await ShippingAPI.autoAssignCourier(createdOrder.shipping.reference_id);
-//  createdOrder.shipping.courier = assignResp.data.courier_name || null;
-//  createdOrder.shipping.status = "assigned";
-//  await createdOrder.save();
-//} catch (err) {
-//  console.error("❌ Courier assignment failed:", err.message);
-//}
-
-// 3. Schedule pickup
-//try {
-//  await ShippingAPI.schedulePickup(createdOrder.orderId);
-//  createdOrder.shipping.status = "pickup_scheduled";
-//  await createdOrder.save();
-//} catch (err) {
-//  console.error("❌ Pickup scheduling failed:", err.message);
-//}
+      // A taken-over intent is closed, so its hold goes back too
+      await releaseReservation(stockRef, 'order save failed').catch(() => {});
+      if (couponCounted) {
+        await releaseCouponUsage(order)
+          .catch(e => console.error(`❌ Coupon release for ${order.orderId} failed:`, e.message));
+      }
+      if (walletHold) {
+        await creditWallet(req.user._id, {
+          amountPaise: walletPaise,
+          kind: 'release',
+          reason: 'Order not placed',
+          reference: order.orderId,
+          idempotencyKey: `release:${order.orderId}`,
+          restore: walletHold.consumed
+        }).catch(e => console.error(`❌ Wallet release for ${order.orderId} failed:`, e.message));
+      }
+      if (giftCardHolds.length) {
+        await restoreGiftCards(giftCardHolds, { reference: order.orderId, reason: 'Order not placed' })
+          .catch(e => console.error(`❌ Gift card release for ${order.orderId} failed:`, e.message));
+      }
+      throw err;
+    }
+    await commitReservation(stockRef);
+    if (giftCardPaise > 0) {
+      await recordGiftCardPayment(createdOrder, { amountPaise: giftCardPaise, reference: createdOrder.orderId })
+        .catch(e => console.warn('[orders] ledger posting failed for order', createdOrder.orderId, e?.message || e));
+    }
+    if (walletPaise > 0) {
+      await recordWalletPayment(createdOrder, { amountPaise: walletPaise, reference: createdOrder.orderId })
+        .catch(e => console.warn('[orders] ledger posting failed for order', createdOrder.orderId, e?.message || e));
+    }
+
+    // 🚚 Push to Shipping Partner (outbox; courier assignment and pickup follow as later stages).
+    // COD orders wait for OTP verification (and review, if flagged) before they go out.
+    let codVerification;
+    if (codRisk) {
+      try {
+        codVerification = await startCodVerification(createdOrder, codRisk, { actor: actorFromRequest(req) });
+      } catch (err) {
+        console.error(`❌ COD verification for ${createdOrder.orderId} not started:`, err.message);
+        codVerification = { status: createdOrder.codVerification?.status, error: err.message };
+      }
+    } else {
+      await pushOrderToShipping(createdOrder);
+    }
+
 try {
   if (finalShippingAddress.email) {
   await sendOrderConfirmation(createdOrder, {
@@ -221,10 +302,17 @@ try {
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      order: createdOrder
+      order: createdOrder,
+      codVerification
     });
 
   } catch (error) {
+    if (error instanceof PricingError || error instanceof CodVerificationError || error instanceof WalletError || error instanceof GiftCardError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error instanceof StockError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, items: error.items });
+    }
     console.error("❌ Order creation error:", error);
     res.status(500).json({
       success: false,
@@ -236,8 +324,8 @@ try {
 
 // @desc    Get order by ID
 // @route   GET /api/orders/:id
-// @access  Private
-router.get('/:id', protect, async (req, res) => {
+// @access  Private (or guest order token)
+router.get('/:id', orderAccess('order'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('user', 'name email')
@@ -251,7 +339,7 @@ router.get('/:id', protect, async (req, res) => {
     }
 
     // Check if user owns the order or is admin
-    if (order.user._id.toString() !== req.user.id && req.user.role !== 'admin') {
+    if (!canAccessOrder(req, order)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this order'
@@ -295,7 +383,9 @@ router.put('/:id/pay', protect, async (req, res) => {
 
     order.isPaid = true;
     order.paidAt = Date.now();
-    order.status = 'processing';
+    if (order.status !== 'processing') {
+      order.transitionTo('processing', { actor: actorFromRequest(req), note: 'Marked paid' });
+    }
     order.paymentResult = {
       id: req.body.id,
       status: req.body.status,
@@ -441,6 +531,13 @@ router.put('/:id/status', protect, admin, async (req, res) => {
   try {
     const { status } = req.body;
 
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Allowed: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
     const order = await Order.findById(req.params.id).populate('user', 'name email');
 
     if (!order) {
@@ -450,40 +547,10 @@ router.put('/:id/status', protect, admin, async (req, res) => {
       });
     }
 
-    order.status = status;
-
-
-    // ✅ Handle "shipped"
-    if (status === "shipped") {
-      try {
-        const shippingData = await ShippingAPI.getOrderDetail(order.shipping.order_id);
-
-        order.trackingNumber = shippingData.awbNumber;
-        order.courierPartner = shippingData.courierPartner;
-        order.shippingDetails = shippingData;
-
-        // Send premium shipped email
-        await sendEmail({
-          email: order.shippingAddress.email,
-          subject: "🎉 Your Order Has Been Shipped 🚚",
-          html: shippedEmailTemplate({
-            orderId: order.orderId,
-            courierPartner: shippingData.courierPartner,
-            trackingNumber: shippingData.awbNumber,
-            
-          }),
-        });
-      } catch (err) {
-        console.error("❌ Error fetching shipping details:", err.message);
-      }
-    }
-
-    if (status === "delivered") {
-      order.isDelivered = true;
-      order.deliveredAt = Date.now();
-    }
-
-    const updatedOrder = await order.save();
+    const updatedOrder = await transitionOrder(order, status, {
+      actor: actorFromRequest(req),
+      note: req.body.note || ''
+    });
     //const trackingNumber = shippingDetails?.awb_number || null;
     //const courierPartner = shippingDetails?.courier_name || "Our Courier Partner";
 
@@ -509,6 +576,12 @@ router.put('/:id/status', protect, admin, async (req, res) => {
       order: updatedOrder
     });
   } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -539,37 +612,274 @@ router.put('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    if (order.status === 'delivered' || order.status === 'cancelled') {
-      return res.status(400).json({
+    // Check if order can be cancelled (courier cancel + stock restore run as transition hooks)
+    if (!order.canTransitionTo('cancelled')) {
+      return res.status(409).json({
         success: false,
         message: 'Order cannot be cancelled'
       });
     }
 
-    order.status = 'cancelled';
-    await order.save();
-if (order.shipping?.reference_id && order.shipping?.awb_number) {
-  try {
-    await ShippingAPI.cancelOrder(order.orderId, order.shipping.awb_number);
-    order.shipping.status = "cancelled";
-  } catch (err) {
-    console.error("❌ Failed to cancel with shipping partner:", err.message);
+    await transitionOrder(order, 'cancelled', {
+      actor: actorFromRequest(req),
+      note: req.body?.reason || 'Cancelled by customer'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order cancelled successfully',
+      order
+    });
+  } catch (error) {
+    // The order moved on (e.g. shipped) between the check and the transition
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
   }
-}
-    // Restore product stock
-    for (let item of order.orderItems) {
-      await Product.findByIdAndUpdate(
-  { _id: item.product, "variants.size": item.variant },
-  { $inc: { "variants.$.stock": item.quantity } }
-      );
+});
+
+// @desc    Take stock for a paid order flagged awaitingStock and send it to the courier
+// @route   PUT /api/orders/:id/allocate-stock
+// @access  Private/Admin
+router.put('/:id/allocate-stock', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
     }
+    if (!order.awaitingStock) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order is not awaiting stock'
+      });
+    }
+
+    await allocateOrderStock(order, { actor: actorFromRequest(req) });
 
     res.status(200).json({
       success: true,
-      message: 'Order cancelled successfully',
+      message: 'Stock allocated',
       order
     });
+  } catch (error) {
+    if (error instanceof StockError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message, items: error.items });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Cancel individual lines (or part of a line) before shipment
+// @route   PUT /api/orders/:id/cancel-items
+// @access  Private
+router.put('/:id/cancel-items', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.user?.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this order'
+      });
+    }
+
+    const result = await cancelOrderLines(order, {
+      lines: req.body.items,
+      reason: req.body.reason || '',
+      actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Items cancelled',
+      order: result.order,
+      refund: result.refund
+    });
+  } catch (error) {
+    if (error instanceof OrderAdjustmentError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Edit an order before shipment (address, quantities, variants)
+// @route   PUT /api/orders/:id/edit
+// @access  Private/Admin
+router.put('/:id/edit', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await editOrder(order, {
+      shippingAddress: req.body.shippingAddress,
+      items: req.body.items,
+      note: req.body.note || '',
+      acceptBalanceDue: req.body.acceptBalanceDue === true,
+      actor: actorFromRequest(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order updated',
+      order: result.order,
+      changes: result.changes,
+      refund: result.refund,
+      balanceDue: result.balanceDue
+    });
+  } catch (error) {
+    if (error instanceof OrderAdjustmentError || error instanceof StockError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Request a return for delivered items
+// @route   POST /api/orders/:id/returns
+// @access  Private (owner/admin) or guest order token
+router.post('/:id/returns', orderAccess('returns'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to return this order'
+      });
+    }
+
+    const returnRequest = await createReturn({
+      order,
+      user: req.user,
+      items: req.body.items,
+      photos: req.body.photos
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return requested',
+      returnRequest
+    });
+  } catch (error) {
+    if (error instanceof ReturnError || error.name === 'ValidationError') {
+      return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Returns raised against an order
+// @route   GET /api/orders/:id/returns
+// @access  Private (owner/admin) or guest order token
+router.get('/:id/returns', orderAccess('returns'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    const returns = await ReturnRequest.find({ order: order._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      returns
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Refunds on an order
+// @route   GET /api/orders/:id/refunds
+// @access  Private
+router.get('/:id/refunds', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user orderId totalPrice paymentMethod refunds');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.user?.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      refunds: order.refunds,
+      refunded: refundedAmount(order),
+      refundable: refundableBalance(order)
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -579,28 +889,153 @@ if (order.shipping?.reference_id && order.shipping?.awb_number) {
   }
 });
 
+// @desc    Refund an order (full when amount is omitted, else partial; toWallet: true pays
+//          it as store credit), or send a pending refund (return/cancellation) by refundId
+// @route   POST /api/orders/:id/refunds
+// @access  Private/Admin
+router.post('/:id/refunds', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { refundId, amount, reason, toWallet } = req.body;
+    const result = refundId
+      ? await processRefund(order, String(refundId))
+      : await createRefund(order, { amount, reason: reason || '', createdBy: req.user._id, toWallet: toWallet === true });
+
+    res.status(result.refund.status === 'failed' ? 502 : 201).json({
+      success: result.refund.status !== 'failed',
+      refund: result.refund,
+      refundable: refundableBalance(result.order)
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Poll the gateway for a refund still processing
+// @route   POST /api/orders/:id/refunds/:refundId/sync
+// @access  Private/Admin
+router.post('/:id/refunds/:refundId/sync', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const refund = await syncRefund(order, req.params.refundId);
+
+    res.status(200).json({
+      success: true,
+      refund
+    });
+  } catch (error) {
+    if (error instanceof RefundError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Shipment tracking for an order
+// @route   GET /api/orders/:id/tracking
+// @access  Private (or guest order token)
+router.get('/:id/tracking', orderAccess('tracking'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user orderId status trackingNumber courierPartner shipping');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this order'
+      });
+    }
+
+    const awb = order.shipping?.awb_number || order.trackingNumber;
+    if (!awb) {
+      return res.status(200).json({
+        success: true,
+        orderId: order.orderId,
+        status: order.status,
+        tracking: null
+      });
+    }
+
+    const tracking = await getCarrier(order.shipping?.carrier).track(awb);
+
+    res.status(200).json({
+      success: true,
+      orderId: order.orderId,
+      status: order.status,
+      tracking: {
+        awbNumber: tracking.awbNumber || awb,
+        courier: tracking.courier || order.courierPartner,
+        expectedDelivery: tracking.expectedDelivery,
+        status: tracking.status,
+        statusTime: tracking.statusTime,
+        scanDetail: tracking.scans
+      }
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: 'Tracking is unavailable right now',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Invoice generation
 // @route   GET /api/:id/invoice
-// @access  Private
-router.get('/:id/invoice', protect, async (req, res) => {
+// @access  Private (or guest order token)
+router.get('/:id/invoice', orderAccess('invoice'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).lean();
     if (!order) return res.status(404).json({ message: 'Order not found' });
+    if (!canAccessOrder(req, order)) return res.status(403).json({ message: 'Not authorized to view this order' });
 
-    // Normalize order items before invoice calculation
+    // Normalize order items before invoice calculation (gift cards carry no GST)
     order.items = order.orderItems?.map(it => ({
       ...it,
       qty: Number(it.quantity ?? it.qty ?? 1),
       price: Number(it.price ?? it.mrp ?? 0),
-      gstPercent: Number(it.gstPercent ?? it.gst ?? 5),
+      gstPercent: isGiftCardLine(it) ? 0 : Number(it.gstPercent ?? it.gst ?? PRICING.gstRate),
     })) ?? [];
 
     // Calculate invoice
   const invoiceCalc = calculateInvoice(order, {
-    gstRate: 5, // IGST %
-    shippingFee: order.shippingPrice ?? order.shippingCharge ?? 99,
-    shippingThreshold: 499,
-    codCharge: order.codFee ?? 50,
+    gstRate: PRICING.gstRate, // IGST %
+    shippingFee: order.shippingPrice ?? order.shippingCharge ?? PRICING.shippingFee,
+    shippingThreshold: PRICING.freeShippingThreshold,
+    codCharge: order.codFee ?? PRICING.codFee,
     discountAmount: order.discountAmount ?? 0
 });
 
@@ -0,0 +1,124 @@
+// routes/payments/cod.js
+import express from 'express';
+import mongoose from 'mongoose';
+import rateLimit from 'express-rate-limit';
+import Order from '../../models/Order.js';
+import { protect, optionalAuth } from '../../middleware/auth.js';
+import { quoteForOrder, PricingError } from '../../services/pricingService.js';
+import {
+  assessCodRisk,
+  assertCodServiceable,
+  startCodVerification,
+  verifyCodOtp,
+  resendCodOtp,
+  CodVerificationError
+} from '../../services/codVerificationService.js';
+
+const router = express.Router();
+
+/* ---------------------------
+   Cash on Delivery (COD), mounted at /api/payments/cod
+   - confirm: re-price as COD, run the risk rules, send an OTP to the shipping phone
+   - verify/resend: the OTP step (guests can verify their own orders)
+   Orders go to processing only once verified, or approved from the admin review queue.
+   --------------------------- */
+const codOtpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many COD verification requests, try later' }
+});
+
+function codErrorResponse(res, err, fallback) {
+  if (err instanceof CodVerificationError || err instanceof PricingError) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  console.error(`${fallback}:`, err?.message || err);
+  return res.status(500).json({ success: false, message: fallback });
+}
+
+function codMessage({ status, phone }) {
+  if (status === 'otp_pending') return `Enter the code sent to ${phone} to confirm your order`;
+  if (status === 'review') return 'Order received; we will confirm it shortly';
+  return 'COD order confirmed';
+}
+
+// Guest orders are open to anyone holding the order id (the OTP is the proof); account orders to their owner
+async function findCodOrder(req) {
+  const { orderId } = req.body;
+  if (!orderId || !mongoose.Types.ObjectId.isValid(String(orderId))) return null;
+  const order = await Order.findById(orderId);
+  if (!order || order.paymentMethod !== 'cod') return null;
+  if (order.user && String(order.user) !== String(req.user?._id)) return null;
+  return order;
+}
+
+router.post('/confirm', protect, codOtpLimiter, async (req, res) => {
+  try {
+    const { orderId } = req.body;
+    if (!orderId) return res.status(400).json({ success: false, message: 'Missing orderId' });
+
+    const order = await Order.findById(orderId);
+    if (!order || String(order.user) !== String(req.user.id)) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+    if (order.status !== 'pending') {
+      return res.status(409).json({ success: false, message: `Order is ${order.status}; cannot confirm COD` });
+    }
+    if (order.codVerification?.status) {
+      return res.status(409).json({ success: false, message: 'COD verification already started for this order' });
+    }
+
+    await assertCodServiceable(order.shippingAddress?.postalCode);
+
+    // Authoritative COD totals (includes COD fee)
+    const quote = await quoteForOrder({ ...order.toObject(), paymentMethod: 'cod' });
+    order.paymentMethod = 'cod';
+    order.itemsPrice = quote.itemsPrice;
+    order.shippingPrice = quote.shippingFee;
+    order.codFee = quote.codFee;
+    order.discountAmount = quote.discountAmount;
+    order.taxPrice = quote.tax;
+    order.totalPrice = quote.total;
+
+    const risk = await assessCodRisk(order);
+    const codVerification = await startCodVerification(order, risk, {
+      actor: { kind: 'customer', user: req.user._id, name: req.user.name || '' }
+    });
+
+    return res.json({ success: true, message: codMessage(codVerification), codVerification, order });
+  } catch (err) {
+    return codErrorResponse(res, err, 'COD confirm failed');
+  }
+});
+
+router.post('/verify', codOtpLimiter, optionalAuth, async (req, res) => {
+  try {
+    const order = await findCodOrder(req);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    const actor = req.user
+      ? { kind: 'customer', user: req.user._id, name: req.user.name || '' }
+      : { kind: 'customer', name: 'guest' };
+    const codVerification = await verifyCodOtp(order, req.body.code, { actor });
+
+    return res.json({ success: true, message: codMessage(codVerification), codVerification });
+  } catch (err) {
+    return codErrorResponse(res, err, 'COD verify failed');
+  }
+});
+
+router.post('/resend', codOtpLimiter, optionalAuth, async (req, res) => {
+  try {
+    const order = await findCodOrder(req);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    const codVerification = await resendCodOtp(order);
+    return res.json({ success: true, message: codMessage(codVerification), codVerification });
+  } catch (err) {
+    return codErrorResponse(res, err, 'COD resend failed');
+  }
+});
+
+export default router;
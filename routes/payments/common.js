@@ -0,0 +1,79 @@
+// routes/payments/common.js
+import rateLimit from 'express-rate-limit';
+import { PricingError } from '../../services/pricingService.js';
+import { StockError } from '../../services/stockReservationService.js';
+import { PaymentError } from '../../services/paymentService.js';
+import { WalletError } from '../../services/walletService.js';
+import { GiftCardError } from '../../services/giftCardService.js';
+
+// Rate limit: extra protection for create-intent endpoints
+export const createIntentLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 12,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many create-intent requests, try later' }
+});
+
+// Gift card codes from a request body: giftCardCodes (array) or a single giftCardCode
+export function giftCardCodesFromBody(body = {}) {
+  const codes = Array.isArray(body.giftCardCodes) ? body.giftCardCodes : [body.giftCardCodes];
+  return [...codes, body.giftCardCode].filter(c => typeof c === 'string' && c.trim());
+}
+
+// Checkout body → createCheckoutIntent() input (useWallet / walletAmount need a signed-in customer)
+export function checkoutFromRequest(req, gateway) {
+  const { orderItems, customerInfo, shippingAddress, couponCode, useWallet, walletAmount } = req.body;
+  return {
+    gateway,
+    orderItems,
+    customerInfo,
+    shippingAddress,
+    couponCode,
+    useWallet: useWallet === true,
+    walletAmount,
+    giftCardCodes: giftCardCodesFromBody(req.body),
+    user: req.user?._id || null
+  };
+}
+
+// Gift cards / the wallet covered the whole checkout: the order exists, no gateway step follows
+export function paidInFullResponse(res, intent, order) {
+  return res.status(201).json({
+    success: true,
+    paidInFull: true,
+    paidWithWallet: (intent.wallet?.amountPaise || 0) > 0,
+    paidWithGiftCard: (intent.giftCards || []).length > 0,
+    intentId: intent.intentId,
+    intent: intentSummary(intent),
+    order
+  });
+}
+
+// What the frontend gets back about an intent (never the raw gateway responses)
+export function intentSummary(intent) {
+  return {
+    intentId: intent.intentId,
+    gateway: intent.provider,
+    status: intent.status,
+    orderItems: intent.orderItems,
+    totals: intent.totals,
+    customerInfo: intent.customerInfo,
+    shippingAddress: intent.shippingAddress,
+    paymentId: intent.paymentId
+  };
+}
+
+export function paymentErrorResponse(res, err, fallback) {
+  if (err instanceof PaymentError) {
+    return res.status(err.statusCode).json({ success: false, message: err.message, ...err.details });
+  }
+  if (err instanceof PricingError || err instanceof WalletError || err instanceof GiftCardError) {
+    return res.status(err.statusCode).json({ success: false, message: err.message });
+  }
+  if (err instanceof StockError) {
+    return res.status(err.statusCode).json({ success: false, message: err.message, items: err.items });
+  }
+  console.error(`${fallback}:`, err?.response?.data || err?.message || err);
+  return res.status(500).json({ success: false, message: fallback, error: err?.message || 'unknown' });
+}
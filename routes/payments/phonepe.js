@@ -0,0 +1,113 @@
+// routes/payments/phonepe.js
+import express from 'express';
+import { optionalAuth } from '../../middleware/auth.js';
+import {
+  createCheckoutIntent,
+  startPaymentSession,
+  syncIntentStatus,
+  completeIntentOrder,
+  findIntent
+} from '../../services/paymentService.js';
+import { createIntentLimiter, checkoutFromRequest, paidInFullResponse, paymentErrorResponse } from './common.js';
+
+/**
+ * PhonePe checkout (mounted at /api/payments/phonepe):
+ *   initiate-intent → create-order (pay page / UPI link) → customer pays →
+ *   check-status (after redirect) or the webhook → order.
+ */
+
+const router = express.Router();
+
+const STATUS_LABELS = { paid: 'COMPLETED', pending: 'PENDING' };
+
+// @desc    Price the cart and hold its stock (PaymentIntent)
+// @route   POST /api/payments/phonepe/initiate-intent
+// @access  Public (optionalAuth)
+router.post('/initiate-intent', createIntentLimiter, optionalAuth, async (req, res) => {
+  try {
+    const intent = await createCheckoutIntent(checkoutFromRequest(req, 'phonepe'));
+    if (intent.status === 'paid') return paidInFullResponse(res, intent, await completeIntentOrder(intent));
+    return res.json({
+      success: true,
+      intentId: intent.intentId,
+      totals: intent.totals,
+      shippingAddress: intent.shippingAddress
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Failed to create intent');
+  }
+});
+
+// @desc    Start the PhonePe payment for an intent (pay page, or a UPI link for other apps)
+// @route   POST /api/payments/phonepe/create-order
+// @access  Public
+router.post('/create-order', async (req, res) => {
+  try {
+    const { intentId, preferredApp = null } = req.body;
+    if (!intentId) return res.status(400).json({ success: false, message: 'Missing intentId' });
+
+    const intent = await findIntent({ intentId });
+    if (!intent) return res.status(404).json({ success: false, message: 'Intent not found' });
+
+    const session = await startPaymentSession(intent, { gateway: 'phonepe', preferredApp });
+    return res.json({
+      success: true,
+      merchantOrderId: session.merchantOrderId,
+      redirectUrl: session.redirectUrl,
+      upiLink: session.upiLink || null,
+      vpa: session.vpa || null,
+      phonepeRaw: session.raw
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Payment initiation failed');
+  }
+});
+
+// @desc    Payment status after the redirect back from PhonePe; creates the order once paid
+// @route   POST /api/payments/phonepe/check-status
+// @access  Public
+router.post('/check-status', async (req, res) => {
+  try {
+    const { merchantOrderId, intentId } = req.body;
+    if (!merchantOrderId && !intentId) {
+      return res.status(400).json({ success: false, message: 'Missing merchantOrderId or intentId' });
+    }
+
+    const intent = await findIntent({ intentId, merchantOrderId });
+    if (!intent) return res.status(404).json({ success: false, message: 'Intent not found' });
+
+    const result = await syncIntentStatus(intent);
+    if (result.state === 'paid') {
+      const warning = result.order ? undefined : intent.reconciliationNote;
+      return res.json({ success: true, status: 'COMPLETED', order: result.order, warning });
+    }
+    return res.json({
+      success: true,
+      status: STATUS_LABELS[result.state] || result.gatewayState || 'FAILED',
+      raw: result.raw
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Status check failed');
+  }
+});
+
+// @desc    JSON callback some PhonePe setups send; the status API decides, not the body
+// @route   POST /api/payments/phonepe/callback
+// @access  Public
+router.post('/callback', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const merchantOrderId = body.data?.merchantOrderId || body.payload?.merchantOrderId || body.merchantOrderId || null;
+    if (!merchantOrderId) return res.status(400).send('Missing merchantOrderId');
+
+    const intent = await findIntent({ merchantOrderId });
+    if (!intent) return res.status(404).send('Intent not found');
+
+    await syncIntentStatus(intent);
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'PhonePe callback failed');
+  }
+});
+
+export default router;
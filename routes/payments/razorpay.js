@@ -0,0 +1,54 @@
+// routes/payments/razorpay.js
+import express from 'express';
+import { optionalAuth } from '../../middleware/auth.js';
+import { openCheckout, verifyIntentPayment, findIntent } from '../../services/paymentService.js';
+import { createIntentLimiter, checkoutFromRequest, intentSummary, paidInFullResponse, paymentErrorResponse } from './common.js';
+
+/**
+ * Razorpay checkout (mounted at /api/payments/razorpay):
+ *   create-order (intent + Razorpay order) → Checkout widget → verify → order.
+ */
+
+const router = express.Router();
+
+// @desc    Price the cart, hold its stock and open a Razorpay order
+// @route   POST /api/payments/razorpay/create-order
+// @access  Public (optionalAuth)
+router.post('/create-order', createIntentLimiter, optionalAuth, async (req, res) => {
+  try {
+    const { intent, session, order } = await openCheckout(checkoutFromRequest(req, 'razorpay'));
+    if (!session) return paidInFullResponse(res, intent, order);
+    return res.json({
+      success: true,
+      ...session.checkout,
+      redirectUrl: session.redirectUrl, // simulator hosted page (RAZORPAY_ENV=local) only
+      intentId: intent.intentId
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Razorpay order creation failed');
+  }
+});
+
+// @desc    Verify the Checkout signature and create the order
+// @route   POST /api/payments/razorpay/verify
+// @access  Public (optionalAuth)
+router.post('/verify', optionalAuth, async (req, res) => {
+  try {
+    const { intentId } = req.body;
+    if (!intentId) return res.status(400).json({ success: false, message: 'Missing parameters' });
+
+    const intent = await findIntent({ intentId });
+    if (!intent) return res.status(404).json({ success: false, message: 'Payment intent not found' });
+
+    const result = await verifyIntentPayment(intent, req.body);
+    return res.json({
+      success: true,
+      intent: intentSummary(result.intent),
+      order: result.order
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Razorpay verify failed');
+  }
+});
+
+export default router;
@@ -0,0 +1,58 @@
+// routes/payments/stripe.js
+import express from 'express';
+import { optionalAuth } from '../../middleware/auth.js';
+import { openCheckout, verifyIntentPayment, findIntent } from '../../services/paymentService.js';
+import { createIntentLimiter, checkoutFromRequest, intentSummary, paidInFullResponse, paymentErrorResponse } from './common.js';
+
+/**
+ * Stripe checkout (mounted at /api/payments/stripe):
+ *   create-intent (intent + Stripe PaymentIntent) → Payment Element confirms →
+ *   confirm (or the webhook) → order.
+ */
+
+const router = express.Router();
+
+// @desc    Price the cart, hold its stock and create a Stripe PaymentIntent
+// @route   POST /api/payments/stripe/create-intent
+// @access  Public (optionalAuth)
+router.post('/create-intent', createIntentLimiter, optionalAuth, async (req, res) => {
+  try {
+    const { intent, session, order } = await openCheckout(checkoutFromRequest(req, 'stripe'));
+    if (!session) return paidInFullResponse(res, intent, order);
+    return res.json({
+      success: true,
+      clientSecret: session.clientSecret,
+      paymentIntentId: session.gatewayOrderId,
+      intentId: intent.intentId,
+      redirectUrl: session.redirectUrl, // simulator hosted page (STRIPE_ENV=local) only
+      totals: intent.totals
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Stripe create-intent failed');
+  }
+});
+
+// @desc    Check the Stripe PaymentIntent server-side after confirmation and create the order
+// @route   POST /api/payments/stripe/confirm
+// @access  Public (optionalAuth)
+router.post('/confirm', optionalAuth, async (req, res) => {
+  try {
+    const { intentId, paymentIntentId } = req.body;
+    if (!intentId) return res.status(400).json({ success: false, message: 'Missing intentId' });
+
+    const intent = await findIntent({ intentId });
+    if (!intent) return res.status(404).json({ success: false, message: 'Payment intent not found' });
+
+    const result = await verifyIntentPayment(intent, { paymentIntentId });
+    return res.json({
+      success: true,
+      status: result.state,
+      intent: intentSummary(result.intent),
+      order: result.order
+    });
+  } catch (err) {
+    return paymentErrorResponse(res, err, 'Stripe confirm failed');
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import { protect, admin, optionalAuth } from '../middleware/auth.js';
 import { validateProduct } from '../middleware/validation.js';
+import { checkServiceability } from '../services/serviceabilityService.js';
 
 
 
@@ -106,7 +107,7 @@ router.get('/', async (req, res) => {
 });
 
 // @desc    Get single product
-// @route   GET /api/products/:idOrSlug
+// @route   GET /api/products/:idOrSlug[?pincode=560001]
 // @access  Public
 router.get('/:idOrSlug', async (req, res) => {
 /*  try {
@@ -137,9 +138,17 @@ router.get('/:idOrSlug', async (req, res) => {
       });
     }
 
+    // ?pincode=560001 → delivery estimate alongside the product; never fails the page
+    let deliveryEstimate;
+    if (req.query.pincode) {
+      deliveryEstimate = await checkServiceability(req.query.pincode)
+        .catch(err => ({ pincode: String(req.query.pincode), serviceable: false, message: err.message }));
+    }
+
     res.status(200).json({
       success: true,
-      product
+      product,
+      ...(deliveryEstimate ? { deliveryEstimate } : {})
     });
   } catch (error) {
     res.status(500).json({
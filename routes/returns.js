@@ -0,0 +1,195 @@
+import express from 'express';
+import Order from '../models/Order.js';
+import ReturnRequest, { RETURN_STATUSES } from '../models/ReturnRequest.js';
+import { protect, admin } from '../middleware/auth.js';
+import { actorFromRequest } from '../services/orderLifecycle.js';
+import {
+  approveReturn,
+  rejectReturn,
+  bookReversePickup,
+  receiveReturn,
+  ReturnError
+} from '../services/returnService.js';
+
+const router = express.Router();
+
+// All RMA management is admin-only; customers raise returns via /api/orders/:id/returns
+router.use(protect, admin);
+
+function handleError(res, error) {
+  if (error instanceof ReturnError || error.statusCode) {
+    return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+}
+
+async function loadReturn(req, res) {
+  const ret = await ReturnRequest.findById(req.params.id);
+  if (!ret) {
+    res.status(404).json({ success: false, message: 'Return not found' });
+    return {};
+  }
+  const order = await Order.findById(ret.order);
+  if (!order) {
+    res.status(404).json({ success: false, message: 'Order not found' });
+    return {};
+  }
+  return { ret, order };
+}
+
+// @desc    List returns
+// @route   GET /api/returns
+// @access  Private/Admin
+router.get('/', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.status && RETURN_STATUSES.includes(req.query.status)) {
+      query.status = req.query.status;
+    }
+    if (req.query.orderId) {
+      query.orderId = String(req.query.orderId);
+    }
+
+    const returns = await ReturnRequest.find(query)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await ReturnRequest.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: returns.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      returns
+    });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Get return
+// @route   GET /api/returns/:id
+// @access  Private/Admin
+router.get('/:id', async (req, res) => {
+  try {
+    const returnRequest = await ReturnRequest.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('order', 'orderId status totalPrice paymentMethod shippingAddress refunds');
+
+    if (!returnRequest) {
+      return res.status(404).json({ success: false, message: 'Return not found' });
+    }
+
+    res.status(200).json({ success: true, returnRequest });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Approve return and book reverse pickup
+// @route   PUT /api/returns/:id/approve
+// @access  Private/Admin
+router.put('/:id/approve', async (req, res) => {
+  try {
+    const { ret, order } = await loadReturn(req, res);
+    if (!ret) return;
+
+    await approveReturn(ret, order, {
+      actor: actorFromRequest(req),
+      note: req.body.note || '',
+      schedulePickup: req.body.schedulePickup !== false
+    });
+
+    res.status(200).json({ success: true, returnRequest: ret });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Reject return
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+router.put('/:id/reject', async (req, res) => {
+  try {
+    const ret = await ReturnRequest.findById(req.params.id);
+    if (!ret) return res.status(404).json({ success: false, message: 'Return not found' });
+
+    await rejectReturn(ret, { actor: actorFromRequest(req), reason: req.body.reason || '' });
+
+    res.status(200).json({ success: true, returnRequest: ret });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Retry reverse pickup booking
+// @route   PUT /api/returns/:id/pickup
+// @access  Private/Admin
+router.put('/:id/pickup', async (req, res) => {
+  try {
+    const { ret, order } = await loadReturn(req, res);
+    if (!ret) return;
+
+    if (ret.status !== 'approved') {
+      return res.status(409).json({ success: false, message: `Pickup can only be booked for approved returns (current: ${ret.status})` });
+    }
+
+    await bookReversePickup(ret, order, actorFromRequest(req));
+
+    res.status(200).json({ success: ret.reversePickup?.status === 'booked', returnRequest: ret });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Mark goods received (restock + open refund; storeCredit: true refunds to the wallet)
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+router.put('/:id/receive', async (req, res) => {
+  try {
+    const { ret, order } = await loadReturn(req, res);
+    if (!ret) return;
+
+    await receiveReturn(ret, order, {
+      actor: actorFromRequest(req),
+      dispositions: Array.isArray(req.body.dispositions) ? req.body.dispositions : [],
+      note: req.body.note || '',
+      storeCredit: req.body.storeCredit === true
+    });
+
+    res.status(200).json({ success: true, returnRequest: ret, order });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// @desc    Close return
+// @route   PUT /api/returns/:id/close
+// @access  Private/Admin
+router.put('/:id/close', async (req, res) => {
+  try {
+    const ret = await ReturnRequest.findById(req.params.id);
+    if (!ret) return res.status(404).json({ success: false, message: 'Return not found' });
+
+    ret.transitionTo('closed', { actor: actorFromRequest(req), note: req.body.note || '' });
+    await ret.save();
+
+    res.status(200).json({ success: true, returnRequest: ret });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,110 @@
+import express from 'express';
+import Order from '../models/Order.js';
+import { protect, admin } from '../middleware/auth.js';
+import {
+  checkServiceability,
+  importPincodes,
+  ServiceabilityError
+} from '../services/serviceabilityService.js';
+import { syncShipment } from '../services/shipmentSync.js';
+import { defaultCarrierName } from '../services/shipping.js';
+import { receiveWebhook, WebhookEventError } from '../services/webhookEventService.js';
+
+const router = express.Router();
+
+// @desc    Can we deliver to a pincode (prepaid / COD) and by when
+// @route   GET /api/shipping/serviceability?pincode=560001
+// @access  Public
+router.get('/serviceability', async (req, res) => {
+  try {
+    const result = await checkServiceability(req.query.pincode);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof ServiceabilityError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Add or update serviceable pincodes
+// @route   POST /api/shipping/pincodes
+// @access  Private/Admin
+router.post('/pincodes', protect, admin, async (req, res) => {
+  try {
+    const rows = req.body.pincodes;
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'pincodes must be a non-empty array' });
+    }
+
+    const result = await importPincodes(rows, { source: 'admin' });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Poll the courier for an order's shipment now
+// @route   POST /api/shipping/orders/:id/sync
+// @access  Private/Admin
+router.post('/orders/:id/sync', protect, admin, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const result = await syncShipment(order);
+    res.status(200).json({
+      success: true,
+      result,
+      shipping: order.shipping,
+      trackingEvents: order.trackingEvents
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      message: 'Courier sync failed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Courier status webhook, mounted in server.js with express.raw() ahead of the JSON
+ * parser and the rate limiter: POST /api/shipping/webhook[/:carrier]
+ * Authenticated by the X-Shipping-Webhook-Secret header (SHIPPING_WEBHOOK_SECRET);
+ * stored and de-duplicated like gateway webhooks (services/webhookEventService.js).
+ */
+export const shippingWebhookHandler = async (req, res) => {
+  try {
+    const { result, duplicate } = await receiveWebhook({
+      source: 'shipping',
+      provider: req.params.carrier || defaultCarrierName(),
+      headers: req.headers,
+      rawBody: req.body // Buffer from express.raw(); parsed by the shipping handler
+    });
+    if (duplicate) return res.status(200).json({ success: true, duplicate: true });
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof WebhookEventError) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('❌ Shipping webhook failed:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+export default router;
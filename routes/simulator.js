@@ -0,0 +1,145 @@
+/**
+ * routes/simulator.js
+ * Local payment-gateway simulator (services/gateways/simulator.js). Mounted in server.js
+ * at /api/simulator only when a gateway runs with <GATEWAY>_ENV=local outside production.
+ *
+ * - PhonePe API stand-ins the adapter calls through PHONEPE_CONFIG.local
+ * - Hosted payment page with success / failure / pending buttons
+ * - Test endpoint to settle a payment without a browser
+ */
+
+import express from 'express';
+import {
+  phonepeSimulator,
+  completeSimulatedPayment,
+  getSimulatedPayment,
+  SimulatorError,
+  SIMULATOR_OUTCOMES
+} from '../services/gateways/simulator.js';
+
+const router = express.Router();
+
+function simulatorErrorResponse(res, error) {
+  if (error instanceof SimulatorError) {
+    return res.status(error.statusCode).json({ success: false, message: error.message });
+  }
+  return res.status(500).json({ success: false, message: 'Server error', error: error.message });
+}
+
+const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, c => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+const page = (title, body) => `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: sans-serif; max-width: 520px; margin: 40px auto;">
+<h2>${escapeHtml(title)}</h2>
+${body}
+</body></html>`;
+
+/* ---------------------------
+   PhonePe API stand-ins
+   --------------------------- */
+
+// @desc    OAuth token (client_credentials)
+// @route   POST /api/simulator/phonepe/v1/oauth/token
+// @access  Simulator
+router.post('/phonepe/v1/oauth/token', (req, res) => {
+  if (!req.body?.client_id) {
+    return res.status(400).json({ success: false, message: 'client_id is required' });
+  }
+  res.status(200).json(phonepeSimulator.issueToken());
+});
+
+// @desc    Create a pay-page order
+// @route   POST /api/simulator/phonepe/checkout/v2/pay
+// @access  Simulator (O-Bearer token)
+router.post('/phonepe/checkout/v2/pay', (req, res) => {
+  try {
+    phonepeSimulator.checkToken(req.get('authorization'));
+    res.status(200).json(phonepeSimulator.createOrder(req.body));
+  } catch (error) {
+    simulatorErrorResponse(res, error);
+  }
+});
+
+// @desc    Order status
+// @route   GET /api/simulator/phonepe/checkout/v2/order/:merchantOrderId/status
+// @access  Simulator (O-Bearer token)
+router.get('/phonepe/checkout/v2/order/:merchantOrderId/status', (req, res) => {
+  try {
+    phonepeSimulator.checkToken(req.get('authorization'));
+    res.status(200).json(phonepeSimulator.orderStatus(req.params.merchantOrderId));
+  } catch (error) {
+    simulatorErrorResponse(res, error);
+  }
+});
+
+/* ---------------------------
+   Hosted payment page
+   --------------------------- */
+
+// @desc    Hosted page for a simulated payment
+// @route   GET /api/simulator/pay/:ref
+// @access  Simulator
+router.get('/pay/:ref', (req, res) => {
+  try {
+    const payment = getSimulatedPayment(req.params.ref);
+    const buttons = SIMULATOR_OUTCOMES.map(outcome =>
+      `<button type="submit" name="outcome" value="${outcome}" style="margin-right: 8px;">${outcome}</button>`
+    ).join('');
+
+    res.status(200).type('html').send(page(`Simulated ${payment.gateway} payment`, `
+<p>Amount: ₹${escapeHtml((payment.amountPaise / 100).toFixed(2))}</p>
+<p>Reference: <code>${escapeHtml(payment.ref)}</code> · status: <strong>${escapeHtml(payment.status)}</strong></p>
+<form method="post" action="${escapeHtml(req.originalUrl)}">${buttons}</form>`));
+  } catch (error) {
+    res.status(error.statusCode || 500).type('html').send(page('Simulator', `<p>${escapeHtml(error.message)}</p>`));
+  }
+});
+
+// @desc    Hosted page buttons; back to the merchant when it gave a redirect URL
+// @route   POST /api/simulator/pay/:ref   (form: outcome)
+// @access  Simulator
+router.post('/pay/:ref', async (req, res) => {
+  try {
+    const result = await completeSimulatedPayment(req.params.ref, req.body?.outcome);
+    if (result.returnUrl) return res.redirect(303, result.returnUrl);
+
+    res.status(200).type('html').send(page(`Payment ${result.payment.status}`, `
+<p>Webhook: ${escapeHtml(result.webhook ? `${result.webhook.type} → ${result.webhook.status || result.webhook.error}` : 'none')}</p>
+<p>Callback payload for the verify endpoint:</p>
+<pre>${escapeHtml(JSON.stringify(result.callback, null, 2))}</pre>`));
+  } catch (error) {
+    res.status(error.statusCode || 500).type('html').send(page('Simulator', `<p>${escapeHtml(error.message)}</p>`));
+  }
+});
+
+/* ---------------------------
+   Test endpoints
+   --------------------------- */
+
+// @desc    State of a simulated payment (payments, refunds, webhook deliveries)
+// @route   GET /api/simulator/payments/:ref
+// @access  Simulator
+router.get('/payments/:ref', (req, res) => {
+  try {
+    res.status(200).json({ success: true, payment: getSimulatedPayment(req.params.ref) });
+  } catch (error) {
+    simulatorErrorResponse(res, error);
+  }
+});
+
+// @desc    Settle a simulated payment and send the gateway's signed webhook
+// @route   POST /api/simulator/payments/:ref/complete   { outcome: 'success' | 'failure' | 'pending' }
+// @access  Simulator
+router.post('/payments/:ref/complete', async (req, res) => {
+  try {
+    const result = await completeSimulatedPayment(req.params.ref, req.body?.outcome);
+    res.status(200).json({ success: true, ...result });
+  } catch (error) {
+    simulatorErrorResponse(res, error);
+  }
+});
+
+export default router;
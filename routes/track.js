@@ -1,6 +1,6 @@
 // routes/track.js
 import express from "express";
-import { ShippingAPI } from "../services/shipping.js";
+import { getCarrier } from "../services/shipping.js";
 
 const router = express.Router();
 
@@ -8,20 +8,19 @@ router.get("/track-order/:awb", async (req, res) => {
   const { awb } = req.params;
 
   try {
-    const response = await ShippingAPI.trackOrder(awb);
+    const tracking = await getCarrier().track(awb);
 
-    // Normalized payload for frontend
     res.json({
       success: true,
       tracking: {
-        orderId: response.data.order_id,
-        referenceId: response.data.reference_id,
-        awbNumber: response.data.awb_number,
-        courier: response.data.courier,
-        expectedDelivery: response.data.expected_delivery_date,
-        status: response.data.current_status,
-        statusTime: response.data.status_time,
-        scanDetail: response.data.scan_detail || [],
+        orderId: tracking.orderId,
+        referenceId: tracking.referenceId,
+        awbNumber: tracking.awbNumber,
+        courier: tracking.courier,
+        expectedDelivery: tracking.expectedDelivery,
+        status: tracking.status,
+        statusTime: tracking.statusTime,
+        scanDetail: tracking.scans,
       },
     });
   } catch (err) {
@@ -2,6 +2,7 @@ import express from 'express';
 import multer from 'multer';
 import { v2 as cloudinary } from 'cloudinary';
 import { protect, admin } from '../middleware/auth.js';
+import { verifyGuestOrderToken } from '../services/guestAccessService.js';
 
 const router = express.Router();
 
@@ -127,6 +128,74 @@ router.post('/images', protect, admin, upload.array('images', 5), async (req, re
   }
 });
 
+// Signed-in customers, or guests whose order token may raise returns (X-Order-Token)
+const returnPhotoAccess = (req, res, next) => {
+  const guestToken = req.headers['x-order-token'];
+  if (!guestToken) return protect(req, res, next);
+
+  try {
+    const decoded = verifyGuestOrderToken(guestToken);
+    if (!decoded.scope?.includes('returns')) {
+      return res.status(403).json({ success: false, message: 'Token does not allow returns' });
+    }
+    req.guestOrder = decoded;
+    next();
+  } catch (error) {
+    return res.status(401).json({ success: false, message: 'Order link expired, request a new one' });
+  }
+};
+
+// @desc    Upload photos for a return request
+// @route   POST /api/upload/return-photos
+// @access  Private or guest order token
+router.post('/return-photos', returnPhotoAccess, upload.array('photos', 5), async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image files provided'
+      });
+    }
+
+    const uploadPromises = req.files.map(file => {
+      return new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+          {
+            resource_type: 'image',
+            folder: 'returns',
+            transformation: [
+              { width: 1600, height: 1600, crop: 'limit' },
+              { quality: 'auto' },
+              { format: 'auto' }
+            ]
+          },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve({
+              url: result.secure_url,
+              publicId: result.public_id
+            });
+          }
+        ).end(file.buffer);
+      });
+    });
+
+    const images = await Promise.all(uploadPromises);
+
+    res.status(200).json({
+      success: true,
+      message: 'Photos uploaded successfully',
+      images
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photos',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Delete image
 // @route   DELETE /api/upload/image/:publicId
 // @access  Private/Admin
@@ -1,7 +1,9 @@
 import express from 'express';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
+import WalletTransaction from '../models/WalletTransaction.js';
 import { protect } from '../middleware/auth.js';
+import { getWalletSummary } from '../services/walletService.js';
 
 const router = express.Router();
 
@@ -139,6 +141,42 @@ router.get('/orders/:id', protect, async (req, res) => {
   }
 });
 
+// @desc    Store credit balance, credit about to expire and transaction history
+// @route   GET /api/users/wallet
+// @access  Private
+router.get('/wallet', protect, async (req, res) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page || '1', 10));
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || '20', 10)));
+
+    const [wallet, transactions, total] = await Promise.all([
+      getWalletSummary(req.user._id),
+      WalletTransaction.find({ user: req.user._id })
+        .select('transactionId type kind amountPaise balanceAfterPaise expiresAt reason orderId createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WalletTransaction.countDocuments({ user: req.user._id })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      wallet,
+      count: transactions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      transactions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
 // @desc    Delete user account
 // @route   DELETE /api/users/account
 // @access  Private
@@ -16,6 +16,12 @@ import xssClean from 'xss-clean';
 import hpp from 'hpp';
 import connectDB from './config/database.js';
 import errorHandler from './middleware/errorHandler.js';
+import { startIntentSweeper } from './services/intentSweeper.js';
+import { startShipmentSync } from './services/shipmentSync.js';
+import { startFulfillmentOutbox } from './services/fulfillmentOutbox.js';
+import { startAbandonedCheckoutJob } from './services/abandonedCheckoutService.js';
+import { startPaymentReconciliation } from './services/paymentReconciliation.js';
+import { startWalletExpiry } from './services/walletService.js';
 
 // Routes
 import authRoutes from './routes/auth.js';
@@ -23,9 +29,13 @@ import productRoutes from './routes/products.js';
 import orderRoutes from './routes/orders.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
-// NOTE: payments.js should export a default router AND a named `webhookHandler`
-// e.g. export default router; export const webhookHandler = async (req, res) => { ... }
-import paymentRoutes, { webhookHandler } from './routes/payments.js';
+// payments.js exports the router and the raw-body gateway webhook handlers
+import paymentRoutes, {
+  paymentWebhookHandler,
+  webhookHandler,
+  stripeWebhookHandler,
+  razorpayWebhookHandler
+} from './routes/payments.js';
 import blogRoutes from './routes/blog.js';
 import couponRoutes from './routes/coupons.js';
 import uploadRoutes from './routes/upload.js';
@@ -33,6 +43,13 @@ import subscriberRoutes from './routes/subscribers.js';
 import contactRouter from './routes/contact.js';
 import trackRouter from './routes/track.js';
 import sitemapRouter from './routes/sitemap.js';
+import checkoutRoutes from './routes/checkout.js';
+import returnRoutes from './routes/returns.js';
+import guestOrderRoutes from './routes/guestOrders.js';
+import shippingRoutes, { shippingWebhookHandler } from './routes/shipping.js';
+import manifestRoutes from './routes/manifests.js';
+import simulatorRoutes from './routes/simulator.js';
+import { simulatorEnabled } from './services/gateways/simulator.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -131,7 +148,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token', 'X-Order-Token']
 };
 
 app.use(cors(corsOptions));
@@ -149,12 +166,18 @@ app.use(compression());
    We'll mount webhookHandler with express.raw() before express.json()
 ────────────────────────────────────────── */
 
-// 1) Webhook route (UNLIMITED / UNPARSED JSON) — mount before express.json() and before rate-limit middleware
-// Ensure payments.js exports named `webhookHandler`, else remove this block and handle inside payments router.
-if (webhookHandler) {
-  // raw body for signature verification (type depends on provider; many use application/json)
-  app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), webhookHandler);
-}
+// 1) Gateway webhooks (UNLIMITED / UNPARSED JSON) — mount before express.json() and before rate-limit middleware.
+// Signatures / auth headers are checked against the raw body by each gateway adapter.
+app.post('/api/payments/webhooks/:gateway', express.raw({ type: 'application/json' }), paymentWebhookHandler);
+
+// Per-gateway URLs (the ones configured on the gateway dashboards)
+app.post('/api/payments/webhook', express.raw({ type: 'application/json' }), webhookHandler);
+app.post('/api/payments/phonepe/webhook', express.raw({ type: 'application/json' }), webhookHandler);
+app.post('/api/payments/stripe/webhook', express.raw({ type: 'application/json' }), stripeWebhookHandler);
+app.post('/api/payments/razorpay/webhook', express.raw({ type: 'application/json' }), razorpayWebhookHandler);
+
+// Courier status webhook (shared-secret header); stored byte for byte like the gateway webhooks
+app.post('/api/shipping/webhook/:carrier?', express.raw({ type: 'application/json' }), shippingWebhookHandler);
 
 /* 2) JSON/body parser for all other routes */
 const GLOBAL_JSON_LIMIT = process.env.JSON_LIMIT || '10mb';
@@ -162,11 +185,6 @@ app.use(express.json({ limit: GLOBAL_JSON_LIMIT }));
 app.use(express.urlencoded({ extended: true, limit: GLOBAL_JSON_LIMIT }));
 app.use(cookieParser());
 
-/* ──────────────────────────────────────────
-   PhonePe Webhook
-────────────────────────────────────────── */
-app.post('/api/payments/phonepe/webhook', express.raw({ type: 'application/json' }), webhookHandler);
-
 /* ──────────────────────────────────────────
    Input Hardening (NoSQL injection, XSS, HPP)
 ────────────────────────────────────────── */
@@ -235,6 +253,11 @@ app.use('/api/payments', paymentRoutes);
 // Other routes (protected by global limiter)
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/checkout', checkoutRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/guest-orders', guestOrderRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/manifests', manifestRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/blog', blogRoutes);
@@ -245,6 +268,12 @@ app.use('/api/contact', contactRouter);
 app.use('/api', trackRouter);
 app.use(sitemapRouter);
 
+// Local payment-gateway simulator (PHONEPE_ENV / RAZORPAY_ENV / STRIPE_ENV=local; never in production)
+if (simulatorEnabled()) {
+  app.use('/api/simulator', simulatorRoutes);
+  console.log('[simulator] payment gateway simulator mounted at /api/simulator');
+}
+
 /* ──────────────────────────────────────────
    404 handler + centralized error handler
 ────────────────────────────────────────── */
@@ -260,4 +289,20 @@ app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} on port ${PORT}`);
 });
 
+/* ──────────────────────────────────────────
+   Background jobs
+   - intent sweeper: expires abandoned PaymentIntents, releases held stock
+   - shipment sync: polls the courier for open shipments
+   - fulfillment outbox: retries courier push / assign / pickup
+   - abandoned checkouts: reminder emails for unpaid carts, recovery tracking
+   - payment reconciliation: re-checks stuck gateway payments, daily mismatch report
+   - wallet expiry: lapses unspent promotional credit, releases stranded checkout holds
+────────────────────────────────────────── */
+startIntentSweeper();
+startShipmentSync();
+startFulfillmentOutbox();
+startAbandonedCheckoutJob();
+startPaymentReconciliation();
+startWalletExpiry();
+
 export default app;
@@ -0,0 +1,442 @@
+// services/abandonedCheckoutService.js
+
+import jwt from 'jsonwebtoken';
+import { customAlphabet } from 'nanoid';
+import PaymentIntent from '../models/PaymentIntent.js';
+import AbandonedCheckout from '../models/AbandonedCheckout.js';
+import Coupon from '../models/Coupon.js';
+import Order from '../models/Order.js';
+import { sendEmail, abandonedCheckoutEmailTemplate } from '../utils/email.js';
+
+/**
+ * Abandoned-checkout recovery:
+ *   1. detect   unpaid PaymentIntents (pending/initiated/failed/expired) older than the threshold
+ *               → one AbandonedCheckout per intent, newest cart per email wins
+ *   2. remind   email #1 on detection, follow-ups at fixed hours after abandonment,
+ *               each with a signed resume link; one of them can carry a single-use coupon
+ *   3. recover  an order from the same email/account within the attribution window
+ *               stops the sequence and counts as a recovery
+ *
+ * Single-process timer, like the intent sweeper.
+ */
+
+const hoursList = (value) => String(value || '').split(',').map(Number).filter(n => n > 0).sort((a, b) => a - b);
+
+export const ABANDONED_CHECKOUT_CONFIG = {
+  enabled: process.env.ABANDONED_CHECKOUT_ENABLED !== '0',
+  intervalMinutes: Number(process.env.ABANDONED_CHECKOUT_INTERVAL_MINUTES || 15),
+  afterMinutes: Number(process.env.ABANDONED_CHECKOUT_AFTER_MINUTES || 60),
+  lookbackHours: Number(process.env.ABANDONED_CHECKOUT_LOOKBACK_HOURS || 48),
+  followUpHours: hoursList(process.env.ABANDONED_CHECKOUT_FOLLOW_UP_HOURS ?? '24,72'),
+  attributionDays: Number(process.env.ABANDONED_CHECKOUT_ATTRIBUTION_DAYS || 7),
+  linkTtlDays: Number(process.env.ABANDONED_CHECKOUT_LINK_TTL_DAYS || 7),
+  coupon: {
+    percent: Number(process.env.ABANDONED_CHECKOUT_COUPON_PERCENT || 0), // 0 = no coupon
+    maxDiscount: Number(process.env.ABANDONED_CHECKOUT_COUPON_MAX_DISCOUNT || 0),
+    step: Number(process.env.ABANDONED_CHECKOUT_COUPON_STEP || 2),          // which email carries it (1-based)
+    validDays: Number(process.env.ABANDONED_CHECKOUT_COUPON_VALID_DAYS || 3)
+  },
+  batchSize: Number(process.env.ABANDONED_CHECKOUT_BATCH_SIZE || 100)
+};
+
+const ABANDONED_INTENT_STATUSES = ['pending', 'initiated', 'failed', 'expired'];
+const TOKEN_AUDIENCE = 'checkout-resume';
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const MAX_RECENT_FAILURES = 20;
+
+export class AbandonedCheckoutError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AbandonedCheckoutError';
+    this.statusCode = statusCode;
+  }
+}
+
+const couponSuffix = customAlphabet('ABCDEFGHJKLMNPQRSTUVWXYZ23456789', 6);
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+const totalEmails = () => 1 + ABANDONED_CHECKOUT_CONFIG.followUpHours.length;
+
+const stats = {
+  runs: 0,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: 0,
+  lastResult: null,
+  totals: { detected: 0, reminded: 0, recovered: 0, failures: 0 },
+  recentFailures: []
+};
+
+let timer = null;
+
+function recordFailure(stage, ref, err) {
+  stats.totals.failures += 1;
+  stats.recentFailures.unshift({ at: new Date(), stage, ref, message: err?.message || String(err) });
+  stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  console.warn(`[abandonedCheckout] ${stage} failed for ${ref}:`, err?.message || err);
+}
+
+const intentEmail = (intent) =>
+  String(intent.shippingAddress?.email || intent.customerInfo?.email || '').trim().toLowerCase();
+
+// Orders placed by the same email or account since `since`, oldest first
+function ordersSince(since, emails, users) {
+  const or = [{ 'shippingAddress.email': { $in: emails } }];
+  if (users.length) or.push({ user: { $in: users } });
+  return Order.find({ createdAt: { $gte: since }, $or: or })
+    .select('orderId user shippingAddress.email totalPrice couponCode createdAt')
+    .collation({ locale: 'en', strength: 2 }) // case-insensitive email match
+    .sort({ createdAt: 1 });
+}
+
+function orderMatches(checkout, order) {
+  if (order.createdAt < checkout.abandonedAt) return false;
+  if (order.createdAt > new Date(checkout.abandonedAt.getTime() + ABANDONED_CHECKOUT_CONFIG.attributionDays * DAY)) return false;
+  if (checkout.user && order.user && String(order.user) === String(checkout.user)) return true;
+  return String(order.shippingAddress?.email || '').toLowerCase() === checkout.email;
+}
+
+// --- detect ------------------------------------------------------------------
+
+async function detectAbandoned(now, result) {
+  const olderThan = new Date(now.getTime() - ABANDONED_CHECKOUT_CONFIG.afterMinutes * 60 * 1000);
+  const newerThan = new Date(now.getTime() - ABANDONED_CHECKOUT_CONFIG.lookbackHours * HOUR);
+
+  const intents = await PaymentIntent.find({
+    status: { $in: ABANDONED_INTENT_STATUSES },
+    createdAt: { $gte: newerThan, $lte: olderThan }
+  })
+    .sort({ createdAt: 1 })
+    .limit(ABANDONED_CHECKOUT_CONFIG.batchSize * 5);
+
+  const known = new Set(
+    (await AbandonedCheckout.find({ intentId: { $in: intents.map(i => i.intentId) } }).select('intentId'))
+      .map(c => c.intentId)
+  );
+  const fresh = intents.filter(i => !known.has(i.intentId) && intentEmail(i));
+  if (!fresh.length) return;
+
+  // Bought since (another intent, COD, …): not abandoned
+  const orders = await ordersSince(
+    fresh[0].createdAt,
+    [...new Set(fresh.map(intentEmail))],
+    fresh.map(i => i.user).filter(Boolean)
+  );
+
+  for (const intent of fresh.slice(0, ABANDONED_CHECKOUT_CONFIG.batchSize)) {
+    try {
+      const email = intentEmail(intent);
+      const candidate = { email, user: intent.user, abandonedAt: intent.createdAt };
+      if (orders.some(o => orderMatches(candidate, o))) continue;
+
+      // A newer cart from the same customer replaces the older sequence
+      const older = await AbandonedCheckout.find({ email, status: 'active' });
+      if (older.some(c => c.abandonedAt > intent.createdAt)) continue;
+      await AbandonedCheckout.updateMany(
+        { _id: { $in: older.map(c => c._id) } },
+        { $set: { status: 'superseded', nextReminderAt: null } }
+      );
+
+      const address = intent.shippingAddress || {};
+      await AbandonedCheckout.create({
+        intent: intent._id,
+        intentId: intent.intentId,
+        user: intent.user || null,
+        email,
+        customerName: address.fullName || [intent.customerInfo?.firstName, intent.customerInfo?.lastName].filter(Boolean).join(' '),
+        orderItems: intent.orderItems,
+        shippingAddress: address.toObject?.() ?? address,
+        cartTotal: intent.totals?.total || 0,
+        abandonedAt: intent.createdAt,
+        nextReminderAt: now
+      });
+      result.detected += 1;
+    } catch (err) {
+      // Duplicate key: another run got there first
+      if (err?.code === 11000) continue;
+      recordFailure('detect', intent.intentId, err);
+    }
+  }
+}
+
+// --- recover -----------------------------------------------------------------
+
+async function markRecovered(checkout, order) {
+  checkout.status = 'recovered';
+  checkout.nextReminderAt = null;
+  checkout.recoveredOrder = order._id;
+  checkout.recoveredOrderId = order.orderId;
+  checkout.recoveredAt = order.createdAt;
+  checkout.recoveredValue = order.totalPrice;
+  checkout.recoveredWithCoupon = Boolean(
+    checkout.couponCode && String(order.couponCode || '').toUpperCase() === checkout.couponCode
+  );
+  // The coupon's use was counted when the order was placed (recordCouponUsage)
+  await checkout.save();
+}
+
+async function reconcileRecoveries(now, result) {
+  const since = new Date(now.getTime() - ABANDONED_CHECKOUT_CONFIG.attributionDays * DAY);
+  const open = await AbandonedCheckout.find({
+    status: { $in: ['active', 'completed'] },
+    abandonedAt: { $gte: since }
+  }).sort({ abandonedAt: -1 });
+  if (!open.length) return;
+
+  const orders = await ordersSince(
+    open[open.length - 1].abandonedAt,
+    [...new Set(open.map(c => c.email))],
+    open.map(c => c.user).filter(Boolean)
+  );
+  if (!orders.length) return;
+
+  // Newest checkout first; an order recovers at most one of them
+  const claimed = new Set();
+  for (const checkout of open) {
+    const order = orders.find(o => !claimed.has(String(o._id)) && orderMatches(checkout, o));
+    if (!order) continue;
+    claimed.add(String(order._id));
+    try {
+      await markRecovered(checkout, order);
+      result.recovered += 1;
+    } catch (err) {
+      recordFailure('recover', checkout.intentId, err);
+    }
+  }
+}
+
+// --- remind ------------------------------------------------------------------
+
+export function signResumeToken(checkout) {
+  return jwt.sign(
+    { cid: String(checkout._id) },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ABANDONED_CHECKOUT_CONFIG.linkTtlDays}d`, audience: TOKEN_AUDIENCE }
+  );
+}
+
+async function createRecoveryCoupon(checkout, now) {
+  const { percent, maxDiscount, validDays } = ABANDONED_CHECKOUT_CONFIG.coupon;
+  const coupon = await Coupon.create({
+    code: `BACK${couponSuffix()}`,
+    description: `${percent}% off to complete your order`,
+    type: 'percentage',
+    value: percent,
+    maximumDiscount: maxDiscount,
+    usageLimit: 1,
+    userLimit: 1,
+    // Only the customer who abandoned the checkout can use it
+    assignedTo: { user: checkout.user || undefined, email: checkout.email },
+    validFrom: now,
+    validUntil: new Date(now.getTime() + validDays * DAY),
+    source: 'abandoned_checkout'
+  });
+  checkout.couponCode = coupon.code;
+  return coupon;
+}
+
+async function sendReminder(checkout, now) {
+  const step = checkout.remindersSent + 1;
+  const { coupon: couponConfig, followUpHours } = ABANDONED_CHECKOUT_CONFIG;
+
+  // A retried send reuses the coupon created by the failed attempt
+  let coupon = null;
+  if (couponConfig.percent > 0 && step === couponConfig.step) {
+    coupon = checkout.couponCode
+      ? await Coupon.findOne({ code: checkout.couponCode })
+      : await createRecoveryCoupon(checkout, now);
+  }
+
+  const link = `${process.env.FRONTEND_URL}/checkout/resume?token=${signResumeToken(checkout)}`;
+  await sendEmail({
+    email: checkout.email,
+    subject: step === 1 ? 'You left something in your cart' : 'Your cart is still waiting',
+    html: abandonedCheckoutEmailTemplate({
+      name: checkout.customerName,
+      items: checkout.orderItems,
+      total: checkout.cartTotal,
+      link,
+      couponCode: coupon?.code,
+      couponText: coupon
+        ? `Use this code for ${coupon.value}% off, valid until ${coupon.validUntil.toLocaleDateString('en-IN')}:`
+        : '',
+      followUp: step > 1
+    })
+  });
+
+  checkout.remindersSent = step;
+  checkout.reminders.push({ step, sentAt: now, couponCode: coupon?.code });
+  checkout.lastError = '';
+
+  const nextHours = followUpHours[step - 1];
+  if (step >= totalEmails() || nextHours === undefined) {
+    checkout.status = 'completed';
+    checkout.nextReminderAt = null;
+  } else {
+    checkout.nextReminderAt = new Date(Math.max(now.getTime(), checkout.abandonedAt.getTime() + nextHours * HOUR));
+  }
+  await checkout.save();
+}
+
+async function sendDueReminders(now, result) {
+  const due = await AbandonedCheckout.find({ status: 'active', nextReminderAt: { $lte: now } })
+    .sort({ nextReminderAt: 1 })
+    .limit(ABANDONED_CHECKOUT_CONFIG.batchSize);
+
+  for (const checkout of due) {
+    try {
+      await sendReminder(checkout, now);
+      result.reminded += 1;
+    } catch (err) {
+      // Retried next run
+      checkout.lastError = err?.message || String(err);
+      await checkout.save().catch(() => {});
+      recordFailure('remind', checkout.intentId, err);
+    }
+  }
+}
+
+// --- resume ------------------------------------------------------------------
+
+/**
+ * Cart behind a resume link, for the storefront to rebuild checkout.
+ * Throws AbandonedCheckoutError (401/404/409).
+ */
+export async function resumeCheckout(token) {
+  if (!token) throw new AbandonedCheckoutError('token is required');
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: TOKEN_AUDIENCE });
+  } catch {
+    throw new AbandonedCheckoutError('This link has expired. Please add the items to your cart again.', 401);
+  }
+
+  const checkout = await AbandonedCheckout.findById(payload.cid);
+  if (!checkout) throw new AbandonedCheckoutError('Checkout not found', 404);
+  if (checkout.status === 'recovered') {
+    throw new AbandonedCheckoutError('This order has already been placed', 409);
+  }
+
+  if (!checkout.resumedAt) {
+    checkout.resumedAt = new Date();
+    await checkout.save();
+  }
+
+  return {
+    orderItems: checkout.orderItems,
+    shippingAddress: checkout.shippingAddress,
+    email: checkout.email,
+    couponCode: checkout.couponCode || null
+  };
+}
+
+// --- report ------------------------------------------------------------------
+
+/**
+ * Recovery funnel for checkouts abandoned in [from, to):
+ * detected → emailed → resumed → recovered, plus revenue and the email that won it back.
+ */
+export async function getRecoveryReport({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY);
+
+  const [summary] = await AbandonedCheckout.aggregate([
+    { $match: { abandonedAt: { $gte: start, $lt: end }, status: { $ne: 'superseded' } } },
+    {
+      $group: {
+        _id: null,
+        detected: { $sum: 1 },
+        cartValue: { $sum: '$cartTotal' },
+        emailed: { $sum: { $cond: [{ $gt: ['$remindersSent', 0] }, 1, 0] } },
+        resumed: { $sum: { $cond: [{ $ifNull: ['$resumedAt', false] }, 1, 0] } },
+        recovered: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'recovered'] }, { $gt: ['$remindersSent', 0] }] }, 1, 0] }
+        },
+        recoveredValue: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$status', 'recovered'] }, { $gt: ['$remindersSent', 0] }] }, '$recoveredValue', 0] }
+        },
+        recoveredWithCoupon: { $sum: { $cond: ['$recoveredWithCoupon', 1, 0] } }
+      }
+    }
+  ]);
+
+  const byEmail = await AbandonedCheckout.aggregate([
+    { $match: { abandonedAt: { $gte: start, $lt: end }, status: 'recovered', remindersSent: { $gt: 0 } } },
+    { $group: { _id: '$remindersSent', recovered: { $sum: 1 }, value: { $sum: '$recoveredValue' } } },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const s = summary || { detected: 0, cartValue: 0, emailed: 0, resumed: 0, recovered: 0, recoveredValue: 0, recoveredWithCoupon: 0 };
+  return {
+    from: start,
+    to: end,
+    detected: s.detected,
+    cartValue: round2(s.cartValue),
+    emailed: s.emailed,
+    resumed: s.resumed,
+    recovered: s.recovered,
+    recoveryRate: s.emailed ? round2((s.recovered / s.emailed) * 100) : 0, // % of emailed checkouts
+    recoveredValue: round2(s.recoveredValue),
+    recoveredWithCoupon: s.recoveredWithCoupon,
+    recoveredAfterEmail: byEmail.map(row => ({ emailsSent: row._id, recovered: row.recovered, value: round2(row.value) }))
+  };
+}
+
+// --- job ---------------------------------------------------------------------
+
+/**
+ * One pass: recoveries first, so nobody who just bought gets another email.
+ * Overlapping runs are skipped.
+ */
+export async function runAbandonedCheckoutJob() {
+  if (stats.running) return { skipped: true, reason: 'already running' };
+
+  stats.running = true;
+  const startedAt = Date.now();
+  const now = new Date();
+  const result = { detected: 0, reminded: 0, recovered: 0 };
+
+  try {
+    await detectAbandoned(now, result);
+    await reconcileRecoveries(now, result);
+    await sendDueReminders(now, result);
+  } catch (err) {
+    recordFailure('run', 'run', err);
+  } finally {
+    stats.running = false;
+    stats.runs += 1;
+    stats.lastRunAt = now;
+    stats.lastDurationMs = Date.now() - startedAt;
+    stats.lastResult = result;
+    for (const key of Object.keys(result)) stats.totals[key] += result[key];
+  }
+
+  return result;
+}
+
+export function startAbandonedCheckoutJob() {
+  if (!ABANDONED_CHECKOUT_CONFIG.enabled || timer) return;
+
+  timer = setInterval(() => {
+    runAbandonedCheckoutJob().catch(err => recordFailure('run', 'timer', err));
+  }, ABANDONED_CHECKOUT_CONFIG.intervalMinutes * 60 * 1000);
+  timer.unref?.();
+
+  console.log(`[abandonedCheckout] started (every ${ABANDONED_CHECKOUT_CONFIG.intervalMinutes} min)`);
+}
+
+export function stopAbandonedCheckoutJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function getAbandonedCheckoutStats() {
+  return {
+    config: ABANDONED_CHECKOUT_CONFIG,
+    scheduled: Boolean(timer),
+    ...stats,
+    totals: { ...stats.totals },
+    recentFailures: [...stats.recentFailures]
+  };
+}
@@ -0,0 +1,225 @@
+// services/carriers/aggregatorCarrier.js
+import fetch from "node-fetch";
+
+/**
+ * Adapter for the shipping aggregator (push-order / auto-assign / track API).
+ * Translates the normalized shipment model (see services/shipping.js) to the
+ * aggregator's field names and back; nothing outside this file should know them.
+ */
+
+const baseUrl = () => process.env.SHIPPING_API_URL || "https://shipping-api.com/app/api/v1";
+
+async function request(endpoint, options = {}) {
+  const headers = {
+    "Content-Type": "application/json",
+    "public-key": process.env.SHIPPING_PUBLIC_KEY,
+    "private-key": process.env.SHIPPING_PRIVATE_KEY,
+    ...options.headers,
+  };
+
+  const res = await fetch(`${baseUrl()}${endpoint}`, {
+    ...options,
+    headers,
+  });
+
+  const data = await res.json().catch(() => ({}));
+
+  if (!res.ok || (data && data.result === "0")) {
+    console.error("❌ Shipping API error details:", {
+      status: res.status,
+      statusText: res.statusText,
+      body: data,
+    });
+    throw new Error(
+      `Shipping API Error: ${data?.message || res.statusText || "Unknown error"}`
+    );
+  }
+
+  return data;
+}
+
+const post = (endpoint, body) => request(endpoint, { method: "POST", body: JSON.stringify(body) });
+const get = (endpoint) => request(endpoint, { method: "GET" });
+
+const yes = (v) => v === true || v === 1 || ["y", "yes", "true", "1"].includes(String(v).toLowerCase());
+
+// --- normalized → aggregator ---------------------------------------------------
+
+function toOrderPayload(shipment) {
+  const to = shipment.consignee || {};
+  const isCod = shipment.payment?.mode === "cod";
+  return {
+    order_id: shipment.orderId,
+    order_date: shipment.orderDate,
+    order_type: "NON ESSENTIALS",
+    consignee_name: to.name || "",
+    consignee_phone: to.phone || "",
+    consignee_email: to.email || "",
+    consignee_address_line_one: to.addressLine1 || "",
+    consignee_address_line_two: to.addressLine2 || "",
+    consignee_city: to.city || "",
+    consignee_state: to.state || "",
+    consignee_pin_code: to.pincode || "",
+    product_detail: (shipment.items || []).map((item) => ({
+      name: item.name,
+      sku_number: item.sku || "",
+      quantity: item.quantity,
+      unit_price: item.unitPrice,
+      discount: 0,
+      hsn: "",
+      product_category: "Other",
+    })),
+    payment_type: isCod ? "COD" : "PREPAID",
+    cod_amount: isCod ? String(shipment.payment.codAmount) : "",
+    weight: shipment.parcel.weight,
+    length: shipment.parcel.length,
+    width: shipment.parcel.width,
+    height: shipment.parcel.height,
+    warehouse_id: shipment.warehouseId || "",
+  };
+}
+
+function toReversePayload(shipment) {
+  const from = shipment.pickup || {};
+  return {
+    order_id: shipment.orderId,
+    original_order_id: shipment.originalOrderId,
+    order_date: shipment.orderDate,
+    pickup_name: from.name || "",
+    pickup_phone: from.phone || "",
+    pickup_email: from.email || "",
+    pickup_address_line_one: from.addressLine1 || "",
+    pickup_address_line_two: from.addressLine2 || "",
+    pickup_city: from.city || "",
+    pickup_state: from.state || "",
+    pickup_pin_code: from.pincode || "",
+    product_detail: (shipment.items || []).map((item) => ({
+      name: item.name,
+      sku_number: item.sku || "",
+      quantity: item.quantity,
+      unit_price: item.unitPrice,
+      return_reason: item.reason,
+    })),
+    weight: shipment.parcel.weight,
+    length: shipment.parcel.length,
+    width: shipment.parcel.width,
+    height: shipment.parcel.height,
+    warehouse_id: shipment.warehouseId || "",
+  };
+}
+
+// --- aggregator → normalized ---------------------------------------------------
+
+function toShipment(data = {}, fallback = {}) {
+  return {
+    orderId: data.order_id || fallback.orderId,
+    referenceId: data.reference_id || fallback.referenceId,
+    awbNumber: data.awb_number || fallback.awbNumber || null,
+    courier: data.courier_name || data.courier || fallback.courier || null,
+    labelUrl: data.label_url || fallback.labelUrl || null,
+    raw: data,
+  };
+}
+
+function toScan(scan = {}) {
+  return {
+    status: scan.status || scan.scan_status || "",
+    location: scan.location || scan.scan_location || "",
+    at: scan.status_time || scan.scan_date_time || scan.date || null,
+    remark: scan.remark || scan.remarks || "",
+  };
+}
+
+function toTracking(data = {}, awbNumber) {
+  const scans = (data.scan_detail || []).map(toScan);
+  const status = data.current_status || data.status || "";
+  const statusTime = data.status_time || data.event_time || null;
+  // A push with no scan list is itself the scan
+  if (!scans.length && status) {
+    scans.push(toScan({ status, location: data.location || data.current_location, status_time: statusTime, remark: data.remark || data.ndr_reason }));
+  }
+  return {
+    orderId: data.order_id,
+    referenceId: data.reference_id,
+    awbNumber: data.awb_number || awbNumber,
+    courier: data.courier || data.courier_name || null,
+    status,
+    statusTime,
+    expectedDelivery: data.expected_delivery_date || null,
+    scans,
+    raw: data,
+  };
+}
+
+// --- adapter ---------------------------------------------------------------------
+
+export const aggregatorCarrier = {
+  name: "aggregator",
+
+  async createShipment(shipment) {
+    const resp = await post("/push-order", toOrderPayload(shipment));
+    return toShipment(resp.data, { orderId: shipment.orderId });
+  },
+
+  async updateShipment(referenceId, shipment) {
+    const resp = await post("/update-order", { ...toOrderPayload(shipment), reference_id: referenceId });
+    return toShipment(resp.data, { orderId: shipment.orderId, referenceId });
+  },
+
+  async assignCourier({ referenceId, orderId }) {
+    const resp = await post("/auto-assign-order", { order_id: referenceId });
+    return toShipment(resp.data, { orderId, referenceId });
+  },
+
+  async schedulePickup({ orderId, referenceId }) {
+    const resp = await post("/schedule-pickup", { order_id: orderId });
+    return toShipment(resp.data, { orderId, referenceId });
+  },
+
+  async getShipment({ orderId }) {
+    const resp = await get(`/get-order-detail/${orderId}`);
+    return toShipment(resp.data, { orderId });
+  },
+
+  async track(awbNumber) {
+    const resp = await get(`/track-order?awb_number=${encodeURIComponent(awbNumber)}`);
+    return toTracking(resp.data || {}, awbNumber);
+  },
+
+  // Status push: same fields as track-order, either bare or under `data`
+  parseWebhook(body = {}) {
+    const data = body.data && typeof body.data === "object" ? body.data : body;
+    return toTracking(data, data.awb_number);
+  },
+
+  async cancelShipment({ orderId, awbNumber }) {
+    await post("/cancel-order", { order_id: orderId, awb_number: awbNumber });
+  },
+
+  async getLabel({ awbNumber }) {
+    const resp = await get(`/get-order-label/${encodeURIComponent(awbNumber)}`);
+    return { labelUrl: resp.data?.label_url || resp.data?.label || null };
+  },
+
+  async createReverseShipment(shipment) {
+    const resp = await post("/push-reverse-order", toReversePayload(shipment));
+    return toShipment(resp.data, { orderId: shipment.orderId });
+  },
+
+  async checkServiceability(pincode) {
+    const resp = await get(`/pincode-serviceability?pincode=${encodeURIComponent(pincode)}`);
+    const data = resp.data || {};
+    const prepaid = yes(data.prepaid ?? data.is_prepaid ?? data.serviceable);
+    const cod = yes(data.cod ?? data.is_cod);
+    if (!prepaid && !cod) return null;
+
+    const days = Number(data.estimated_days ?? data.edd_days);
+    return {
+      prepaid,
+      cod,
+      city: data.city || "",
+      state: data.state || "",
+      transitDays: Number.isFinite(days) && days > 0 ? days : null,
+    };
+  },
+};
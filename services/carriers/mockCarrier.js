@@ -0,0 +1,177 @@
+// services/carriers/mockCarrier.js
+import { customAlphabet } from "nanoid";
+
+/**
+ * In-process carrier for development and tests. No network calls.
+ *
+ * Every shipment gets an AWB straight away. The AWB embeds its creation time,
+ * so tracking replays a fixed scan timeline (one step every
+ * MOCK_CARRIER_SCAN_INTERVAL_SECONDS) and still works after a restart:
+ *   Manifested → Picked Up → In Transit → Out For Delivery → Delivered
+ * Cancelling stops the timeline with a "Cancelled" scan.
+ */
+
+const nanoidShort = customAlphabet("0123456789", 4);
+
+const TIMELINE = [
+  { status: "Manifested", location: "Origin warehouse" },
+  { status: "Picked Up", location: "Origin hub" },
+  { status: "In Transit", location: "Sort centre" },
+  { status: "Out For Delivery", location: "Destination hub" },
+  { status: "Delivered", location: "Consignee address" },
+];
+
+const COURIER = "Mock Express";
+
+// orderId → shipment; awb → { cancelledAt }
+const shipments = new Map();
+const cancelled = new Map();
+
+const stepMs = () => Number(process.env.MOCK_CARRIER_SCAN_INTERVAL_SECONDS ?? 120) * 1000;
+
+const makeAwb = () => `MK${Date.now()}${nanoidShort()}`;
+
+// "MK" + 13-digit epoch ms + 4 random digits
+function createdAtFromAwb(awb) {
+  const match = /^MK(\d{13})\d{4}$/.exec(String(awb || ""));
+  return match ? Number(match[1]) : null;
+}
+
+function record(shipment, extra = {}) {
+  const awbNumber = shipment.awbNumber || makeAwb();
+  const stored = {
+    orderId: shipment.orderId,
+    referenceId: shipment.referenceId || `MOCKREF_${shipment.orderId}`,
+    awbNumber,
+    courier: COURIER,
+    labelUrl: null,
+    raw: { mock: true, ...extra },
+  };
+  shipments.set(shipment.orderId, stored);
+  return { ...stored };
+}
+
+// Minimal one-page PDF with the AWB on it
+function labelPdf(awbNumber, orderId) {
+  const text = `(${COURIER}  AWB ${awbNumber}  Order ${orderId || "-"}) Tj`;
+  const stream = `BT /F1 14 Tf 20 120 Td ${text} ET`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 288 288] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>",
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf, "latin1");
+}
+
+export const mockCarrier = {
+  name: "mock",
+
+  async createShipment(shipment) {
+    return record(shipment);
+  },
+
+  async updateShipment(referenceId, shipment) {
+    const existing = shipments.get(shipment.orderId);
+    return record({ ...shipment, referenceId, awbNumber: existing?.awbNumber });
+  },
+
+  async assignCourier({ orderId, referenceId }) {
+    return shipments.get(orderId) ? { ...shipments.get(orderId) } : record({ orderId, referenceId });
+  },
+
+  async schedulePickup({ orderId, referenceId }) {
+    const shipment = shipments.get(orderId) || record({ orderId, referenceId });
+    return { ...shipment, raw: { ...shipment.raw, pickupScheduled: true } };
+  },
+
+  async getShipment({ orderId }) {
+    // Unknown after a restart; the order keeps its own AWB
+    const shipment = shipments.get(orderId);
+    return shipment ? { ...shipment } : { orderId, referenceId: null, awbNumber: null, courier: COURIER, labelUrl: null, raw: { mock: true } };
+  },
+
+  async track(awbNumber) {
+    const createdAt = createdAtFromAwb(awbNumber);
+    if (!createdAt) throw new Error(`Mock carrier: unknown AWB ${awbNumber}`);
+
+    const now = Date.now();
+    const cancelledAt = cancelled.get(awbNumber)?.cancelledAt;
+    const until = cancelledAt || now;
+
+    const scans = TIMELINE
+      .map((step, i) => ({ ...step, at: new Date(createdAt + i * stepMs()).toISOString(), remark: "" }))
+      .filter(scan => new Date(scan.at).getTime() <= until);
+    if (cancelledAt) {
+      scans.push({ status: "Cancelled", location: "Origin hub", at: new Date(cancelledAt).toISOString(), remark: "Cancelled by shipper" });
+    }
+
+    const latest = scans[scans.length - 1];
+    const shipment = [...shipments.values()].find(s => s.awbNumber === awbNumber);
+    return {
+      orderId: shipment?.orderId,
+      referenceId: shipment?.referenceId,
+      awbNumber,
+      courier: COURIER,
+      status: latest.status,
+      statusTime: latest.at,
+      expectedDelivery: new Date(createdAt + (TIMELINE.length - 1) * stepMs()).toISOString(),
+      scans,
+      raw: { mock: true },
+    };
+  },
+
+  // Dev/test webhook body: { awbNumber, orderId?, status, at?, location?, remark? }
+  parseWebhook(body = {}) {
+    const at = body.at || new Date().toISOString();
+    return {
+      orderId: body.orderId,
+      referenceId: body.referenceId,
+      awbNumber: body.awbNumber,
+      courier: COURIER,
+      status: body.status || "",
+      statusTime: at,
+      expectedDelivery: null,
+      scans: body.status ? [{ status: body.status, location: body.location || "", at, remark: body.remark || "" }] : [],
+      raw: { mock: true, ...body },
+    };
+  },
+
+  async cancelShipment({ orderId, awbNumber }) {
+    const awb = awbNumber || shipments.get(orderId)?.awbNumber;
+    if (awb) cancelled.set(awb, { cancelledAt: Date.now() });
+  },
+
+  async getLabel({ awbNumber, orderId }) {
+    const pdf = labelPdf(awbNumber, orderId);
+    return { labelUrl: `data:application/pdf;base64,${pdf.toString("base64")}`, pdf };
+  },
+
+  async createReverseShipment(shipment) {
+    return record(shipment, { reverse: true, originalOrderId: shipment.originalOrderId });
+  },
+
+  // Everything is serviceable except pincodes starting with 9 (APO/FPO range)
+  async checkServiceability(pincode) {
+    if (String(pincode).startsWith("9")) return null;
+    return { prepaid: true, cod: true, city: "", state: "", transitDays: null };
+  },
+
+  // Test helper: forget every shipment
+  reset() {
+    shipments.clear();
+    cancelled.clear();
+  },
+};
@@ -0,0 +1,304 @@
+// services/codVerificationService.js
+
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import { transitionOrder } from './orderLifecycle.js';
+import { normalizePhone } from './guestAccessService.js';
+import { checkServiceability, ServiceabilityError } from './serviceabilityService.js';
+import { sendSms, smsConfigured, codOtpSmsTemplate } from '../utils/sms.js';
+
+/**
+ * Cash-on-delivery orders are not sent to the courier until they are verified:
+ *   0. assertCodServiceable() the courier must collect cash at the shipping pincode
+ *   1. assessCodRisk()        rules → allow | review | block (block = COD refused, pay online)
+ *   2. startCodVerification() OTP by SMS to the shipping phone (while no SMS provider
+ *                             is configured the order goes to the review queue instead)
+ *   3. verifyCodOtp()         right code → confirmed (processing → courier push),
+ *                             or parked in the admin review queue when a rule flagged it
+ *   4. reviewCodOrder()       admin approves (processing) or rejects (cancelled)
+ */
+
+const list = (value) => String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+export const COD_VERIFICATION = {
+  otpRequired: process.env.COD_OTP_REQUIRED !== '0',
+  otpTtlMinutes: Number(process.env.COD_OTP_TTL_MINUTES || 10),
+  maxAttempts: Number(process.env.COD_OTP_MAX_ATTEMPTS || 5),
+  maxSends: Number(process.env.COD_OTP_MAX_SENDS || 3),
+  resendSeconds: Number(process.env.COD_OTP_RESEND_SECONDS || 60)
+};
+
+// 0 / empty turns a rule off
+export const COD_RISK = {
+  maxOrderValue: Number(process.env.COD_MAX_ORDER_VALUE || 0),             // block above
+  reviewOrderValue: Number(process.env.COD_REVIEW_ORDER_VALUE || 0),       // review above
+  firstOrderMaxValue: Number(process.env.COD_FIRST_ORDER_MAX_VALUE || 0),  // review above, first order only
+  blockedPincodes: list(process.env.COD_BLOCKED_PINCODES),
+  reviewPincodes: list(process.env.COD_REVIEW_PINCODES),
+  rtoReviewCount: Number(process.env.COD_RTO_REVIEW_COUNT ?? 1),           // past RTOs for the phone/email
+  rtoBlockCount: Number(process.env.COD_RTO_BLOCK_COUNT ?? 3)
+};
+
+export class CodVerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CodVerificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const maskPhone = (phone) => (phone ? `******${phone.slice(-4)}` : '');
+
+// Other orders placed with the same phone or email
+function sameCustomerFilter(order) {
+  const phone = normalizePhone(order.shippingAddress?.phone);
+  const email = String(order.shippingAddress?.email || '').trim();
+  const or = [];
+  if (phone.length === 10) or.push({ 'shippingAddress.phone': { $regex: `${phone}$` } });
+  if (email) or.push({ 'shippingAddress.email': { $regex: `^${escapeRegex(email)}$`, $options: 'i' } });
+  if (order.user) or.push({ user: order.user });
+  return or.length ? { _id: { $ne: order._id }, $or: or } : null;
+}
+
+/**
+ * Run the COD rules against an order (saved or not).
+ * Returns { action: 'allow' | 'review' | 'block', flags: [{ rule, action, message }] }.
+ */
+export async function assessCodRisk(order) {
+  const flags = [];
+  const flag = (rule, action, message) => flags.push({ rule, action, message });
+  const total = Number(order.totalPrice || 0);
+  const pincode = String(order.shippingAddress?.postalCode || '').trim();
+
+  if (COD_RISK.maxOrderValue && total > COD_RISK.maxOrderValue) {
+    flag('order_value', 'block', `Total ₹${total} is above the COD limit of ₹${COD_RISK.maxOrderValue}`);
+  } else if (COD_RISK.reviewOrderValue && total > COD_RISK.reviewOrderValue) {
+    flag('order_value', 'review', `Total ₹${total} is above ₹${COD_RISK.reviewOrderValue}`);
+  }
+
+  if (COD_RISK.blockedPincodes.includes(pincode)) {
+    flag('pincode', 'block', `Pincode ${pincode} is blocked for COD`);
+  } else if (COD_RISK.reviewPincodes.includes(pincode)) {
+    flag('pincode', 'review', `Pincode ${pincode} is on the COD watch list`);
+  }
+
+  const filter = sameCustomerFilter(order);
+  if (filter) {
+    const [rtoCount, deliveredCount] = await Promise.all([
+      Order.countDocuments({ ...filter, 'shipping.status': { $in: ['rto', 'rto_delivered'] } }),
+      Order.countDocuments({ ...filter, status: { $in: ['delivered', 'returned'] } })
+    ]);
+
+    if (COD_RISK.rtoBlockCount && rtoCount >= COD_RISK.rtoBlockCount) {
+      flag('rto_history', 'block', `${rtoCount} earlier order(s) returned to origin`);
+    } else if (COD_RISK.rtoReviewCount && rtoCount >= COD_RISK.rtoReviewCount) {
+      flag('rto_history', 'review', `${rtoCount} earlier order(s) returned to origin`);
+    }
+
+    if (COD_RISK.firstOrderMaxValue && deliveredCount === 0 && total > COD_RISK.firstOrderMaxValue) {
+      flag('first_order', 'review', `First order and total ₹${total} is above ₹${COD_RISK.firstOrderMaxValue}`);
+    }
+  }
+
+  const action = flags.some(f => f.action === 'block') ? 'block'
+    : flags.length ? 'review'
+    : 'allow';
+  return { action, flags };
+}
+
+/**
+ * Throws CodVerificationError (422) when the rules refuse COD for this order.
+ * The customer only sees a generic message; the flags stay server-side.
+ */
+export function assertCodAllowed(risk, order) {
+  if (risk.action !== 'block') return;
+  console.warn(`[cod] refused for ${order.orderId}:`, risk.flags.map(f => f.rule).join(', '));
+  throw new CodVerificationError('Cash on Delivery is not available for this order. Please pay online.', 422);
+}
+
+/**
+ * Throws CodVerificationError (422) when the courier does not collect cash at
+ * this pincode (400 when it is not a valid pincode). Unlike the risk rules the
+ * reason is shown to the customer: they can fix the address or pay online.
+ */
+export async function assertCodServiceable(pincode) {
+  let result;
+  try {
+    result = await checkServiceability(pincode);
+  } catch (err) {
+    if (err instanceof ServiceabilityError) throw new CodVerificationError(err.message, err.statusCode);
+    throw err;
+  }
+  if (!result.cod) {
+    throw new CodVerificationError(`Cash on Delivery is not available for pincode ${result.pincode}. Please pay online.`, 422);
+  }
+  return result;
+}
+
+function publicState(order) {
+  const v = order.codVerification || {};
+  return {
+    status: v.status,
+    phone: maskPhone(v.phone),
+    otpExpiresAt: v.status === 'otp_pending' ? v.otpExpiresAt : undefined,
+    orderStatus: order.status
+  };
+}
+
+async function sendOtp(order) {
+  const v = order.codVerification;
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  v.otpHash = sha256(code);
+  v.otpExpiresAt = new Date(Date.now() + COD_VERIFICATION.otpTtlMinutes * 60 * 1000);
+  v.otpAttempts = 0;
+  v.otpSends = (v.otpSends || 0) + 1;
+  v.otpSentAt = new Date();
+  await order.save();
+
+  await sendSms({
+    to: v.phone,
+    message: codOtpSmsTemplate({ orderId: order.orderId, code, minutes: COD_VERIFICATION.otpTtlMinutes })
+  });
+}
+
+// Verified (and, if flagged, approved): release the order to the courier
+async function confirmCodOrder(order, { actor, note }) {
+  order.paymentResult = {
+    id: `cod_${Date.now()}`,
+    status: 'pending',
+    update_time: new Date().toISOString(),
+    email_address: order.shippingAddress?.email
+  };
+  await transitionOrder(order, 'processing', { actor, note });
+}
+
+async function afterVerified(order, { actor }) {
+  if (order.codVerification.risk?.action === 'review') {
+    order.codVerification.status = 'review';
+    order.logChange({ actor, note: 'COD flagged for review: ' + order.codVerification.risk.flags.map(f => f.message).join('; ') });
+    await order.save();
+    return;
+  }
+  order.codVerification.status = 'verified';
+  await confirmCodOrder(order, { actor, note: 'COD confirmed' });
+}
+
+/**
+ * Start verification for a pending COD order (risk already assessed by the caller).
+ * Sends the OTP, or goes straight to review/confirmation when OTPs are off.
+ */
+export async function startCodVerification(order, risk, { actor = {} } = {}) {
+  if (order.status !== 'pending') {
+    throw new CodVerificationError(`Order is ${order.status}; cannot confirm COD`, 409);
+  }
+  assertCodAllowed(risk, order);
+
+  const phone = normalizePhone(order.shippingAddress?.phone);
+  if (phone.length !== 10) throw new CodVerificationError('A valid 10-digit phone number is required for COD');
+
+  order.codVerification = {
+    status: 'otp_pending',
+    phone,
+    otpSends: 0,
+    risk: { ...risk, flags: [...(risk.flags || [])], assessedAt: new Date() }
+  };
+
+  // Fail closed: with no way to send the code, an admin confirms the order instead
+  if (COD_VERIFICATION.otpRequired && !smsConfigured()) {
+    console.warn(`[cod] no SMS provider configured (SMS_PROVIDER); ${order.orderId} sent to COD review`);
+    const v = order.codVerification;
+    v.risk.flags.push({ rule: 'no_sms', action: 'review', message: 'No SMS provider configured; OTP not sent' });
+    if (v.risk.action === 'allow') v.risk.action = 'review';
+  }
+
+  if (!COD_VERIFICATION.otpRequired || !smsConfigured()) {
+    await afterVerified(order, { actor });
+    return publicState(order);
+  }
+
+  await sendOtp(order);
+  return publicState(order);
+}
+
+/**
+ * Check the OTP the customer typed. Throws CodVerificationError on a wrong/expired code.
+ */
+export async function verifyCodOtp(order, code, { actor = {} } = {}) {
+  const v = order.codVerification;
+  if (!v || v.status !== 'otp_pending') {
+    throw new CodVerificationError('This order is not waiting for a COD code', 409);
+  }
+  if (!code) throw new CodVerificationError('code is required');
+
+  if (!v.otpExpiresAt || v.otpExpiresAt < new Date()) {
+    throw new CodVerificationError('Code expired. Request a new one.', 401);
+  }
+
+  // Count the attempt atomically before comparing, so parallel guesses share the limit
+  const counted = await Order.updateOne(
+    {
+      _id: order._id,
+      'codVerification.status': 'otp_pending',
+      'codVerification.otpHash': v.otpHash,
+      'codVerification.otpAttempts': { $lt: COD_VERIFICATION.maxAttempts }
+    },
+    { $inc: { 'codVerification.otpAttempts': 1 } }
+  );
+  if (!counted.modifiedCount) {
+    throw new CodVerificationError('Too many attempts. Request a new code.', 429);
+  }
+  if (v.otpHash !== sha256(String(code).trim())) {
+    throw new CodVerificationError('Invalid code', 401);
+  }
+
+  v.otpHash = undefined;
+  v.otpVerifiedAt = new Date();
+  await afterVerified(order, { actor });
+  return publicState(order);
+}
+
+export async function resendCodOtp(order) {
+  const v = order.codVerification;
+  if (!v || v.status !== 'otp_pending') {
+    throw new CodVerificationError('This order is not waiting for a COD code', 409);
+  }
+  if (v.otpSends >= COD_VERIFICATION.maxSends) {
+    throw new CodVerificationError('Too many codes sent for this order. Please contact support.', 429);
+  }
+  const wait = COD_VERIFICATION.resendSeconds * 1000 - (Date.now() - new Date(v.otpSentAt || 0).getTime());
+  if (wait > 0) {
+    throw new CodVerificationError(`Please wait ${Math.ceil(wait / 1000)}s before requesting a new code`, 429);
+  }
+
+  await sendOtp(order);
+  return publicState(order);
+}
+
+/**
+ * Admin decision on a flagged COD order: approve → processing, reject → cancelled.
+ */
+export async function reviewCodOrder(order, { decision, note = '', actor = {} }) {
+  if (order.codVerification?.status !== 'review') {
+    throw new CodVerificationError('Order is not in the COD review queue', 409);
+  }
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new CodVerificationError("decision must be 'approve' or 'reject'");
+  }
+
+  const v = order.codVerification;
+  v.reviewedBy = actor.user;
+  v.reviewedAt = new Date();
+  v.reviewNote = note;
+
+  if (decision === 'approve') {
+    v.status = 'approved';
+    await confirmCodOrder(order, { actor, note: note || 'COD approved after review' });
+  } else {
+    v.status = 'rejected';
+    await transitionOrder(order, 'cancelled', { actor, note: note || 'COD rejected after review' });
+  }
+  return order;
+}
@@ -0,0 +1,346 @@
+// services/fulfillmentOutbox.js
+
+import Order, { SHIPMENT_STATUSES } from '../models/Order.js';
+import FulfillmentTask from '../models/FulfillmentTask.js';
+import { getCarrier, buildShipment } from './shipping.js';
+import { computeParcel } from './parcelService.js';
+
+/**
+ * Outbox for courier work. Each step is a FulfillmentTask row:
+ *   push (create the shipment) → assign (courier/AWB) → pickup (schedule pickup)
+ *
+ * A task is tried straight away where the caller wants that (order creation),
+ * otherwise by the worker. Failures back off exponentially
+ * (FULFILLMENT_RETRY_BASE_SECONDS × 2^n, capped) and after
+ * FULFILLMENT_MAX_ATTEMPTS the task is 'dead' until an admin retries it.
+ * When a stage succeeds the next one in FULFILLMENT_STAGES is queued.
+ */
+
+export const OUTBOX_CONFIG = {
+  enabled: process.env.FULFILLMENT_OUTBOX_ENABLED !== '0',
+  intervalSeconds: Number(process.env.FULFILLMENT_OUTBOX_INTERVAL_SECONDS || 60),
+  stages: (process.env.FULFILLMENT_STAGES || 'push,assign,pickup').split(',').map(s => s.trim()).filter(Boolean),
+  maxAttempts: Number(process.env.FULFILLMENT_MAX_ATTEMPTS || 8),
+  retryBaseSeconds: Number(process.env.FULFILLMENT_RETRY_BASE_SECONDS || 60),
+  retryMaxSeconds: Number(process.env.FULFILLMENT_RETRY_MAX_SECONDS || 6 * 60 * 60),
+  // A 'running' task older than this belonged to a process that died
+  lockTimeoutMinutes: 10,
+  batchSize: Number(process.env.FULFILLMENT_OUTBOX_BATCH_SIZE || 50)
+};
+
+const MAX_FAILURES_KEPT = 10;
+const CLOSED_ORDER_STATUSES = ['cancelled', 'returned', 'delivered'];
+
+const errorText = (err) => (err?.message || String(err)).slice(0, 2000);
+
+// Has the shipment already got to `target` (or past it)?
+function reached(status, target) {
+  if (!status || status === 'push_failed') return false;
+  return SHIPMENT_STATUSES.indexOf(status) >= SHIPMENT_STATUSES.indexOf(target);
+}
+
+export function retryDelayMs(attempt) {
+  const seconds = Math.min(
+    OUTBOX_CONFIG.retryBaseSeconds * 2 ** Math.max(0, attempt - 1),
+    OUTBOX_CONFIG.retryMaxSeconds
+  );
+  const jitter = 0.8 + Math.random() * 0.4; // ±20% so a burst of failures doesn't retry in lockstep
+  return Math.round(seconds * 1000 * jitter);
+}
+
+// --- stages ------------------------------------------------------------------------
+// Each returns a note when there was nothing to do (task → 'skipped'), throws to retry.
+
+const STAGES = {
+  async push(order) {
+    if (order.shipping?.reference_id) return 'already pushed';
+    if (!order.shippableItems().length) return 'nothing to ship (gift cards only)';
+
+    const carrier = getCarrier();
+    const parcel = await computeParcel(order.shippableItems());
+    const shipment = await carrier.createShipment(buildShipment(order, parcel));
+
+    order.shipping = {
+      carrier: carrier.name,
+      order_id: shipment.orderId,
+      reference_id: shipment.referenceId,
+      awb_number: shipment.awbNumber || null,
+      courier: shipment.courier || undefined,
+      status: "pushed",
+      parcel
+    };
+    await order.save();
+    return null;
+  },
+
+  async assign(order) {
+    if (!order.shipping?.reference_id) throw new Error('Order has not been pushed to the courier yet');
+    if (reached(order.shipping.status, 'assigned')) return 'already assigned';
+
+    const shipment = await getCarrier(order.shipping.carrier).assignCourier({
+      orderId: order.orderId,
+      referenceId: order.shipping.reference_id
+    });
+    order.shipping.courier = shipment.courier || order.shipping.courier;
+    order.shipping.awb_number = shipment.awbNumber || order.shipping.awb_number;
+    order.shipping.status = 'assigned';
+    order.shipping.error = undefined;
+    await order.save();
+    return null;
+  },
+
+  async pickup(order) {
+    if (!order.shipping?.reference_id) throw new Error('Order has not been pushed to the courier yet');
+    if (reached(order.shipping.status, 'pickup_scheduled')) return 'pickup already scheduled';
+
+    await getCarrier(order.shipping.carrier).schedulePickup({
+      orderId: order.orderId,
+      referenceId: order.shipping.reference_id
+    });
+    order.shipping.status = 'pickup_scheduled';
+    order.shipping.error = undefined;
+    await order.save();
+    return null;
+  }
+};
+
+// Keep order.shipping telling the same story as the task
+async function recordOrderFailure(order, task, err, dead) {
+  order.shipping = order.shipping || {};
+  if (task.type === 'push') order.shipping.status = 'push_failed';
+  order.shipping.error = `${task.type}${dead ? ' (gave up)' : ''}: ${errorText(err)}`.slice(0, 2000);
+  await order.save().catch(e =>
+    console.warn('[fulfillmentOutbox] save after failure warning:', e?.message || e)
+  );
+}
+
+// --- tasks -------------------------------------------------------------------------
+
+/**
+ * Queue a stage for an order (idempotent: an existing task is returned as is).
+ */
+export async function enqueueFulfillment(order, type, { runAt = new Date() } = {}) {
+  return FulfillmentTask.findOneAndUpdate(
+    { order: order._id, type },
+    {
+      $setOnInsert: {
+        orderId: order.orderId,
+        status: 'pending',
+        maxAttempts: OUTBOX_CONFIG.maxAttempts,
+        nextRunAt: runAt
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+async function queueNextStage(order, type) {
+  const index = OUTBOX_CONFIG.stages.indexOf(type);
+  const next = index >= 0 ? OUTBOX_CONFIG.stages[index + 1] : null;
+  if (next && STAGES[next]) await enqueueFulfillment(order, next);
+}
+
+/**
+ * Claim and run one task. Returns the updated task, or null when someone else
+ * has it / it isn't due.
+ */
+export async function runFulfillmentTask(taskId, { order: loadedOrder } = {}) {
+  const now = new Date();
+  const task = await FulfillmentTask.findOneAndUpdate(
+    { _id: taskId, status: 'pending', nextRunAt: { $lte: now } },
+    { $set: { status: 'running', lockedAt: now }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!task) return null;
+
+  const order = loadedOrder || await Order.findById(task.order);
+
+  try {
+    let note = null;
+    if (!order) note = 'order deleted';
+    else if (CLOSED_ORDER_STATUSES.includes(order.status)) note = `order ${order.status}`;
+    else if (!OUTBOX_CONFIG.stages.includes(task.type) && task.type !== 'push') note = 'stage disabled';
+    else note = await STAGES[task.type](order);
+
+    task.status = note ? 'skipped' : 'succeeded';
+    task.note = note || task.note;
+    task.completedAt = new Date();
+    task.lastError = '';
+    task.lockedAt = undefined;
+    await task.save();
+
+    if (order && !CLOSED_ORDER_STATUSES.includes(order.status)) await queueNextStage(order, task.type);
+  } catch (err) {
+    const dead = task.attempts >= task.maxAttempts;
+    console.error(`❌ Fulfillment ${task.type} for ${task.orderId} failed (attempt ${task.attempts}${dead ? ', giving up' : ''}):`, errorText(err));
+
+    task.status = dead ? 'dead' : 'pending';
+    task.lastError = errorText(err);
+    task.failures.push({ at: new Date(), attempt: task.attempts, message: task.lastError });
+    if (task.failures.length > MAX_FAILURES_KEPT) task.failures.splice(0, task.failures.length - MAX_FAILURES_KEPT);
+    task.nextRunAt = new Date(Date.now() + retryDelayMs(task.attempts));
+    task.lockedAt = undefined;
+    await task.save();
+
+    if (order) await recordOrderFailure(order, task, err, dead);
+  }
+
+  return task;
+}
+
+/**
+ * Send an order to the courier: queue the push and try it now.
+ * Never throws; a failed push stays in the outbox for retries. Orders paid
+ * without stock (awaitingStock) are not sent.
+ * Returns true when the order is with the courier.
+ */
+export async function pushOrderToShipping(order) {
+  if (order.awaitingStock) {
+    console.warn(`[fulfillmentOutbox] ${order.orderId} is awaiting stock; not sent to the courier`);
+    return false;
+  }
+  try {
+    const task = await enqueueFulfillment(order, 'push');
+    if (task.status === 'pending') await runFulfillmentTask(task._id, { order });
+    return Boolean(order.shipping?.reference_id);
+  } catch (err) {
+    console.error('[fulfillmentOutbox] Shipping push could not be queued:', errorText(err));
+    return false;
+  }
+}
+
+/**
+ * Admin retry of a pending/dead task: attempts start over and it runs now.
+ */
+export async function retryFulfillmentTask(taskId, { actor = {} } = {}) {
+  const task = await FulfillmentTask.findOneAndUpdate(
+    { _id: taskId, status: { $in: ['pending', 'dead'] } },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextRunAt: new Date(),
+        note: `retried by ${actor.name || actor.kind || 'admin'}`
+      }
+    },
+    { new: true }
+  );
+  if (!task) return null;
+  return runFulfillmentTask(task._id);
+}
+
+/**
+ * Retry everything stuck for one order; queues a push when the order has no tasks yet.
+ */
+export async function retryOrderFulfillment(order, { actor = {} } = {}) {
+  const stuck = await FulfillmentTask.find({ order: order._id, status: { $in: ['pending', 'dead'] } });
+  if (!stuck.length && !order.shipping?.reference_id) {
+    const task = await enqueueFulfillment(order, 'push');
+    return [await runFulfillmentTask(task._id, { order }) || task];
+  }
+
+  const results = [];
+  for (const task of stuck) {
+    results.push(await retryFulfillmentTask(task._id, { actor }) || task);
+  }
+  return results;
+}
+
+// --- worker --------------------------------------------------------------------------
+
+const MAX_RECENT_FAILURES = 20;
+
+const stats = {
+  runs: 0,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: 0,
+  lastResult: null,
+  totals: { ran: 0, succeeded: 0, failed: 0, dead: 0, unlocked: 0 },
+  recentFailures: []
+};
+
+let timer = null;
+
+function recordFailure(ref, err) {
+  stats.recentFailures.unshift({ at: new Date(), ref, message: errorText(err) });
+  stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  console.warn(`[fulfillmentOutbox] ${ref} failed:`, errorText(err));
+}
+
+/**
+ * One pass over due tasks. Overlapping runs are skipped.
+ */
+export async function runFulfillmentOutbox() {
+  if (stats.running) return { skipped: true, reason: 'already running' };
+
+  stats.running = true;
+  const startedAt = Date.now();
+  const now = new Date();
+  const result = { ran: 0, succeeded: 0, failed: 0, dead: 0, unlocked: 0 };
+
+  try {
+    // Tasks whose worker died mid-run go back in the queue
+    const lockCutoff = new Date(now.getTime() - OUTBOX_CONFIG.lockTimeoutMinutes * 60 * 1000);
+    const unlocked = await FulfillmentTask.updateMany(
+      { status: 'running', lockedAt: { $lte: lockCutoff } },
+      { $set: { status: 'pending', nextRunAt: now }, $unset: { lockedAt: 1 } }
+    );
+    result.unlocked = unlocked.modifiedCount || 0;
+
+    const due = await FulfillmentTask.find({ status: 'pending', nextRunAt: { $lte: now } })
+      .sort({ nextRunAt: 1 })
+      .limit(OUTBOX_CONFIG.batchSize)
+      .select('_id orderId type');
+
+    for (const { _id, orderId, type } of due) {
+      try {
+        const task = await runFulfillmentTask(_id);
+        if (!task) continue;
+        result.ran += 1;
+        if (['succeeded', 'skipped'].includes(task.status)) result.succeeded += 1;
+        else if (task.status === 'dead') result.dead += 1;
+        else result.failed += 1;
+      } catch (err) {
+        recordFailure(`${type}:${orderId}`, err);
+      }
+    }
+  } catch (err) {
+    recordFailure('run', err);
+  } finally {
+    stats.running = false;
+    stats.runs += 1;
+    stats.lastRunAt = now;
+    stats.lastDurationMs = Date.now() - startedAt;
+    stats.lastResult = result;
+    for (const key of Object.keys(result)) stats.totals[key] += result[key];
+  }
+
+  return result;
+}
+
+export function startFulfillmentOutbox() {
+  if (!OUTBOX_CONFIG.enabled || timer) return;
+
+  timer = setInterval(() => {
+    runFulfillmentOutbox().catch(err => recordFailure('timer', err));
+  }, OUTBOX_CONFIG.intervalSeconds * 1000);
+  timer.unref?.();
+
+  console.log(`[fulfillmentOutbox] started (every ${OUTBOX_CONFIG.intervalSeconds}s, stages: ${OUTBOX_CONFIG.stages.join(' → ')})`);
+}
+
+export function stopFulfillmentOutbox() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function getFulfillmentOutboxStats() {
+  return {
+    config: OUTBOX_CONFIG,
+    scheduled: Boolean(timer),
+    ...stats,
+    totals: { ...stats.totals },
+    recentFailures: [...stats.recentFailures]
+  };
+}
@@ -0,0 +1,23 @@
+// services/gateways/common.js
+
+// Thrown by gateway adapters and the payment pipeline; statusCode is what the route answers with.
+export class PaymentError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Plain copy of a gateway response for Mixed fields (drops class instances / cycles)
+export function safeJson(obj) {
+  try { return JSON.parse(JSON.stringify(obj)); } catch (e) { return obj; }
+}
+
+// Integer paise from a gateway amount field, or null when it is missing
+export function toPaise(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.round(n) : null;
+}
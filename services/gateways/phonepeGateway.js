@@ -0,0 +1,336 @@
+// services/gateways/phonepeGateway.js
+import axios from "axios";
+import crypto from "crypto";
+import { PaymentError, safeJson, toPaise } from "./common.js";
+import { phonepeSimulator, simulatorBaseUrl } from "./simulator.js";
+
+/**
+ * PhonePe Standard Checkout (v2 REST API).
+ *
+ * - Session: PAY_PAGE order keyed by our merchantOrderId (mo_<intentId>_<ts>); when the
+ *   customer picked another UPI app and we have a merchant VPA, a local upi:// link instead.
+ * - Status: order status API. There is no signed client callback, so verifyCallback
+ *   asks the status API too.
+ * - Webhook: `Authorization: SHA256(<sha256 of user:pass>)`, user/pass configured on the dashboard.
+ * - Refunds go through the SDK client (utils/phonepeClient.js) against the merchantOrderId.
+ *
+ * The OAuth token is cached in memory (single instance; use a shared cache for several).
+ * PHONEPE_ENV=local talks to the in-process simulator instead (services/gateways/simulator.js).
+ */
+
+export const PHONEPE_ENV = process.env.PHONEPE_ENV === 'production' ? 'production'
+  : process.env.PHONEPE_ENV === 'local' && process.env.NODE_ENV !== 'production' ? 'local'
+  : 'sandbox';
+
+export const PHONEPE_CONFIG = {
+  sandbox: {
+    authUrl: "https://api-preprod.phonepe.com/apis/pg-sandbox/v1/oauth/token",
+    payUrl: "https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/pay",
+    orderStatusUrlBase: "https://api-preprod.phonepe.com/apis/pg-sandbox/checkout/v2/order"
+  },
+  production: {
+    authUrl: "https://api.phonepe.com/apis/identity-manager/v1/oauth/token",
+    payUrl: "https://api.phonepe.com/apis/pg/checkout/v2/pay",
+    orderStatusUrlBase: "https://api.phonepe.com/apis/pg/checkout/v2/order"
+  },
+  // routes/simulator.js on this server (API_URL)
+  local: {
+    get authUrl() { return `${simulatorBaseUrl()}/phonepe/v1/oauth/token`; },
+    get payUrl() { return `${simulatorBaseUrl()}/phonepe/checkout/v2/pay`; },
+    get orderStatusUrlBase() { return `${simulatorBaseUrl()}/phonepe/checkout/v2/order`; }
+  }
+};
+
+const UPI_APP_PACKAGES = {
+  gpay: "com.google.android.apps.nbu.paisa.user",
+  phonepe: "com.phonepe.app",
+  paytm: "net.one97.paytm",
+  bhim: "in.org.npci.upiapp",
+};
+
+let tokenCache = {
+  accessToken: null,
+  expiresAt: 0
+};
+
+export async function getAuthToken() {
+  // return cached if valid
+  const now = Date.now();
+  if (tokenCache.accessToken && tokenCache.expiresAt - 10000 > now) { // 10s grace
+    return tokenCache.accessToken;
+  }
+
+  const AUTH_URL = PHONEPE_CONFIG[PHONEPE_ENV].authUrl;
+  try {
+    const params = new URLSearchParams();
+    params.append('client_id', process.env.PHONEPE_CLIENT_ID);
+    params.append('client_version', process.env.PHONEPE_CLIENT_VERSION); // e.g., "1"
+    params.append('client_secret', process.env.PHONEPE_CLIENT_SECRET);
+    params.append('grant_type', 'client_credentials');
+
+    const response = await axios.post(AUTH_URL, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    const data = response.data;
+    // The PhonePe token response may provide either 'expires_in' or 'expires_at'; handle both
+    let ttlMs = 10 * 60 * 1000; // fallback 10min
+    if (data.expires_in) ttlMs = Number(data.expires_in) * 1000;
+    else if (data.expires_at) ttlMs = Math.max((Number(data.expires_at) - Math.floor(Date.now() / 1000)) * 1000, ttlMs);
+
+    tokenCache.accessToken = data.access_token || data.accessToken || null;
+    tokenCache.expiresAt = Date.now() + ttlMs;
+
+    if (!tokenCache.accessToken) throw new Error('No access_token in PhonePe auth response');
+
+    return tokenCache.accessToken;
+  } catch (error) {
+    console.error("PhonePe Auth Error:", error.response?.data || error.message);
+    throw new Error("Failed to generate PhonePe Auth Token");
+  }
+}
+
+export function mapPhonePeRefundState(state) {
+  const s = String(state || '').toUpperCase();
+  if (s === 'COMPLETED') return 'succeeded';
+  if (s === 'FAILED') return 'failed';
+  return 'processing';
+}
+
+function mapPaymentState(state) {
+  const s = String(state || '').toUpperCase();
+  if (s === 'COMPLETED' || s === 'SUCCESS') return 'paid';
+  if (s === 'FAILED' || s === 'EXPIRED' || s === 'CANCELLED') return 'failed';
+  return 'pending';
+}
+
+function buildUpiLink(vpa, { payeeName, amount, merchantOrderId }) {
+  if (!vpa) return null;
+  return (
+    "upi://pay" +
+    `?pa=${encodeURIComponent(vpa)}` +
+    `&pn=${encodeURIComponent(payeeName || "Roots & Richness")}` +
+    `&am=${encodeURIComponent(Number(amount || 0).toFixed(2))}` +
+    `&cu=INR` +
+    `&tid=${encodeURIComponent(merchantOrderId)}`
+  );
+}
+
+// Android intent URI that opens the UPI link in a specific app
+function appIntentUri(upiLink, app) {
+  const pkg = UPI_APP_PACKAGES[app];
+  if (!pkg || !upiLink) return null;
+  return `intent://${upiLink.replace(/^upi:\/\//, "")}#Intent;package=${pkg};scheme=upi;end`;
+}
+
+function transactionIdOf(body = {}) {
+  return (
+    body?.data?.transactionId ||
+    body?.data?.paymentDetails?.[0]?.transactionId ||
+    body?.data?.payment_details?.[0]?.transactionId ||
+    body?.paymentDetails?.[0]?.transactionId ||
+    body?.payment_details?.[0]?.transactionId ||
+    body?.transactionId ||
+    null
+  );
+}
+
+// Amount of the completed payment attempt (the order amount is what we asked for)
+function capturedAmountOf(body = {}) {
+  const details = body?.paymentDetails || body?.data?.paymentDetails || body?.payment_details;
+  if (!Array.isArray(details)) return undefined;
+  const completed = details.find(d => String(d?.state || '').toUpperCase() === 'COMPLETED');
+  return completed?.amount ?? details[0]?.amount;
+}
+
+const sha256Hex = (s) => crypto.createHash("sha256").update(s, 'utf8').digest('hex');
+
+export const phonepeGateway = {
+  name: 'phonepe',
+
+  async createSession(intent, { preferredApp = null } = {}) {
+    const merchantOrderId = `mo_${intent.intentId}_${Date.now()}`;
+    const app = String(preferredApp || "").toLowerCase();
+    const linkInfo = {
+      payeeName: intent.customerInfo?.fullName,
+      amount: intent.totals.total,
+      merchantOrderId
+    };
+
+    const merchantVpa = intent.vpa || intent.merchantVPA || intent.merchantVpa || process.env.MERCHANT_VPA || null;
+
+    // Another UPI app was asked for: hand back a direct upi:// link, no PhonePe call
+    if (app && app !== "phonepe" && merchantVpa) {
+      const upiLink = buildUpiLink(merchantVpa, linkInfo);
+      return {
+        merchantOrderId,
+        gatewayOrderId: null,
+        redirectUrl: appIntentUri(upiLink, app) || upiLink,
+        upiLink,
+        vpa: merchantVpa,
+        raw: { source: "local_upi_link", vpa: merchantVpa }
+      };
+    }
+
+    const payload = {
+      merchantOrderId,
+      amount: intent.totals.totalPaise,
+      paymentInstrument: { type: "PAY_PAGE" },
+      paymentFlow: {
+        type: "PG_CHECKOUT",
+        merchantUrls: {
+          redirectUrl: `${process.env.CLIENT_URL}/payment-status?txn=${merchantOrderId}`,
+        },
+      },
+      callbackUrl: `${process.env.API_URL}/api/payments/phonepe/webhook`,
+      mobileNumber: intent.customerInfo?.phone || undefined,
+      metaInfo: intent.metaInfo || {},
+    };
+
+    const accessToken = await getAuthToken();
+    const response = await axios.post(PHONEPE_CONFIG[PHONEPE_ENV].payUrl, payload, {
+      headers: { "Content-Type": "application/json", Authorization: `O-Bearer ${accessToken}` },
+      timeout: 20000,
+    });
+
+    const resp = response.data || {};
+    const data = resp.data || resp;
+
+    const redirectFromGateway =
+      data?.instrumentResponse?.redirectInfo?.url || data?.redirectUrl || resp?.redirectUrl || null;
+    const gatewayVpa =
+      data?.instrumentResponse?.vpa || data?.vpa || data?.upi || data?.merchantVPA || null;
+
+    const upiLink = buildUpiLink(gatewayVpa || merchantVpa, linkInfo);
+    const redirectUrl = (app === "phonepe" && appIntentUri(upiLink, "phonepe")) || redirectFromGateway || upiLink;
+
+    return {
+      merchantOrderId,
+      gatewayOrderId: data?.orderId || resp?.orderId || null,
+      redirectUrl,
+      upiLink,
+      vpa: gatewayVpa || merchantVpa,
+      raw: resp
+    };
+  },
+
+  verifyCallback(intent) {
+    return this.fetchStatus(intent);
+  },
+
+  async fetchStatus(intent) {
+    const merchantOrderId = intent.merchantOrderId;
+    // No session was started, so PhonePe has never heard of this checkout
+    if (!merchantOrderId) return { state: 'pending', raw: null };
+
+    const accessToken = await getAuthToken();
+    const statusUrl = `${PHONEPE_CONFIG[PHONEPE_ENV].orderStatusUrlBase}/${encodeURIComponent(merchantOrderId)}/status`;
+
+    let body;
+    try {
+      const resp = await axios.get(statusUrl, {
+        headers: { Authorization: `O-Bearer ${accessToken}` },
+        timeout: 10000
+      });
+      body = resp.data;
+    } catch (err) {
+      console.error('[phonepe] status API error:', err?.response?.data || err?.message || err);
+      throw new PaymentError('Payment provider status check failed', 502);
+    }
+    if (!body) throw new PaymentError('Empty response from PhonePe', 502);
+
+    const gatewayState = String(body?.data?.state || body?.data?.status || body?.state || body?.status || '').toUpperCase();
+    return {
+      state: mapPaymentState(gatewayState),
+      gatewayState,
+      paymentId: transactionIdOf(body),
+      paymentRef: merchantOrderId,
+      gatewayOrderId: body?.orderId || body?.data?.orderId || null,
+      amountPaise: toPaise(capturedAmountOf(body) ?? body?.amount ?? body?.data?.amount),
+      raw: safeJson(body)
+    };
+  },
+
+  parseWebhook({ headers = {}, rawBody }, { skipVerification = false } = {}) {
+    if (!rawBody || rawBody.length === 0) throw new PaymentError('Empty body', 400);
+
+    if (!skipVerification) {
+      // SHA256(":") is public; without credentials anyone could forge the header
+      if (!process.env.PHONEPE_WEBHOOK_USER || !process.env.PHONEPE_WEBHOOK_PASS) {
+        console.error('[phonepe] PHONEPE_WEBHOOK_USER / PHONEPE_WEBHOOK_PASS are not set; webhook refused');
+        throw new PaymentError('Webhook not configured', 503);
+      }
+      const authHeader = String(headers.authorization || '').trim();
+      const expectedHash = sha256Hex(`${process.env.PHONEPE_WEBHOOK_USER}:${process.env.PHONEPE_WEBHOOK_PASS}`);
+      if (authHeader !== `SHA256(${expectedHash})`) {
+        console.warn('[phonepe] invalid webhook authorization');
+        throw new PaymentError('Unauthorized', 401);
+      }
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+      throw new PaymentError('Invalid JSON', 400);
+    }
+
+    // { event: "checkout.order.completed", payload: { merchantOrderId, state, paymentDetails: [...] } }
+    const type = payload.event || payload.type || '';
+    const data = payload.payload || payload.data || {};
+
+    // pg.refund.accepted / completed / failed
+    if (/refund/i.test(type)) {
+      return {
+        kind: 'refund',
+        type,
+        refundId: data.merchantRefundId,
+        gatewayRefundId: data.refundId,
+        status: mapPhonePeRefundState(data.state),
+        raw: safeJson(payload)
+      };
+    }
+
+    const merchantOrderId = data.merchantOrderId || data.orderId || null;
+    if (!merchantOrderId) throw new PaymentError('Missing merchantOrderId', 400);
+
+    const gatewayState = String(data.state || '').toUpperCase();
+    return {
+      kind: 'payment',
+      type,
+      lookup: { merchantOrderId },
+      state: mapPaymentState(gatewayState),
+      gatewayState,
+      paymentId: data.paymentDetails?.[0]?.transactionId || null,
+      paymentRef: merchantOrderId,
+      gatewayOrderId: data.orderId || null,
+      amountPaise: toPaise(capturedAmountOf(data) ?? data.amount),
+      raw: safeJson(payload)
+    };
+  },
+
+  async createRefund({ refundId, paymentRef, amountPaise }) {
+    if (PHONEPE_ENV === 'local') {
+      const resp = phonepeSimulator.refund({ merchantRefundId: refundId, originalMerchantOrderId: paymentRef, amount: amountPaise });
+      return { gatewayRefundId: resp.refundId || '', status: mapPhonePeRefundState(resp.state), raw: resp };
+    }
+    const { phonepe, RefundRequest } = await import('../../utils/phonepeClient.js');
+    const request = RefundRequest.builder()
+      .merchantRefundId(refundId)
+      .originalMerchantOrderId(paymentRef)
+      .amount(amountPaise)
+      .build();
+    const resp = await phonepe.refund(request);
+    return { gatewayRefundId: resp.refundId || '', status: mapPhonePeRefundState(resp.state), raw: resp };
+  },
+
+  async fetchRefund({ refundId }) {
+    if (PHONEPE_ENV === 'local') {
+      const resp = phonepeSimulator.getRefundStatus(refundId);
+      return { gatewayRefundId: resp.refundId || '', status: mapPhonePeRefundState(resp.state), raw: resp };
+    }
+    const { phonepe } = await import('../../utils/phonepeClient.js');
+    const resp = await phonepe.getRefundStatus(refundId);
+    return { gatewayRefundId: resp.refundId || '', status: mapPhonePeRefundState(resp.state), raw: resp };
+  }
+};
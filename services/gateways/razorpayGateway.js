@@ -0,0 +1,208 @@
+// services/gateways/razorpayGateway.js
+import crypto from "crypto";
+import { nanoid } from "nanoid";
+import { PaymentError, safeJson, toPaise } from "./common.js";
+import { isSimulated, razorpaySimulator, hostedPageUrl } from "./simulator.js";
+
+/**
+ * Razorpay Checkout.
+ *
+ * - Session: a Razorpay order (notes carry our intentId); the frontend opens Checkout with it.
+ * - Callback: Checkout returns razorpay_order_id / razorpay_payment_id / razorpay_signature,
+ *   signed HMAC-SHA256(order_id|payment_id) with the key secret.
+ * - Status: payments made against the Razorpay order.
+ * - Webhook: X-Razorpay-Signature = HMAC-SHA256(raw body, RAZORPAY_WEBHOOK_SECRET).
+ *   payment.captured settles the checkout even if the browser never came back;
+ *   refund.* events update refund records.
+ * - Refunds are issued against the payment id (pay_...).
+ * RAZORPAY_ENV=local swaps the SDK for the in-process simulator; sessions then also get
+ * a redirectUrl to its hosted page.
+ */
+
+let razorpayClient = null;
+
+export async function getRazorpay() {
+  if (isSimulated('razorpay')) return razorpaySimulator;
+  if (!razorpayClient) {
+    const { default: Razorpay } = await import('razorpay');
+    razorpayClient = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return razorpayClient;
+}
+
+export function mapRazorpayRefundStatus(status) {
+  if (status === 'processed') return 'succeeded';
+  if (status === 'failed') return 'failed';
+  return 'processing';
+}
+
+// Constant-time hex HMAC comparison
+export function hmacMatches(secret, payload, signature) {
+  const expected = crypto.createHmac('sha256', secret || '').update(payload).digest('hex');
+  const given = String(signature || '');
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+async function findRefundByReceipt(razorpay, paymentRef, refundId) {
+  const { items = [] } = await razorpay.payments.fetchMultipleRefund(paymentRef, { count: 100 });
+  return items.find(r => r.receipt === refundId || r.notes?.refundId === refundId) || null;
+}
+
+export const razorpayGateway = {
+  name: 'razorpay',
+
+  async createSession(intent) {
+    const razorpay = await getRazorpay();
+    const { totals } = intent;
+    const rOrder = await razorpay.orders.create({
+      amount: totals.totalPaise,
+      currency: "INR",
+      receipt: `rzp_${nanoid(8)}`,
+      notes: {
+        intentId: intent.intentId,
+        subtotal: totals.subtotal,
+        shippingFee: totals.shippingFee,
+        discountAmount: totals.discountAmount,
+        customerEmail: intent.shippingAddress?.email || intent.customerInfo?.email || "guest",
+        couponCode: intent.couponCode || "",
+      }
+    });
+
+    return {
+      gatewayOrderId: rOrder.id,
+      redirectUrl: isSimulated('razorpay') ? hostedPageUrl(rOrder.id) : undefined,
+      checkout: {
+        orderId: rOrder.id,
+        amount: rOrder.amount,
+        currency: rOrder.currency,
+        key: process.env.RAZORPAY_KEY_ID
+      },
+      raw: rOrder
+    };
+  },
+
+  async verifyCallback(intent, { razorpay_order_id, razorpay_payment_id, razorpay_signature } = {}) {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      throw new PaymentError('Missing parameters');
+    }
+    if (intent.gatewayOrderId && intent.gatewayOrderId !== razorpay_order_id) {
+      throw new PaymentError('Payment does not belong to this checkout');
+    }
+    if (!hmacMatches(process.env.RAZORPAY_KEY_SECRET, `${razorpay_order_id}|${razorpay_payment_id}`, razorpay_signature)) {
+      throw new PaymentError('Invalid signature');
+    }
+
+    return {
+      state: 'paid',
+      paymentId: razorpay_payment_id,
+      paymentRef: razorpay_payment_id,
+      gatewayOrderId: razorpay_order_id,
+      raw: { razorpay_order_id, razorpay_payment_id }
+    };
+  },
+
+  async fetchStatus(intent) {
+    if (!intent.gatewayOrderId) return { state: 'pending', raw: null };
+
+    const razorpay = await getRazorpay();
+    const { items = [] } = await razorpay.orders.fetchPayments(intent.gatewayOrderId);
+    // Customers can retry inside Checkout, so one failed payment does not fail the order
+    const captured = items.find(p => p.status === 'captured');
+    if (!captured) return { state: 'pending', gatewayOrderId: intent.gatewayOrderId, raw: safeJson(items) };
+
+    return {
+      state: 'paid',
+      paymentId: captured.id,
+      paymentRef: captured.id,
+      gatewayOrderId: intent.gatewayOrderId,
+      amountPaise: toPaise(captured.amount),
+      feePaise: toPaise(captured.fee),
+      raw: safeJson(captured)
+    };
+  },
+
+  parseWebhook({ headers = {}, rawBody }, { skipVerification = false } = {}) {
+    if (!rawBody || rawBody.length === 0) throw new PaymentError('Empty body', 400);
+    if (!skipVerification) {
+      if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+        console.error('[razorpay] RAZORPAY_WEBHOOK_SECRET is not set; webhook refused');
+        throw new PaymentError('Webhook not configured', 503);
+      }
+      if (!hmacMatches(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody, headers['x-razorpay-signature'])) {
+        console.warn('[razorpay] invalid webhook signature');
+        throw new PaymentError('Invalid signature', 401);
+      }
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch (e) {
+      throw new PaymentError('Invalid JSON', 400);
+    }
+
+    const type = body.event || '';
+    const eventId = headers['x-razorpay-event-id'] || undefined;
+
+    // refund.created / refund.processed / refund.failed
+    if (type.startsWith('refund.')) {
+      const refund = body.payload?.refund?.entity || {};
+      return {
+        kind: 'refund',
+        type,
+        eventId,
+        refundId: refund.notes?.refundId || refund.receipt,
+        gatewayRefundId: refund.id,
+        status: mapRazorpayRefundStatus(refund.status),
+        raw: safeJson(refund)
+      };
+    }
+
+    if (type === 'payment.captured' || type === 'payment.failed') {
+      const payment = body.payload?.payment?.entity || {};
+      return {
+        kind: 'payment',
+        type,
+        eventId,
+        lookup: { intentId: payment.notes?.intentId, gatewayOrderId: payment.order_id },
+        // A failed attempt can be retried inside Checkout; the intent stays open until it expires
+        state: type === 'payment.captured' ? 'paid' : 'pending',
+        gatewayState: payment.status,
+        paymentId: payment.id,
+        paymentRef: payment.id,
+        gatewayOrderId: payment.order_id,
+        amountPaise: toPaise(payment.amount),
+        feePaise: toPaise(payment.fee),
+        raw: safeJson(payment)
+      };
+    }
+
+    return { kind: 'ignored', type, eventId };
+  },
+
+  // Razorpay takes no idempotency key for refunds: our refundId goes in `receipt`,
+  // and a refund already made with it is returned instead of sending a second one
+  async createRefund({ refundId, paymentRef, amountPaise, reason }) {
+    const razorpay = await getRazorpay();
+    const refund = await findRefundByReceipt(razorpay, paymentRef, refundId) || await razorpay.payments.refund(paymentRef, {
+      amount: amountPaise,
+      receipt: refundId,
+      notes: { refundId, reason: reason || '' }
+    });
+    return { gatewayRefundId: refund.id, status: mapRazorpayRefundStatus(refund.status), raw: refund };
+  },
+
+  async fetchRefund({ refundId, gatewayRefundId, paymentRef }) {
+    const razorpay = await getRazorpay();
+    const refund = gatewayRefundId
+      ? await razorpay.payments.fetchRefund(paymentRef, gatewayRefundId)
+      : await findRefundByReceipt(razorpay, paymentRef, refundId);
+    // Refunds are created synchronously: none under our receipt means the create never landed
+    if (!refund) return { gatewayRefundId: '', status: 'failed', error: 'Razorpay has no refund for this receipt', raw: null };
+    return { gatewayRefundId: refund.id, status: mapRazorpayRefundStatus(refund.status), raw: refund };
+  }
+};
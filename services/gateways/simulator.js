@@ -0,0 +1,477 @@
+// services/gateways/simulator.js
+import axios from "axios";
+import crypto from "crypto";
+import { customAlphabet } from "nanoid";
+
+/**
+ * In-process payment gateway simulator for development and tests. Nothing leaves the machine.
+ *
+ * Turned on per gateway with PHONEPE_ENV=local, RAZORPAY_ENV=local, STRIPE_ENV=local
+ * (ignored when NODE_ENV=production):
+ *   - PhonePe: PHONEPE_CONFIG.local points the adapter's HTTP calls (OAuth token, pay,
+ *     order status) at routes/simulator.js; refunds are answered here directly.
+ *   - Razorpay / Stripe: getRazorpay() / getStripe() return the SDK look-alikes below.
+ *
+ * Every session gets a hosted page (GET /api/simulator/pay/:ref) with success / failure /
+ * pending buttons; tests use POST /api/simulator/payments/:ref/complete { outcome }.
+ * Completing a payment (and every refund) sends the gateway's webhook to our own webhook
+ * URL, signed the way that gateway signs it, using the same secrets the adapters check
+ * (PHONEPE_WEBHOOK_USER/PASS, RAZORPAY_WEBHOOK_SECRET, STRIPE_WEBHOOK_SECRET). Without them
+ * the webhook is recorded as not sent.
+ *
+ * State lives in memory and is lost on restart.
+ */
+
+export const SIMULATOR_OUTCOMES = ["success", "failure", "pending"];
+
+const simId = customAlphabet("0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz", 14);
+
+// ref (PhonePe merchantOrderId, Razorpay order id, Stripe PaymentIntent id) → session
+const sessions = new Map();
+// refund id → refund
+const refunds = new Map();
+// Stripe idempotency keys → object id
+const idempotent = new Map();
+const tokens = new Set();
+
+export class SimulatorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "SimulatorError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Is this gateway pointed at the simulator?
+ */
+export function isSimulated(gateway) {
+  if (process.env.NODE_ENV === "production") return false;
+  return process.env[`${String(gateway).toUpperCase()}_ENV`] === "local";
+}
+
+export function simulatorEnabled() {
+  return ["phonepe", "razorpay", "stripe"].some(isSimulated);
+}
+
+const apiBaseUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+export const simulatorBaseUrl = () => `${apiBaseUrl()}/api/simulator`;
+
+export const hostedPageUrl = (ref) => `${simulatorBaseUrl()}/pay/${encodeURIComponent(ref)}`;
+
+function sessionOf(ref) {
+  const session = sessions.get(ref);
+  if (!session) throw new SimulatorError(`Unknown simulated payment '${ref}'`, 404);
+  return session;
+}
+
+function view(session) {
+  const { webhooks, ...rest } = session;
+  return { ...rest, hostedPageUrl: hostedPageUrl(session.ref), webhooks: [...webhooks] };
+}
+
+export function getSimulatedPayment(ref) {
+  return view(sessionOf(ref));
+}
+
+// --- webhooks ------------------------------------------------------------------
+
+const hmacHex = (secret, payload) => crypto.createHmac("sha256", secret || "").update(payload).digest("hex");
+const sha256Hex = (s) => crypto.createHash("sha256").update(s, "utf8").digest("hex");
+
+// The secrets each gateway's webhook is signed with; the adapters refuse webhooks without them
+const WEBHOOK_SECRETS = {
+  phonepe: ["PHONEPE_WEBHOOK_USER", "PHONEPE_WEBHOOK_PASS"],
+  razorpay: ["RAZORPAY_WEBHOOK_SECRET"],
+  stripe: ["STRIPE_WEBHOOK_SECRET"]
+};
+
+function signedWebhook(gateway, body) {
+  const rawBody = JSON.stringify(body);
+  if (gateway === "phonepe") {
+    const credentials = `${process.env.PHONEPE_WEBHOOK_USER}:${process.env.PHONEPE_WEBHOOK_PASS}`;
+    return { rawBody, headers: { authorization: `SHA256(${sha256Hex(credentials)})` } };
+  }
+  if (gateway === "razorpay") {
+    return {
+      rawBody,
+      headers: {
+        "x-razorpay-signature": hmacHex(process.env.RAZORPAY_WEBHOOK_SECRET, rawBody),
+        "x-razorpay-event-id": `evt_sim_${simId()}`
+      }
+    };
+  }
+  const t = Math.floor(Date.now() / 1000);
+  return { rawBody, headers: { "stripe-signature": `t=${t},v1=${hmacHex(process.env.STRIPE_WEBHOOK_SECRET, `${t}.${rawBody}`)}` } };
+}
+
+/**
+ * POST a signed webhook to our own endpoint. Never throws; the delivery is recorded.
+ */
+async function deliverWebhook(gateway, body, session = null) {
+  const url = `${apiBaseUrl()}/api/payments/${gateway}/webhook`;
+  const delivery = { at: new Date(), url, type: body.event || body.type, status: null, error: null };
+  const unset = WEBHOOK_SECRETS[gateway].filter(name => !process.env[name]);
+  if (unset.length) {
+    delivery.error = `${unset.join(", ")} not set; webhook not sent`;
+    console.warn(`[simulator] ${gateway} webhook not sent: set ${unset.join(", ")}`);
+    session?.webhooks.push(delivery);
+    return delivery;
+  }
+  const { rawBody, headers } = signedWebhook(gateway, body);
+  try {
+    const resp = await axios.post(url, rawBody, {
+      headers: { "Content-Type": "application/json", ...headers },
+      timeout: 10000,
+      validateStatus: () => true
+    });
+    delivery.status = resp.status;
+    if (resp.status >= 300) delivery.error = typeof resp.data === "string" ? resp.data : JSON.stringify(resp.data);
+  } catch (err) {
+    delivery.error = err?.message || String(err);
+    console.warn(`[simulator] ${gateway} webhook delivery failed:`, delivery.error);
+  }
+  session?.webhooks.push(delivery);
+  return delivery;
+}
+
+// Refund webhooks go out shortly after the refund call, once the caller has saved its record
+function deliverLater(gateway, body) {
+  const timer = setTimeout(() => { deliverWebhook(gateway, body); }, Number(process.env.SIMULATOR_WEBHOOK_DELAY_MS ?? 500));
+  timer.unref?.();
+}
+
+function phonepeEvent(session) {
+  const state = session.status === "success" ? "COMPLETED" : session.status === "failed" ? "FAILED" : "PENDING";
+  return {
+    event: state === "COMPLETED" ? "checkout.order.completed" : "checkout.order.failed",
+    payload: {
+      merchantOrderId: session.ref,
+      orderId: session.gatewayOrderId,
+      state,
+      amount: session.amountPaise,
+      paymentDetails: session.payments.map(p => ({
+        transactionId: p.id,
+        paymentMode: "UPI_INTENT",
+        amount: p.amount,
+        state: p.status === "captured" ? "COMPLETED" : "FAILED",
+        timestamp: p.created_at * 1000
+      }))
+    }
+  };
+}
+
+function razorpayEvent(session, payment) {
+  return {
+    entity: "event",
+    event: payment.status === "captured" ? "payment.captured" : "payment.failed",
+    payload: { payment: { entity: payment } },
+    created_at: Math.floor(Date.now() / 1000)
+  };
+}
+
+function stripeEvent(type, object) {
+  return {
+    id: `evt_sim_${simId()}`,
+    object: "event",
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: { object }
+  };
+}
+
+// --- payments ------------------------------------------------------------------
+
+function newSession(gateway, ref, fields) {
+  const session = {
+    gateway,
+    ref,
+    status: "created",
+    payments: [],
+    webhooks: [],
+    createdAt: new Date(),
+    ...fields
+  };
+  sessions.set(ref, session);
+  return session;
+}
+
+function stripePaymentIntent(session) {
+  const status = session.status === "success" ? "succeeded"
+    : session.status === "pending" ? "processing"
+    : "requires_payment_method";
+  const last = session.payments[session.payments.length - 1];
+  return {
+    id: session.ref,
+    object: "payment_intent",
+    amount: session.amountPaise,
+    amount_received: session.status === "success" ? session.amountPaise : 0,
+    currency: session.currency,
+    status,
+    client_secret: session.clientSecret,
+    latest_charge: last?.id || null,
+    last_payment_error: session.status === "failed" ? { message: "Simulated card decline" } : null,
+    metadata: session.metadata
+  };
+}
+
+/**
+ * Mark a simulated payment success / failure / pending (hosted page buttons and the
+ * test endpoint). Sends the gateway's webhook and resolves to what the customer's
+ * browser would come back with.
+ */
+export async function completeSimulatedPayment(ref, outcome) {
+  if (!SIMULATOR_OUTCOMES.includes(outcome)) {
+    throw new SimulatorError(`outcome must be one of ${SIMULATOR_OUTCOMES.join(", ")}`);
+  }
+  const session = sessionOf(ref);
+  if (session.status === "success") throw new SimulatorError("Payment already succeeded", 409);
+
+  const now = Math.floor(Date.now() / 1000);
+  session.status = outcome === "success" ? "success" : outcome === "failure" ? "failed" : "pending";
+
+  let payment = null;
+  if (outcome !== "pending") {
+    const prefix = session.gateway === "stripe" ? "ch_sim_" : session.gateway === "razorpay" ? "pay_sim_" : "T_SIM";
+    payment = {
+      id: `${prefix}${simId()}`,
+      entity: "payment",
+      amount: session.amountPaise,
+      currency: session.currency,
+      status: outcome === "success" ? "captured" : "failed",
+      order_id: session.gatewayOrderId,
+      method: "upi",
+      notes: session.notes || {},
+      created_at: now
+    };
+    session.payments.push(payment);
+  }
+
+  let webhook = null;
+  let callback = null;
+  if (session.gateway === "phonepe") {
+    if (payment) webhook = await deliverWebhook("phonepe", phonepeEvent(session), session);
+  } else if (session.gateway === "razorpay") {
+    if (payment) webhook = await deliverWebhook("razorpay", razorpayEvent(session, payment), session);
+    if (payment?.status === "captured") {
+      callback = {
+        razorpay_order_id: session.ref,
+        razorpay_payment_id: payment.id,
+        razorpay_signature: hmacHex(process.env.RAZORPAY_KEY_SECRET, `${session.ref}|${payment.id}`)
+      };
+    }
+  } else {
+    const type = outcome === "success" ? "payment_intent.succeeded"
+      : outcome === "failure" ? "payment_intent.payment_failed"
+      : "payment_intent.processing";
+    webhook = await deliverWebhook("stripe", stripeEvent(type, stripePaymentIntent(session)), session);
+    callback = { paymentIntentId: session.ref };
+  }
+
+  return { payment: view(session), callback, webhook, returnUrl: session.returnUrl || null };
+}
+
+// --- PhonePe (served over HTTP by routes/simulator.js) -------------------------
+
+export const phonepeSimulator = {
+  issueToken() {
+    const accessToken = `simtok_${simId()}`;
+    tokens.add(accessToken);
+    return { access_token: accessToken, token_type: "O-Bearer", expires_in: 3600 };
+  },
+
+  checkToken(authorization) {
+    const token = String(authorization || "").replace(/^O-Bearer\s+/i, "");
+    if (!tokens.has(token)) throw new SimulatorError("Invalid or expired token", 401);
+  },
+
+  createOrder(payload = {}) {
+    const { merchantOrderId, amount } = payload;
+    if (!merchantOrderId || !Number.isInteger(amount) || amount <= 0) {
+      throw new SimulatorError("merchantOrderId and a positive integer amount are required");
+    }
+    if (sessions.has(merchantOrderId)) throw new SimulatorError("Duplicate merchantOrderId", 409);
+
+    const session = newSession("phonepe", merchantOrderId, {
+      gatewayOrderId: `OMO_SIM${simId()}`,
+      amountPaise: amount,
+      currency: "INR",
+      returnUrl: payload.paymentFlow?.merchantUrls?.redirectUrl || null
+    });
+    return {
+      orderId: session.gatewayOrderId,
+      state: "PENDING",
+      expireAt: Date.now() + 20 * 60 * 1000,
+      redirectUrl: hostedPageUrl(session.ref)
+    };
+  },
+
+  orderStatus(merchantOrderId) {
+    const session = sessionOf(merchantOrderId);
+    const { payload } = phonepeEvent(session);
+    return { orderId: session.gatewayOrderId, state: payload.state, amount: session.amountPaise, paymentDetails: payload.paymentDetails };
+  },
+
+  // Shaped like the PhonePe SDK's refund response
+  refund({ merchantRefundId, originalMerchantOrderId, amount }) {
+    const session = sessionOf(originalMerchantOrderId);
+    if (session.status !== "success") throw new SimulatorError("Order is not paid", 400);
+
+    const refund = { merchantRefundId, refundId: `OMR_SIM${simId()}`, originalMerchantOrderId, amount, state: "COMPLETED" };
+    refunds.set(merchantRefundId, refund);
+    deliverLater("phonepe", { event: "pg.refund.completed", payload: { ...refund } });
+    return { refundId: refund.refundId, state: "PENDING", amount };
+  },
+
+  getRefundStatus(merchantRefundId) {
+    const refund = refunds.get(merchantRefundId);
+    if (!refund) throw new SimulatorError("Unknown refund", 404);
+    return { ...refund };
+  }
+};
+
+// --- Razorpay SDK look-alike -----------------------------------------------------
+
+export const razorpaySimulator = {
+  orders: {
+    async create({ amount, currency = "INR", receipt, notes = {} }) {
+      const session = newSession("razorpay", `order_sim${simId()}`, {
+        amountPaise: amount,
+        currency,
+        receipt,
+        notes
+      });
+      session.gatewayOrderId = session.ref;
+      return { id: session.ref, entity: "order", amount, amount_paid: 0, currency, receipt, status: "created", notes };
+    },
+
+    async fetchPayments(orderId) {
+      const { payments } = sessionOf(orderId);
+      return { entity: "collection", count: payments.length, items: payments.map(p => ({ ...p })) };
+    }
+  },
+
+  payments: {
+    async refund(paymentId, { amount, receipt, notes = {} } = {}) {
+      const payment = [...sessions.values()].flatMap(s => s.payments).find(p => p.id === paymentId);
+      if (!payment || payment.status !== "captured") throw new SimulatorError("Payment is not captured", 400);
+
+      const refund = {
+        id: `rfnd_sim${simId()}`,
+        entity: "refund",
+        payment_id: paymentId,
+        amount: amount ?? payment.amount,
+        currency: payment.currency,
+        receipt,
+        notes,
+        status: "processed",
+        created_at: Math.floor(Date.now() / 1000)
+      };
+      refunds.set(refund.id, refund);
+      deliverLater("razorpay", {
+        entity: "event",
+        event: "refund.processed",
+        payload: { refund: { entity: refund } },
+        created_at: refund.created_at
+      });
+      return { ...refund, status: "pending" };
+    },
+
+    async fetchRefund(paymentId, refundId) {
+      const refund = refunds.get(refundId);
+      if (!refund || refund.payment_id !== paymentId) throw new SimulatorError("Unknown refund", 404);
+      return { ...refund };
+    },
+
+    async fetchMultipleRefund(paymentId) {
+      const items = [...refunds.values()].filter(r => r.payment_id === paymentId).map(r => ({ ...r }));
+      return { entity: "collection", count: items.length, items };
+    }
+  }
+};
+
+// --- Stripe SDK look-alike -------------------------------------------------------
+
+function stripeError(message, statusCode = 404) {
+  const err = new SimulatorError(message, statusCode);
+  err.type = "StripeInvalidRequestError";
+  return err;
+}
+
+export const stripeSimulator = {
+  paymentIntents: {
+    async create({ amount, currency = "inr", metadata = {} }, { idempotencyKey } = {}) {
+      if (idempotencyKey && idempotent.has(idempotencyKey)) {
+        return stripePaymentIntent(sessionOf(idempotent.get(idempotencyKey)));
+      }
+      const id = `pi_sim${simId()}`;
+      const session = newSession("stripe", id, {
+        gatewayOrderId: id,
+        amountPaise: amount,
+        currency,
+        metadata,
+        clientSecret: `${id}_secret_${simId()}`
+      });
+      if (idempotencyKey) idempotent.set(idempotencyKey, session.ref);
+      return stripePaymentIntent(session);
+    },
+
+    async retrieve(id) {
+      const session = sessions.get(id);
+      if (!session || session.gateway !== "stripe") throw stripeError(`No such payment_intent: '${id}'`);
+      return stripePaymentIntent(session);
+    }
+  },
+
+  refunds: {
+    async create({ payment_intent: paymentIntentId, amount, metadata = {} }, { idempotencyKey } = {}) {
+      if (idempotencyKey && idempotent.has(idempotencyKey)) return { ...refunds.get(idempotent.get(idempotencyKey)) };
+
+      const session = sessions.get(paymentIntentId);
+      if (!session || session.status !== "success") throw stripeError("PaymentIntent has not succeeded", 400);
+
+      const refund = {
+        id: `re_sim${simId()}`,
+        object: "refund",
+        amount: amount ?? session.amountPaise,
+        currency: session.currency,
+        payment_intent: paymentIntentId,
+        metadata,
+        status: "succeeded"
+      };
+      refunds.set(refund.id, refund);
+      if (idempotencyKey) idempotent.set(idempotencyKey, refund.id);
+      deliverLater("stripe", stripeEvent("refund.updated", refund));
+      return { ...refund, status: "pending" };
+    },
+
+    async retrieve(id) {
+      const refund = refunds.get(id);
+      if (!refund) throw stripeError(`No such refund: '${id}'`);
+      return { ...refund };
+    },
+
+    async list({ payment_intent: paymentIntentId } = {}) {
+      const data = [...refunds.values()].filter(r => r.payment_intent === paymentIntentId).map(r => ({ ...r }));
+      return { object: "list", data, has_more: false };
+    }
+  },
+
+  webhooks: {
+    // Same scheme and tolerance as stripe.webhooks.constructEvent
+    constructEvent(rawBody, signatureHeader, secret, toleranceSeconds = 300) {
+      const parts = Object.fromEntries(
+        String(signatureHeader || "").split(",").map(kv => kv.split("=")).filter(kv => kv.length === 2)
+      );
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody);
+      const expected = hmacHex(secret, `${parts.t}.${payload}`);
+      const given = String(parts.v1 || "");
+      const valid = given.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+      if (!parts.t || !valid) throw new Error("No signatures found matching the expected signature for payload");
+      if (Math.abs(Date.now() / 1000 - Number(parts.t)) > toleranceSeconds) throw new Error("Timestamp outside the tolerance zone");
+      return JSON.parse(payload);
+    }
+  }
+};
@@ -0,0 +1,155 @@
+// services/gateways/stripeGateway.js
+import { PaymentError, safeJson, toPaise } from "./common.js";
+import { isSimulated, stripeSimulator, hostedPageUrl } from "./simulator.js";
+
+/**
+ * Stripe PaymentIntents.
+ *
+ * - Session: a Stripe PaymentIntent (metadata.intentId); the frontend confirms it with the client secret.
+ * - Callback / status: the PaymentIntent is retrieved server-side; the client's word is never taken.
+ * - Webhook: Stripe-Signature checked against STRIPE_WEBHOOK_SECRET.
+ * - Refunds are issued against the PaymentIntent id.
+ *
+ * Payments started before checkout intents carry metadata.orderId instead; their
+ * webhook events come back with `orderId` so the pipeline can settle that order.
+ *
+ * STRIPE_ENV=local swaps the SDK for the in-process simulator; sessions then also get
+ * a redirectUrl to its hosted page.
+ */
+
+let stripeClient = null;
+
+export async function getStripe() {
+  if (isSimulated('stripe')) return stripeSimulator;
+  if (!stripeClient) {
+    const { default: Stripe } = await import('stripe');
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeClient;
+}
+
+export function mapStripeRefundStatus(status) {
+  if (status === 'succeeded') return 'succeeded';
+  if (status === 'failed' || status === 'canceled') return 'failed';
+  return 'processing';
+}
+
+function toPaymentStatus(pi) {
+  const state = pi.status === 'succeeded' ? 'paid'
+    : pi.status === 'canceled' ? 'failed'
+    : 'pending';
+  return {
+    state,
+    gatewayState: pi.status,
+    paymentId: pi.latest_charge?.id || pi.latest_charge || pi.id,
+    paymentRef: pi.id,
+    gatewayOrderId: pi.id,
+    amountPaise: toPaise(pi.amount_received),
+    raw: safeJson(pi)
+  };
+}
+
+export const stripeGateway = {
+  name: 'stripe',
+
+  async createSession(intent) {
+    const stripe = await getStripe();
+    const pi = await stripe.paymentIntents.create(
+      {
+        amount: intent.totals.totalPaise,
+        currency: 'inr',
+        metadata: { intentId: intent.intentId, userId: intent.user ? String(intent.user) : '' }
+      },
+      { idempotencyKey: `checkout_${intent.intentId}_${intent.totals.totalPaise}` }
+    );
+
+    return {
+      gatewayOrderId: pi.id,
+      redirectUrl: isSimulated('stripe') ? hostedPageUrl(pi.id) : undefined,
+      clientSecret: pi.client_secret,
+      checkout: { clientSecret: pi.client_secret, paymentIntentId: pi.id },
+      raw: { id: pi.id, status: pi.status }
+    };
+  },
+
+  async verifyCallback(intent, { paymentIntentId } = {}) {
+    const id = paymentIntentId || intent.gatewayOrderId;
+    if (!id) throw new PaymentError('Missing paymentIntentId');
+
+    const stripe = await getStripe();
+    const pi = await stripe.paymentIntents.retrieve(id);
+    if (pi.metadata?.intentId !== intent.intentId) {
+      throw new PaymentError('Payment does not belong to this checkout');
+    }
+    return toPaymentStatus(pi);
+  },
+
+  async fetchStatus(intent) {
+    if (!intent.gatewayOrderId) return { state: 'pending', raw: null };
+    const stripe = await getStripe();
+    return toPaymentStatus(await stripe.paymentIntents.retrieve(intent.gatewayOrderId));
+  },
+
+  async parseWebhook({ headers = {}, rawBody }, { skipVerification = false } = {}) {
+    let event;
+    try {
+      // Replays of stored events skip the check: Stripe signatures expire after five minutes
+      event = skipVerification
+        ? JSON.parse(rawBody.toString('utf8'))
+        : (await getStripe()).webhooks.constructEvent(rawBody, headers['stripe-signature'], process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (err) {
+      throw new PaymentError(`Webhook Error: ${err?.message || 'unknown'}`, 400);
+    }
+
+    const object = event.data.object;
+
+    if (event.type === 'payment_intent.succeeded' || event.type === 'payment_intent.payment_failed' ||
+        event.type === 'payment_intent.canceled') {
+      const status = toPaymentStatus(object);
+      // A failed attempt can still be retried with another card; only cancellation ends it
+      if (event.type === 'payment_intent.payment_failed') status.state = 'pending';
+      return {
+        kind: 'payment',
+        type: event.type,
+        eventId: event.id,
+        lookup: { intentId: object.metadata?.intentId, gatewayOrderId: object.id },
+        orderId: object.metadata?.orderId,
+        ...status
+      };
+    }
+
+    // Refund status changes (async for some payment methods)
+    if (event.type === 'refund.updated' || event.type === 'charge.refund.updated') {
+      return {
+        kind: 'refund',
+        type: event.type,
+        eventId: event.id,
+        refundId: object.metadata?.refundId,
+        gatewayRefundId: object.id,
+        status: mapStripeRefundStatus(object.status),
+        raw: object
+      };
+    }
+
+    return { kind: 'ignored', type: event.type, eventId: event.id };
+  },
+
+  async createRefund({ refundId, paymentRef, amountPaise, reason }) {
+    const stripe = await getStripe();
+    const refund = await stripe.refunds.create(
+      { payment_intent: paymentRef, amount: amountPaise, metadata: { refundId, reason: reason || '' } },
+      { idempotencyKey: refundId }
+    );
+    return { gatewayRefundId: refund.id, status: mapStripeRefundStatus(refund.status), raw: refund };
+  },
+
+  async fetchRefund({ refundId, gatewayRefundId, paymentRef }) {
+    const stripe = await getStripe();
+    const refund = gatewayRefundId
+      ? await stripe.refunds.retrieve(gatewayRefundId)
+      : (await stripe.refunds.list({ payment_intent: paymentRef, limit: 100 })).data.find(r => r.metadata?.refundId === refundId);
+    // The create call never answered and nothing was made under our idempotency key
+    if (!refund) return { gatewayRefundId: '', status: 'failed', error: 'Stripe has no refund for this refundId', raw: null };
+    return { gatewayRefundId: refund.id, status: mapStripeRefundStatus(refund.status), raw: refund };
+  }
+};
@@ -0,0 +1,521 @@
+// services/giftCardService.js
+
+import mongoose from 'mongoose';
+import { customAlphabet } from 'nanoid';
+import GiftCard from '../models/GiftCard.js';
+import PaymentIntent from '../models/PaymentIntent.js';
+import { isGiftCardLine } from '../models/Order.js';
+import { WALLET_CONFIG } from './walletService.js';
+import { sendEmail, giftCardEmailTemplate } from '../utils/email.js';
+
+/**
+ * Digital gift cards.
+ *
+ * A gift card is a product with isGiftCard set; its variants are the denominations and each
+ * cart line names the recipient. Once the order is paid, issueOrderGiftCards() creates one
+ * GiftCard per unit and emails its code to the recipient.
+ *
+ * Every balance change is an entry on the card, written in the same update as the balance
+ * (optimistic on the old balance). An entry `key` makes redeem / release / refund
+ * idempotent per checkout or refund.
+ *
+ * Checkout mirrors the wallet: the redeemed amounts are taken when the PaymentIntent is
+ * created (holdGiftCardsForCheckout), kept when the order is created (settleIntentGiftCards)
+ * and put back when the payment fails or the intent expires (releaseGiftCardHolds). Gift
+ * cards never pay for other gift cards.
+ */
+
+export const GIFT_CARD_CONFIG = {
+  validityDays: Number(process.env.GIFT_CARD_VALIDITY_DAYS || 365),
+  maxPerCheckout: Number(process.env.GIFT_CARD_MAX_PER_CHECKOUT || 5)
+};
+
+export class GiftCardError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GiftCardError';
+    this.statusCode = statusCode;
+  }
+}
+
+// No 0/O/1/I: codes get typed in from an email
+const codeBody = customAlphabet('23456789ABCDEFGHJKLMNPQRSTUVWXYZ', 12);
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_WRITE_ATTEMPTS = 5;
+
+export const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+
+function makeCode() {
+  const body = codeBody();
+  return `GC-${body.slice(0, 4)}-${body.slice(4, 8)}-${body.slice(8)}`;
+}
+
+/**
+ * Canonical form of a code as typed (any case, spaces or dashes); null when it cannot be one.
+ */
+export function normalizeGiftCardCode(input) {
+  let body = String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+  if (body.length === 14 && body.startsWith('GC')) body = body.slice(2);
+  if (body.length !== 12) return null;
+  return `GC-${body.slice(0, 4)}-${body.slice(4, 8)}-${body.slice(8)}`;
+}
+
+const masked = (code) => `GC-****-****-${String(code).slice(-4)}`;
+
+function actorFields(actor) {
+  return { kind: actor?.kind || 'system', user: actor?.user || undefined, name: actor?.name || '' };
+}
+
+function assertSpendable(card, now = new Date()) {
+  if (card.status !== 'active') throw new GiftCardError(`Gift card ${masked(card.code)} is ${card.status}`, 409);
+  if (card.expiresAt <= now) throw new GiftCardError(`Gift card ${masked(card.code)} has expired`, 410);
+}
+
+/**
+ * Add `amountPaise` (signed, or a function of the card as read) to a card's balance with an
+ * entry. A `key` already on the card returns that entry instead. `check(card)` runs on every
+ * read (throw to refuse); `set` is applied with the change (void, new expiry).
+ */
+async function applyEntry(cardId, { amountPaise, kind, key, reference, order, note = '', actor }, { check, set = {} } = {}) {
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    const card = await GiftCard.findById(cardId);
+    if (!card) throw new GiftCardError('Gift card not found', 404);
+
+    const repeated = key && card.entries.find(e => e.key === key);
+    if (repeated) return { card, entry: repeated, repeated: true };
+
+    check?.(card);
+    const delta = typeof amountPaise === 'function' ? amountPaise(card) : amountPaise;
+    const balanceAfterPaise = card.balancePaise + delta;
+    if (balanceAfterPaise < 0) throw new GiftCardError(`Gift card ${masked(card.code)} does not have enough balance`, 409);
+
+    const entry = {
+      kind,
+      amountPaise: delta,
+      balanceAfterPaise,
+      key: key || undefined,
+      reference: reference || undefined,
+      order: order?._id || undefined,
+      orderId: order?.orderId || undefined,
+      note: String(note || '').slice(0, 500),
+      actor: actorFields(actor),
+      at: new Date()
+    };
+    const updated = await GiftCard.findOneAndUpdate(
+      { _id: card._id, balancePaise: card.balancePaise, ...(key ? { 'entries.key': { $ne: key } } : {}) },
+      { $set: { balancePaise: balanceAfterPaise, ...set }, $push: { entries: entry } },
+      { new: true }
+    );
+    if (updated) return { card: updated, entry, repeated: false };
+  }
+  throw new GiftCardError('Gift card is busy; please try again', 409);
+}
+
+// --- lookup ----------------------------------------------------------------------
+
+/**
+ * Card by id or code (admin lookup). GiftCardError 404 when there is none.
+ */
+export async function findGiftCard(idOrCode) {
+  const value = String(idOrCode || '');
+  const card = mongoose.isValidObjectId(value)
+    ? await GiftCard.findById(value)
+    : await GiftCard.findOne({ code: normalizeGiftCardCode(value) });
+  if (!card) throw new GiftCardError('Gift card not found', 404);
+  return card;
+}
+
+// --- issue -----------------------------------------------------------------------
+
+async function issueUnit(order, item, unit) {
+  const existing = await GiftCard.findOne({ order: order._id, orderItem: item._id, unit });
+  if (existing) return existing;
+
+  const amountPaise = toPaise(item.price);
+  const now = new Date();
+  for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+    try {
+      return await GiftCard.create({
+        code: makeCode(),
+        initialPaise: amountPaise,
+        balancePaise: amountPaise,
+        expiresAt: new Date(now.getTime() + GIFT_CARD_CONFIG.validityDays * DAY),
+        recipient: { email: item.giftCard.recipientEmail, name: item.giftCard.recipientName || '' },
+        senderName: item.giftCard.senderName || order.shippingAddress?.fullName || '',
+        message: item.giftCard.message || '',
+        purchaser: order.user || undefined,
+        order: order._id,
+        orderId: order.orderId,
+        orderItem: item._id,
+        unit,
+        entries: [{
+          kind: 'issue',
+          amountPaise,
+          balanceAfterPaise: amountPaise,
+          key: 'issue',
+          reference: order.orderId,
+          order: order._id,
+          orderId: order.orderId,
+          at: now
+        }]
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+      // Another confirmation issued this unit first; otherwise the code collided, try a new one
+      const raced = await GiftCard.findOne({ order: order._id, orderItem: item._id, unit });
+      if (raced) return raced;
+    }
+  }
+  throw new GiftCardError('Could not generate a unique gift card code', 500);
+}
+
+/**
+ * Email a card's code to its recipient. Records emailedAt / emailError; rethrows on failure.
+ */
+export async function deliverGiftCard(card) {
+  try {
+    await sendEmail({
+      email: card.recipient.email,
+      subject: `${card.senderName || 'Someone'} sent you a Roots and Richness gift card`,
+      html: giftCardEmailTemplate({
+        recipientName: card.recipient.name,
+        senderName: card.senderName,
+        message: card.message,
+        code: card.code,
+        amount: card.initialPaise / 100,
+        expiresAt: card.expiresAt
+      })
+    });
+    card.emailedAt = new Date();
+    card.emailError = undefined;
+    await card.save();
+    return card;
+  } catch (err) {
+    card.emailError = (err?.message || String(err)).slice(0, 2000);
+    await card.save().catch(e => console.warn('[giftCards] save after email error warning:', e?.message || e));
+    throw err;
+  }
+}
+
+/**
+ * Cards bought with a paid order: one per unit of each gift card line, emailed once.
+ * Idempotent, so every payment confirmation path can call it. Resolves to the cards.
+ */
+export async function issueOrderGiftCards(order) {
+  if (!order.isPaid || order.status === 'cancelled') return [];
+
+  const cards = [];
+  for (const item of (order.orderItems || []).filter(isGiftCardLine)) {
+    for (let unit = 0; unit < item.quantity; unit++) {
+      cards.push(await issueUnit(order, item, unit));
+    }
+  }
+
+  for (const card of cards) {
+    if (card.emailedAt) continue;
+    await deliverGiftCard(card).catch(err =>
+      console.error(`❌ Gift card ${masked(card.code)} for order ${order.orderId} not emailed:`, err?.message || err)
+    );
+  }
+  return cards;
+}
+
+/**
+ * The order was cancelled: void the cards it bought. Spent balance cannot be taken back,
+ * so cards that were already used are logged for the refund to be checked.
+ */
+export async function voidOrderGiftCards(order, { actor } = {}) {
+  const cards = await GiftCard.find({ order: order._id, status: 'active' });
+  for (const card of cards) {
+    if (card.balancePaise < card.initialPaise) {
+      console.warn(`[giftCards] order ${order.orderId} cancelled after gift card ${masked(card.code)} was used (${card.initialPaise - card.balancePaise} paise); check its refund`);
+    }
+    await voidGiftCard(card, { reason: `Order ${order.orderId} cancelled`, actor });
+  }
+  return cards.length;
+}
+
+// --- checkout --------------------------------------------------------------------
+
+/**
+ * How much of `payablePaise` the codes cover, card by card in the order given. Gift card
+ * lines in the cart (`giftCardLinesPaise`) cannot be paid with gift cards. Online checkouts
+ * (`minRemainderPaise`) leave at least the gateway minimum to pay, or nothing.
+ * Returns { cards: [{ card, code, balancePaise, amountPaise }], amountPaise, payablePaise }.
+ * GiftCardError for unknown, void, expired or empty cards.
+ */
+export async function giftCardApplication(codes, payablePaise, {
+  giftCardLinesPaise = 0,
+  minRemainderPaise = WALLET_CONFIG.minGatewayPaise
+} = {}) {
+  const list = (Array.isArray(codes) ? codes : [codes]).filter(Boolean);
+  const normalized = [...new Set(list.map(normalizeGiftCardCode))];
+  if (normalized.includes(null)) throw new GiftCardError('Invalid gift card code');
+  if (normalized.length > GIFT_CARD_CONFIG.maxPerCheckout) {
+    throw new GiftCardError(`At most ${GIFT_CARD_CONFIG.maxPerCheckout} gift cards per order`);
+  }
+
+  const found = await GiftCard.find({ code: { $in: normalized } });
+  const byCode = new Map(found.map(c => [c.code, c]));
+  const now = new Date();
+
+  let left = Math.max(0, payablePaise - giftCardLinesPaise);
+  const cards = [];
+  for (const code of normalized) {
+    const card = byCode.get(code);
+    if (!card) throw new GiftCardError(`Gift card ${masked(code)} not found`, 404);
+    assertSpendable(card, now);
+    if (card.balancePaise <= 0) throw new GiftCardError(`Gift card ${masked(code)} has no balance left`, 409);
+
+    const amountPaise = Math.min(left, card.balancePaise);
+    left -= amountPaise;
+    cards.push({ card: card._id, code: masked(code), balancePaise: card.balancePaise, amountPaise });
+  }
+
+  let amountPaise = cards.reduce((sum, c) => sum + c.amountPaise, 0);
+  const remainder = payablePaise - amountPaise;
+  if (remainder > 0 && remainder < minRemainderPaise) {
+    // Take the shortfall off the last cards used
+    let shortfall = minRemainderPaise - remainder;
+    for (const entry of [...cards].reverse()) {
+      const take = Math.min(shortfall, entry.amountPaise);
+      entry.amountPaise -= take;
+      shortfall -= take;
+    }
+    amountPaise = cards.reduce((sum, c) => sum + c.amountPaise, 0);
+  }
+
+  return { cards, amountPaise, payablePaise: payablePaise - amountPaise };
+}
+
+/**
+ * Take an application's amounts off the cards for `reference` (intent or order number).
+ * All or nothing: if one card refuses, the others are put back. Resolves to the holds
+ * [{ card, code, amountPaise }].
+ */
+export async function redeemGiftCards(application, { reference, order, actor } = {}) {
+  const holds = [];
+  try {
+    for (const { card, code, amountPaise } of application.cards) {
+      if (amountPaise <= 0) continue;
+      await applyEntry(card, {
+        amountPaise: -amountPaise,
+        kind: 'redeem',
+        key: `checkout:${reference}`,
+        reference,
+        order,
+        note: 'Checkout',
+        actor
+      }, { check: current => assertSpendable(current) });
+      holds.push({ card, code, amountPaise });
+    }
+  } catch (err) {
+    await restoreGiftCards(holds, { reference, reason: 'Gift card redemption failed' })
+      .catch(e => console.error(`❌ Gift card release for ${reference} failed:`, e?.message || e));
+    throw err;
+  }
+  return holds;
+}
+
+/**
+ * Put redeemed amounts back (order not placed). Idempotent per card and reference.
+ */
+export async function restoreGiftCards(holds, { reference, reason = 'Checkout not completed' } = {}) {
+  for (const { card, amountPaise } of holds) {
+    await applyEntry(card, {
+      amountPaise,
+      kind: 'release',
+      key: `release:${reference}`,
+      reference,
+      note: reason
+    });
+  }
+}
+
+/**
+ * Redeem for a saved checkout intent and record the holds on it.
+ */
+export async function holdGiftCardsForCheckout(intent, application, { actor } = {}) {
+  const holds = await redeemGiftCards(application, { reference: intent.intentId, actor });
+  const giftCards = holds.map(h => ({ ...h, status: 'held' }));
+  await PaymentIntent.updateOne({ _id: intent._id }, { $set: { giftCards } });
+  intent.giftCards = giftCards;
+  return holds;
+}
+
+/**
+ * Give an intent's held gift card amounts back (payment failed, intent expired). Each card
+ * is claimed held → released first, so concurrent callers release it once. Resolves to
+ * the number of cards released.
+ */
+export async function releaseGiftCardHolds(intent, reason = 'Checkout not completed') {
+  let released = 0;
+  for (const hold of intent.giftCards || []) {
+    if (hold.status !== 'held') continue;
+
+    const claimed = await PaymentIntent.updateOne(
+      { _id: intent._id, giftCards: { $elemMatch: { card: hold.card, status: 'held' } } },
+      { $set: { 'giftCards.$.status': 'released' } }
+    );
+    if (!claimed.modifiedCount) continue;
+    hold.status = 'released';
+
+    try {
+      await restoreGiftCards([hold], { reference: intent.intentId, reason });
+      released += 1;
+    } catch (err) {
+      // Back to held so the sweeper tries again
+      await PaymentIntent.updateOne(
+        { _id: intent._id, giftCards: { $elemMatch: { card: hold.card, status: 'released' } } },
+        { $set: { 'giftCards.$.status': 'held' } }
+      );
+      hold.status = 'held';
+      throw err;
+    }
+  }
+  return released;
+}
+
+/**
+ * The intent is paid: keep the held amounts. A card released before the payment arrived is
+ * redeemed again as far as it still can be; any shortfall shows as due in the order's
+ * ledger balance. Resolves to { amountPaise, cards: [{ card, code, amountPaise }] }.
+ */
+export async function settleIntentGiftCards(intent) {
+  const settled = [];
+  for (const hold of intent.giftCards || []) {
+    if (hold.status === 'held') {
+      const claimed = await PaymentIntent.updateOne(
+        { _id: intent._id, giftCards: { $elemMatch: { card: hold.card, status: 'held' } } },
+        { $set: { 'giftCards.$.status': 'committed' } }
+      );
+      if (claimed.modifiedCount) hold.status = 'committed';
+      else {
+        const fresh = await PaymentIntent.findById(intent._id).select('giftCards');
+        hold.status = fresh?.giftCards?.find(g => String(g.card) === String(hold.card))?.status || hold.status;
+      }
+    }
+
+    if (hold.status === 'released') {
+      const card = await GiftCard.findById(hold.card);
+      const spendable = card && card.status === 'active' && card.expiresAt > new Date();
+      const amountPaise = spendable ? Math.min(card.balancePaise, hold.amountPaise) : 0;
+      if (amountPaise < hold.amountPaise) {
+        console.warn(`[giftCards] intent ${intent.intentId}: gift card ${hold.code} short by ${hold.amountPaise - amountPaise} paise after a late payment`);
+      }
+      if (amountPaise > 0) {
+        await applyEntry(hold.card, {
+          amountPaise: -amountPaise,
+          kind: 'redeem',
+          key: `checkout:${intent.intentId}:late`,
+          reference: intent.intentId,
+          note: 'Checkout (payment confirmed late)'
+        });
+      }
+      await PaymentIntent.updateOne(
+        { _id: intent._id, 'giftCards.card': hold.card },
+        { $set: { 'giftCards.$.status': 'committed', 'giftCards.$.amountPaise': amountPaise } }
+      );
+      hold.status = 'committed';
+      hold.amountPaise = amountPaise;
+    }
+
+    if (hold.status === 'committed' && hold.amountPaise > 0) {
+      settled.push({ card: hold.card, code: hold.code, amountPaise: hold.amountPaise });
+    }
+  }
+  return { amountPaise: settled.reduce((sum, h) => sum + h.amountPaise, 0), cards: settled };
+}
+
+/**
+ * Holds of intents that failed or expired without being given back (a release that errored).
+ */
+export async function releaseStrandedGiftCardHolds({ limit = 200 } = {}) {
+  const intents = await PaymentIntent.find({ status: { $in: ['failed', 'expired'] }, 'giftCards.status': 'held' }).limit(limit);
+  let released = 0;
+  for (const intent of intents) {
+    try {
+      released += await releaseGiftCardHolds(intent, `Checkout ${intent.status}`);
+    } catch (err) {
+      console.warn(`[giftCards] release failed for ${intent.intentId}:`, err?.message || err);
+    }
+  }
+  return released;
+}
+
+// --- refunds ---------------------------------------------------------------------
+
+/**
+ * Put a refund's gift card part (refund.giftCards) back on the cards. Idempotent per refund.
+ * A voided card refuses: the refund stays open for an admin to pay another way.
+ */
+export async function refundToGiftCards(order, refund) {
+  for (const { card, amount } of refund.giftCards || []) {
+    const amountPaise = toPaise(amount);
+    if (amountPaise <= 0) continue;
+    await applyEntry(card, {
+      amountPaise,
+      kind: 'refund',
+      key: `refund:${refund.refundId}`,
+      reference: refund.refundId,
+      order,
+      note: refund.reason || `Refund ${refund.refundId}`
+    }, {
+      check: current => {
+        if (current.status !== 'active') throw new GiftCardError(`Gift card ${masked(current.code)} is ${current.status}`, 409);
+      }
+    });
+  }
+}
+
+// --- admin -----------------------------------------------------------------------
+
+/**
+ * End a card: whatever is left on it is gone.
+ */
+export async function voidGiftCard(card, { reason = '', actor } = {}) {
+  if (card.status === 'void') throw new GiftCardError('Gift card is already void', 409);
+
+  const { card: updated } = await applyEntry(card._id, {
+    amountPaise: current => -current.balancePaise,
+    kind: 'void',
+    key: 'void',
+    note: reason,
+    actor
+  }, {
+    check: current => {
+      if (current.status === 'void') throw new GiftCardError('Gift card is already void', 409);
+    },
+    set: { status: 'void', voidedAt: new Date(), voidReason: String(reason || '').slice(0, 500) }
+  });
+  return updated;
+}
+
+/**
+ * Admin correction: move the balance by `amountPaise` (signed, never below zero) and/or
+ * set a new `expiresAt`. Void cards cannot be adjusted.
+ */
+export async function adjustGiftCard(card, { amountPaise = 0, expiresAt, reason = '', actor } = {}) {
+  if (!Number.isInteger(amountPaise)) throw new GiftCardError('Amount must be a whole number of paise');
+
+  let expiry;
+  if (expiresAt !== undefined && expiresAt !== null && expiresAt !== '') {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) throw new GiftCardError('expiresAt must be a future date');
+  }
+  if (amountPaise === 0 && !expiry) throw new GiftCardError('Nothing to adjust: give an amount or expiresAt');
+
+  const note = [reason, expiry ? `expiry ${expiry.toISOString().slice(0, 10)}` : ''].filter(Boolean).join('; ');
+  const { card: updated } = await applyEntry(card._id, {
+    amountPaise,
+    kind: 'adjust',
+    note,
+    actor
+  }, {
+    check: current => {
+      if (current.status === 'void') throw new GiftCardError('Void gift cards cannot be adjusted', 409);
+    },
+    set: expiry ? { expiresAt: expiry } : {}
+  });
+  return updated;
+}
@@ -0,0 +1,171 @@
+// services/guestAccessService.js
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Order from '../models/Order.js';
+import GuestAccessCode from '../models/GuestAccessCode.js';
+import { sendEmail, guestAccessEmailTemplate } from '../utils/email.js';
+
+/**
+ * Guest order access:
+ *   1. requestGuestAccess()  public orderId + email/phone on the order → one-time code + magic link by email
+ *   2. verifyGuestCode() / redeemGuestLink() → short-lived signed token
+ *   3. the token opens the order detail, tracking, invoice and returns endpoints for that one order
+ */
+
+export const GUEST_ACCESS = {
+  codeTtlMinutes: Number(process.env.GUEST_CODE_TTL_MINUTES || 10),
+  tokenTtlMinutes: Number(process.env.GUEST_TOKEN_TTL_MINUTES || 30),
+  maxAttempts: Number(process.env.GUEST_CODE_MAX_ATTEMPTS || 5)
+};
+
+export const GUEST_TOKEN_SCOPES = ['order', 'tracking', 'invoice', 'returns'];
+const TOKEN_AUDIENCE = 'guest-order';
+
+export class GuestAccessError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'GuestAccessError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+const tokenSecret = () => process.env.GUEST_ORDER_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Last 10 digits, so "+91 98765 43210" matches "9876543210"
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+function contactMatches(order, { email, phone }) {
+  const address = order.shippingAddress || {};
+  if (email && address.email) {
+    return String(email).trim().toLowerCase() === String(address.email).trim().toLowerCase();
+  }
+  if (phone && address.phone) {
+    const given = normalizePhone(phone);
+    return given.length === 10 && given === normalizePhone(address.phone);
+  }
+  return false;
+}
+
+/**
+ * Send a code + magic link when the contact detail matches the order.
+ * Resolves the same way whether or not it matched, so order ids can't be probed.
+ */
+export async function requestGuestAccess({ orderId, email, phone }) {
+  if (!orderId || (!email && !phone)) {
+    throw new GuestAccessError('orderId and email or phone are required');
+  }
+
+  const order = await Order.findOne({ orderId: String(orderId).trim() });
+  if (!order || !contactMatches(order, { email, phone })) return { sent: false };
+
+  // Codes go to the email on the order, whichever detail was used to ask
+  const to = order.shippingAddress?.email;
+  if (!to) return { sent: false };
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const linkToken = crypto.randomBytes(24).toString('hex');
+
+  // A new request replaces any outstanding code for this order
+  await GuestAccessCode.deleteMany({ order: order._id, usedAt: null });
+  await GuestAccessCode.create({
+    order: order._id,
+    orderId: order.orderId,
+    channel: 'email',
+    codeHash: sha256(code),
+    linkHash: sha256(linkToken),
+    expiresAt: new Date(Date.now() + GUEST_ACCESS.codeTtlMinutes * 60 * 1000)
+  });
+
+  const link = `${process.env.FRONTEND_URL}/guest-order?token=${linkToken}`;
+  await sendEmail({
+    email: to,
+    subject: `Your code for order #${order.orderId}`,
+    html: guestAccessEmailTemplate({
+      orderId: order.orderId,
+      code,
+      link,
+      minutes: GUEST_ACCESS.codeTtlMinutes
+    })
+  });
+
+  return { sent: true };
+}
+
+export function signGuestOrderToken(order, scopes = GUEST_TOKEN_SCOPES) {
+  return jwt.sign(
+    { oid: String(order._id), orderId: order.orderId, scope: scopes },
+    tokenSecret(),
+    { expiresIn: `${GUEST_ACCESS.tokenTtlMinutes}m`, audience: TOKEN_AUDIENCE }
+  );
+}
+
+/**
+ * Decode a guest token. Throws (jsonwebtoken errors) when invalid or expired.
+ */
+export function verifyGuestOrderToken(token) {
+  return jwt.verify(token, tokenSecret(), { audience: TOKEN_AUDIENCE });
+}
+
+function issue(order) {
+  return {
+    token: signGuestOrderToken(order),
+    expiresIn: GUEST_ACCESS.tokenTtlMinutes * 60,
+    order: { _id: order._id, orderId: order.orderId }
+  };
+}
+
+/**
+ * Exchange the emailed 6-digit code for a token.
+ */
+export async function verifyGuestCode({ orderId, code }) {
+  if (!orderId || !code) throw new GuestAccessError('orderId and code are required');
+
+  const entry = await GuestAccessCode.findOne({
+    orderId: String(orderId).trim(),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ createdAt: -1 });
+
+  if (!entry) throw new GuestAccessError('Code expired or not found. Request a new one.', 401);
+
+  // Count the attempt atomically before comparing, so parallel guesses share the limit
+  const counted = await GuestAccessCode.updateOne(
+    { _id: entry._id, usedAt: null, attempts: { $lt: GUEST_ACCESS.maxAttempts } },
+    { $inc: { attempts: 1 } }
+  );
+  if (!counted.modifiedCount) {
+    throw new GuestAccessError('Too many attempts. Request a new code.', 429);
+  }
+
+  if (entry.codeHash !== sha256(String(code).trim())) {
+    throw new GuestAccessError('Invalid code', 401);
+  }
+
+  // Single use, also against a parallel request with the same code
+  const used = await GuestAccessCode.updateOne({ _id: entry._id, usedAt: null }, { $set: { usedAt: new Date() } });
+  if (!used.modifiedCount) throw new GuestAccessError('Code already used. Request a new one.', 401);
+
+  const order = await Order.findById(entry.order);
+  if (!order) throw new GuestAccessError('Order not found', 404);
+  return issue(order);
+}
+
+/**
+ * Exchange a magic-link token for a signed token (single use).
+ */
+export async function redeemGuestLink(linkToken) {
+  if (!linkToken) throw new GuestAccessError('token is required');
+
+  const entry = await GuestAccessCode.findOneAndUpdate(
+    { linkHash: sha256(linkToken), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!entry) throw new GuestAccessError('Link expired or already used. Request a new one.', 401);
+
+  const order = await Order.findById(entry.order);
+  if (!order) throw new GuestAccessError('Order not found', 404);
+  return issue(order);
+}
@@ -0,0 +1,210 @@
+// services/intentSweeper.js
+
+import { nanoid } from 'nanoid';
+import PaymentIntent from '../models/PaymentIntent.js';
+import StockReservation from '../models/StockReservation.js';
+import Order from '../models/Order.js';
+import { releaseReservation, commitReservation, RESERVATION_TTL_MINUTES } from './stockReservationService.js';
+import { releaseWalletHold } from './walletService.js';
+import { releaseGiftCardHolds, releaseStrandedGiftCardHolds } from './giftCardService.js';
+
+/**
+ * Background sweeper for abandoned checkouts.
+ * - expires PaymentIntents left pending/initiated past expiresAt (or TTL when unset)
+ * - releases the stock those intents (and any other lapsed reservation) still hold,
+ *   and gives back the store credit and gift card balances they held (again for any
+ *   gift card release that failed earlier); holds of orders that were saved but never
+ *   committed their hold are committed
+ * - purges expired/failed intents and released reservations older than the retention period
+ *
+ * Single-process timer (same caveat as the PhonePe token cache: one sweeper per deployment).
+ */
+
+export const SWEEPER_CONFIG = {
+  enabled: process.env.INTENT_SWEEPER_ENABLED !== '0',
+  intervalMinutes: Number(process.env.INTENT_SWEEP_INTERVAL_MINUTES || 5),
+  intentTtlMinutes: Number(process.env.INTENT_TTL_MINUTES || RESERVATION_TTL_MINUTES),
+  retentionDays: Number(process.env.INTENT_RETENTION_DAYS || 90),
+  batchSize: Number(process.env.INTENT_SWEEP_BATCH_SIZE || 200)
+};
+
+const MAX_RECENT_FAILURES = 20;
+
+const stats = {
+  runs: 0,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: 0,
+  lastResult: null,
+  totals: { expired: 0, released: 0, committed: 0, giftCardsReleased: 0, purgedIntents: 0, purgedReservations: 0, failures: 0 },
+  recentFailures: []
+};
+
+let timer = null;
+
+function recordFailure(stage, ref, err) {
+  stats.totals.failures += 1;
+  stats.recentFailures.unshift({ at: new Date(), stage, ref, message: err?.message || String(err) });
+  stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  console.warn(`[intentSweeper] ${stage} failed for ${ref}:`, err?.message || err);
+}
+
+async function expireStaleIntents(now, result) {
+  const ttlCutoff = new Date(now.getTime() - SWEEPER_CONFIG.intentTtlMinutes * 60 * 1000);
+
+  const stale = await PaymentIntent.find({
+    status: { $in: ['pending', 'initiated'] },
+    $or: [
+      { expiresAt: { $lte: now } },
+      { expiresAt: null, createdAt: { $lte: ttlCutoff } }
+    ]
+  }).limit(SWEEPER_CONFIG.batchSize);
+
+  for (const intent of stale) {
+    try {
+      // Conditional update: a webhook may have marked it paid since the query
+      const updated = await PaymentIntent.findOneAndUpdate(
+        { _id: intent._id, status: { $in: ['pending', 'initiated'] } },
+        {
+          $set: { status: 'expired', expiredAt: now },
+          $push: {
+            attempts: {
+              attemptId: `att_${nanoid(8)}`,
+              createdAt: now,
+              status: 'expired',
+              amountPaise: intent.totals?.totalPaise,
+              gatewayResponse: { source: 'intent_sweeper', reason: 'checkout expired', previousStatus: intent.status }
+            }
+          }
+        },
+        { new: true }
+      );
+      if (!updated) continue;
+      result.expired += 1;
+
+      const released = await releaseReservation(intent.intentId, 'intent expired');
+      if (released) result.released += 1;
+      await releaseWalletHold(updated, 'Checkout expired');
+      result.giftCardsReleased += await releaseGiftCardHolds(updated, 'Checkout expired');
+    } catch (err) {
+      recordFailure('expire', intent.intentId, err);
+    }
+  }
+}
+
+// Holds whose owner will never settle them: unpaid intents, or order holds whose order never
+// saved. An order that did save (the commit after order.save() never ran) owns that stock:
+// its hold is committed, so it stops coming back here and a later cancellation restores it once.
+async function releaseLapsedReservations(now, result) {
+  const lapsed = await StockReservation.find({ status: 'active', expiresAt: { $lte: now } })
+    .limit(SWEEPER_CONFIG.batchSize);
+
+  for (const reservation of lapsed) {
+    try {
+      if (reservation.referenceType === 'order') {
+        if (await Order.exists({ orderId: reservation.reference })) {
+          if ((await commitReservation(reservation.reference))?.status === 'committed') result.committed += 1;
+          continue;
+        }
+      } else {
+        const intent = await PaymentIntent.findOne({ intentId: reservation.reference }).select('status');
+        if (intent?.status === 'paid') continue;
+      }
+
+      const released = await releaseReservation(reservation.reference, 'reservation lapsed');
+      if (released) result.released += 1;
+    } catch (err) {
+      recordFailure('release', reservation.reference, err);
+    }
+  }
+}
+
+async function releaseStrandedGiftCards(result) {
+  try {
+    result.giftCardsReleased += await releaseStrandedGiftCardHolds({ limit: SWEEPER_CONFIG.batchSize });
+  } catch (err) {
+    recordFailure('release', 'gift cards', err);
+  }
+}
+
+async function purgeOldRecords(now, result) {
+  const cutoff = new Date(now.getTime() - SWEEPER_CONFIG.retentionDays * 24 * 60 * 60 * 1000);
+
+  try {
+    const intents = await PaymentIntent.deleteMany({
+      status: { $in: ['expired', 'failed'] },
+      // Kept until an admin has reconciled the payment
+      reconciliationRequired: { $ne: true },
+      createdAt: { $lte: cutoff }
+    });
+    result.purgedIntents += intents.deletedCount || 0;
+  } catch (err) {
+    recordFailure('purge', 'PaymentIntent', err);
+  }
+
+  try {
+    const reservations = await StockReservation.deleteMany({
+      status: 'released',
+      updatedAt: { $lte: cutoff }
+    });
+    result.purgedReservations += reservations.deletedCount || 0;
+  } catch (err) {
+    recordFailure('purge', 'StockReservation', err);
+  }
+}
+
+/**
+ * One sweep. Safe to call manually (admin endpoint); overlapping runs are skipped.
+ */
+export async function runIntentSweep() {
+  if (stats.running) return { skipped: true, reason: 'already running' };
+
+  stats.running = true;
+  const startedAt = Date.now();
+  const now = new Date();
+  const result = { expired: 0, released: 0, committed: 0, giftCardsReleased: 0, purgedIntents: 0, purgedReservations: 0 };
+
+  try {
+    await expireStaleIntents(now, result);
+    await releaseLapsedReservations(now, result);
+    await releaseStrandedGiftCards(result);
+    await purgeOldRecords(now, result);
+  } catch (err) {
+    recordFailure('sweep', 'run', err);
+  } finally {
+    stats.running = false;
+    stats.runs += 1;
+    stats.lastRunAt = now;
+    stats.lastDurationMs = Date.now() - startedAt;
+    stats.lastResult = result;
+    for (const key of Object.keys(result)) stats.totals[key] += result[key];
+  }
+
+  return result;
+}
+
+export function startIntentSweeper() {
+  if (!SWEEPER_CONFIG.enabled || timer) return;
+
+  timer = setInterval(() => {
+    runIntentSweep().catch(err => recordFailure('sweep', 'timer', err));
+  }, SWEEPER_CONFIG.intervalMinutes * 60 * 1000);
+  timer.unref?.();
+
+  console.log(`[intentSweeper] started (every ${SWEEPER_CONFIG.intervalMinutes} min)`);
+}
+
+export function stopIntentSweeper() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function getIntentSweeperStats() {
+  return {
+    config: SWEEPER_CONFIG,
+    scheduled: Boolean(timer),
+    ...stats,
+    totals: { ...stats.totals },
+    recentFailures: [...stats.recentFailures]
+  };
+}
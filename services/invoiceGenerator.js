@@ -2,9 +2,8 @@
 import ejs from "ejs";
 import path from "path";
 import fs from "fs-extra";
-import chromium from "@sparticuz/chromium";
-import puppeteer from "puppeteer-core";
 import { fileURLToPath } from "url";
+import { htmlToPdf } from "./pdfService.js";
 
 // Fix __dirname since it's not available in ESM
 const __filename = fileURLToPath(import.meta.url);
@@ -17,30 +16,12 @@ fs.ensureDirSync(TEMP_DIR);
 export async function generateInvoicePDF(templateData) {
   const html = await ejs.renderFile(INVOICE_VIEW, templateData);
 
-  // Launch puppeteer
-  const browser = await puppeteer.launch({
-    args: chromium.args,
-    defaultViewport: chromium.defaultViewport,
-    executablePath: await chromium.executablePath(),
-    headless: chromium.headless,
-  });
-  const page = await browser.newPage();
-
-  // Set content and wait
-  await page.setContent(html, { waitUntil: "networkidle0" });
-
-  // Generate PDF
-  const pdfBuffer = await page.pdf({
-    format: "A4",
-    printBackground: true,
-    margin: { top: "20mm", bottom: "20mm", left: "10mm", right: "10mm" },
-  });
+  const pdfBuffer = await htmlToPdf(html);
 
   const debugPath = path.join(TEMP_DIR, `debug_invoice_${Date.now()}.pdf`);
 await fs.writeFile(debugPath, pdfBuffer);
 console.log("Debug PDF saved at:", debugPath);
 
-  await browser.close();
   return pdfBuffer;
 }
 
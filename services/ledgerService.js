@@ -0,0 +1,465 @@
+// services/ledgerService.js
+
+import { nanoid } from 'nanoid';
+import LedgerEntry, { LEDGER_ENTRY_TYPES } from '../models/LedgerEntry.js';
+import Order from '../models/Order.js';
+
+/**
+ * Double-entry payment ledger. Each LedgerEntry moves amountPaise between two accounts:
+ *
+ *   customer            what customers have paid us, net of refunds (per order)
+ *   clearing:<method>   money a gateway or the courier (clearing:cod) holds for us
+ *   bank                money that reached our account
+ *   gateway_fees        fees the gateways kept
+ *   store_credit        wallet credit customers spent on orders / got back as refunds
+ *   gift_cards          gift card balances spent on orders / put back by refunds
+ *   adjustments         manual corrections
+ *
+ *   charge          clearing:<method> ← customer      refund        customer ← clearing:<method>
+ *   (wallet part)   store_credit ← customer                         customer ← store_credit
+ *   (gift cards)    gift_cards ← customer                           customer ← gift_cards
+ *   cod_collected   clearing:cod ← customer           cod_remitted  bank ← clearing:cod
+ *   gateway_fee     gateway_fees ← clearing:<method>  settlement    bank ← clearing:<method>
+ *   adjustment      any two accounts, chosen by the admin
+ *
+ * Entries are posted where the money moves (paymentService, refundService, the delivered
+ * hook in orderLifecycle, admin remittance/settlement endpoints). Postings carry an
+ * idempotency key, so repeated webhooks and callbacks never post twice. Order balances
+ * and receivables are derived from the entries, never stored.
+ */
+
+export class LedgerError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LedgerError';
+    this.statusCode = statusCode;
+  }
+}
+
+export const LEDGER_ACCOUNTS = ['customer', 'bank', 'gateway_fees', 'store_credit', 'gift_cards', 'adjustments'];
+export const PAYMENT_METHODS = ['phonepe', 'razorpay', 'stripe', 'cod'];
+
+const clearing = (method) => `clearing:${method}`;
+// Where a charge lands / a refund comes from; store credit and gift cards are not clearing accounts
+const CREDIT_ACCOUNTS = { wallet: 'store_credit', gift_card: 'gift_cards' };
+const fundsAccount = (method) => CREDIT_ACCOUNTS[method] || clearing(method);
+const CREDIT_ENTRY_TYPES = ['charge', 'refund'];
+
+export function isLedgerAccount(account) {
+  if (LEDGER_ACCOUNTS.includes(account)) return true;
+  const [kind, method] = String(account || '').split(':');
+  return kind === 'clearing' && PAYMENT_METHODS.includes(method);
+}
+
+// Refunds that mirror a lower order total (services/refundService.js ADJUSTMENT_SOURCES);
+// the others reduce what the customer owes.
+const TOTAL_ADJUSTING_REFUND_SOURCES = ['line_cancellation', 'order_edit'];
+
+const ENTRY_ACCOUNTS = {
+  charge: (method) => ({ debit: fundsAccount(method), credit: 'customer' }),
+  refund: (method) => ({ debit: 'customer', credit: fundsAccount(method) }),
+  cod_collected: () => ({ debit: clearing('cod'), credit: 'customer' }),
+  cod_remitted: () => ({ debit: 'bank', credit: clearing('cod') }),
+  gateway_fee: (method) => ({ debit: 'gateway_fees', credit: clearing(method) }),
+  settlement: (method) => ({ debit: 'bank', credit: clearing(method) })
+};
+
+export const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+
+/**
+ * Post one entry. Resolves to the existing entry when the idempotency key was used before.
+ * Adjustments name their own `debit` / `credit` accounts.
+ */
+export async function postLedgerEntry({
+  type,
+  amountPaise,
+  order = null,
+  paymentMethod,
+  debit,
+  credit,
+  reference,
+  idempotencyKey,
+  note = '',
+  actor = { kind: 'system' },
+  meta
+}) {
+  if (!LEDGER_ENTRY_TYPES.includes(type)) throw new LedgerError(`Unknown ledger entry type '${type}'`);
+  if (!Number.isInteger(amountPaise) || amountPaise <= 0) throw new LedgerError('amountPaise must be a positive integer');
+
+  const method = paymentMethod || order?.paymentMethod;
+  let accounts;
+  if (type === 'adjustment') {
+    if (!isLedgerAccount(debit) || !isLedgerAccount(credit) || debit === credit) {
+      throw new LedgerError('Adjustments need two different valid accounts (debit, credit)');
+    }
+    accounts = { debit, credit };
+  } else {
+    const creditEntry = Boolean(CREDIT_ACCOUNTS[method]) && CREDIT_ENTRY_TYPES.includes(type);
+    if (!creditEntry && !PAYMENT_METHODS.includes(type.startsWith('cod_') ? 'cod' : method)) {
+      throw new LedgerError(`Unknown payment method '${method}'`);
+    }
+    accounts = ENTRY_ACCOUNTS[type](method);
+  }
+
+  if (idempotencyKey) {
+    const existing = await LedgerEntry.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  try {
+    return await LedgerEntry.create({
+      entryId: `le_${nanoid(12)}`,
+      type,
+      ...accounts,
+      amountPaise,
+      order: order?._id,
+      orderId: order?.orderId,
+      paymentMethod: type.startsWith('cod_') ? 'cod' : method,
+      reference,
+      idempotencyKey,
+      note,
+      actor,
+      meta
+    });
+  } catch (err) {
+    // Concurrent posting of the same event
+    if (err?.code === 11000 && idempotencyKey) return LedgerEntry.findOne({ idempotencyKey });
+    throw err;
+  }
+}
+
+// --- postings from the payment flow -------------------------------------------
+
+/**
+ * The gateway capture for an order (a partial capture posts what was captured).
+ */
+export function recordCharge(order, { amountPaise, reference, note = '' } = {}) {
+  return postLedgerEntry({
+    type: 'charge',
+    order,
+    amountPaise: amountPaise ?? toPaise(order.totalPrice),
+    reference,
+    idempotencyKey: `charge:${order.orderId}`,
+    note
+  });
+}
+
+export function recordGatewayFee(order, { amountPaise, reference }) {
+  return postLedgerEntry({
+    type: 'gateway_fee',
+    order,
+    amountPaise,
+    reference,
+    idempotencyKey: `fee:${order.orderId}`
+  });
+}
+
+/**
+ * The part of an order paid from the store credit wallet.
+ */
+export function recordWalletPayment(order, { amountPaise, reference }) {
+  return postLedgerEntry({
+    type: 'charge',
+    order,
+    paymentMethod: 'wallet',
+    amountPaise,
+    reference,
+    idempotencyKey: `charge:wallet:${order.orderId}`
+  });
+}
+
+/**
+ * The part of an order paid with gift cards.
+ */
+export function recordGiftCardPayment(order, { amountPaise, reference }) {
+  return postLedgerEntry({
+    type: 'charge',
+    order,
+    paymentMethod: 'gift_card',
+    amountPaise,
+    reference,
+    idempotencyKey: `charge:gift_card:${order.orderId}`
+  });
+}
+
+/**
+ * A refund that has been paid out: the gateway part, the store credit part
+ * (refund.walletAmount) and the gift card part (refund.giftCardAmount) are separate entries.
+ */
+export async function recordRefund(order, refund) {
+  const totalPaise = toPaise(refund.amount);
+  const giftCardPaise = Math.min(totalPaise, toPaise(refund.giftCardAmount));
+  const walletPaise = Math.min(totalPaise - giftCardPaise, toPaise(refund.walletAmount));
+  const gatewayPaise = totalPaise - giftCardPaise - walletPaise;
+  const meta = { refundId: refund.refundId, source: refund.source };
+  const entries = [];
+
+  if (gatewayPaise > 0) {
+    entries.push(await postLedgerEntry({
+      type: 'refund',
+      order,
+      amountPaise: gatewayPaise,
+      reference: refund.gatewayRefundId || refund.refundId,
+      idempotencyKey: `refund:${refund.refundId}`,
+      note: refund.reason || '',
+      meta
+    }));
+  }
+  if (walletPaise > 0) {
+    entries.push(await postLedgerEntry({
+      type: 'refund',
+      order,
+      paymentMethod: 'wallet',
+      amountPaise: walletPaise,
+      reference: refund.refundId,
+      idempotencyKey: `refund:${refund.refundId}:wallet`,
+      note: refund.reason || '',
+      meta
+    }));
+  }
+  if (giftCardPaise > 0) {
+    entries.push(await postLedgerEntry({
+      type: 'refund',
+      order,
+      paymentMethod: 'gift_card',
+      amountPaise: giftCardPaise,
+      reference: refund.refundId,
+      idempotencyKey: `refund:${refund.refundId}:gift_card`,
+      note: refund.reason || '',
+      meta
+    }));
+  }
+  return entries;
+}
+
+/**
+ * COD cash taken at the door: whatever is still due on the order.
+ */
+export async function recordCodCollection(order, { actor } = {}) {
+  const { balance } = await getOrderLedger(order);
+  if (balance.duePaise <= 0) return null;
+  return postLedgerEntry({
+    type: 'cod_collected',
+    order,
+    amountPaise: balance.duePaise,
+    reference: order.shipping?.awb_number || undefined,
+    idempotencyKey: `cod_collected:${order.orderId}`,
+    actor
+  });
+}
+
+/**
+ * Courier remittance of COD cash. `reference` is the remittance / UTR number.
+ */
+export function recordCodRemittance(order, { amountPaise, reference, actor, note = '' }) {
+  return postLedgerEntry({
+    type: 'cod_remitted',
+    order,
+    amountPaise,
+    reference,
+    idempotencyKey: reference ? `cod_remitted:${reference}:${order.orderId}` : undefined,
+    actor,
+    note
+  });
+}
+
+/**
+ * One courier remittance covering several COD orders. Each line is { orderId, amountPaise? };
+ * without an amount, the cash collected for the order and not yet remitted is used.
+ */
+export async function recordCodRemittanceBatch({ reference, lines = [], actor, note = '' }) {
+  if (!reference) throw new LedgerError('reference (remittance / UTR number) is required');
+  if (!Array.isArray(lines) || !lines.length) throw new LedgerError('lines must be a non-empty array');
+
+  const posted = [];
+  const skipped = [];
+  for (const line of lines) {
+    const order = await Order.findOne({ orderId: String(line.orderId || '') });
+    if (!order || order.paymentMethod !== 'cod') {
+      skipped.push({ orderId: line.orderId, reason: order ? 'not a COD order' : 'order not found' });
+      continue;
+    }
+
+    let amountPaise = line.amountPaise;
+    if (amountPaise === undefined) {
+      const { entries } = await getOrderLedger(order);
+      amountPaise = entries.reduce((sum, e) => sum
+        + (e.type === 'cod_collected' ? e.amountPaise : 0)
+        - (e.type === 'cod_remitted' ? e.amountPaise : 0), 0);
+    }
+    if (!Number.isInteger(amountPaise) || amountPaise <= 0) {
+      skipped.push({ orderId: line.orderId, reason: 'nothing to remit' });
+      continue;
+    }
+
+    posted.push(await recordCodRemittance(order, { amountPaise, reference, actor, note }));
+  }
+  return { posted, skipped };
+}
+
+// --- derived views ------------------------------------------------------------
+
+/**
+ * Order balance from its entries:
+ *   expectedPaise  what the customer owes: 0 for cancelled orders, else the total less
+ *                  refunds that did not already lower it (returns, goodwill)
+ *   paidPaise      net credit on the customer account for this order
+ *   duePaise       expected − paid (negative: we owe the customer)
+ */
+export function orderBalance(order, entries) {
+  const sums = { charged: 0, codCollected: 0, refunded: 0, fees: 0, adjustments: 0 };
+  let paidPaise = 0;
+  let refundsReducingTotal = 0;
+
+  for (const e of entries) {
+    if (e.credit === 'customer') paidPaise += e.amountPaise;
+    if (e.debit === 'customer') paidPaise -= e.amountPaise;
+
+    if (e.type === 'charge') sums.charged += e.amountPaise;
+    else if (e.type === 'cod_collected') sums.codCollected += e.amountPaise;
+    else if (e.type === 'gateway_fee') sums.fees += e.amountPaise;
+    else if (e.type === 'adjustment') sums.adjustments += e.amountPaise;
+    else if (e.type === 'refund') {
+      sums.refunded += e.amountPaise;
+      if (!TOTAL_ADJUSTING_REFUND_SOURCES.includes(e.meta?.source)) refundsReducingTotal += e.amountPaise;
+    }
+  }
+
+  const totalPaise = toPaise(order.totalPrice);
+  const expectedPaise = order.status === 'cancelled' ? 0 : totalPaise - refundsReducingTotal;
+
+  return {
+    totalPaise,
+    chargedPaise: sums.charged,
+    codCollectedPaise: sums.codCollected,
+    refundedPaise: sums.refunded,
+    feesPaise: sums.fees,
+    adjustmentsPaise: sums.adjustments,
+    expectedPaise,
+    paidPaise,
+    duePaise: expectedPaise - paidPaise
+  };
+}
+
+export async function getOrderLedger(order) {
+  const entries = await LedgerEntry.find({ order: order._id }).sort({ createdAt: 1 });
+  return { entries, balance: orderBalance(order, entries) };
+}
+
+/**
+ * Outstanding receivables per payment method:
+ *   heldPaise  clearing balance: captured / collected but not yet in the bank
+ *   duePaise   still owed by customers on open orders (COD not yet collected,
+ *              short captures); orders created since `from` (default 90 days)
+ */
+export async function getReceivables({ from, to } = {}) {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - 90 * 24 * 60 * 60 * 1000);
+
+  const [debits, credits] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { debit: { $regex: '^clearing:' } } },
+      { $group: { _id: '$debit', amount: { $sum: '$amountPaise' } } }
+    ]),
+    LedgerEntry.aggregate([
+      { $match: { credit: { $regex: '^clearing:' } } },
+      { $group: { _id: '$credit', amount: { $sum: '$amountPaise' } } }
+    ])
+  ]);
+
+  const held = Object.fromEntries(PAYMENT_METHODS.map(m => [m, 0]));
+  for (const row of debits) held[row._id.slice('clearing:'.length)] += row.amount;
+  for (const row of credits) held[row._id.slice('clearing:'.length)] -= row.amount;
+
+  // Net credit on the customer account, per order
+  const paid = {
+    $sum: {
+      $map: {
+        input: '$ledger',
+        as: 'e',
+        in: {
+          $cond: [
+            { $eq: ['$$e.credit', 'customer'] }, '$$e.amountPaise',
+            { $cond: [{ $eq: ['$$e.debit', 'customer'] }, { $multiply: [-1, '$$e.amountPaise'] }, 0] }
+          ]
+        }
+      }
+    }
+  };
+
+  const due = await Order.aggregate([
+    { $match: { status: { $ne: 'cancelled' }, createdAt: { $gte: start, $lt: end } } },
+    { $lookup: { from: LedgerEntry.collection.name, localField: '_id', foreignField: 'order', as: 'ledger' } },
+    {
+      $project: {
+        paymentMethod: 1,
+        totalPaise: { $round: [{ $multiply: ['$totalPrice', 100] }, 0] },
+        paid,
+        refundsReducingTotal: {
+          $sum: {
+            $map: {
+              input: '$ledger',
+              as: 'e',
+              in: {
+                $cond: [
+                  { $and: [{ $eq: ['$$e.type', 'refund'] }, { $not: [{ $in: ['$$e.meta.source', TOTAL_ADJUSTING_REFUND_SOURCES] }] }] },
+                  '$$e.amountPaise',
+                  0
+                ]
+              }
+            }
+          }
+        }
+      }
+    },
+    { $project: { paymentMethod: 1, due: { $subtract: [{ $subtract: ['$totalPaise', '$refundsReducingTotal'] }, '$paid'] } } },
+    { $match: { due: { $gt: 0 } } },
+    { $group: { _id: '$paymentMethod', orders: { $sum: 1 }, duePaise: { $sum: '$due' } } }
+  ]);
+  const dueOf = new Map(due.map(row => [row._id, row]));
+
+  const byMethod = PAYMENT_METHODS.map(method => ({
+    paymentMethod: method,
+    heldPaise: held[method] || 0,
+    duePaise: dueOf.get(method)?.duePaise || 0,
+    ordersWithBalance: dueOf.get(method)?.orders || 0
+  }));
+
+  return {
+    from: start,
+    to: end,
+    byMethod,
+    totals: {
+      heldPaise: byMethod.reduce((s, r) => s + r.heldPaise, 0),
+      duePaise: byMethod.reduce((s, r) => s + r.duePaise, 0)
+    }
+  };
+}
+
+// --- backfill -------------------------------------------------------------------
+
+/**
+ * Post what an order created before the ledger existed would have: its charge,
+ * settled refunds and COD collection. Idempotent.
+ */
+export async function backfillOrderLedger(order) {
+  const posted = [];
+  const chargePaise = toPaise(order.totalPrice) - toPaise(order.walletAmount) - toPaise(order.giftCardAmount);
+  if (order.isPaid && order.paymentMethod !== 'cod' && chargePaise > 0) {
+    posted.push(await recordCharge(order, { amountPaise: chargePaise, reference: order.paymentResult?.id || order.paymentId, note: 'backfill' }));
+  }
+  if (order.walletAmount > 0) {
+    posted.push(await recordWalletPayment(order, { amountPaise: toPaise(order.walletAmount), reference: order.intentId || order.orderId }));
+  }
+  if (order.giftCardAmount > 0) {
+    posted.push(await recordGiftCardPayment(order, { amountPaise: toPaise(order.giftCardAmount), reference: order.intentId || order.orderId }));
+  }
+  for (const refund of order.refunds || []) {
+    if (refund.status === 'succeeded') posted.push(...await recordRefund(order, refund));
+  }
+  if (order.paymentMethod === 'cod' && order.status === 'delivered') {
+    const entry = await recordCodCollection(order);
+    if (entry) posted.push(entry);
+  }
+  return posted;
+}
@@ -0,0 +1,293 @@
+// services/manifestService.js
+
+import mongoose from 'mongoose';
+import fetch from 'node-fetch';
+import { customAlphabet } from 'nanoid';
+import Order from '../models/Order.js';
+import Manifest from '../models/Manifest.js';
+import { getCarrier } from './shipping.js';
+import { renderViewToPdf, mergePdfs } from './pdfService.js';
+
+/**
+ * Packing-desk paperwork for orders that have an AWB and are waiting for pickup:
+ *   - labels:    each order's courier label, merged into one PDF
+ *   - pick-list: units to pull from the shelves, then a packing slip per order
+ *   - manifest:  orders, AWBs, COD amounts and weights, grouped by courier
+ * Creating a manifest stamps order.shipping.manifestId so an order is only
+ * handed over once.
+ */
+
+// Shipments that have an AWB but have not been picked up
+export const MANIFESTABLE_SHIPMENT_STATUSES = ['pushed', 'assigned', 'pickup_scheduled'];
+
+export class ManifestError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ManifestError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const nanoidShort = customAlphabet('0123456789ABCDEFGHJKLMNPQRSTUVWXYZ', 5);
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+const makeManifestId = () => `MF-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${nanoidShort()}`;
+
+const COMPANY = {
+  name: 'Roots and Richness',
+  address: 'Indira Nagar, Ballari, Karnataka'
+};
+
+function readyReason(order, { allowManifested = false } = {}) {
+  if (!['pending', 'processing'].includes(order.status)) return `order is ${order.status}`;
+  if (!order.shipping?.awb_number) return 'no AWB yet';
+  if (!MANIFESTABLE_SHIPMENT_STATUSES.includes(order.shipping.status)) return `shipment is ${order.shipping.status}`;
+  if (order.shipping.manifestId && !allowManifested) return `already on ${order.shipping.manifestId}`;
+  return null;
+}
+
+/**
+ * Orders ready to hand over (AWB assigned, not yet manifested), oldest first.
+ */
+export async function findReadyOrders({ limit = 200 } = {}) {
+  return Order.find({
+    status: { $in: ['pending', 'processing'] },
+    'shipping.awb_number': { $nin: [null, ''] },
+    'shipping.status': { $in: MANIFESTABLE_SHIPMENT_STATUSES },
+    'shipping.manifestId': null
+  })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+}
+
+/**
+ * Split requested orders (Mongo ids or public orderIds) into ready ones and the rest.
+ * Returns { ready, rejected: [{ order, reason }] }.
+ */
+export async function resolveOrders(ids = [], options = {}) {
+  if (!Array.isArray(ids) || ids.length === 0) throw new ManifestError('orders must be a non-empty array');
+
+  const keys = ids.map(String);
+  const objectIds = keys.filter(id => mongoose.Types.ObjectId.isValid(id));
+  const orders = await Order.find({ $or: [{ _id: { $in: objectIds } }, { orderId: { $in: keys } }] });
+
+  const ready = [];
+  const rejected = [];
+  for (const key of keys) {
+    const order = orders.find(o => String(o._id) === key || o.orderId === key);
+    if (!order) {
+      rejected.push({ order: key, reason: 'not found' });
+      continue;
+    }
+    const reason = readyReason(order, options);
+    if (reason) rejected.push({ order: order.orderId, reason });
+    else if (!ready.includes(order)) ready.push(order);
+  }
+  return { ready, rejected };
+}
+
+async function labelBuffer(label) {
+  if (label.pdf) return Buffer.from(label.pdf);
+  const url = label.labelUrl;
+  if (!url) return null;
+
+  if (url.startsWith('data:')) {
+    return Buffer.from(url.slice(url.indexOf(',') + 1), 'base64');
+  }
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`label download failed (${res.status})`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Fetch every order's courier label and merge them, in the given order.
+ * Returns { pdf, missing: [orderId] } (pdf is null when no label came back).
+ */
+export async function buildLabelsPdf(orders) {
+  const buffers = [];
+  const missing = [];
+
+  for (const order of orders) {
+    try {
+      const label = await getCarrier(order.shipping?.carrier).getLabel({
+        orderId: order.orderId,
+        awbNumber: order.shipping.awb_number
+      });
+      const buffer = await labelBuffer(label);
+      if (!buffer) throw new Error('no label returned');
+      buffers.push(buffer);
+
+      if (label.labelUrl && /^https?:/.test(label.labelUrl) && order.shipping.label_url !== label.labelUrl) {
+        order.shipping.label_url = label.labelUrl;
+        await order.save().catch(e => console.warn('[manifest] save label url warning:', e?.message || e));
+      }
+    } catch (err) {
+      console.warn(`[manifest] label for ${order.orderId} unavailable:`, err?.message || err);
+      missing.push(order.orderId);
+    }
+  }
+
+  return { pdf: buffers.length ? await mergePdfs(buffers) : null, missing };
+}
+
+function manifestEntry(order) {
+  const isCod = order.paymentMethod === 'cod';
+  const address = order.shippingAddress || {};
+  return {
+    order: order._id,
+    orderId: order.orderId,
+    awbNumber: order.shipping.awb_number,
+    courier: order.shipping.courier || order.courierPartner || order.shipping.carrier || '',
+    paymentMethod: order.paymentMethod,
+    codAmount: isCod ? round2(order.codCollectable()) : 0,
+    weight: order.shipping.parcel?.weight || 0,
+    consignee: address.fullName || '',
+    city: address.city || '',
+    pincode: address.postalCode || '',
+    units: order.shippableItems().reduce((n, it) => n + it.quantity, 0)
+  };
+}
+
+function summarizeByCourier(entries) {
+  const byCourier = new Map();
+  for (const e of entries) {
+    const row = byCourier.get(e.courier) || { courier: e.courier, orders: 0, codAmount: 0, weight: 0 };
+    row.orders += 1;
+    row.codAmount = round2(row.codAmount + e.codAmount);
+    row.weight += e.weight;
+    byCourier.set(e.courier, row);
+  }
+  return [...byCourier.values()].sort((a, b) => a.courier.localeCompare(b.courier));
+}
+
+/**
+ * Hand over a set of orders: stamp the orders, then record the manifest.
+ * Stamping is a single guarded update, so when two manifests race for an
+ * order only one of them gets it; the other reports it as rejected.
+ * Throws ManifestError (409) when none of them is ready.
+ */
+export async function createManifest(ids, { actor = {} } = {}) {
+  const { ready, rejected } = await resolveOrders(ids);
+  if (!ready.length) throw new ManifestError('None of the orders can be manifested', 409, rejected);
+
+  const manifestId = makeManifestId();
+  await Order.updateMany({
+    _id: { $in: ready.map(o => o._id) },
+    status: { $in: ['pending', 'processing'] },
+    'shipping.status': { $in: MANIFESTABLE_SHIPMENT_STATUSES },
+    'shipping.manifestId': null
+  }, {
+    $set: { 'shipping.manifestId': manifestId, 'shipping.manifestedAt': new Date() }
+  });
+
+  const stamped = await Order.find({ 'shipping.manifestId': manifestId });
+  for (const order of ready) {
+    if (!stamped.some(o => String(o._id) === String(order._id))) {
+      rejected.push({ order: order.orderId, reason: 'manifested or changed meanwhile' });
+    }
+  }
+  if (!stamped.length) throw new ManifestError('None of the orders can be manifested', 409, rejected);
+
+  const entries = stamped.map(manifestEntry)
+    .sort((a, b) => a.courier.localeCompare(b.courier) || a.orderId.localeCompare(b.orderId));
+
+  let manifest;
+  try {
+    manifest = await Manifest.create({
+      manifestId,
+      orders: entries,
+      couriers: summarizeByCourier(entries),
+      totals: {
+        orders: entries.length,
+        codAmount: round2(entries.reduce((sum, e) => sum + e.codAmount, 0)),
+        weight: entries.reduce((sum, e) => sum + e.weight, 0)
+      },
+      createdBy: actor.user
+    });
+  } catch (err) {
+    // Hand the orders back so they can go on another manifest
+    await Order.updateMany(
+      { 'shipping.manifestId': manifestId },
+      { $unset: { 'shipping.manifestId': '', 'shipping.manifestedAt': '' } }
+    );
+    throw err;
+  }
+
+  for (const order of stamped) {
+    order.logChange({ actor, note: `Manifested (${manifestId})` });
+    await order.save().catch(e => console.warn('[manifest] history save warning:', e?.message || e));
+  }
+
+  return { manifest, rejected };
+}
+
+async function manifestOrders(manifest) {
+  const orders = await Order.find({ _id: { $in: manifest.orders.map(e => e.order) } });
+  const byId = new Map(orders.map(o => [String(o._id), o]));
+  // Keep the manifest's (courier-grouped) order
+  return manifest.orders.map(e => byId.get(String(e.order))).filter(Boolean);
+}
+
+export async function renderManifestPdf(manifest) {
+  const groups = manifest.couriers.map(summary => ({
+    ...summary.toObject?.() ?? summary,
+    orders: manifest.orders.filter(e => e.courier === summary.courier)
+  }));
+
+  return renderViewToPdf('manifest', {
+    company: COMPANY,
+    manifest,
+    groups,
+    generatedAt: new Date().toLocaleString('en-IN')
+  }, { landscape: true, margin: { top: '12mm', bottom: '12mm', left: '10mm', right: '10mm' } });
+}
+
+export async function renderPickListPdf(manifest) {
+  const orders = await manifestOrders(manifest);
+
+  // Shelf pull: one row per product/variant across the whole batch
+  const lines = new Map();
+  for (const order of orders) {
+    for (const item of order.shippableItems()) {
+      const key = `${item.product}:${item.variantId || item.variant || item.size || ''}`;
+      const row = lines.get(key) || { name: item.name, variant: item.variant || item.size || '', quantity: 0, orders: 0 };
+      row.quantity += item.quantity;
+      row.orders += 1;
+      lines.set(key, row);
+    }
+  }
+
+  const entryFor = new Map(manifest.orders.map(e => [String(e.order), e]));
+  const slips = orders.map(order => ({
+    orderId: order.orderId,
+    awbNumber: order.shipping?.awb_number,
+    courier: entryFor.get(String(order._id))?.courier || '',
+    paymentMethod: order.paymentMethod,
+    codAmount: entryFor.get(String(order._id))?.codAmount || 0,
+    carton: order.shipping?.parcel?.carton || '',
+    items: order.shippableItems().map(it => ({ name: it.name, variant: it.variant || it.size || '', quantity: it.quantity }))
+  }));
+
+  return renderViewToPdf('picklist', {
+    company: COMPANY,
+    manifest,
+    lines: [...lines.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    slips,
+    generatedAt: new Date().toLocaleString('en-IN')
+  });
+}
+
+/**
+ * Labels for every order on a manifest; records which ones the courier had none for.
+ */
+export async function renderManifestLabels(manifest) {
+  const orders = await manifestOrders(manifest);
+  const { pdf, missing } = await buildLabelsPdf(orders);
+
+  if (String(missing) !== String(manifest.labelsMissing || [])) {
+    manifest.labelsMissing = missing;
+    await manifest.save();
+  }
+  return { pdf, missing };
+}
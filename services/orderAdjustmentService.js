@@ -0,0 +1,354 @@
+// services/orderAdjustmentService.js
+
+import Order, { isGiftCardLine } from '../models/Order.js';
+import Product from '../models/Product.js';
+import { repriceOrderLines } from './pricingService.js';
+import { allocateStock, restoreStock } from './stockReservationService.js';
+import { syncOrderToShipping } from './orderService.js';
+import { processRefund, recordPendingRefund, refundedAmount, refundableBalance } from './refundService.js';
+
+/**
+ * Changes to an order's lines before it ships.
+ * Stock, totals (via the invoice calculator), the shipping partner's copy and
+ * any money owed back are all brought in line with the new basket.
+ */
+
+export const ADJUSTABLE_STATUSES = ['pending', 'processing'];
+
+export class OrderAdjustmentError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OrderAdjustmentError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+export function assertAdjustable(order) {
+  if (!ADJUSTABLE_STATUSES.includes(order.status)) {
+    throw new OrderAdjustmentError(`Order is ${order.status}; it can no longer be changed`, 409);
+  }
+  if (order.shipping?.status === 'pickup_scheduled') {
+    throw new OrderAdjustmentError('Pickup is already scheduled for this order', 409);
+  }
+}
+
+/**
+ * Apply a fresh price breakdown to the order. Returns the previous total.
+ */
+export function applyTotals(order, totals) {
+  const previousTotal = Number(order.totalPrice || 0);
+  order.itemsPrice = totals.itemsPrice;
+  order.discountAmount = totals.discountAmount;
+  order.shippingPrice = totals.shippingFee;
+  order.codFee = totals.codFee;
+  order.taxPrice = totals.tax;
+  order.totalPrice = totals.total;
+  order.invoice = { ...(order.invoice?.toObject?.() || order.invoice || {}), breakdown: totals.invoice };
+  return previousTotal;
+}
+
+// What a change owes back. Prepaid: the drop in total, never more than was still
+// refundable before. COD: only wallet / gift card payments now above the new total.
+function differenceOwed(order, previousTotal) {
+  const refunded = refundedAmount(order, { includeAdjustments: false });
+  if (order.paymentMethod === 'cod') {
+    const overpaid = order.prepaidCredit() - Number(order.totalPrice || 0) - refunded;
+    return round2(Math.min(overpaid, refundableBalance(order)));
+  }
+  if (!order.isPaid) return 0;
+  return round2(Math.min(previousTotal - Number(order.totalPrice || 0), previousTotal - refunded));
+}
+
+/**
+ * Orders whose total dropped get the difference back through the refunds API: prepaid
+ * orders to the payment, part-prepaid COD orders to the wallet / gift cards.
+ * Returns the refund record, or null when nothing is owed.
+ */
+export async function refundDifference(order, previousTotal, { reason, source = 'line_cancellation', actor = {} } = {}) {
+  if (differenceOwed(order, previousTotal) <= 0) return null;
+
+  // Re-evaluated if another refund lands first
+  const { order: saved, refund } = await recordPendingRefund(order, (current) => {
+    const amount = differenceOwed(current, previousTotal);
+    return amount > 0 ? { amount, reason, source, createdBy: actor.user } : null;
+  });
+  if (!refund) return null;
+
+  try {
+    const result = await processRefund(saved, refund.refundId);
+    return result.refund;
+  } catch (err) {
+    // Left pending; an admin can send it from the refunds endpoint
+    console.error(`❌ Refund for order ${order.orderId} adjustment not sent:`, err?.message || err);
+    return refund;
+  }
+}
+
+/**
+ * Cancel some units of some lines.
+ * lines: [{ orderItemId, quantity }] (quantity omitted → whole line)
+ */
+export async function cancelOrderLines(order, { lines = [], reason = '', actor = {} } = {}) {
+  assertAdjustable(order);
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new OrderAdjustmentError('At least one line is required');
+  }
+
+  const cancelled = [];
+  for (const line of lines) {
+    const item = order.orderItems.id(line.orderItemId);
+    if (!item) throw new OrderAdjustmentError(`Order item not found: ${line.orderItemId}`, 404);
+    if (isGiftCardLine(item)) {
+      throw new OrderAdjustmentError(`${item.name} is a gift card; cancel the order or void the card instead`, 409);
+    }
+
+    const quantity = line.quantity === undefined ? item.quantity : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+      throw new OrderAdjustmentError(`Invalid quantity for ${item.name}. Ordered: ${item.quantity}`);
+    }
+    cancelled.push({ item, quantity });
+  }
+
+  const remaining = order.orderItems.reduce((sum, it) => sum + it.quantity, 0)
+    - cancelled.reduce((sum, c) => sum + c.quantity, 0);
+  if (remaining <= 0) {
+    throw new OrderAdjustmentError('Cancelling every line cancels the order; use the order cancel endpoint', 409);
+  }
+
+  // cancelledItems is append-only, so this cancellation's entries keep their positions
+  const firstEntry = order.cancelledItems.length;
+  for (const { item, quantity } of cancelled) {
+    order.cancelledItems.push({
+      orderItem: item._id,
+      product: item.product,
+      name: item.name,
+      price: item.price,
+      quantity,
+      variantId: item.variantId,
+      variant: item.variant || item.size,
+      reason,
+      cancelledBy: actor.user
+    });
+
+    if (quantity === item.quantity) item.deleteOne();
+    else item.quantity -= quantity;
+  }
+
+  const previousTotal = applyTotals(order, await repriceOrderLines(order));
+
+  order.logChange({
+    actor,
+    note: `Cancelled ${cancelled.map(c => `${c.quantity} × ${c.item.name}`).join(', ')}${reason ? ` (${reason})` : ''}`
+  });
+
+  await order.save();
+
+  await restoreStock(cancelled.map(({ item, quantity }) => ({
+    product: item.product,
+    variantId: item.variantId,
+    variant: item.variant || item.size,
+    quantity
+  })));
+
+  await syncOrderToShipping(order);
+
+  const refund = await refundDifference(order, previousTotal, {
+    reason: 'Items cancelled',
+    source: 'line_cancellation',
+    actor
+  });
+
+  // The refund flow saves its own copy of the order, so the link is set in place (no
+  // version to conflict with) and the stored order is returned
+  let latest = order;
+  if (refund) {
+    const link = {};
+    for (let i = firstEntry; i < firstEntry + cancelled.length; i++) {
+      link[`cancelledItems.${i}.refundId`] = refund.refundId;
+    }
+    await Order.updateOne({ _id: order._id }, { $set: link });
+    latest = await Order.findById(order._id);
+  }
+
+  return { order: latest, refund, previousTotal };
+}
+
+// --- admin edits -------------------------------------------------------------
+
+const ADDRESS_FIELDS = ['fullName', 'email', 'phone', 'address', 'city', 'state', 'postalCode', 'country'];
+
+const stockKey = (line) => `${line.product}:${line.variantId || line.variant || line.size}`;
+
+function stockLines(items) {
+  const map = new Map();
+  for (const it of items) {
+    const key = stockKey(it);
+    const entry = map.get(key) || {
+      product: it.product,
+      variantId: it.variantId,
+      variant: it.variant || it.size,
+      quantity: 0
+    };
+    entry.quantity += it.quantity;
+    map.set(key, entry);
+  }
+  return map;
+}
+
+// Units to take from / give back to stock when moving from `before` to `after`
+function stockDelta(before, after) {
+  const increase = [];
+  const decrease = [];
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const was = before.get(key)?.quantity || 0;
+    const now = after.get(key)?.quantity || 0;
+    const line = after.get(key) || before.get(key);
+    if (now > was) increase.push({ ...line, quantity: now - was });
+    if (now < was) decrease.push({ ...line, quantity: was - now });
+  }
+  return { increase, decrease };
+}
+
+// Older lines only carry the size label; stock moves need the variant id
+async function backfillVariantIds(order) {
+  for (const item of order.orderItems) {
+    if (item.variantId) continue;
+    const product = await Product.findById(item.product).select('variants');
+    const variant = product?.variants?.find(v => v.size === (item.variant || item.size));
+    if (variant) item.variantId = String(variant._id);
+  }
+}
+
+function applyAddressChanges(order, shippingAddress, changes) {
+  for (const field of ADDRESS_FIELDS) {
+    if (shippingAddress[field] === undefined) continue;
+
+    const next = String(shippingAddress[field] ?? '').trim();
+    const prev = order.shippingAddress?.[field] ?? '';
+    if (next === prev) continue;
+
+    if (!next) throw new OrderAdjustmentError(`shippingAddress.${field} cannot be empty`);
+    if (field === 'postalCode' && !/^\d{6}$/.test(next)) {
+      throw new OrderAdjustmentError('postalCode must be a 6-digit pincode');
+    }
+
+    order.shippingAddress[field] = next;
+    changes.push({ field: `shippingAddress.${field}`, from: prev, to: next });
+  }
+}
+
+async function applyLineChanges(order, items, changes) {
+  for (const edit of items) {
+    const item = order.orderItems.id(edit.orderItemId);
+    if (!item) throw new OrderAdjustmentError(`Order item not found: ${edit.orderItemId}`, 404);
+    if (isGiftCardLine(item)) throw new OrderAdjustmentError(`${item.name} is a gift card and cannot be edited`, 409);
+    const path = `orderItems.${item._id}`;
+
+    if (edit.variantId && String(edit.variantId) !== String(item.variantId)) {
+      const product = await Product.findById(item.product);
+      const variant = product?.variants?.id(edit.variantId);
+      if (!variant) throw new OrderAdjustmentError(`Variant not found for ${item.name}`);
+
+      changes.push({ field: `${path}.variant`, from: item.variant || item.size, to: variant.size });
+      if (Number(variant.price) !== Number(item.price)) {
+        changes.push({ field: `${path}.price`, from: item.price, to: Number(variant.price) });
+      }
+
+      // A swapped line is charged at the new variant's current price
+      item.variantId = String(variant._id);
+      item.variant = variant.size;
+      item.size = variant.size;
+      item.price = Number(variant.price);
+      item.name = variant.size ? `${product.name} - ${variant.size}` : product.name;
+    }
+
+    if (edit.quantity !== undefined) {
+      const quantity = Number(edit.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new OrderAdjustmentError(`Invalid quantity for ${item.name} (use cancel-items to remove a line)`);
+      }
+      if (quantity !== item.quantity) {
+        changes.push({ field: `${path}.quantity`, from: item.quantity, to: quantity });
+        item.quantity = quantity;
+      }
+    }
+  }
+}
+
+/**
+ * Admin edit of a not-yet-shipped order: address, quantities, variants.
+ * Extra units are taken from stock before anything is saved (StockError when
+ * short); units no longer needed go back. Totals are re-priced, the courier's
+ * order is re-synced and the diff lands in statusHistory.
+ *
+ * A prepaid order whose total goes up is refused unless acceptBalanceDue is
+ * set (the difference is then collected outside this flow); a lower total is
+ * refunded.
+ */
+export async function editOrder(order, { shippingAddress, items = [], note = '', acceptBalanceDue = false, actor = {} } = {}) {
+  assertAdjustable(order);
+
+  await backfillVariantIds(order);
+  const before = stockLines(order.orderItems);
+  const changes = [];
+
+  if (shippingAddress && typeof shippingAddress === 'object') {
+    applyAddressChanges(order, shippingAddress, changes);
+  }
+  if (Array.isArray(items) && items.length) {
+    await applyLineChanges(order, items, changes);
+  }
+
+  if (!changes.length) throw new OrderAdjustmentError('Nothing to change');
+
+  const { increase, decrease } = stockDelta(before, stockLines(order.orderItems));
+  const totals = await repriceOrderLines(order);
+
+  const prepaid = order.isPaid && order.paymentMethod !== 'cod';
+  const balanceDue = prepaid ? round2(Math.max(0, totals.total - Number(order.totalPrice || 0))) : 0;
+  if (balanceDue > 0 && !acceptBalanceDue) {
+    throw new OrderAdjustmentError(
+      `This edit raises a prepaid order by ₹${balanceDue}. Set acceptBalanceDue to collect it separately.`,
+      409
+    );
+  }
+
+  // Hold the extra units first; throws StockError and nothing is changed
+  if (increase.length) {
+    await allocateStock({ reference: `${order.orderId}-edit-${Date.now()}`, referenceType: 'order', items: increase });
+  }
+
+  const previousTotal = applyTotals(order, totals);
+  if (previousTotal !== order.totalPrice) {
+    changes.push({ field: 'totalPrice', from: previousTotal, to: order.totalPrice });
+  }
+
+  order.logChange({
+    actor,
+    note: [note || 'Order edited', balanceDue > 0 ? `balance due ₹${balanceDue}` : ''].filter(Boolean).join('; '),
+    changes
+  });
+
+  try {
+    await order.save();
+  } catch (err) {
+    if (increase.length) await restoreStock(increase).catch(() => {});
+    throw err;
+  }
+
+  if (decrease.length) await restoreStock(decrease);
+
+  await syncOrderToShipping(order);
+
+  const refund = await refundDifference(order, previousTotal, {
+    reason: 'Order edited',
+    source: 'order_edit',
+    actor
+  });
+
+  const latest = refund ? await Order.findById(order._id) : order;
+  return { order: latest, refund, changes, balanceDue };
+}
@@ -0,0 +1,210 @@
+// services/orderLifecycle.js
+
+import { getCarrier } from "./shipping.js";
+import { pushOrderToShipping } from "./fulfillmentOutbox.js";
+import { restoreStock } from "./stockReservationService.js";
+import { addPendingRefund, refundableBalance, processWalletRefunds } from "./refundService.js";
+import { recordCodCollection } from "./ledgerService.js";
+import { issueOrderGiftCards, voidOrderGiftCards } from "./giftCardService.js";
+import mongoose from "mongoose";
+import Order, { isGiftCardLine, OrderTransitionError } from "../models/Order.js";
+import { sendEmail, shippedEmailTemplate, orderStatusEmailTemplate } from "../utils/email.js";
+
+/**
+ * Order status changes go through transitionOrder():
+ *   1. Order#transitionTo() validates against ORDER_TRANSITIONS and appends statusHistory
+ *   2. `before` hooks mutate the order (saved together with the new status)
+ *   3. the save is conditional on the old status, so of two concurrent moves only one lands
+ *   4. `after` hooks run side effects once saved; their failures are logged, never rolled back
+ */
+
+// --- hooks -----------------------------------------------------------------
+
+async function pushIfNotPushed(order) {
+  if (order.shipping?.status === 'pushed' || order.shipping?.awb_number) return;
+  await pushOrderToShipping(order);
+}
+
+/**
+ * Issue and email the gift cards a paid order bought. An order of nothing but gift cards
+ * has nothing to ship, so it is delivered once every card has gone out. Also called when
+ * an order is created paid (services/orderService.js) and after an admin resend.
+ */
+export async function fulfilGiftCards(order) {
+  if (!order.isPaid || !(order.orderItems || []).some(isGiftCardLine)) return;
+
+  const cards = await issueOrderGiftCards(order);
+  if (order.status !== 'processing' || order.shippableItems().length) return;
+  if (!cards.length || !cards.every(card => card.emailedAt)) return;
+
+  await transitionOrder(order, 'shipped', { note: 'Gift cards emailed', runHooks: false });
+  await transitionOrder(order, 'delivered', { note: 'Gift cards emailed' });
+}
+
+async function attachTrackingAndNotify(order) {
+  if (order.shipping?.order_id) {
+    const shipment = await getCarrier(order.shipping.carrier).getShipment({
+      orderId: order.shipping.order_id,
+      referenceId: order.shipping.reference_id
+    });
+    order.trackingNumber = shipment.awbNumber || order.shipping.awb_number || '';
+    order.courierPartner = shipment.courier || order.shipping.courier || '';
+    order.shippingDetails = shipment;
+    await order.save();
+  }
+
+  if (order.shippingAddress?.email) {
+    await sendEmail({
+      email: order.shippingAddress.email,
+      subject: "🎉 Your Order Has Been Shipped 🚚",
+      html: shippedEmailTemplate({
+        orderId: order.orderId,
+        courierPartner: order.courierPartner,
+        trackingNumber: order.trackingNumber,
+      }),
+    });
+  }
+}
+
+function markDelivered(order) {
+  order.isDelivered = true;
+  order.deliveredAt = Date.now();
+}
+
+// The courier took the cash at the door
+async function recordCodCollected(order, { actor }) {
+  if (order.paymentMethod !== 'cod') return;
+  await recordCodCollection(order, { actor });
+}
+
+async function notifyDelivered(order) {
+  if (!order.shippingAddress?.email) return;
+  await sendEmail({
+    email: order.shippingAddress.email,
+    subject: "Your Order Has Been Delivered",
+    html: orderStatusEmailTemplate({
+      orderId: order.orderId,
+      heading: "Delivered 🎉",
+      message: "Your order has been delivered. We hope you enjoy it!"
+    }),
+  });
+}
+
+async function cancelWithCourier(order) {
+  if (!order.shipping?.reference_id || !order.shipping?.awb_number) return;
+  await getCarrier(order.shipping.carrier).cancelShipment({
+    orderId: order.orderId,
+    referenceId: order.shipping.reference_id,
+    awbNumber: order.shipping.awb_number
+  });
+  order.shipping.status = "cancelled";
+  await order.save();
+}
+
+async function restoreOrderStock(order) {
+  // Paid without stock: nothing was taken, so nothing goes back
+  if (order.awaitingStock) return;
+  await restoreStock(order.orderItems);
+}
+
+// The courier brought the parcel back undelivered (RTO), so all of it goes back on the
+// shelf. Customer returns restock line by line on inspection (services/returnService.js).
+async function restockReturnToOrigin(order, { from }) {
+  if (from !== 'shipped') return;
+  await restoreOrderStock(order);
+}
+
+// Prepaid money goes back via the refunds API; queue it for the admin.
+// COD orders only have their wallet / gift card part to give back.
+function queueCancellationRefund(order, { actor }) {
+  const prepaid = order.isPaid && order.paymentMethod !== 'cod';
+  if (!prepaid && !(order.prepaidCredit() > 0)) return;
+  const balance = refundableBalance(order);
+  if (balance <= 0) return;
+  addPendingRefund(order, { amount: balance, reason: 'Order cancelled', source: 'cancellation', createdBy: actor?.user });
+}
+
+// Cards the order bought are worth nothing once it is refunded
+async function voidGiftCards(order, { actor }) {
+  await voidOrderGiftCards(order, { actor });
+}
+
+// Store credit and gift card balances need no gateway or admin step
+async function returnStoreCredit(order) {
+  await processWalletRefunds(order);
+}
+
+async function notifyCancelled(order) {
+  if (!order.shippingAddress?.email) return;
+  await sendEmail({
+    email: order.shippingAddress.email,
+    subject: "Your Order Has Been Cancelled",
+    html: orderStatusEmailTemplate({
+      orderId: order.orderId,
+      heading: "Order Cancelled",
+      message: "Your order has been cancelled. If you paid online, any refund will be processed to your original payment method."
+    }),
+  });
+}
+
+export const TRANSITION_HOOKS = {
+  processing: { before: [], after: [pushIfNotPushed, fulfilGiftCards] },
+  shipped: { before: [], after: [attachTrackingAndNotify] },
+  delivered: { before: [markDelivered], after: [recordCodCollected, notifyDelivered] },
+  cancelled: { before: [queueCancellationRefund], after: [cancelWithCourier, restoreOrderStock, voidGiftCards, returnStoreCredit, notifyCancelled] },
+  returned: { before: [], after: [restockReturnToOrigin] }
+};
+
+// --- entry point -----------------------------------------------------------
+
+/**
+ * Validate, apply and persist a status change, then run its side effects.
+ * Throws OrderTransitionError (statusCode 409) on an illegal move, including one that
+ * lost a race with another change to the same order.
+ *
+ * @param {Document} order   Order document
+ * @param {string}   next    target status
+ * @param {object}   opts    { actor: { kind, user, name }, note, runHooks }
+ */
+export async function transitionOrder(order, next, { actor = {}, note = '', runHooks = true } = {}) {
+  const from = order.transitionTo(next, { actor, note });
+  const hooks = TRANSITION_HOOKS[next] || { before: [], after: [] };
+
+  for (const hook of hooks.before) hook(order, { from, actor });
+
+  const where = order.$where;
+  order.$where = { ...where, status: from };
+  try {
+    await order.save();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.DocumentNotFoundError)) throw err;
+    const current = await Order.findById(order._id).select('status');
+    throw new OrderTransitionError(current?.status ?? from, next);
+  } finally {
+    order.$where = where;
+  }
+
+  if (runHooks) {
+    for (const hook of hooks.after) {
+      try {
+        await hook(order, { from, actor });
+      } catch (err) {
+        console.error(`❌ Order ${order.orderId} ${from}→${next} hook ${hook.name} failed:`, err?.message || err);
+      }
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Actor descriptor from an authenticated request.
+ */
+export function actorFromRequest(req) {
+  if (!req.user) return { kind: 'customer', name: 'guest' };
+  return {
+    kind: req.user.role === 'admin' ? 'admin' : 'customer',
+    user: req.user._id,
+    name: req.user.name || req.user.email || ''
+  };
+}
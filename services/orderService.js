@@ -3,229 +3,185 @@
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
 import { customAlphabet } from 'nanoid';
-import { ShippingAPI } from "../services/shipping.js";
+import { getCarrier, buildShipment } from "./shipping.js";
+import { pushOrderToShipping } from "./fulfillmentOutbox.js";
 import { sendOrderConfirmation } from '../utils/email.js';
+import { shippingFeeFor, giftCardRecipient, recordCouponUsage } from './pricingService.js';
+import PaymentIntent from '../models/PaymentIntent.js';
+import { commitReservation, allocateStock } from './stockReservationService.js';
+import { settleIntentWallet } from './walletService.js';
+import { settleIntentGiftCards } from './giftCardService.js';
+import { fulfilGiftCards } from './orderLifecycle.js';
+import { computeParcel } from './parcelService.js';
 
 const nanoidShort = customAlphabet('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz', 8);
-function makePublicOrderId() { return `PHNPE_${nanoidShort()}`; }
+// Public order ids carry the gateway that took the payment
+const ORDER_ID_PREFIXES = { phonepe: 'PHNPE', razorpay: 'RZP', stripe: 'STRP', wallet: 'WLT', gift_card: 'GC' };
+function makePublicOrderId(provider) { return `${ORDER_ID_PREFIXES[provider] || 'ORD'}_${nanoidShort()}`; }
 
 /**
- * Create or reuse an order from an "intent" object.
- * - Used by PhonePe check-status
- * - Idempotent by merchantOrderId / intentId
- * - Also responsible for stock reduction (one-time via intent.stockAdjusted)
+ * Send an order's changed lines/address to the shipping partner. Orders not yet
+ * pushed are pushed; pushed ones are updated in place. Never throws: on failure
+ * shipping.needsSync stays set so it can be retried.
  */
-export async function createOrderFromIntent({ merchantOrderId, intent, paymentMeta = {}, options = {} }) {
-  if (!intent) throw new Error('intent required');
-
-  const { pushToShipping = true, sendEmail = true } = options;
-
-  // Helper: normalize/ensure shippingAddress has required fields
-  function buildShippingAddress(intent) {
-    const s = intent.shippingAddress || {};
-    const c = intent.customerInfo || {};
-
-    const fullName = s.fullName || c.fullName || `${(c.firstName||'').trim()} ${(c.lastName||'').trim()}`.trim();
-    const email = s.email || c.email || (c.emailAddress || '');
-    const address = s.address || c.address || c.street || '';
-    const city = s.city || c.city || '';
-    const state = s.state || c.state || '';
-    const postalCode = s.postalCode || s.postal || c.pincode || c.postalCode || '';
-    const phone = s.phone || c.phone || c.mobileNumber || c.mobile || '';
-    const country = s.country || c.country || 'India';
+export async function syncOrderToShipping(order) {
+  if (!order.shipping?.reference_id) {
+    return pushOrderToShipping(order);
+  }
 
-    return {
-      fullName: fullName || 'Customer',
-      email: email || '',
-      address: address || '',
-      addressLine2: s.addressLine2 || '',
-      city: city || '',
-      state: state || '',
-      postalCode: postalCode || '',
-      phone: phone || '',
-      country
-    };
+  try {
+    const parcel = await computeParcel(order.shippableItems());
+    await getCarrier(order.shipping.carrier).updateShipment(
+      order.shipping.reference_id,
+      buildShipment(order, parcel)
+    );
+    order.shipping.parcel = parcel;
+    order.shipping.needsSync = false;
+    order.shipping.error = undefined;
+    await order.save().catch(e =>
+      console.warn('[orderService] save after shipping update warning:', e)
+    );
+    return true;
+  } catch (err) {
+    console.error('[orderService] Shipping API update failed:', err?.message || err);
+    order.shipping.needsSync = true;
+    order.shipping.error = (err?.message || String(err)).slice(0, 2000);
+    await order.save().catch(e =>
+      console.warn('[orderService] save after shipping update error warning:', e)
+    );
+    return false;
   }
+}
 
-  const safeShipping = buildShippingAddress(intent);
+/**
+ * Keep the stock held at checkout for a paid intent. If the hold is gone
+ * (intent predates reservations, or it expired before the payment landed)
+ * allocate the stock now; a paid order is never refused for stock. When that
+ * fails too (sold out meanwhile) the intent is flagged for reconciliation,
+ * stockAdjusted stays false and the order is marked awaitingStock, which keeps
+ * it away from the courier until an admin restocks (allocateOrderStock) or cancels.
+ * Returns whether the stock was taken.
+ */
+export async function settleIntentStock(intent, orderItems, order) {
+  let settled = false;
+  try {
+    const reservation = await commitReservation(intent.intentId);
+    if (reservation?.status !== 'committed') {
+      await allocateStock({ reference: intent.intentId, referenceType: 'intent', items: orderItems });
+    }
+    intent.stockAdjusted = true;
+    settled = true;
+  } catch (err) {
+    console.error('[orderService] stock settle failed for intent', intent.intentId, err?.message || err);
+    intent.reconciliationRequired = true;
+    intent.reconciliationNote = `order ${order?.orderId || ''} paid without stock: ${err?.message || err}`;
+  }
 
-  const shouldAdjustStock = !intent.stockAdjusted; // 👈 one-time guard
+  await intent.save().catch(e =>
+    console.warn('[orderService] intent save after stock settle warning:', e)
+  );
 
-  // ----------------------------------
-  // 1) Idempotency: reuse existing order
-  // ----------------------------------
-  if (merchantOrderId) {
-    const existing = await Order.findOne({
-      $or: [
-        { merchantOrderId },
-        { intentId: intent.intentId }
-      ]
-    });
+  if (!settled && order && !order.awaitingStock) {
+    order.awaitingStock = true;
+    order.logChange({ note: 'Paid without stock; held back from the courier until stock is allocated' });
+    await order.save().catch(e =>
+      console.warn('[orderService] order save after stock settle warning:', e)
+    );
+  }
+  return settled;
+}
 
-    if (existing) {
-      // Update payment + totals safely
-      existing.isPaid = true;
-      existing.paidAt = existing.paidAt || new Date();
-      existing.status = 'processing';
-      existing.paymentProvider = paymentMeta.provider || existing.paymentProvider || 'phonepe';
-      existing.paymentId = existing.paymentId || paymentMeta.paymentId || null;
-      existing.gatewayOrderId = existing.gatewayOrderId || paymentMeta.gatewayOrderId || null;
-
-      // Prefer totals from intent if present
-      if (intent.totals) {
-        existing.itemsPrice = Number(intent.totals.subtotal ?? existing.itemsPrice ?? 0);
-        existing.taxPrice = Number(intent.totals.tax ?? existing.taxPrice ?? 0);
-        existing.shippingPrice = Number(intent.totals.shippingFee ?? existing.shippingPrice ?? 0);
-        existing.discountAmount = Number(intent.totals.discountAmount ?? existing.discountAmount ?? 0);
-        existing.totalPrice = Number(intent.totals.total ?? existing.totalPrice ?? 0);
-      }
+/**
+ * Take the stock for a paid order flagged awaitingStock (after a restock), then
+ * release it to the courier. Throws StockError (409) while it is still short.
+ */
+export async function allocateOrderStock(order, { actor = {} } = {}) {
+  if (!order.awaitingStock) return order;
 
-      // ensure public orderId format
-      if (!/^PHNPE_/.test(existing.orderId || '')) {
-        existing.orderId = makePublicOrderId();
-      }
+  const reference = order.intentId || order.orderId;
+  await allocateStock({ reference, referenceType: order.intentId ? 'intent' : 'order', items: order.orderItems });
 
-      await existing.save().catch(e =>
-        console.warn('[orderService] update existing order save warning:', e)
-      );
+  order.awaitingStock = false;
+  order.logChange({ actor, note: 'Stock allocated' });
+  await order.save();
+  if (order.intentId) {
+    await PaymentIntent.updateOne({ intentId: order.intentId }, { $set: { stockAdjusted: true } });
+  }
 
-      // Optional safety: if somehow stock wasn't adjusted earlier for this intent, do it once now
-      if (shouldAdjustStock) {
-        try {
-          // Reuse logic similar to /orders route
-          const bulkOps = [];
-
-          for (const item of existing.orderItems || []) {
-            const product = await Product.findById(item.product);
-            if (!product) continue;
-
-            const targetVariant = product.variants.find(
-              v => v.size === item.variant || v._id?.toString() === item.variantId
-            );
-
-            if (targetVariant && typeof targetVariant.stock === 'number') {
-              bulkOps.push({
-                updateOne: {
-                  filter: { _id: product._id, 'variants._id': targetVariant._id },
-                  update: { $inc: { 'variants.$.stock': -Number(item.quantity || 0) } }
-                }
-              });
-            }
-          }
-
-          if (bulkOps.length) {
-            await Product.bulkWrite(bulkOps);
-
-            // sync parent stock / isActive
-            for (const item of existing.orderItems || []) {
-              const product = await Product.findById(item.product);
-              if (!product) continue;
-
-              const totalStock = Array.isArray(product.variants)
-                ? product.variants.reduce((sum, v) => sum + (v.stock || 0), 0)
-                : (product.stock || 0);
-
-              if (totalStock === 0 && product.isActive) {
-                product.isActive = false;
-                await product.save().catch(e =>
-                  console.warn('[orderService] product save warning (existing):', e)
-                );
-              }
-            }
-          }
-
-          intent.stockAdjusted = true;
-          await intent.save().catch(e =>
-            console.warn('[orderService] intent save after stockAdjusted (existing) warning:', e)
-          );
-        } catch (err) {
-          console.warn('[orderService] stock adjust safety (existing) warning:', err);
-        }
-      }
+  if (order.status === 'processing') await pushOrderToShipping(order);
+  return order;
+}
 
-      // Shipping push + email remain same
-      if (pushToShipping && (!existing.shipping || existing.shipping.status !== 'pushed')) {
-        try {
-          const pushResp = await ShippingAPI.pushOrder({
-            order_id: existing.orderId,
-            order_date: new Date(existing.createdAt).toISOString().split('T')[0],
-            order_type: "NON ESSENTIALS",
-            consignee_name: existing.shippingAddress?.fullName || '',
-            consignee_phone: existing.shippingAddress?.phone || '',
-            consignee_email: existing.shippingAddress?.email || '',
-            consignee_address_line_one: existing.shippingAddress?.address || '',
-            consignee_address_line_two: existing.shippingAddress?.addressLine2 || '',
-            consignee_city: existing.shippingAddress?.city || '',
-            consignee_state: existing.shippingAddress?.state || '',
-            consignee_pin_code: existing.shippingAddress?.postalCode || '',
-            product_detail: existing.orderItems.map((item) => ({
-              name: item.name,
-              sku_number: item.product ? item.product.toString() : '',
-              quantity: item.quantity,
-              unit_price: item.price,
-              discount: 0,
-              hsn: "",
-              product_category: "Other",
-            })),
-            payment_type: existing.paymentMethod === "cod" ? "COD" : "PREPAID",
-            cod_amount: existing.paymentMethod === "cod" ? String(existing.totalPrice) : "",
-            weight: 500,
-            length: 10, width: 10, height: 5,
-            warehouse_id: process.env.SHIPPING_WAREHOUSE_ID || ""
-          });
-
-          existing.shipping = {
-            order_id: pushResp.data.order_id,
-            reference_id: pushResp.data.reference_id,
-            awb_number: pushResp.data.awb_number || null,
-            status: "pushed"
-          };
-          await existing.save().catch(e =>
-            console.warn('[orderService] save after shipping push warning (existing):', e)
-          );
-        } catch (err) {
-          console.error('[orderService] Shipping API push failed for existing order:', err?.message || err);
-          existing.shipping = existing.shipping || {};
-          existing.shipping.status = 'push_failed';
-          existing.shipping.error = (err?.message || String(err)).slice(0, 2000);
-          await existing.save().catch(e =>
-            console.warn('[orderService] save after shipping error warning (existing):', e)
-          );
-        }
-      }
+// Count the order against its coupon. The payment stands if the code was used up
+// since checkout; the intent is flagged for the team instead.
+async function settleIntentCoupon(intent, order) {
+  if (!order.couponCode) return;
+  let note;
+  try {
+    if (await recordCouponUsage(order)) return;
+    note = `order ${order.orderId} used coupon ${order.couponCode} past its usage limit`;
+  } catch (err) {
+    console.error('[orderService] coupon usage not recorded for order', order.orderId, err?.message || err);
+    note = `order ${order.orderId}: coupon ${order.couponCode} usage not recorded: ${err?.message || err}`;
+  }
+  if (String(intent.reconciliationNote || '').includes(note)) return;
+  intent.reconciliationRequired = true;
+  intent.reconciliationNote = [intent.reconciliationNote, note].filter(Boolean).join('; ');
+  await intent.save().catch(e =>
+    console.warn('[orderService] intent save after coupon settle warning:', e)
+  );
+}
 
-      if (sendEmail && !existing.emailSent) {
-        try {
-          await sendOrderConfirmation(existing, {
-            name: existing.shippingAddress?.fullName || '',
-            email: existing.shippingAddress?.email || ''
-          });
-          existing.emailSent = true;
-          await existing.save().catch(e =>
-            console.warn('[orderService] save after email flag warning (existing):', e)
-          );
-        } catch (err) {
-          console.error('[orderService] sendOrderConfirmation failed for existing order:', err?.message || err);
-          existing.emailSent = existing.emailSent || false;
-          existing.emailError = (err?.message || String(err)).slice(0, 2000);
-          await existing.save().catch(e =>
-            console.warn('[orderService] save after email error warning (existing):', e)
-          );
-        }
-      }
+// Rupees paid from the wallet for this intent (keeps the hold; see services/walletService.js)
+async function intentWalletAmount(intent) {
+  if (!intent.wallet?.amountPaise) return 0;
+  try {
+    return (await settleIntentWallet(intent)) / 100;
+  } catch (err) {
+    console.warn('[orderService] wallet settle warning for intent', intent.intentId, err?.message || err);
+    return intent.wallet.amountPaise / 100;
+  }
+}
 
-      return existing;
-    }
+// Gift card part of this intent: { giftCardAmount (₹), giftCards } for the order
+async function intentGiftCards(intent) {
+  if (!intent.giftCards?.length) return { giftCardAmount: 0, giftCards: [] };
+  let settled;
+  try {
+    settled = await settleIntentGiftCards(intent);
+  } catch (err) {
+    console.warn('[orderService] gift card settle warning for intent', intent.intentId, err?.message || err);
+    settled = {
+      amountPaise: intent.giftCards.reduce((sum, g) => sum + (g.amountPaise || 0), 0),
+      cards: intent.giftCards
+    };
   }
+  return {
+    giftCardAmount: settled.amountPaise / 100,
+    giftCards: settled.cards.map(g => ({ card: g.card, code: g.code, amount: g.amountPaise / 100 }))
+  };
+}
 
-  // ----------------------------------
-  // 2) New order from intent (PhonePe success)
-  // ----------------------------------
+// Issue the gift cards the order bought; never fails the order
+async function issueGiftCards(order) {
+  await fulfilGiftCards(order).catch(err =>
+    console.error('[orderService] gift card issue failed for order', order.orderId, err?.message || err)
+  );
+}
+
+// Gateway reference refunds are issued against (PhonePe refunds by merchantOrderId)
+function paymentResultFor(merchantOrderId, intent, paymentMeta = {}) {
+  return {
+    id: paymentMeta.paymentRef || merchantOrderId || intent.merchantOrderId || '',
+    status: 'COMPLETED',
+    update_time: new Date().toISOString()
+  };
+}
 
-  // Build final order items + stock bulkOps using SAME logic as /orders route
-  const bulkOps = [];
+// Order lines for an intent without pricedItems, at current variant prices (same
+// variant resolution as the /orders route)
+async function orderItemsFromCatalogue(intent) {
   const finalOrderItems = [];
-  let itemsPriceFromVariants = 0;
 
   for (const item of (intent.orderItems || [])) {
     const productId = item.product || item.productId || item._id;
@@ -260,34 +216,163 @@ export async function createOrderFromIntent({ merchantOrderId, intent, paymentMe
     unitPrice = targetVariant.price;
     variantSize = targetVariant.size;
 
-    // Build bulkOps for stock decrement
-    bulkOps.push({
-      updateOne: {
-        filter: { _id: product._id, 'variants._id': targetVariant._id },
-        update: { $inc: { 'variants.$.stock': -Number(item.quantity || 0) } }
-      }
-    });
-
     finalOrderItems.push({
       product: product._id,
       name: variantSize ? `${product.name} - ${variantSize}` : product.name,
       image: product.images?.[0]?.url || item.image || "",
       price: Number(unitPrice) || 0,
       quantity: Number(item.quantity) || 0,
-      variant: variantSize || "default"
+      size: variantSize || "default",
+      variantId: String(targetVariant._id),
+      variant: variantSize || "default",
+      // Recipient was checked when the intent was priced
+      ...(product.isGiftCard && item.giftCard?.recipientEmail ? { giftCard: giftCardRecipient(product, item) } : {})
     });
+  }
+
+  return finalOrderItems;
+}
+
+/**
+ * Create or reuse an order from a paid checkout intent.
+ * - Called by the payment pipeline (services/paymentService.js) for every gateway
+ * - Idempotent by intentId / merchantOrderId (Order.intentId is unique)
+ * - Also responsible for committing the intent's stock reservation (one-time via intent.stockAdjusted)
+ */
+export async function createOrderFromIntent({ merchantOrderId, intent, paymentMeta = {}, options = {} }) {
+  if (!intent) throw new Error('intent required');
+
+  const { pushToShipping = true, sendEmail = true } = options;
+
+  // Helper: normalize/ensure shippingAddress has required fields
+  function buildShippingAddress(intent) {
+    const s = intent.shippingAddress || {};
+    const c = intent.customerInfo || {};
+
+    const fullName = s.fullName || c.fullName || `${(c.firstName||'').trim()} ${(c.lastName||'').trim()}`.trim();
+    const email = s.email || c.email || (c.emailAddress || '');
+    const address = s.address || c.address || c.street || '';
+    const city = s.city || c.city || '';
+    const state = s.state || c.state || '';
+    const postalCode = s.postalCode || s.postal || c.pincode || c.postalCode || '';
+    const phone = s.phone || c.phone || c.mobileNumber || c.mobile || '';
+    const country = s.country || c.country || 'India';
 
-    itemsPriceFromVariants += unitPrice * (item.quantity || 0);
+    return {
+      fullName: fullName || 'Customer',
+      email: email || '',
+      address: address || '',
+      addressLine2: s.addressLine2 || '',
+      city: city || '',
+      state: state || '',
+      postalCode: postalCode || '',
+      phone: phone || '',
+      country
+    };
   }
 
+  const safeShipping = buildShippingAddress(intent);
+
+  const shouldAdjustStock = !intent.stockAdjusted; // 👈 one-time guard
+
+  // ----------------------------------
+  // 1) Idempotency: reuse existing order
+  // ----------------------------------
+  const existing = await Order.findOne({
+    $or: [
+      { intentId: intent.intentId },
+      ...(merchantOrderId ? [{ merchantOrderId }] : [])
+    ]
+  });
+
+  if (existing) {
+    // Update payment + totals safely
+    existing.isPaid = true;
+    existing.paidAt = existing.paidAt || new Date();
+    if (existing.canTransitionTo('processing')) {
+      existing.transitionTo('processing', { actor: { kind: 'system' }, note: `Payment confirmed (${paymentMeta.method || 'phonepe'})` });
+    }
+    existing.paymentId = existing.paymentId || paymentMeta.paymentId || null;
+    existing.gatewayOrderId = existing.gatewayOrderId || paymentMeta.gatewayOrderId || null;
+    if (!existing.paymentResult?.id) existing.paymentResult = paymentResultFor(merchantOrderId, intent, paymentMeta);
+
+    // Prefer totals from intent if present
+    if (intent.totals) {
+      existing.itemsPrice = Number(intent.totals.subtotal ?? existing.itemsPrice ?? 0);
+      existing.taxPrice = Number(intent.totals.tax ?? existing.taxPrice ?? 0);
+      existing.shippingPrice = Number(intent.totals.shippingFee ?? existing.shippingPrice ?? 0);
+      existing.discountAmount = Number(intent.totals.discountAmount ?? existing.discountAmount ?? 0);
+      if (intent.couponTerms?.type) existing.couponTerms = intent.couponTerms;
+      existing.totalPrice = Number(intent.totals.total ?? existing.totalPrice ?? 0);
+    }
+    if (!existing.walletAmount) existing.walletAmount = await intentWalletAmount(intent);
+    if (!existing.giftCardAmount) Object.assign(existing, await intentGiftCards(intent));
+
+    // The customer may already have seen the public id; only fill it in if missing
+    if (!existing.orderId) existing.orderId = makePublicOrderId(intent.provider);
+
+    await existing.save().catch(e =>
+      console.warn('[orderService] update existing order save warning:', e)
+    );
+
+    // Commit the stock held for this intent (one time)
+    if (shouldAdjustStock) {
+      await settleIntentStock(intent, existing.orderItems || [], existing);
+    }
+    await settleIntentCoupon(intent, existing);
+
+    // Shipping push + email remain same (an order paid without stock waits for an admin)
+    if (pushToShipping && !existing.awaitingStock && !existing.shipping?.reference_id) {
+      await pushOrderToShipping(existing);
+    }
+    await issueGiftCards(existing);
+
+    if (sendEmail && !existing.emailSent) {
+      try {
+        await sendOrderConfirmation(existing, {
+          name: existing.shippingAddress?.fullName || '',
+          email: existing.shippingAddress?.email || ''
+        });
+        existing.emailSent = true;
+        await existing.save().catch(e =>
+          console.warn('[orderService] save after email flag warning (existing):', e)
+        );
+      } catch (err) {
+        console.error('[orderService] sendOrderConfirmation failed for existing order:', err?.message || err);
+        existing.emailSent = existing.emailSent || false;
+        existing.emailError = (err?.message || String(err)).slice(0, 2000);
+        await existing.save().catch(e =>
+          console.warn('[orderService] save after email error warning (existing):', e)
+        );
+      }
+    }
+
+    return existing;
+  }
+
+  // ----------------------------------
+  // 2) New order from intent
+  // ----------------------------------
+
+  // The lines priced into intent.totals; intents saved before those were stored are
+  // rebuilt from the catalogue
+  const finalOrderItems = intent.pricedItems?.length
+    ? intent.pricedItems.map(item => ({ ...item }))
+    : await orderItemsFromCatalogue(intent);
+  const itemsPriceFromVariants = finalOrderItems.reduce((sum, it) => sum + it.price * it.quantity, 0);
+
   // Prefer totals from intent.totals (computed at initiate-intent), but fall back safely
   const itemsPrice = Number(intent.totals?.subtotal ?? itemsPriceFromVariants ?? 0);
   const taxPrice = Number(intent.totals?.tax ?? 0);
-  const shippingPrice = Number(intent.totals?.shippingFee ?? (itemsPrice > 499 ? 0 : 99));
+  const shippingPrice = Number(intent.totals?.shippingFee ?? shippingFeeFor(itemsPrice));
+  const codFee = Number(intent.totals?.codFee ?? 0);
   const discountAmount = Number(intent.totals?.discountAmount ?? 0);
-  const totalPrice = Number(intent.totals?.total ?? (itemsPrice + taxPrice + shippingPrice - discountAmount));
+  // Prices are GST-inclusive: taxPrice is part of itemsPrice, not added to it
+  const totalPrice = Number(intent.totals?.total ?? (itemsPrice + shippingPrice + codFee - discountAmount));
+  const walletAmount = await intentWalletAmount(intent);
+  const { giftCardAmount, giftCards } = await intentGiftCards(intent);
 
-  const publicOrderId = makePublicOrderId();
+  const publicOrderId = makePublicOrderId(intent.provider);
 
   const payload = {
     orderId: publicOrderId,
@@ -295,23 +380,26 @@ export async function createOrderFromIntent({ merchantOrderId, intent, paymentMe
     orderItems: finalOrderItems,
     user: intent.user || null,
     shippingAddress: safeShipping,
-    customerInfo: intent.customerInfo || {},
     paymentMethod: paymentMeta.method || 'phonepe',
     itemsPrice,
     taxPrice,
     shippingPrice,
-    codFee: 0,
+    codFee,
     totalPrice,
     couponCode: intent.couponCode || '',
+    couponTerms: intent.couponTerms?.type ? intent.couponTerms : undefined,
     discountAmount,
+    walletAmount,
+    giftCardAmount,
+    giftCards,
     isPaid: true,
     paidAt: new Date(),
+    paymentResult: paymentResultFor(merchantOrderId, intent, paymentMeta),
     isDelivered: false,
     status: 'processing',
     trackingNumber: '',
     courierPartner: '',
     notes: '',
-    paymentProvider: paymentMeta.provider || 'phonepe',
     intentId: intent.intentId,
     paymentId: paymentMeta.paymentId || null,
     gatewayOrderId: paymentMeta.gatewayOrderId || null,
@@ -323,94 +411,34 @@ export async function createOrderFromIntent({ merchantOrderId, intent, paymentMe
     const order = new Order(payload);
     created = await order.save();
   } catch (err) {
+    // Another confirmation for the same intent (webhook vs. status check) won the race
+    if (err?.code === 11000 && err?.keyPattern?.intentId) {
+      return Order.findOne({ intentId: intent.intentId });
+    }
     console.error('[orderService] order.save() failed:', err);
     throw err;
   }
 
   // ----------------------------------
-  // 3) Adjust stock (one time per intent)
+  // 3) Commit stock reservation (one time per intent)
   // ----------------------------------
-  if (shouldAdjustStock && bulkOps.length) {
-    try {
-      await Product.bulkWrite(bulkOps);
-
-      // sync parent product availability
-      for (const item of finalOrderItems) {
-        const product = await Product.findById(item.product);
-        if (!product) continue;
-
-        const totalStock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
-        if (totalStock === 0 && product.isActive) {
-          product.isActive = false;
-          await product.save().catch(e =>
-            console.warn('[orderService] product save warning (new):', e)
-          );
-        }
-      }
-
-      intent.stockAdjusted = true;
-      await intent.save().catch(e =>
-        console.warn('[orderService] intent save after stockAdjusted (new) warning:', e)
-      );
-    } catch (err) {
-      console.warn('[orderService] bulkWrite stock adjust warning (new):', err);
-    }
+  if (shouldAdjustStock) {
+    await settleIntentStock(intent, finalOrderItems, created);
   }
+  await settleIntentCoupon(intent, created);
 
   // ----------------------------------
-  // 4) Push to shipping partner
+  // 4) Push to shipping partner (an order paid without stock waits for an admin)
   // ----------------------------------
-  if (pushToShipping) {
-    try {
-      const pushResp = await ShippingAPI.pushOrder({
-        order_id: created.orderId,
-        order_date: new Date(created.createdAt).toISOString().split('T')[0],
-        order_type: "NON ESSENTIALS",
-        consignee_name: created.shippingAddress?.fullName,
-        consignee_phone: created.shippingAddress?.phone,
-        consignee_email: created.shippingAddress?.email,
-        consignee_address_line_one: created.shippingAddress?.address,
-        consignee_address_line_two: created.shippingAddress?.addressLine2 || "",
-        consignee_city: created.shippingAddress?.city,
-        consignee_state: created.shippingAddress?.state,
-        consignee_pin_code: created.shippingAddress?.postalCode,
-        product_detail: created.orderItems.map((item) => ({
-          name: item.name,
-          sku_number: item.product ? item.product.toString() : '',
-          quantity: item.quantity,
-          unit_price: item.price,
-          discount: 0,
-          hsn: "",
-          product_category: "Other",
-        })),
-        payment_type: created.paymentMethod === "cod" ? "COD" : "PREPAID",
-        cod_amount: created.paymentMethod === "cod" ? String(created.totalPrice) : "",
-        weight: 500,
-        length: 10, width: 10, height: 5,
-        warehouse_id: process.env.SHIPPING_WAREHOUSE_ID || ""
-      });
-
-      created.shipping = {
-        order_id: pushResp.data.order_id,
-        reference_id: pushResp.data.reference_id,
-        awb_number: pushResp.data.awb_number || null,
-        status: "pushed"
-      };
-
-      await created.save().catch(e =>
-        console.warn('[orderService] save after shipping push warning:', e)
-      );
-    } catch (err) {
-      console.error('[orderService] Shipping API push failed:', err?.message || err);
-      created.shipping = created.shipping || {};
-      created.shipping.status = 'push_failed';
-      created.shipping.error = (err?.message || String(err)).slice(0, 2000);
-      await created.save().catch(e =>
-        console.warn('[orderService] save after shipping error warning:', e)
-      );
-    }
+  if (pushToShipping && !created.awaitingStock) {
+    await pushOrderToShipping(created);
   }
 
+  // ----------------------------------
+  // 4b) Issue and email gift cards bought with the order
+  // ----------------------------------
+  await issueGiftCards(created);
+
   // ----------------------------------
   // 5) Send order confirmation email
   // ----------------------------------
@@ -0,0 +1,127 @@
+// services/parcelService.js
+
+import Product from '../models/Product.js';
+import { resolveVariant } from './pricingService.js';
+
+/**
+ * Parcel size and weight for a set of lines, as declared to the courier.
+ * Grams and centimetres throughout.
+ *
+ *   item weight/dimensions: variant → product → PARCEL defaults
+ *   carton: smallest configured carton that fits the largest item, the packed
+ *           volume (items × fillFactor) and the weight
+ *   declared weight: max(actual incl. packaging, volumetric of the carton)
+ */
+
+const DEFAULT_CARTONS = [
+  { name: 'S', length: 15, width: 12, height: 10, tareWeight: 60, maxWeight: 2000 },
+  { name: 'M', length: 25, width: 20, height: 15, tareWeight: 120, maxWeight: 5000 },
+  { name: 'L', length: 35, width: 30, height: 25, tareWeight: 220, maxWeight: 10000 },
+  { name: 'XL', length: 50, width: 40, height: 35, tareWeight: 400, maxWeight: 20000 }
+];
+
+function loadCartons() {
+  if (!process.env.PARCEL_CARTONS) return DEFAULT_CARTONS;
+  try {
+    const list = JSON.parse(process.env.PARCEL_CARTONS);
+    if (Array.isArray(list) && list.length) return list;
+  } catch (err) {
+    console.warn('[parcel] PARCEL_CARTONS is not valid JSON, using defaults:', err.message);
+  }
+  return DEFAULT_CARTONS;
+}
+
+export const PARCEL = {
+  cartons: loadCartons(),
+  defaultItemWeight: Number(process.env.PARCEL_DEFAULT_ITEM_WEIGHT ?? 500),
+  defaultItemDimensions: { length: 10, width: 10, height: 5 },
+  packingPerItem: Number(process.env.PARCEL_PACKING_PER_ITEM ?? 20), // bubble wrap, seal bags
+  fillFactor: Number(process.env.PARCEL_FILL_FACTOR ?? 1.2),          // room for padding
+  volumetricDivisor: Number(process.env.PARCEL_VOLUMETRIC_DIVISOR ?? 5000) // cm³ per kg
+};
+
+const volume = (d) => d.length * d.width * d.height;
+const sortedSides = (d) => [d.length, d.width, d.height].sort((a, b) => b - a);
+
+const hasDimensions = (d) => d && d.length > 0 && d.width > 0 && d.height > 0;
+
+// Can `item` go into `box` in some orientation?
+function fits(item, box) {
+  const a = sortedSides(item);
+  const b = sortedSides(box);
+  return a.every((side, i) => side <= b[i]);
+}
+
+export function volumetricWeight(dimensions, divisor = PARCEL.volumetricDivisor) {
+  return Math.ceil((volume(dimensions) / divisor) * 1000);
+}
+
+/**
+ * Unit weight and dimensions of a line, variant values first.
+ */
+export function unitMeasurements(product, variant) {
+  const weight = Number(variant?.weight) || Number(product?.weight) || PARCEL.defaultItemWeight;
+  const dimensions = [variant?.dimensions, product?.dimensions].find(hasDimensions) || PARCEL.defaultItemDimensions;
+  return {
+    weight,
+    dimensions: { length: Number(dimensions.length), width: Number(dimensions.width), height: Number(dimensions.height) }
+  };
+}
+
+/**
+ * Choose a carton for already-measured units.
+ * units: [{ weight, dimensions, quantity }]
+ */
+export function packUnits(units, cartons = PARCEL.cartons) {
+  const quantity = units.reduce((n, u) => n + u.quantity, 0);
+  const itemsWeight = units.reduce((g, u) => g + u.weight * u.quantity, 0);
+  const packedVolume = units.reduce((v, u) => v + volume(u.dimensions) * u.quantity, 0) * PARCEL.fillFactor;
+  const largest = units.reduce((big, u) => (volume(u.dimensions) > volume(big) ? u.dimensions : big), { length: 0, width: 0, height: 0 });
+
+  const bySize = [...cartons].sort((a, b) => volume(a) - volume(b));
+  const carton = bySize.find(box =>
+    fits(largest, box) &&
+    volume(box) >= packedVolume &&
+    (!box.maxWeight || itemsWeight + (box.tareWeight || 0) <= box.maxWeight)
+  );
+
+  const chosen = carton || bySize[bySize.length - 1];
+  if (!carton) {
+    console.warn(`[parcel] No carton fits ${quantity} item(s) (${Math.round(packedVolume)} cm³, ${itemsWeight} g); declaring ${chosen.name}`);
+  }
+
+  const dimensions = { length: chosen.length, width: chosen.width, height: chosen.height };
+  const actualWeight = Math.ceil(itemsWeight + PARCEL.packingPerItem * quantity + (chosen.tareWeight || 0));
+  const volumetric = volumetricWeight(dimensions);
+
+  return {
+    carton: chosen.name,
+    ...dimensions,
+    actualWeight,
+    volumetricWeight: volumetric,
+    weight: Math.max(actualWeight, volumetric),
+    oversize: !carton
+  };
+}
+
+/**
+ * Parcel for order/return lines ({ product, variantId?, variant?/size?, quantity }).
+ */
+export async function computeParcel(lines = []) {
+  const ids = [...new Set(lines.map(l => String(l.product?._id || l.product)).filter(Boolean))];
+  const products = await Product.find({ _id: { $in: ids } }).select('weight dimensions variants');
+  const byId = new Map(products.map(p => [String(p._id), p]));
+
+  const units = lines
+    .filter(l => Number(l.quantity) > 0)
+    .map(l => {
+      const product = byId.get(String(l.product?._id || l.product));
+      const variant = product ? resolveVariant(product, l) : null;
+      return { ...unitMeasurements(product, variant), quantity: Number(l.quantity) };
+    });
+
+  if (!units.length) {
+    return packUnits([{ weight: PARCEL.defaultItemWeight, dimensions: PARCEL.defaultItemDimensions, quantity: 1 }]);
+  }
+  return packUnits(units);
+}
@@ -0,0 +1,58 @@
+// services/paymentGateways.js
+import { phonepeGateway } from "./gateways/phonepeGateway.js";
+import { razorpayGateway } from "./gateways/razorpayGateway.js";
+import { stripeGateway } from "./gateways/stripeGateway.js";
+
+export { PaymentError } from "./gateways/common.js";
+
+/**
+ * Payment gateway adapters. Checkout code (services/paymentService.js) and refunds
+ * talk to a gateway through this normalized model only.
+ *
+ * Session (createSession):
+ *   { merchantOrderId?, gatewayOrderId, redirectUrl?, upiLink?, vpa?, clientSecret?, checkout?, raw }
+ *   `checkout` is what the frontend needs to open the gateway's own widget.
+ * Payment status (verifyCallback / fetchStatus, and payment webhook events):
+ *   { state: 'paid' | 'failed' | 'pending', gatewayState, paymentId, paymentRef, gatewayOrderId, amountPaise?, feePaise?, raw }
+ *   paymentRef is what refunds are later issued against (order.paymentResult.id).
+ *   amountPaise is what the gateway says was captured, when it tells us (reconciliation);
+ *   feePaise the fee it kept (payment ledger).
+ * Webhook event (parseWebhook):
+ *   { kind: 'payment', type, eventId?, lookup: { intentId?, merchantOrderId?, gatewayOrderId? }, ...status }
+ *   { kind: 'refund', type, eventId?, refundId, gatewayRefundId, status: 'processing' | 'succeeded' | 'failed', raw }
+ *   { kind: 'ignored', type, eventId? }
+ *   eventId is the gateway's own id for the delivery, when it has one (used to drop duplicates).
+ *
+ * Adapter methods:
+ *   createSession(intent, options) · verifyCallback(intent, payload) → status
+ *   fetchStatus(intent) → status · parseWebhook({ headers, rawBody }, { skipVerification }) → event (optional;
+ *     skipVerification only for replays of events that passed verification when they arrived)
+ *   createRefund({ refundId, paymentRef, amountPaise, reason }) · fetchRefund({ refundId, gatewayRefundId, paymentRef })
+ *     → { gatewayRefundId, status, raw }
+ *     refundId is the idempotency key: sending it again must not refund twice, and
+ *     fetchRefund finds the refund by it when the create call never answered
+ *
+ * Adapters throw PaymentError for anything the caller should answer with a 4xx/5xx
+ * (bad signature, failed webhook auth, gateway unreachable).
+ * The gateway for a checkout is intent.provider; for an order, order.paymentMethod.
+ */
+
+const gateways = {
+  phonepe: phonepeGateway,
+  razorpay: razorpayGateway,
+  stripe: stripeGateway,
+};
+
+export function hasPaymentGateway(name) {
+  return Boolean(gateways[name]);
+}
+
+/**
+ * Adapter by name. Throws for unknown gateways.
+ */
+export function getPaymentGateway(name) {
+  const gateway = gateways[name];
+  if (!gateway) throw new Error(`Unknown payment gateway '${name}'`);
+  return gateway;
+}
+
@@ -0,0 +1,310 @@
+// services/paymentReconciliation.js
+
+import PaymentIntent from '../models/PaymentIntent.js';
+import Order from '../models/Order.js';
+import ReconciliationReport from '../models/ReconciliationReport.js';
+import { getPaymentGateway } from './paymentGateways.js';
+import { applyPaymentStatus } from './paymentService.js';
+
+/**
+ * Catches payments whose webhook and browser return were both missed.
+ *
+ * - Every PAYMENT_RECONCILE_INTERVAL_MINUTES, intents of the configured gateways (PhonePe by
+ *   default) left `initiated`/`pending` — or expired by the sweeper within the lookback — are
+ *   re-queried through the adapter's fetchStatus() (PhonePe: order-status API with getAuthToken()).
+ *   The result goes through applyPaymentStatus(), so `paid` creates the order via
+ *   createOrderFromIntent() and `failed` marks the intent failed and releases its stock.
+ * - Once a day (after PAYMENT_RECONCILE_REPORT_HOUR_UTC) the previous UTC day is written to a
+ *   ReconciliationReport: paid intents whose totals.totalPaise differs from what the gateway
+ *   captured, payments recovered by this job, paid intents without an order.
+ *
+ * Single-process timer, like the other jobs.
+ */
+
+export const RECONCILIATION_CONFIG = {
+  enabled: process.env.PAYMENT_RECONCILE_ENABLED !== '0',
+  intervalMinutes: Number(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES || 15),
+  gateways: (process.env.PAYMENT_RECONCILE_GATEWAYS || 'phonepe').split(',').map(s => s.trim()).filter(Boolean),
+  // Younger intents are left to the webhook / browser
+  minAgeMinutes: Number(process.env.PAYMENT_RECONCILE_MIN_AGE_MINUTES || 10),
+  lookbackHours: Number(process.env.PAYMENT_RECONCILE_LOOKBACK_HOURS || 48),
+  batchSize: Number(process.env.PAYMENT_RECONCILE_BATCH_SIZE || 50),
+  reportHourUtc: Number(process.env.PAYMENT_RECONCILE_REPORT_HOUR_UTC || 1)
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RECENT_FAILURES = 20;
+
+const stats = {
+  runs: 0,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: 0,
+  lastResult: null,
+  lastReportDate: null,
+  totals: { checked: 0, recovered: 0, failed: 0, pending: 0, reports: 0, failures: 0 },
+  recentFailures: []
+};
+
+let timer = null;
+
+function recordFailure(ref, err) {
+  stats.totals.failures += 1;
+  stats.recentFailures.unshift({ at: new Date(), ref, message: err?.message || String(err) });
+  stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  console.warn(`[reconciliation] ${ref} failed:`, err?.message || err);
+}
+
+const utcDate = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * Intents the job would look at now, least recently checked first.
+ */
+export function stuckIntentFilter(now = new Date()) {
+  const lookback = new Date(now.getTime() - RECONCILIATION_CONFIG.lookbackHours * 60 * 60 * 1000);
+  return {
+    provider: { $in: RECONCILIATION_CONFIG.gateways },
+    createdAt: { $gte: lookback, $lte: new Date(now.getTime() - RECONCILIATION_CONFIG.minAgeMinutes * 60 * 1000) },
+    $and: [
+      // The sweeper may have expired a checkout the customer did pay for
+      { $or: [{ status: { $in: ['initiated', 'pending'] } }, { status: 'expired', expiredAt: { $gte: lookback } }] },
+      // No session, nothing to ask the gateway about
+      { $or: [{ merchantOrderId: { $nin: [null, ''] } }, { gatewayOrderId: { $nin: [null, ''] } }] }
+    ]
+  };
+}
+
+/**
+ * Ask the gateway about one intent and apply the answer. Resolves to paid | failed | pending.
+ */
+export async function reconcileIntent(intent, now = new Date()) {
+  const previous = intent.status;
+  try {
+    const status = await getPaymentGateway(intent.provider).fetchStatus(intent);
+    const result = await applyPaymentStatus(intent, status, { source: 'reconciliation' });
+
+    const set = {
+      'reconciliation.lastCheckedAt': now,
+      'reconciliation.lastGatewayState': status.gatewayState || ''
+    };
+    if (result.state === 'paid' && previous !== 'paid') set['reconciliation.recoveredAt'] = now;
+    if (result.state === 'failed' && previous !== 'failed') set['reconciliation.failedAt'] = now;
+    await PaymentIntent.updateOne(
+      { _id: intent._id },
+      { $set: set, $inc: { 'reconciliation.checks': 1 }, $unset: { 'reconciliation.lastError': '' } }
+    );
+
+    if (result.state === 'paid') console.warn(`[reconciliation] ${intent.intentId} was paid; order ${result.order?.orderId || 'not created'}`);
+    return result.state;
+  } catch (err) {
+    // Still counts as checked, so one broken intent does not hold up the batch
+    await PaymentIntent.updateOne(
+      { _id: intent._id },
+      {
+        $set: { 'reconciliation.lastCheckedAt': now, 'reconciliation.lastError': String(err?.message || err).slice(0, 500) },
+        $inc: { 'reconciliation.checks': 1 }
+      }
+    ).catch(() => {});
+    throw err;
+  }
+}
+
+function reportLine(intent, orderId, note) {
+  const expectedPaise = intent.totals?.totalPaise;
+  const capturedPaise = intent.gatewayAmountPaise;
+  return {
+    intentId: intent.intentId,
+    provider: intent.provider,
+    merchantOrderId: intent.merchantOrderId,
+    orderId,
+    expectedPaise,
+    capturedPaise,
+    differencePaise: Number.isFinite(capturedPaise) && Number.isFinite(expectedPaise) ? capturedPaise - expectedPaise : undefined,
+    note
+  };
+}
+
+/**
+ * Build (or rebuild) the report for one UTC day, `YYYY-MM-DD`. Paid intents without a
+ * captured amount are looked up at the gateway first.
+ */
+export async function buildReconciliationReport(date) {
+  const start = new Date(`${date}T00:00:00.000Z`);
+  if (Number.isNaN(start.getTime())) throw new Error(`Invalid report date '${date}'`);
+  const end = new Date(start.getTime() + DAY);
+  const gateways = RECONCILIATION_CONFIG.gateways;
+
+  const paid = await PaymentIntent.find({
+    provider: { $in: gateways },
+    status: 'paid',
+    paidAt: { $gte: start, $lt: end }
+  }).select('intentId provider merchantOrderId gatewayOrderId paymentRef totals gatewayAmountPaise reconciliation reconciliationRequired reconciliationNote');
+
+  for (const intent of paid) {
+    if (Number.isFinite(intent.gatewayAmountPaise)) continue;
+    try {
+      const status = await getPaymentGateway(intent.provider).fetchStatus(intent);
+      if (status.state === 'paid' && Number.isFinite(status.amountPaise)) {
+        intent.gatewayAmountPaise = status.amountPaise;
+        await PaymentIntent.updateOne({ _id: intent._id }, { $set: { gatewayAmountPaise: status.amountPaise } });
+      }
+    } catch (err) {
+      console.warn(`[reconciliation] amount lookup failed for ${intent.intentId}:`, err?.message || err);
+    }
+  }
+
+  const orders = await Order.find({ intentId: { $in: paid.map(i => i.intentId) } }).select('orderId intentId');
+  const orderIdOf = new Map(orders.map(o => [o.intentId, o.orderId]));
+
+  const mismatches = [];
+  const unverified = [];
+  const recovered = [];
+  const paidWithoutOrder = [];
+  let expectedPaise = 0;
+  let capturedPaise = 0;
+
+  for (const intent of paid) {
+    const orderId = orderIdOf.get(intent.intentId);
+    const captured = intent.gatewayAmountPaise;
+    expectedPaise += intent.totals?.totalPaise || 0;
+
+    if (!Number.isFinite(captured)) unverified.push(reportLine(intent, orderId, 'gateway amount unavailable'));
+    else {
+      capturedPaise += captured;
+      if (captured !== intent.totals?.totalPaise) mismatches.push(reportLine(intent, orderId, 'captured amount differs from checkout total'));
+    }
+
+    const recoveredAt = intent.reconciliation?.recoveredAt;
+    if (recoveredAt && recoveredAt >= start && recoveredAt < end) recovered.push(reportLine(intent, orderId));
+    if (!orderId) paidWithoutOrder.push(reportLine(intent, orderId, intent.reconciliationNote || 'no order for paid intent'));
+  }
+
+  const [markedFailed, stillPending] = await Promise.all([
+    PaymentIntent.countDocuments({ provider: { $in: gateways }, 'reconciliation.failedAt': { $gte: start, $lt: end } }),
+    PaymentIntent.countDocuments({
+      provider: { $in: gateways },
+      status: { $in: ['initiated', 'pending'] },
+      'reconciliation.checks': { $gt: 0 },
+      createdAt: { $lt: end }
+    })
+  ]);
+
+  const report = await ReconciliationReport.findOneAndUpdate(
+    { date },
+    {
+      $set: {
+        gateways,
+        generatedAt: new Date(),
+        summary: {
+          paid: paid.length,
+          expectedPaise,
+          capturedPaise,
+          recovered: recovered.length,
+          markedFailed,
+          mismatches: mismatches.length,
+          unverified: unverified.length,
+          paidWithoutOrder: paidWithoutOrder.length,
+          stillPending
+        },
+        mismatches,
+        recovered,
+        paidWithoutOrder,
+        unverified
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (mismatches.length || paidWithoutOrder.length) {
+    console.warn(`[reconciliation] ${date}: ${mismatches.length} amount mismatch(es), ${paidWithoutOrder.length} paid without order`);
+  }
+  return report;
+}
+
+// Yesterday's report, once per day after the configured hour
+async function maybeBuildDailyReport(now, result) {
+  if (now.getUTCHours() < RECONCILIATION_CONFIG.reportHourUtc) return;
+  const date = utcDate(new Date(now.getTime() - DAY));
+  if (stats.lastReportDate === date) return;
+
+  if (!(await ReconciliationReport.exists({ date }))) {
+    await buildReconciliationReport(date);
+    result.report = date;
+  }
+  stats.lastReportDate = date;
+}
+
+/**
+ * One pass over stuck intents, then the daily report when due.
+ * Safe to call manually (admin endpoint); overlapping runs are skipped.
+ */
+export async function runPaymentReconciliation() {
+  if (stats.running) return { skipped: true, reason: 'already running' };
+
+  stats.running = true;
+  const startedAt = Date.now();
+  const now = new Date();
+  const result = { checked: 0, recovered: 0, failed: 0, pending: 0, report: null };
+
+  try {
+    const intents = await PaymentIntent.find(stuckIntentFilter(now))
+      .sort({ 'reconciliation.lastCheckedAt': 1 })
+      .limit(RECONCILIATION_CONFIG.batchSize);
+
+    for (const intent of intents) {
+      try {
+        const state = await reconcileIntent(intent, now);
+        result.checked += 1;
+        if (state === 'paid') result.recovered += 1;
+        else if (state === 'failed') result.failed += 1;
+        else result.pending += 1;
+      } catch (err) {
+        recordFailure(intent.intentId, err);
+      }
+    }
+
+    try {
+      await maybeBuildDailyReport(now, result);
+    } catch (err) {
+      recordFailure('report', err);
+    }
+  } catch (err) {
+    recordFailure('run', err);
+  } finally {
+    stats.running = false;
+    stats.runs += 1;
+    stats.lastRunAt = now;
+    stats.lastDurationMs = Date.now() - startedAt;
+    stats.lastResult = result;
+    for (const key of ['checked', 'recovered', 'failed', 'pending']) stats.totals[key] += result[key];
+    if (result.report) stats.totals.reports += 1;
+  }
+
+  return result;
+}
+
+export function startPaymentReconciliation() {
+  if (!RECONCILIATION_CONFIG.enabled || timer) return;
+
+  timer = setInterval(() => {
+    runPaymentReconciliation().catch(err => recordFailure('timer', err));
+  }, RECONCILIATION_CONFIG.intervalMinutes * 60 * 1000);
+  timer.unref?.();
+
+  console.log(`[reconciliation] started (every ${RECONCILIATION_CONFIG.intervalMinutes} min, ${RECONCILIATION_CONFIG.gateways.join(', ')})`);
+}
+
+export function stopPaymentReconciliation() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function getPaymentReconciliationStats() {
+  return {
+    config: RECONCILIATION_CONFIG,
+    scheduled: Boolean(timer),
+    ...stats,
+    totals: { ...stats.totals },
+    recentFailures: [...stats.recentFailures]
+  };
+}
@@ -0,0 +1,508 @@
+// services/paymentService.js
+
+import { nanoid } from 'nanoid';
+import PaymentIntent from '../models/PaymentIntent.js';
+import Order from '../models/Order.js';
+import { quoteCheckout, toIntentTotals, toOrderItems } from './pricingService.js';
+import { reserveStock, releaseReservation } from './stockReservationService.js';
+import { createOrderFromIntent } from './orderService.js';
+import { applyRefundUpdate } from './refundService.js';
+import { transitionOrder } from './orderLifecycle.js';
+import { recordCharge, recordGatewayFee, recordWalletPayment, recordGiftCardPayment } from './ledgerService.js';
+import { walletApplication, holdWalletForCheckout, releaseWalletHold, toPaise } from './walletService.js';
+import { giftCardApplication, holdGiftCardsForCheckout, releaseGiftCardHolds } from './giftCardService.js';
+import { getPaymentGateway, hasPaymentGateway, PaymentError } from './paymentGateways.js';
+import { safeJson } from './gateways/common.js';
+
+export { PaymentError };
+
+/**
+ * The one checkout pipeline for every online gateway (adapters: services/paymentGateways.js).
+ *
+ *   createCheckoutIntent()  server-side pricing, stock hold, gift card / wallet holds, PaymentIntent
+ *   startPaymentSession()   gateway session (PhonePe pay page, Razorpay order, Stripe PaymentIntent)
+ *   openCheckout()          both at once (Razorpay / Stripe widgets)
+ *   verifyIntentPayment()   customer is back from the gateway (signature / server-side check)
+ *   syncIntentStatus()      ask the gateway (redirect return, callbacks, polling)
+ *   handlePaymentWebhook()  gateway push (payments and refunds); parse + apply, so stored
+ *                           events can be replayed (services/webhookEventService.js)
+ *
+ * The last three end in applyPaymentStatus():
+ *   paid    → intent paid → createOrderFromIntent() (order, stock commit, courier push, email)
+ *   failed  → intent failed, stock hold released
+ *   pending → gateway response recorded, nothing else
+ * A paid intent is never moved back; repeat confirmations return the same order.
+ *
+ * Gift cards (giftCardCodes) and store credit (useWallet), in that order, are taken when
+ * the intent is created and the gateway is asked for the rest (totals.totalPaise). An
+ * intent they cover in full is paid straight away (provider 'gift_card' / 'wallet', no
+ * gateway session).
+ */
+
+const REQUIRED_SHIPPING_FIELDS = ['address', 'city', 'state', 'postalCode', 'phone'];
+
+// Basic validation for orderItems array (normalizes productId in place)
+export function validateOrderItemsShape(orderItems) {
+  if (!Array.isArray(orderItems) || orderItems.length === 0)
+    return 'orderItems must be a non-empty array';
+
+  for (const item of orderItems) {
+    const productId = item.productId || item._id || item.id || item.product;
+
+    if (!productId)
+      return 'Each order item must include productId';
+
+    item.productId = productId;
+
+    if (!item.quantity || typeof item.quantity !== 'number' || item.quantity < 1)
+      return 'Each order item must include a valid quantity (>=1)';
+
+    if (item.variant && typeof item.variant !== 'string')
+      return 'variant must be a string';
+  }
+
+  return null;
+}
+
+// Explicit shippingAddress first, customerInfo (checkout form) as fallback
+export function buildCheckoutAddress(shipping = {}, customerInfo = {}) {
+  const str = (v) => String(v ?? '').trim();
+  return {
+    fullName: str(shipping.fullName || customerInfo.fullName || `${customerInfo.firstName || ''} ${customerInfo.lastName || ''}`),
+    email: str(shipping.email || customerInfo.email),
+    phone: str(shipping.phone || customerInfo.phone || customerInfo.mobileNumber),
+    address: str(shipping.address || shipping.addressLine1 || customerInfo.address),
+    addressLine2: str(shipping.addressLine2),
+    city: str(shipping.city || customerInfo.city),
+    state: str(shipping.state || customerInfo.state),
+    postalCode: str(shipping.postalCode || shipping.postal || customerInfo.pincode || customerInfo.postalCode),
+    country: str(shipping.country || customerInfo.country || 'India')
+  };
+}
+
+/**
+ * Price the cart server-side, hold its stock (and gift card balances / wallet credit) and
+ * save a PaymentIntent for `gateway`. `walletAmount` (₹) caps the wallet part.
+ * Throws PaymentError (400) for bad input; PricingError / StockError / WalletError /
+ * GiftCardError pass through.
+ */
+export async function createCheckoutIntent({
+  gateway,
+  orderItems,
+  customerInfo = {},
+  shippingAddress = {},
+  couponCode = null,
+  user = null,
+  useWallet = false,
+  walletAmount,
+  giftCardCodes = []
+}) {
+  if (!hasPaymentGateway(gateway)) throw new PaymentError(`Unsupported payment gateway '${gateway}'`);
+
+  const itemsError = validateOrderItemsShape(orderItems);
+  if (itemsError) throw new PaymentError(itemsError);
+
+  const address = buildCheckoutAddress(shippingAddress || {}, customerInfo || {});
+  if (!address.email || !address.fullName) {
+    throw new PaymentError('Missing customer name or email');
+  }
+  const missing = REQUIRED_SHIPPING_FIELDS.filter(f => !address[f]);
+  if (missing.length) {
+    throw new PaymentError(`Missing required shipping fields: ${missing.join(', ')}`, 400, {
+      missing,
+      shippingPreview: address
+    });
+  }
+
+  // Authoritative totals (variant prices, coupon, shipping, GST)
+  const quote = await quoteCheckout({ orderItems, couponCode, paymentMethod: gateway, shippingAddress: address, user });
+  if (quote.totalPaise <= 0) throw new PaymentError('Invalid payable amount after discount');
+
+  let giftCards = null;
+  let giftCardPaise = 0;
+  if (giftCardCodes?.length) {
+    giftCards = await giftCardApplication(giftCardCodes, quote.totalPaise, { giftCardLinesPaise: toPaise(quote.giftCardsPrice) });
+    giftCardPaise = giftCards.amountPaise;
+  }
+
+  let walletPaise = 0;
+  if (useWallet) {
+    const requestedPaise = walletAmount === undefined || walletAmount === null || walletAmount === ''
+      ? undefined
+      : toPaise(walletAmount);
+    ({ amountPaise: walletPaise } = await walletApplication(user, quote.totalPaise - giftCardPaise, {
+      requestedPaise,
+      giftCardLinesPaise: toPaise(quote.giftCardsPrice)
+    }));
+  }
+  const totals = toIntentTotals(quote, { walletPaise, giftCardPaise });
+
+  const intentId = `pi_${nanoid(12)}`;
+  const reservation = await reserveStock({ reference: intentId, items: quote.items });
+
+  const intent = new PaymentIntent({
+    intentId,
+    user: user || null,
+    orderItems,
+    pricedItems: toOrderItems(quote),
+    customerInfo: customerInfo || {},
+    shippingAddress: address,
+    totals,
+    provider: totals.totalPaise > 0 ? gateway : (giftCardPaise > 0 ? 'gift_card' : 'wallet'),
+    status: 'pending',
+    attempts: [],
+    couponCode: couponCode || null,
+    couponTerms: quote.coupon?.terms,
+    expiresAt: reservation.expiresAt
+  });
+
+  try {
+    await intent.save();
+  } catch (err) {
+    await releaseReservation(intentId, 'intent save failed').catch(() => {});
+    throw err;
+  }
+
+  if (giftCardPaise > 0) {
+    try {
+      await holdGiftCardsForCheckout(intent, giftCards, { actor: { kind: 'customer', user } });
+    } catch (err) {
+      // Card spent or voided since the quote
+      intent.status = 'failed';
+      await intent.save().catch(() => {});
+      await releaseReservation(intentId, 'gift card hold failed').catch(() => {});
+      throw err;
+    }
+  }
+
+  if (walletPaise > 0) {
+    try {
+      await holdWalletForCheckout(intent, walletPaise);
+    } catch (err) {
+      // Balance spent elsewhere since the quote
+      intent.status = 'failed';
+      await intent.save().catch(() => {});
+      await releaseReservation(intentId, 'wallet hold failed').catch(() => {});
+      await releaseGiftCardHolds(intent, 'Wallet hold failed')
+        .catch(e => console.warn('[payments] gift card release warning:', e?.message || e));
+      throw err;
+    }
+  }
+
+  if (totals.totalPaise === 0) await completeStoreCreditIntent(intent);
+  return intent;
+}
+
+// Nothing left for a gateway: the gift card / wallet holds are the payment
+async function completeStoreCreditIntent(intent) {
+  intent.status = 'paid';
+  intent.paidAt = new Date();
+  intent.paymentRef = `${intent.provider}_${intent.intentId}`;
+  await intent.save();
+  return completeIntentOrder(intent, { paymentRef: intent.paymentRef });
+}
+
+export async function findIntent({ intentId, merchantOrderId, gatewayOrderId } = {}) {
+  const or = [];
+  if (intentId) or.push({ intentId: String(intentId) });
+  if (merchantOrderId) or.push({ merchantOrderId: String(merchantOrderId) }, { 'attempts.reference': String(merchantOrderId) });
+  if (gatewayOrderId) or.push({ gatewayOrderId: String(gatewayOrderId) }, { 'attempts.reference': String(gatewayOrderId) });
+  return or.length ? PaymentIntent.findOne({ $or: or }) : null;
+}
+
+/**
+ * Open a gateway session for an intent. `options.gateway` switches the intent to
+ * another gateway (re-priced, since fees can differ); the old gateway's sessions are
+ * superseded and its payment webhooks no longer apply. Other options go to the adapter.
+ */
+export async function startPaymentSession(intent, { gateway, ...options } = {}) {
+  if (intent.status === 'paid') throw new PaymentError('This checkout is already paid', 409);
+  if (intent.status === 'expired') throw new PaymentError('This checkout has expired; please start again', 410);
+  // Its stock, wallet and gift card holds are gone
+  if (intent.status === 'failed') throw new PaymentError('This checkout failed; please start again', 410);
+
+  if (gateway && gateway !== intent.provider) {
+    if (!hasPaymentGateway(gateway)) throw new PaymentError(`Unsupported payment gateway '${gateway}'`);
+    for (const attempt of intent.attempts) {
+      if (attempt.status === 'initiated' || attempt.status === 'processing') attempt.status = 'superseded';
+    }
+    intent.provider = gateway;
+    intent.merchantOrderId = undefined;
+    intent.gatewayOrderId = undefined;
+    intent.totals = undefined;
+  }
+
+  if (typeof intent.totals?.totalPaise !== 'number') {
+    const quote = await quoteCheckout({
+      orderItems: intent.orderItems,
+      couponCode: intent.couponCode || null,
+      paymentMethod: intent.provider,
+      shippingAddress: intent.shippingAddress,
+      user: intent.user
+    });
+    intent.couponTerms = quote.coupon?.terms;
+    intent.pricedItems = toOrderItems(quote);
+    intent.totals = toIntentTotals(quote, {
+      walletPaise: intent.wallet?.amountPaise || 0,
+      giftCardPaise: (intent.giftCards || []).reduce((sum, g) => sum + (g.status === 'held' ? g.amountPaise : 0), 0)
+    });
+  }
+
+  const session = await getPaymentGateway(intent.provider).createSession(intent, options);
+
+  if (session.merchantOrderId) intent.merchantOrderId = session.merchantOrderId;
+  if (session.gatewayOrderId) intent.gatewayOrderId = session.gatewayOrderId;
+  intent.attempts.push({
+    attemptId: `att_${nanoid(8)}`,
+    gateway: intent.provider,
+    reference: session.merchantOrderId || session.gatewayOrderId,
+    status: 'initiated',
+    gatewayResponse: safeJson(session.raw),
+    amountPaise: intent.totals.totalPaise
+  });
+  intent.status = 'initiated';
+  await intent.save();
+
+  return session;
+}
+
+/**
+ * createCheckoutIntent() + startPaymentSession() in one step, for gateways whose
+ * widget needs the session straight away. The stock, gift card and wallet holds are
+ * released if the gateway refuses the session (the customer never sees this intent).
+ * Resolves to { intent, session, order }; session is null (and order set) when gift
+ * cards and the wallet paid for everything.
+ */
+export async function openCheckout(input, options = {}) {
+  const intent = await createCheckoutIntent(input);
+  if (intent.status === 'paid') {
+    return { intent, session: null, order: await completeIntentOrder(intent) };
+  }
+
+  try {
+    const session = await startPaymentSession(intent, options);
+    return { intent, session, order: null };
+  } catch (err) {
+    intent.status = 'failed';
+    await intent.save().catch(() => {});
+    await releaseReservation(intent.intentId, `${intent.provider} session failed`).catch(() => {});
+    await releaseWalletHold(intent, `${intent.provider} session failed`)
+      .catch(e => console.warn('[payments] wallet release warning:', e?.message || e));
+    await releaseGiftCardHolds(intent, `${intent.provider} session failed`)
+      .catch(e => console.warn('[payments] gift card release warning:', e?.message || e));
+    throw err;
+  }
+}
+
+/**
+ * Order for a paid intent (created on first call). Returns null, and flags the
+ * intent for reconciliation, when the order cannot be created.
+ */
+export async function completeIntentOrder(intent, payment = {}) {
+  const existing = await Order.findOne({ intentId: intent.intentId });
+  if (existing?.isPaid) {
+    await postPaymentToLedger(existing, intent, payment);
+    return existing;
+  }
+
+  const s = intent.shippingAddress || {};
+  if (!s.address || !s.city || !s.state || !s.postalCode) {
+    console.error('[payments] paid intent without a shipping address:', intent.intentId);
+    intent.reconciliationRequired = true;
+    intent.reconciliationNote = 'missing shippingAddress on intent — cannot auto-create order';
+    await intent.save().catch(e => console.warn('[payments] saving reconciliation flag failed:', e));
+    return null;
+  }
+
+  try {
+    const order = await createOrderFromIntent({
+      merchantOrderId: intent.merchantOrderId,
+      intent,
+      paymentMeta: {
+        method: intent.provider,
+        paymentId: payment.paymentId || intent.paymentId || null,
+        gatewayOrderId: payment.gatewayOrderId || intent.gatewayOrderId || null,
+        paymentRef: payment.paymentRef || intent.paymentRef
+      }
+    });
+    await postPaymentToLedger(order, intent, payment);
+    return order;
+  } catch (err) {
+    console.error('[payments] order creation failed for intent', intent.intentId, err?.message || err);
+    intent.reconciliationRequired = true;
+    intent.reconciliationNote = `order.create failed: ${err?.message || err}`;
+    await intent.save().catch(e => console.warn('[payments] saving reconciliation flag failed:', e));
+    return null;
+  }
+}
+
+// Gift card and wallet parts, charge (the captured amount) and any fee the gateway
+// reported; idempotent per order. A ledger failure is logged, never turned into a failed payment.
+async function postPaymentToLedger(order, intent, payment = {}) {
+  if (!order) return;
+  const reference = payment.paymentRef || intent.paymentRef || intent.intentId;
+  try {
+    if (order.giftCardAmount > 0) {
+      await recordGiftCardPayment(order, { amountPaise: toPaise(order.giftCardAmount), reference: intent.intentId });
+    }
+    if (order.walletAmount > 0) {
+      await recordWalletPayment(order, { amountPaise: toPaise(order.walletAmount), reference: intent.intentId });
+    }
+    const chargePaise = intent.gatewayAmountPaise ?? intent.totals?.totalPaise;
+    if (chargePaise > 0) await recordCharge(order, { amountPaise: chargePaise, reference });
+    if (Number.isInteger(payment.feePaise) && payment.feePaise > 0) {
+      await recordGatewayFee(order, { amountPaise: payment.feePaise, reference });
+    }
+  } catch (err) {
+    console.warn('[payments] ledger posting failed for order', order.orderId, err?.message || err);
+  }
+}
+
+/**
+ * Apply a normalized payment status to an intent. Resolves to { state, intent, order }.
+ */
+export async function applyPaymentStatus(intent, status, { source = 'status' } = {}) {
+  if (status.raw !== undefined && status.raw !== null) intent.gatewayResponse = safeJson(status.raw);
+  if (status.gatewayOrderId && !intent.gatewayOrderId) intent.gatewayOrderId = status.gatewayOrderId;
+
+  if (status.state === 'paid') {
+    if (intent.status !== 'paid') {
+      intent.status = 'paid';
+      intent.paidAt = new Date();
+    }
+    intent.paymentId = intent.paymentId || status.paymentId || undefined;
+    intent.paymentRef = intent.paymentRef || status.paymentRef || undefined;
+    if (Number.isFinite(status.amountPaise)) intent.gatewayAmountPaise = status.amountPaise;
+    await intent.save();
+
+    const order = await completeIntentOrder(intent, status);
+    return { state: 'paid', intent, order };
+  }
+
+  if (status.state === 'failed' && intent.status !== 'paid') {
+    intent.status = 'failed';
+    await intent.save();
+    await releaseReservation(intent.intentId, `${intent.provider} ${source}: ${status.gatewayState || 'failed'}`)
+      .catch(e => console.warn('[payments] release reservation warning:', e?.message || e));
+    await releaseWalletHold(intent, `Payment failed (${intent.provider})`)
+      .catch(e => console.warn('[payments] wallet release warning:', e?.message || e));
+    await releaseGiftCardHolds(intent, `Payment failed (${intent.provider})`)
+      .catch(e => console.warn('[payments] gift card release warning:', e?.message || e));
+    return { state: 'failed', intent, order: null };
+  }
+
+  await intent.save().catch(e => console.warn('[payments] intent save warning:', e?.message || e));
+  const order = intent.status === 'paid' ? await completeIntentOrder(intent) : null;
+  return { state: intent.status === 'paid' ? 'paid' : status.state, intent, order };
+}
+
+/**
+ * Customer returned from the gateway with a callback payload (Razorpay signature,
+ * Stripe PaymentIntent id; PhonePe has none and asks the status API).
+ */
+export async function verifyIntentPayment(intent, payload = {}) {
+  if (intent.status === 'paid') {
+    return { state: 'paid', intent, order: await completeIntentOrder(intent) };
+  }
+  const status = await getPaymentGateway(intent.provider).verifyCallback(intent, payload);
+  return applyPaymentStatus(intent, status, { source: 'callback' });
+}
+
+/**
+ * Ask the gateway where the payment stands and apply it.
+ */
+export async function syncIntentStatus(intent) {
+  if (intent.status === 'paid') {
+    return { state: 'paid', intent, order: await completeIntentOrder(intent) };
+  }
+  const status = await getPaymentGateway(intent.provider).fetchStatus(intent);
+  const result = await applyPaymentStatus(intent, status, { source: 'status check' });
+  return { ...result, gatewayState: status.gatewayState, raw: status.raw };
+}
+
+// Stripe payments started before checkout intents: metadata.orderId names the order
+async function settleLegacyOrderPayment(orderId, event) {
+  const order = await Order.findById(orderId);
+  if (!order || order.isPaid || event.state !== 'paid') return order;
+
+  order.isPaid = true;
+  order.paidAt = Date.now();
+  order.paymentResult = {
+    id: event.paymentRef,
+    status: event.gatewayState,
+    update_time: new Date().toISOString()
+  };
+  if (order.canTransitionTo('processing')) {
+    await transitionOrder(order, 'processing', { actor: { kind: 'system' }, note: `${event.type} (${order.paymentMethod})` });
+  } else {
+    await order.save();
+  }
+  await recordCharge(order, { amountPaise: event.amountPaise, reference: event.paymentRef }).catch(e =>
+    console.warn('[payments] ledger posting failed for order', order.orderId, e?.message || e)
+  );
+  return order;
+}
+
+/**
+ * Verify and parse a gateway webhook (no side effects). `rawBody` is the unparsed
+ * request body. PaymentError for bad auth / payloads / unknown gateways.
+ */
+export async function parsePaymentWebhook(gatewayName, { headers, rawBody }, { skipVerification = false } = {}) {
+  if (!hasPaymentGateway(gatewayName)) throw new PaymentError('Unknown payment gateway', 404);
+  const gateway = getPaymentGateway(gatewayName);
+  if (!gateway.parseWebhook) throw new PaymentError(`${gatewayName} webhooks are not supported`, 404);
+
+  return gateway.parseWebhook({ headers, rawBody }, { skipVerification });
+}
+
+/**
+ * Apply a parsed webhook event. Safe to repeat: paid intents and settled refunds
+ * do not move again. Resolves to { kind, handled, state?, message?, intentId?, order? }.
+ */
+export async function applyPaymentWebhook(gatewayName, event) {
+  if (event.kind === 'refund') {
+    const refund = await applyRefundUpdate({
+      refundId: event.refundId,
+      gatewayRefundId: event.gatewayRefundId,
+      status: event.status,
+      raw: event.raw
+    });
+    if (!refund) console.warn(`[payments] ${gatewayName} refund callback for unknown refund:`, event.refundId || event.gatewayRefundId);
+    return { kind: 'refund', handled: Boolean(refund), order: refund?.ownerDocument?.() || null };
+  }
+
+  if (event.kind !== 'payment') return { kind: event.kind, handled: false };
+
+  const intent = await findIntent(event.lookup);
+  if (!intent) {
+    if (event.orderId) {
+      const order = await settleLegacyOrderPayment(event.orderId, event);
+      return { kind: 'payment', handled: Boolean(order), order };
+    }
+    console.warn(`[payments] ${gatewayName} webhook for unknown intent:`, event.lookup);
+    return { kind: 'payment', handled: false, message: 'Intent not found' };
+  }
+
+  // A session the checkout switched away from: its payment cannot settle the intent
+  // (refunds go to intent.provider), so it is left for the team to refund
+  if (intent.provider !== gatewayName) {
+    console.warn(`[payments] ${gatewayName} webhook for intent ${intent.intentId} now on ${intent.provider}; ignored`);
+    if (event.state === 'paid') {
+      intent.reconciliationRequired = true;
+      intent.reconciliationNote = `${gatewayName} payment ${event.paymentRef || event.paymentId || ''} received after the checkout moved to ${intent.provider}; refund it`;
+      await intent.save().catch(e => console.warn('[payments] saving reconciliation flag failed:', e?.message || e));
+    }
+    return { kind: 'payment', handled: false, message: `Checkout is on ${intent.provider}` };
+  }
+
+  const result = await applyPaymentStatus(intent, event, { source: 'webhook' });
+  return { kind: 'payment', handled: true, state: result.state, intentId: intent.intentId, order: result.order };
+}
+
+/**
+ * parsePaymentWebhook() + applyPaymentWebhook().
+ */
+export async function handlePaymentWebhook(gatewayName, { headers, rawBody }) {
+  const event = await parsePaymentWebhook(gatewayName, { headers, rawBody });
+  return applyPaymentWebhook(gatewayName, event);
+}
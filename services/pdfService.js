@@ -0,0 +1,58 @@
+// services/pdfService.js
+import ejs from "ejs";
+import path from "path";
+import chromium from "@sparticuz/chromium";
+import puppeteer from "puppeteer-core";
+import { PDFDocument } from "pdf-lib";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const VIEWS_DIR = path.join(__dirname, "../views");
+
+/**
+ * Render HTML to a PDF buffer with headless Chromium.
+ */
+export async function htmlToPdf(html, pdfOptions = {}) {
+  const browser = await puppeteer.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromium.executablePath(),
+    headless: chromium.headless,
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: "networkidle0" });
+    return await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "20mm", bottom: "20mm", left: "10mm", right: "10mm" },
+      ...pdfOptions,
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Render views/<view>.ejs to a PDF buffer.
+ */
+export async function renderViewToPdf(view, data, pdfOptions) {
+  const html = await ejs.renderFile(path.join(VIEWS_DIR, `${view}.ejs`), data);
+  return htmlToPdf(html, pdfOptions);
+}
+
+/**
+ * Concatenate PDFs (Buffers) into one, in order.
+ */
+export async function mergePdfs(buffers) {
+  const merged = await PDFDocument.create();
+  for (const buffer of buffers) {
+    const doc = await PDFDocument.load(buffer, { ignoreEncryption: true });
+    const pages = await merged.copyPages(doc, doc.getPageIndices());
+    pages.forEach(page => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+}
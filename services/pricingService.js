@@ -0,0 +1,396 @@
+// services/pricingService.js
+
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import { COUPON_RULES } from '../utils/couponRules.js';
+import { calculateInvoice } from '../utils/invoiceCalculator.js';
+import { isGiftCardLine } from '../models/Order.js';
+
+/**
+ * Checkout pricing rules (₹). All amounts are GST-inclusive, like variant prices.
+ * Override per environment without touching code.
+ */
+export const PRICING = {
+  freeShippingThreshold: Number(process.env.FREE_SHIPPING_THRESHOLD ?? 499),
+  shippingFee: Number(process.env.SHIPPING_FEE ?? 99),
+  codFee: Number(process.env.COD_FEE ?? 50),
+  gstRate: Number(process.env.GST_RATE ?? 5)
+};
+
+export class PricingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PricingError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+export function resolveProductId(item = {}) {
+  return item.product?._id || item.product || item.productId || item._id || item.id || null;
+}
+
+/**
+ * Pick the variant a cart line refers to:
+ * explicit variantId (product detail page) → size string → first variant.
+ * A variantId that is not one of the product's variants resolves to null rather
+ * than to some other variant.
+ */
+export function resolveVariant(product, item = {}) {
+  if (!product?.variants?.length) return null;
+
+  if (item.variantId) return product.variants.id(item.variantId) || null;
+
+  const size = item.size || item.variant;
+  if (size && size !== 'default') {
+    const bySize = product.variants.find(v => v.size === size);
+    if (bySize) return bySize;
+  }
+
+  return product.variants[0];
+}
+
+export function shippingFeeFor(itemsPrice) {
+  return itemsPrice > PRICING.freeShippingThreshold ? 0 : PRICING.shippingFee;
+}
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+/**
+ * Recipient details of a gift card cart line (item.giftCard), trimmed and length-capped.
+ * PricingError when the email is missing or invalid.
+ */
+export function giftCardRecipient(product, item = {}) {
+  const str = (v, max) => String(v ?? '').trim().slice(0, max);
+  const recipientEmail = str(item.giftCard?.recipientEmail, 254).toLowerCase();
+  if (!EMAIL_PATTERN.test(recipientEmail)) {
+    throw new PricingError(`${product.name} needs a valid recipient email (giftCard.recipientEmail)`);
+  }
+  return {
+    recipientEmail,
+    recipientName: str(item.giftCard.recipientName, 100),
+    senderName: str(item.giftCard.senderName, 100),
+    message: str(item.giftCard.message, 500)
+  };
+}
+
+export function codFeeFor(paymentMethod) {
+  return String(paymentMethod || '').toLowerCase() === 'cod' ? PRICING.codFee : 0;
+}
+
+/**
+ * Discount stored coupon terms give on `amount` ({ type: 'percent' | 'flat', value,
+ * minOrderValue, maxDiscount }). No validity checks: the coupon was valid at checkout.
+ */
+export function couponTermsDiscount(terms, amount) {
+  if (!terms?.type || amount < Number(terms.minOrderValue || 0)) return 0;
+  let discount = terms.type === 'percent' ? (amount * Number(terms.value || 0)) / 100 : Number(terms.value || 0);
+  if (terms.type === 'percent' && terms.maxDiscount > 0) discount = Math.min(discount, terms.maxDiscount);
+  return round2(Math.max(0, Math.min(discount, amount)));
+}
+
+/**
+ * Resolve a coupon code against the static checkout rules first, then the Coupon collection.
+ * `customer` ({ user, email, order }) is checked against Coupon#appliesTo().
+ * Returns { code, description, discountAmount, terms } or null when the code does not apply.
+ */
+export async function resolveCouponDiscount(couponCode, itemsPrice, customer = {}) {
+  if (!couponCode) return null;
+  const code = String(couponCode).trim().toUpperCase();
+
+  const rule = COUPON_RULES.find(c => c.code.toUpperCase() === code);
+  if (rule) {
+    if (!rule.isActive) return null;
+    if (new Date(rule.expiryDate) < new Date()) return null;
+    if (itemsPrice < (rule.minOrderValue || 0)) return null;
+
+    let discountAmount = 0;
+    if (rule.type === 'percent') discountAmount = Math.floor((itemsPrice * rule.value) / 100);
+    else if (rule.type === 'flat') discountAmount = rule.value;
+
+    return {
+      code: rule.code,
+      description: rule.description,
+      discountAmount: Math.min(discountAmount, itemsPrice),
+      terms: { type: rule.type === 'percent' ? 'percent' : 'flat', value: rule.value, minOrderValue: rule.minOrderValue || 0, maxDiscount: 0 }
+    };
+  }
+
+  const coupon = await Coupon.findOne({ code, isActive: true });
+  if (!coupon || !coupon.appliesTo(customer)) return null;
+
+  const terms = {
+    type: coupon.type === 'percentage' ? 'percent' : 'flat',
+    value: coupon.value,
+    minOrderValue: coupon.minimumAmount || 0,
+    maxDiscount: coupon.maximumDiscount || 0
+  };
+  const discountAmount = couponTermsDiscount(terms, itemsPrice);
+  if (discountAmount <= 0) return null;
+
+  return { code: coupon.code, description: coupon.description, discountAmount, terms };
+}
+
+const isCheckoutRule = (code) => COUPON_RULES.some(c => c.code.toUpperCase() === code);
+
+/**
+ * Count an order against its Coupon: one update, guarded by the coupon's usageLimit and
+ * the customer's userLimit (by account or email), so a code cannot be used past either.
+ * Idempotent per order. Static checkout rules are not counted.
+ * Resolves to false when the coupon was used up (or removed) since the order was priced.
+ */
+export async function recordCouponUsage(order) {
+  const code = String(order.couponCode || '').trim().toUpperCase();
+  if (!code || isCheckoutRule(code)) return true;
+
+  const email = String(order.shippingAddress?.email || '').trim().toLowerCase();
+  const mine = [
+    ...(order.user ? [{ $eq: ['$$use.user', order.user] }] : []),
+    ...(email ? [{ $eq: ['$$use.email', email] }] : [])
+  ];
+  const usedByCustomer = {
+    $size: { $filter: { input: { $ifNull: ['$usedBy', []] }, as: 'use', cond: { $or: mine.length ? mine : [false] } } }
+  };
+
+  const res = await Coupon.updateOne(
+    {
+      code,
+      'usedBy.order': { $ne: order._id },
+      $expr: { $and: [{ $lt: ['$usedCount', '$usageLimit'] }, { $lt: [usedByCustomer, '$userLimit'] }] }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { usedBy: { user: order.user || undefined, email, order: order._id, orderAmount: order.totalPrice, usedAt: new Date() } }
+    }
+  );
+  if (res.modifiedCount) return true;
+  return Boolean(await Coupon.exists({ code, 'usedBy.order': order._id }));
+}
+
+/**
+ * Undo recordCouponUsage() for an order that was not placed.
+ */
+export async function releaseCouponUsage(order) {
+  const code = String(order.couponCode || '').trim().toUpperCase();
+  if (!code || isCheckoutRule(code)) return;
+  await Coupon.updateOne(
+    { code, 'usedBy.order': order._id },
+    { $inc: { usedCount: -1 }, $pull: { usedBy: { order: order._id } } }
+  );
+}
+
+/**
+ * Authoritative checkout quote.
+ * - resolves variant prices from the DB (client prices are ignored)
+ * - checks stock unless options.checkStock === false
+ * - applies coupon (for `user` / shippingAddress.email), shipping rule, COD fee
+ * - derives the GST split through the invoice calculator
+ *
+ * Gift card lines (product.isGiftCard) need a recipient and an online payment. They are
+ * in itemsPrice (and giftCardsPrice) but carry no shipping, coupon discount or GST.
+ *
+ * Returns { items, itemsPrice, giftCardsPrice, discountAmount, coupon, shippingFee, codFee, tax, gst, total, totalPaise }
+ */
+export async function quoteCheckout({ orderItems = [], couponCode = null, paymentMethod = null, shippingAddress = null, user = null }, options = {}) {
+  // options.order: an order being re-priced, whose own coupon use is not counted
+  const { checkStock = true, order = null } = options;
+
+  if (!Array.isArray(orderItems) || orderItems.length === 0) {
+    throw new PricingError('orderItems must be a non-empty array');
+  }
+
+  const productIds = [...new Set(orderItems.map(resolveProductId).filter(Boolean).map(String))];
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(p => [String(p._id), p]));
+
+  const items = [];
+  let itemsPrice = 0;
+  let giftCardsPrice = 0;
+
+  for (const item of orderItems) {
+    const productId = resolveProductId(item);
+    const product = productMap.get(String(productId));
+    if (!product) throw new PricingError(`Product not found: ${productId}`, 404);
+
+    const variant = resolveVariant(product, item);
+    if (!variant) {
+      throw new PricingError(item.variantId
+        ? `Variant ${item.variantId} not found for ${product.name}`
+        : `No valid variant found for ${product.name}`);
+    }
+
+    const quantity = Number(item.quantity || 0);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new PricingError(`Invalid quantity for ${product.name}`);
+    }
+
+    if (checkStock && variant.stock < quantity) {
+      throw new PricingError(`Insufficient stock for ${product.name} (${variant.size}). Available: ${variant.stock}`, 409);
+    }
+
+    const unitPrice = Number(variant.price) || 0;
+    const lineTotal = round2(unitPrice * quantity);
+    itemsPrice += lineTotal;
+
+    let giftCard;
+    if (product.isGiftCard) {
+      if (String(paymentMethod || '').toLowerCase() === 'cod') {
+        throw new PricingError('Gift cards must be paid online');
+      }
+      giftCard = giftCardRecipient(product, item);
+      giftCardsPrice += lineTotal;
+    }
+
+    items.push({
+      product: product._id,
+      variantId: String(variant._id),
+      variant: variant.size || 'default',
+      name: variant.size ? `${product.name} - ${variant.size}` : product.name,
+      image: product.images?.[0]?.url || item.image || '',
+      unitPrice,
+      quantity,
+      lineTotal,
+      ...(giftCard ? { giftCard } : {})
+    });
+  }
+
+  itemsPrice = round2(itemsPrice);
+  giftCardsPrice = round2(giftCardsPrice);
+  const goodsPrice = round2(itemsPrice - giftCardsPrice);
+
+  const coupon = await resolveCouponDiscount(couponCode, goodsPrice, { user, email: shippingAddress?.email, order });
+  const discountAmount = coupon ? round2(coupon.discountAmount) : 0;
+  const shippingFee = goodsPrice > 0 ? shippingFeeFor(goodsPrice) : 0;
+  const codFee = codFeeFor(paymentMethod);
+  const total = round2(itemsPrice - discountAmount + shippingFee + codFee);
+
+  // Prices are GST-inclusive; the invoice calculator splits out the tax component.
+  // Gift cards are taxed when they are spent, not when they are sold.
+  const invoice = calculateInvoice({
+    items: items.filter(it => !it.giftCard).map(it => ({ name: it.name, qty: it.quantity, price: it.unitPrice, gstPercent: PRICING.gstRate })),
+    discountAmount,
+    shippingPrice: shippingFee,
+    codFee
+  });
+
+  return {
+    items,
+    itemsPrice,
+    giftCardsPrice,
+    discountAmount,
+    coupon,
+    shippingFee,
+    codFee,
+    tax: Number(invoice.totals.totalGst), // GST included in total (not added on top)
+    gst: {
+      rate: PRICING.gstRate,
+      goods: round2(Number(invoice.totals.totalGst) - Number(invoice.shipping.gstAmount) - Number(invoice.cod.gstAmount)),
+      shipping: Number(invoice.shipping.gstAmount),
+      cod: Number(invoice.cod.gstAmount),
+      total: Number(invoice.totals.totalGst),
+      taxableValue: Number(invoice.totals.totalTaxableValue)
+    },
+    total,
+    totalPaise: Math.round(total * 100),
+    paymentMethod: paymentMethod ? String(paymentMethod).toLowerCase() : null,
+    postalCode: shippingAddress?.postalCode || shippingAddress?.pincode || null
+  };
+}
+
+/**
+ * Intent/order `totals` shape persisted on PaymentIntent. `giftCardPaise` and `walletPaise`
+ * are the parts paid with gift cards and from the store credit wallet; totalPaise is what
+ * is left for the gateway.
+ */
+export function toIntentTotals(quote, { walletPaise = 0, giftCardPaise = 0 } = {}) {
+  const giftCards = Math.min(giftCardPaise, quote.totalPaise);
+  const wallet = Math.min(walletPaise, quote.totalPaise - giftCards);
+  return {
+    subtotal: quote.itemsPrice,
+    shippingFee: quote.shippingFee,
+    discountAmount: quote.discountAmount,
+    codFee: quote.codFee,
+    tax: quote.tax,
+    total: quote.total,
+    walletAmount: wallet / 100,
+    giftCardAmount: giftCards / 100,
+    totalPaise: quote.totalPaise - giftCards - wallet
+  };
+}
+
+/**
+ * Re-price an existing order from its stored lines (used by Stripe/COD confirmation).
+ */
+export function quoteForOrder(order, options = {}) {
+  return quoteCheckout({
+    orderItems: (order.orderItems || []).map(it => ({
+      product: it.product,
+      variantId: it.variantId,
+      size: it.size || it.variant,
+      quantity: it.quantity,
+      ...(isGiftCardLine(it) ? { giftCard: it.giftCard } : {})
+    })),
+    couponCode: order.couponCode || null,
+    paymentMethod: order.paymentMethod,
+    shippingAddress: order.shippingAddress,
+    user: order.user || null
+  }, { checkStock: false, order: order._id, ...options });
+}
+
+/**
+ * Map quote lines onto the Order.orderItems shape.
+ */
+export function toOrderItems(quote) {
+  return quote.items.map(it => ({
+    product: it.product,
+    name: it.name,
+    image: it.image,
+    price: it.unitPrice,
+    quantity: it.quantity,
+    size: it.variant,
+    variantId: it.variantId,
+    variant: it.variant,
+    ...(it.giftCard ? { giftCard: it.giftCard } : {})
+  }));
+}
+
+// Coupon part of a re-priced basket, from the terms stored at checkout (the coupon may
+// have expired or been used up since). Orders placed before terms were stored keep
+// their discount in proportion to the goods left.
+function repricedCouponDiscount(order, goodsPrice, giftCardsPrice) {
+  if (!order.couponCode) return 0;
+  if (order.couponTerms?.type) return couponTermsDiscount(order.couponTerms, goodsPrice);
+  const previousGoods = Number(order.itemsPrice || 0) - giftCardsPrice;
+  return previousGoods > 0 ? round2((Number(order.discountAmount || 0) * goodsPrice) / previousGoods) : 0;
+}
+
+/**
+ * Re-price an order's remaining lines at the prices the customer paid (line
+ * cancellation, admin edits). Shipping, COD fee and the coupon (as agreed at
+ * checkout) are re-applied to the new basket; the coupon never gives more than it
+ * did at checkout. The GST split comes from the invoice calculator.
+ *
+ * Returns { itemsPrice, discountAmount, shippingFee, codFee, tax, total, invoice }
+ */
+export async function repriceOrderLines(order, lines = order.orderItems) {
+  const lineTotal = (list) => round2(list.reduce((sum, it) => sum + Number(it.price) * Number(it.quantity), 0));
+  const goods = (lines || []).filter(it => !isGiftCardLine(it));
+  const itemsPrice = lineTotal(lines || []);
+  const goodsPrice = lineTotal(goods);
+
+  const couponDiscount = repricedCouponDiscount(order, goodsPrice, round2(itemsPrice - goodsPrice));
+  const discountAmount = round2(Math.min(couponDiscount, Number(order.discountAmount || 0), goodsPrice));
+  const shippingFee = goodsPrice > 0 ? shippingFeeFor(goodsPrice) : 0;
+  const codFee = codFeeFor(order.paymentMethod);
+  const total = round2(itemsPrice - discountAmount + shippingFee + codFee);
+
+  const invoice = calculateInvoice({
+    items: goods.map(it => ({ name: it.name, qty: it.quantity, price: it.price, gstPercent: PRICING.gstRate })),
+    discountAmount,
+    shippingPrice: shippingFee,
+    codFee
+  });
+
+  return { itemsPrice, discountAmount, shippingFee, codFee, tax: Number(invoice.totals.totalGst), total, invoice };
+}
@@ -0,0 +1,412 @@
+// services/refundService.js
+
+import mongoose from 'mongoose';
+import { customAlphabet } from 'nanoid';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { getPaymentGateway, hasPaymentGateway } from './paymentGateways.js';
+import { recordRefund } from './ledgerService.js';
+import { creditWallet } from './walletService.js';
+import { refundToGiftCards } from './giftCardService.js';
+
+/**
+ * Refunds for prepaid orders.
+ *
+ * Every refund is a record in order.refunds:
+ *   pending     created (return received, prepaid order cancelled, or admin request)
+ *   processing  sent to the gateway, waiting for its callback / status poll
+ *   succeeded | failed   final
+ *
+ * The gateway is picked from order.paymentMethod and paid against
+ * order.paymentResult.id (Stripe PaymentIntent id, Razorpay payment id,
+ * PhonePe merchantOrderId).
+ *
+ * Store credit: refund.walletAmount is the part paid back into the customer's wallet
+ * (services/walletService.js). Whatever an order paid from the wallet goes back there
+ * first, so a gateway is never asked for more than it collected; `toWallet` makes the
+ * whole refund store credit (goodwill, returns). Gift cards work the same way and come
+ * first: refund.giftCardAmount goes back onto the cards the order used
+ * (services/giftCardService.js). A refund with nothing left for the gateway (gateway
+ * 'wallet' / 'gift_card') never touches it.
+ */
+
+const nanoidShort = customAlphabet('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ', 10);
+
+const OPEN_STATUSES = ['pending', 'processing', 'succeeded'];
+const FINAL_STATUSES = ['succeeded', 'failed'];
+const STORE_CREDIT_GATEWAYS = ['wallet', 'gift_card'];
+
+export class RefundError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RefundError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+export const makeRefundId = () => `rf_${nanoidShort()}`;
+
+// --- gateway clients -------------------------------------------------------
+// Refunds go through the payment gateway adapters (services/paymentGateways.js):
+// createRefund({ refundId, paymentRef, amountPaise, reason }) and
+// fetchRefund({ refundId, gatewayRefundId, paymentRef }); both resolve to
+// { gatewayRefundId, status: 'processing' | 'succeeded' | 'failed', raw }.
+
+export { mapStripeRefundStatus } from './gateways/stripeGateway.js';
+export { mapRazorpayRefundStatus } from './gateways/razorpayGateway.js';
+export { mapPhonePeRefundState } from './gateways/phonepeGateway.js';
+
+function gatewayFor(order) {
+  const method = order.paymentMethod;
+  if (!hasPaymentGateway(method)) {
+    throw new RefundError(`Refunds are not supported for ${order.paymentMethod} orders`, 409);
+  }
+  return getPaymentGateway(method);
+}
+
+// --- amounts ---------------------------------------------------------------
+
+// Refunds that mirror a lower order total (lines taken off the order); the
+// current totalPrice already excludes them.
+export const ADJUSTMENT_SOURCES = ['line_cancellation', 'order_edit'];
+
+/**
+ * Sum of refunds already committed (pending, in flight or paid out), optionally
+ * ignoring one record or the adjustment refunds.
+ */
+export function refundedAmount(order, { exclude, includeAdjustments = true } = {}) {
+  return round2((order.refunds || [])
+    .filter(r => OPEN_STATUSES.includes(r.status) && r.refundId !== exclude)
+    .filter(r => includeAdjustments || !ADJUSTMENT_SOURCES.includes(r.source))
+    .reduce((sum, r) => sum + Number(r.amount || 0), 0));
+}
+
+/**
+ * What can still go back to the customer against the current order total. Until a COD
+ * order is delivered only its wallet and gift card parts have been paid.
+ */
+export function refundableBalance(order, { exclude } = {}) {
+  const refunded = refundedAmount(order, { exclude, includeAdjustments: false });
+  const paid = order.paymentMethod === 'cod' && !order.isDelivered ? order.prepaidCredit() : order.totalPrice;
+  return round2(Math.max(0, Number(paid || 0) - refunded));
+}
+
+/**
+ * Wallet part of the order not yet given back to the wallet.
+ */
+export function walletRefundable(order, { exclude } = {}) {
+  const returned = (order.refunds || [])
+    .filter(r => OPEN_STATUSES.includes(r.status) && r.refundId !== exclude)
+    .reduce((sum, r) => sum + Number(r.walletAmount || 0), 0);
+  return round2(Math.max(0, Number(order.walletAmount || 0) - returned));
+}
+
+/**
+ * Gift card part of the order not yet put back, per card: { amount, cards: [{ card, amount }] }.
+ */
+export function giftCardRefundable(order, { exclude } = {}) {
+  const returned = new Map();
+  for (const r of order.refunds || []) {
+    if (!OPEN_STATUSES.includes(r.status) || r.refundId === exclude) continue;
+    for (const g of r.giftCards || []) {
+      returned.set(String(g.card), (returned.get(String(g.card)) || 0) + Number(g.amount || 0));
+    }
+  }
+
+  const cards = (order.giftCards || [])
+    .map(g => ({ card: g.card, amount: round2(Math.max(0, Number(g.amount || 0) - (returned.get(String(g.card)) || 0))) }))
+    .filter(g => g.amount > 0);
+  return { amount: round2(cards.reduce((sum, g) => sum + g.amount, 0)), cards };
+}
+
+// Split `amount` across the cards, in the order they were used
+function allocateToGiftCards(cards, amount) {
+  const allocation = [];
+  let left = round2(amount);
+  for (const g of cards) {
+    if (left <= 0) break;
+    const take = round2(Math.min(left, g.amount));
+    allocation.push({ card: g.card, amount: take });
+    left = round2(left - take);
+  }
+  return allocation;
+}
+
+// --- records ---------------------------------------------------------------
+
+/**
+ * Append a pending refund to the order (not yet sent to the gateway). Gift cards the
+ * order used are refunded first, then its wallet part, then the gateway.
+ * `toWallet` pays all of it as store credit. Caller saves the order; use
+ * recordPendingRefund() unless the save is already guarded (e.g. by a status change).
+ */
+export function addPendingRefund(order, { amount, reason = '', source = 'manual', returnRequest, createdBy, toWallet = false } = {}) {
+  const value = round2(amount);
+  if (!(value > 0)) throw new RefundError('Refund amount must be greater than zero');
+  if (!ADJUSTMENT_SOURCES.includes(source) && value > refundableBalance(order)) {
+    throw new RefundError(`Refund exceeds refundable balance (₹${refundableBalance(order)})`, 409);
+  }
+
+  const giftCards = toWallet ? [] : allocateToGiftCards(giftCardRefundable(order).cards, value);
+  const giftCardAmount = round2(giftCards.reduce((sum, g) => sum + g.amount, 0));
+  const walletAmount = toWallet ? value : round2(Math.min(value - giftCardAmount, walletRefundable(order)));
+  if (walletAmount > 0 && !order.user) {
+    throw new RefundError('Store credit needs a customer account; this is a guest order', 409);
+  }
+
+  let gateway = order.paymentMethod;
+  if (round2(value - giftCardAmount - walletAmount) <= 0) gateway = walletAmount > 0 ? 'wallet' : 'gift_card';
+
+  const refund = {
+    refundId: makeRefundId(),
+    amount: value,
+    walletAmount,
+    giftCardAmount,
+    giftCards,
+    reason,
+    source,
+    returnRequest,
+    status: 'pending',
+    gateway,
+    createdBy
+  };
+  order.refunds.push(refund);
+  return order.refunds[order.refunds.length - 1];
+}
+
+/**
+ * Add a pending refund and save it in one step with its balance check: the save
+ * only lands if the order has gained no other refund since it was read.
+ * `build(order)` returns the addPendingRefund() input (null: nothing to refund);
+ * after a conflict it runs again on a fresh copy of the order (`retry: false`
+ * gives up with a 409 instead). Resolves to { order, refund } with the order as saved.
+ */
+export async function recordPendingRefund(order, build, { retry = true } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const doc = order;
+    const input = build(doc);
+    if (!input) return { order: doc, refund: null };
+    const count = doc.refunds.length;
+    const refund = addPendingRefund(doc, input);
+
+    const where = doc.$where;
+    doc.$where = count
+      ? { ...where, refunds: { $size: count } }
+      : { ...where, $or: [{ refunds: { $size: 0 } }, { refunds: { $exists: false } }] };
+    try {
+      await doc.save();
+      return { order: doc, refund };
+    } catch (err) {
+      if (!(err instanceof mongoose.Error.DocumentNotFoundError)) throw err;
+      if (!retry || attempt >= 3) {
+        throw new RefundError('Another refund was recorded for this order at the same time; try again', 409);
+      }
+      order = await Order.findById(doc._id);
+      if (!order) throw new RefundError('Order not found', 404);
+    } finally {
+      doc.$where = where;
+    }
+  }
+}
+
+async function onRefundSucceeded(order, refund) {
+  if (refund.source !== 'return' || !refund.returnRequest) return;
+  const ret = await ReturnRequest.findById(refund.returnRequest);
+  if (ret?.canTransitionTo('refunded')) {
+    ret.transitionTo('refunded', { actor: { kind: 'system' }, note: `Refund ${refund.refundId} settled` });
+    await ret.save();
+  }
+}
+
+// Store credit part of a refund; idempotent, so a retried outcome never credits twice
+function creditRefundToWallet(order, refund) {
+  return creditWallet(order.user, {
+    amountPaise: toPaise(refund.walletAmount),
+    kind: 'refund',
+    reason: refund.reason || `Refund ${refund.refundId}`,
+    reference: refund.refundId,
+    order,
+    idempotencyKey: `refund:${refund.refundId}`
+  });
+}
+
+// Write a gateway outcome onto a refund record; final states never move again.
+// A refund only succeeds once its gift card and store credit parts are back; if that
+// fails it stays processing and syncRefund() tries again.
+async function applyOutcome(order, refund, { gatewayRefundId, status, raw, error }) {
+  if (FINAL_STATUSES.includes(refund.status)) return refund;
+
+  if (status === 'succeeded' && refund.giftCardAmount > 0) {
+    try {
+      await refundToGiftCards(order, refund);
+    } catch (err) {
+      console.error(`❌ Gift card part of refund ${refund.refundId} failed:`, err?.message || err);
+      status = 'processing';
+      error = `Gift card refund failed: ${err?.message || err}`;
+    }
+  }
+  if (status === 'succeeded' && refund.walletAmount > 0) {
+    try {
+      await creditRefundToWallet(order, refund);
+    } catch (err) {
+      console.error(`❌ Store credit for refund ${refund.refundId} failed:`, err?.message || err);
+      status = 'processing';
+      error = `Store credit failed: ${err?.message || err}`;
+    }
+  }
+
+  if (gatewayRefundId) refund.gatewayRefundId = gatewayRefundId;
+  if (raw !== undefined) refund.gatewayResponse = JSON.parse(JSON.stringify(raw));
+  if (error) refund.error = String(error).slice(0, 2000);
+  refund.status = status;
+  if (FINAL_STATUSES.includes(status)) refund.processedAt = new Date();
+
+  await order.save();
+
+  if (status === 'succeeded') {
+    await recordRefund(order, refund).catch(e =>
+      console.warn('[refundService] ledger posting for refund warning:', e?.message || e)
+    );
+    await onRefundSucceeded(order, refund).catch(e =>
+      console.warn('[refundService] return update after refund warning:', e?.message || e)
+    );
+  }
+  return refund;
+}
+
+// Only a 4xx answer means the gateway refused the refund. A timeout, a 5xx or a
+// conflict may hide one it accepted, so those stay processing for syncRefund().
+function gatewayRejected(err) {
+  const status = Number(err?.statusCode ?? err?.httpStatusCode ?? err?.status);
+  return status >= 400 && status < 500 && ![408, 409, 425, 429].includes(status);
+}
+
+/**
+ * Send a pending refund to the order's gateway.
+ * Claims the record atomically (pending → processing) so it is never paid twice.
+ */
+export async function processRefund(order, refundId) {
+  const refund = order.refunds.find(r => r.refundId === refundId);
+  if (!refund) throw new RefundError('Refund not found', 404);
+  if (refund.status !== 'pending') {
+    throw new RefundError(`Refund is already ${refund.status}`, 409);
+  }
+
+  const gatewayAmount = round2(Number(refund.amount) - Number(refund.walletAmount || 0) - Number(refund.giftCardAmount || 0));
+  const paymentRef = order.paymentResult?.id;
+  const client = gatewayAmount > 0 ? gatewayFor(order) : null;
+  if (client && !paymentRef) throw new RefundError('Order has no gateway payment reference', 409);
+
+  const claimed = await Order.updateOne(
+    { _id: order._id, refunds: { $elemMatch: { refundId, status: 'pending' } } },
+    { $set: { 'refunds.$.status': 'processing' } }
+  );
+  if (!claimed.modifiedCount) throw new RefundError('Refund is already being processed', 409);
+
+  // Continue on a fresh copy that reflects the claim
+  const fresh = await Order.findById(order._id);
+  const target = fresh.refunds.find(r => r.refundId === refundId);
+
+  let result;
+  try {
+    result = client
+      ? await client.createRefund({ refundId, paymentRef, amountPaise: toPaise(gatewayAmount), reason: target.reason })
+      : { status: 'succeeded' };
+  } catch (err) {
+    result = {
+      status: gatewayRejected(err) ? 'failed' : 'processing',
+      error: err?.error?.description || err?.message || String(err),
+      raw: err?.error || err?.raw || undefined
+    };
+    console.error(result.status === 'failed'
+      ? `❌ Refund ${refundId} for order ${order.orderId} refused by the gateway:`
+      : `❌ Refund ${refundId} for order ${order.orderId} has no answer from the gateway; left processing:`, result.error);
+  }
+  await applyOutcome(fresh, target, result);
+
+  return { order: fresh, refund: target };
+}
+
+/**
+ * Admin refund: full (amount omitted → remaining balance) or partial. `toWallet` pays it
+ * as store credit, which COD orders can get too.
+ */
+export async function createRefund(order, { amount, reason = '', createdBy, toWallet = false } = {}) {
+  if (!order.isPaid && !order.paymentResult?.id && !(order.paymentMethod === 'cod' && refundableBalance(order) > 0)) {
+    throw new RefundError('Order has not been paid', 409);
+  }
+
+  const value = amount === undefined || amount === null || amount === ''
+    ? refundableBalance(order)
+    : Number(amount);
+
+  // COD: only what the gift cards paid can go back without store credit
+  if (order.paymentMethod === 'cod' && !toWallet && !(value <= giftCardRefundable(order).amount)) {
+    throw new RefundError('COD orders are refunded offline, as store credit or to the gift cards they used', 409);
+  }
+
+  // The admin picked the amount against this copy: a concurrent refund means ask again
+  const { refund } = await recordPendingRefund(
+    order,
+    () => ({ amount: value, reason, source: 'manual', createdBy, toWallet }),
+    { retry: false }
+  );
+
+  return processRefund(order, refund.refundId);
+}
+
+/**
+ * Poll the gateway for a refund still in flight (e.g. no callback received).
+ */
+export async function syncRefund(order, refundId) {
+  const refund = order.refunds.find(r => r.refundId === refundId);
+  if (!refund) throw new RefundError('Refund not found', 404);
+  if (refund.status !== 'processing') return refund;
+
+  // Nothing at the gateway; only the gift card / store credit part is left to retry
+  if (STORE_CREDIT_GATEWAYS.includes(refund.gateway)) return applyOutcome(order, refund, { status: 'succeeded' });
+
+  const result = await gatewayFor(order).fetchRefund({
+    refundId,
+    gatewayRefundId: refund.gatewayRefundId,
+    paymentRef: order.paymentResult?.id
+  });
+  return applyOutcome(order, refund, result);
+}
+
+/**
+ * Send the order's pending refunds that are all store credit or gift cards (no gateway
+ * or admin step needed). Failures are logged; the refund stays for the refunds endpoint.
+ */
+export async function processWalletRefunds(order) {
+  const pending = (order.refunds || []).filter(r => r.status === 'pending' && STORE_CREDIT_GATEWAYS.includes(r.gateway));
+  for (const refund of pending) {
+    try {
+      await processRefund(order, refund.refundId);
+    } catch (err) {
+      console.error(`❌ Store credit refund ${refund.refundId} for order ${order.orderId} not sent:`, err?.message || err);
+    }
+  }
+}
+
+/**
+ * Async status from a gateway callback. Matches on our refundId first, then the
+ * gateway's id. Returns the refund, or null if it is not ours.
+ */
+export async function applyRefundUpdate({ refundId, gatewayRefundId, status, raw, error }) {
+  const or = [];
+  if (refundId) or.push({ 'refunds.refundId': refundId });
+  if (gatewayRefundId) or.push({ 'refunds.gatewayRefundId': gatewayRefundId });
+  if (!or.length) return null;
+
+  const order = await Order.findOne({ $or: or });
+  if (!order) return null;
+
+  const refund = order.refunds.find(r =>
+    (refundId && r.refundId === refundId) || (gatewayRefundId && r.gatewayRefundId === gatewayRefundId)
+  );
+  return applyOutcome(order, refund, { gatewayRefundId, status, raw, error });
+}
@@ -0,0 +1,266 @@
+// services/returnService.js
+
+import { customAlphabet } from 'nanoid';
+import mongoose from 'mongoose';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { isGiftCardLine } from '../models/Order.js';
+import { getCarrier, toCarrierAddress } from './shipping.js';
+import { computeParcel } from './parcelService.js';
+import { restoreStock } from './stockReservationService.js';
+import { transitionOrder } from './orderLifecycle.js';
+import { recordPendingRefund, refundableBalance } from './refundService.js';
+
+const nanoidShort = customAlphabet('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ', 8);
+
+export const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS || 7);
+
+// Return photos must be images we uploaded (POST /api/upload/return-photos)
+const RETURN_PHOTO_HOSTS = (process.env.RETURN_PHOTO_HOSTS || 'res.cloudinary.com')
+  .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const MAX_RETURN_PHOTOS = 10;
+
+// Reasons where the bottle is not resaleable; defaulted to write-off on receipt
+const WRITE_OFF_REASONS = ['damaged', 'leaking', 'quality'];
+
+export class ReturnError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReturnError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round2 = (n) => Number(Number(n || 0).toFixed(2));
+
+// Save a status change only if nobody moved the return since it was read
+async function saveTransition(ret, from) {
+  const where = ret.$where;
+  ret.$where = { ...where, status: from };
+  try {
+    return await ret.save();
+  } catch (err) {
+    if (err instanceof mongoose.Error.DocumentNotFoundError) {
+      throw new ReturnError(`Return ${ret.rmaId} was changed by someone else; reload and try again`, 409);
+    }
+    throw err;
+  } finally {
+    ret.$where = where;
+  }
+}
+
+/**
+ * Amount to give back for some order lines: line value less its proportional
+ * share of the order discount. Shipping and COD fees are not refunded.
+ * `lines` = [{ price, quantity }]
+ */
+export function refundableAmountForLines(order, lines = []) {
+  const itemsPrice = Number(order.itemsPrice) || (order.orderItems || []).reduce((sum, it) => sum + it.price * it.quantity, 0);
+  const discount = Number(order.discountAmount || 0);
+
+  const value = lines.reduce((sum, l) => sum + Number(l.price) * Number(l.quantity), 0);
+  const discountShare = itemsPrice > 0 ? (discount * value) / itemsPrice : 0;
+
+  return round2(Math.max(0, value - discountShare));
+}
+
+/**
+ * Quantity of each order line already claimed by open or completed returns.
+ */
+async function returnedQuantities(order) {
+  const returns = await ReturnRequest.find({ order: order._id, status: { $ne: 'rejected' } }).select('items');
+  const qty = new Map();
+  for (const ret of returns) {
+    for (const item of ret.items) {
+      const key = String(item.orderItem);
+      qty.set(key, (qty.get(key) || 0) + item.quantity);
+    }
+  }
+  return qty;
+}
+
+function returnPhotos(photos) {
+  if (photos === undefined || photos === null) return [];
+  if (!Array.isArray(photos)) throw new ReturnError('photos must be an array of image URLs');
+  if (photos.length > MAX_RETURN_PHOTOS) throw new ReturnError(`At most ${MAX_RETURN_PHOTOS} photos per return`);
+
+  const cloud = process.env.CLOUDINARY_CLOUD_NAME;
+  return photos.map((photo) => {
+    let url;
+    try {
+      url = new URL(String(photo).trim());
+    } catch {
+      throw new ReturnError('Return photos must be image URLs');
+    }
+    const ownCloud = !cloud || url.hostname !== 'res.cloudinary.com' || url.pathname.startsWith(`/${cloud}/`);
+    if (url.protocol !== 'https:' || !RETURN_PHOTO_HOSTS.includes(url.hostname) || !ownCloud) {
+      throw new ReturnError('Return photos must be uploaded through /api/upload/return-photos');
+    }
+    return url.href;
+  });
+}
+
+/**
+ * Customer return request.
+ * items: [{ orderItemId, quantity, reason, comment }]
+ */
+export async function createReturn({ order, user, items = [], photos = [] }) {
+  if (order.status !== 'delivered') {
+    throw new ReturnError('Only delivered orders can be returned', 409);
+  }
+
+  const deliveredAt = order.deliveredAt || order.updatedAt;
+  const windowEnds = new Date(new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  if (windowEnds < new Date()) {
+    throw new ReturnError(`Return window of ${RETURN_WINDOW_DAYS} days has closed`, 409);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ReturnError('At least one item is required');
+  }
+  const photoUrls = returnPhotos(photos);
+
+  const alreadyReturned = await returnedQuantities(order);
+  const lines = [];
+
+  for (const item of items) {
+    const orderItem = order.orderItems.id(item.orderItemId);
+    if (!orderItem) throw new ReturnError(`Order item not found: ${item.orderItemId}`, 404);
+    if (isGiftCardLine(orderItem)) throw new ReturnError(`${orderItem.name} is a gift card and cannot be returned`, 409);
+
+    const quantity = Number(item.quantity || 0);
+    const remaining = orderItem.quantity - (alreadyReturned.get(String(orderItem._id)) || 0);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+      throw new ReturnError(`Invalid quantity for ${orderItem.name}. Returnable: ${remaining}`);
+    }
+
+    lines.push({
+      orderItem: orderItem._id,
+      product: orderItem.product,
+      variantId: orderItem.variantId || '',
+      variant: orderItem.variant || orderItem.size || '',
+      name: orderItem.name,
+      price: orderItem.price,
+      quantity,
+      reason: item.reason,
+      comment: item.comment || ''
+    });
+  }
+
+  const ret = new ReturnRequest({
+    rmaId: `RMA-${nanoidShort()}`,
+    order: order._id,
+    orderId: order.orderId,
+    user: user?._id || order.user || null,
+    items: lines,
+    photos: photoUrls,
+    refundAmount: refundableAmountForLines(order, lines)
+  });
+
+  return ret.save();
+}
+
+function buildReverseShipment(ret, order, parcel) {
+  return {
+    orderId: ret.rmaId,
+    originalOrderId: order.orderId,
+    orderDate: new Date().toISOString().split('T')[0],
+    pickup: toCarrierAddress(order.shippingAddress),
+    items: ret.items.map(item => ({
+      name: item.name,
+      sku: item.product ? item.product.toString() : '',
+      quantity: item.quantity,
+      unitPrice: item.price,
+      reason: item.reason
+    })),
+    parcel: { weight: parcel.weight, length: parcel.length, width: parcel.width, height: parcel.height },
+    warehouseId: process.env.SHIPPING_WAREHOUSE_ID || ''
+  };
+}
+
+/**
+ * Book (or retry) the courier reverse pickup. Never throws on courier failure:
+ * the error is kept on reversePickup so admins can retry.
+ */
+export async function bookReversePickup(ret, order, actor = {}) {
+  try {
+    const carrier = getCarrier(order.shipping?.carrier);
+    const parcel = await computeParcel(ret.items);
+    const shipment = await carrier.createReverseShipment(buildReverseShipment(ret, order, parcel));
+    ret.reversePickup = {
+      carrier: carrier.name,
+      reference_id: shipment.referenceId,
+      awb_number: shipment.awbNumber || null,
+      courier: shipment.courier || null,
+      status: 'booked'
+    };
+    ret.transitionTo('pickup_scheduled', { actor, note: 'Reverse pickup booked' });
+  } catch (err) {
+    console.error(`❌ Reverse pickup booking failed for ${ret.rmaId}:`, err.message);
+    ret.reversePickup = { ...(ret.reversePickup?.toObject?.() || {}), status: 'failed', error: (err.message || '').slice(0, 2000) };
+  }
+  return ret.save();
+}
+
+export async function approveReturn(ret, order, { actor = {}, note = '', schedulePickup = true } = {}) {
+  const from = ret.transitionTo('approved', { actor, note });
+  if (note) ret.adminNote = note;
+  await saveTransition(ret, from);
+
+  if (schedulePickup) await bookReversePickup(ret, order, actor);
+  return ret;
+}
+
+export async function rejectReturn(ret, { actor = {}, reason = '' } = {}) {
+  const from = ret.transitionTo('rejected', { actor, note: reason });
+  ret.rejectionReason = reason;
+  return saveTransition(ret, from);
+}
+
+/**
+ * Goods are back at the warehouse.
+ * dispositions: [{ orderItemId, disposition: 'restock' | 'write_off' }]; unspecified
+ * lines default to write-off for damage/leak/quality reasons, restock otherwise.
+ * Restocks resaleable lines and opens a pending refund record on the order;
+ * `storeCredit` makes it wallet credit (COD orders get a refund only this way).
+ */
+export async function receiveReturn(ret, order, { actor = {}, dispositions = [], note = '', storeCredit = false } = {}) {
+  const chosen = new Map(dispositions.map(d => [String(d.orderItemId), d.disposition]));
+
+  for (const item of ret.items) {
+    const disposition = chosen.get(String(item.orderItem));
+    item.disposition = ['restock', 'write_off'].includes(disposition)
+      ? disposition
+      : (WRITE_OFF_REASONS.includes(item.reason) ? 'write_off' : 'restock');
+  }
+
+  // Claimed before any side effect: a second concurrent receipt fails here
+  const from = ret.transitionTo('received', { actor, note });
+  await saveTransition(ret, from);
+
+  await restoreStock(ret.items.filter(i => i.disposition === 'restock'));
+
+  // Prepaid orders (or any, as store credit) get a pending refund for the admin to send via the refunds API
+  if ((storeCredit || order.paymentMethod !== 'cod') && ret.refundAmount > 0) {
+    let refund;
+    ({ order, refund } = await recordPendingRefund(order, (current) => ({
+      amount: Math.min(ret.refundAmount, refundableBalance(current)),
+      reason: `Return ${ret.rmaId}`,
+      source: 'return',
+      returnRequest: ret._id,
+      createdBy: actor.user,
+      toWallet: storeCredit
+    })));
+    ret.refundId = refund.refundId;
+    await ret.save();
+  }
+
+  // Whole order came back → order is returned
+  const returned = await returnedQuantities(order);
+  const fullyReturned = order.orderItems.every(it => (returned.get(String(it._id)) || 0) >= it.quantity);
+  if (fullyReturned && order.canTransitionTo('returned')) {
+    const open = await ReturnRequest.exists({ order: order._id, status: { $in: ['requested', 'approved', 'pickup_scheduled'] } });
+    if (!open) await transitionOrder(order, 'returned', { actor, note: `Returned via ${ret.rmaId}` });
+  }
+
+  return ret;
+}
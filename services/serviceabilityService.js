@@ -0,0 +1,205 @@
+// services/serviceabilityService.js
+
+import Pincode, { DELIVERY_ZONES } from '../models/Pincode.js';
+import { getCarrier } from './shipping.js';
+
+/**
+ * Can we deliver to a pincode, with which payment modes, and by when?
+ *
+ *   1. in-memory cache (SERVICEABILITY_CACHE_TTL_MINUTES)
+ *   2. Pincode table (imported courier sheet)
+ *   3. live check through the shipping partner, when SERVICEABILITY_LIVE_CHECK=1
+ *      and the pincode is not in the table; hits are saved with source 'live'
+ *
+ * Estimates: dispatch after DISPATCH_DAYS (+1 past DISPATCH_CUTOFF_HOUR), then
+ * the zone's transit days. Sundays are skipped for both.
+ */
+
+export const SERVICEABILITY = {
+  cacheTtlMinutes: Number(process.env.SERVICEABILITY_CACHE_TTL_MINUTES ?? 60),
+  cacheMaxEntries: 5000,
+  liveCheck: process.env.SERVICEABILITY_LIVE_CHECK === '1',
+  dispatchDays: Number(process.env.DISPATCH_DAYS ?? 1),
+  dispatchCutoffHour: Number(process.env.DISPATCH_CUTOFF_HOUR ?? 14),
+  zoneTransitDays: {
+    local: 1,
+    regional: 3,
+    metro: 3,
+    national: 5,
+    special: 8
+  }
+};
+
+export class ServiceabilityError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ServiceabilityError';
+    this.statusCode = statusCode;
+  }
+}
+
+const PINCODE_RE = /^\d{6}$/;
+
+// pincode → { value, expiresAt } (single instance; use Redis for multi-instance)
+const cache = new Map();
+
+function cacheGet(pincode) {
+  const hit = cache.get(pincode);
+  if (!hit) return null;
+  if (hit.expiresAt < Date.now()) {
+    cache.delete(pincode);
+    return null;
+  }
+  return hit.value;
+}
+
+function cacheSet(pincode, value) {
+  if (cache.size >= SERVICEABILITY.cacheMaxEntries) {
+    cache.delete(cache.keys().next().value); // oldest first
+  }
+  cache.set(pincode, { value, expiresAt: Date.now() + SERVICEABILITY.cacheTtlMinutes * 60 * 1000 });
+}
+
+export function clearServiceabilityCache(pincode) {
+  if (pincode) cache.delete(String(pincode));
+  else cache.clear();
+}
+
+function addWorkingDays(date, days) {
+  const d = new Date(date);
+  let left = days;
+  while (left > 0) {
+    d.setDate(d.getDate() + 1);
+    if (d.getDay() !== 0) left -= 1;
+  }
+  return d;
+}
+
+/**
+ * Estimated delivery date for `transitDays`, counted from `from`.
+ */
+export function estimateDeliveryDate(transitDays, from = new Date()) {
+  const pastCutoff = from.getHours() >= SERVICEABILITY.dispatchCutoffHour;
+  const dispatch = addWorkingDays(from, SERVICEABILITY.dispatchDays + (pastCutoff ? 1 : 0));
+  return addWorkingDays(dispatch, transitDays);
+}
+
+const yes = (v) => v === true || v === 1 || ['y', 'yes', 'true', '1'].includes(String(v).toLowerCase());
+
+async function liveLookup(pincode) {
+  try {
+    const live = await getCarrier().checkServiceability(pincode);
+    if (!live) return null;
+
+    const row = await Pincode.findOneAndUpdate(
+      { pincode },
+      {
+        $setOnInsert: { pincode, source: 'live' },
+        $set: {
+          city: live.city || '',
+          state: live.state || '',
+          prepaid: live.prepaid,
+          cod: live.cod,
+          ...(live.transitDays ? { deliveryDays: live.transitDays } : {})
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    return row;
+  } catch (err) {
+    console.warn(`[serviceability] live check for ${pincode} failed:`, err?.message || err);
+    return null;
+  }
+}
+
+function toResult(pincode, row, source) {
+  if (!row || !row.isActive || (!row.prepaid && !row.cod)) {
+    return { pincode, serviceable: false, prepaid: false, cod: false, source };
+  }
+
+  const transitDays = row.deliveryDays ?? SERVICEABILITY.zoneTransitDays[row.zone] ?? SERVICEABILITY.zoneTransitDays.national;
+  const estimate = estimateDeliveryDate(transitDays);
+
+  return {
+    pincode,
+    serviceable: true,
+    prepaid: row.prepaid,
+    cod: row.cod,
+    city: row.city,
+    state: row.state,
+    zone: row.zone,
+    transitDays,
+    estimatedDelivery: estimate.toISOString().split('T')[0],
+    source
+  };
+}
+
+/**
+ * Serviceability for a 6-digit pincode. Throws ServiceabilityError on bad input.
+ */
+export async function checkServiceability(pincode) {
+  const code = String(pincode || '').trim();
+  if (!PINCODE_RE.test(code)) throw new ServiceabilityError('Pincode must be 6 digits');
+
+  const cached = cacheGet(code);
+  if (cached) return cached;
+
+  let row = await Pincode.findOne({ pincode: code });
+  let source = row ? row.source : 'none';
+  if (!row && SERVICEABILITY.liveCheck) {
+    row = await liveLookup(code);
+    source = 'live';
+  }
+
+  const result = toResult(code, row, source);
+  cacheSet(code, result);
+  return result;
+}
+
+/**
+ * Upsert pincode rows (CSV import or admin). Returns { upserted, modified, invalid }.
+ */
+export async function importPincodes(rows = [], { source = 'import' } = {}) {
+  const ops = [];
+  const invalid = [];
+
+  for (const raw of rows) {
+    const pincode = String(raw.pincode || '').trim();
+    const zone = String(raw.zone || 'national').trim().toLowerCase();
+    if (!PINCODE_RE.test(pincode) || !DELIVERY_ZONES.includes(zone)) {
+      invalid.push(raw.pincode);
+      continue;
+    }
+
+    const days = Number(raw.deliveryDays);
+    ops.push({
+      updateOne: {
+        filter: { pincode },
+        update: {
+          $set: {
+            city: String(raw.city || '').trim(),
+            state: String(raw.state || '').trim(),
+            zone,
+            prepaid: raw.prepaid === undefined ? true : yes(raw.prepaid),
+            cod: raw.cod === undefined ? true : yes(raw.cod),
+            isActive: raw.isActive === undefined ? true : yes(raw.isActive),
+            source,
+            ...(raw.deliveryDays !== undefined && raw.deliveryDays !== '' && Number.isFinite(days) ? { deliveryDays: days } : {})
+          }
+        },
+        upsert: true
+      }
+    });
+  }
+
+  let upserted = 0;
+  let modified = 0;
+  if (ops.length) {
+    const res = await Pincode.bulkWrite(ops, { ordered: false });
+    upserted = res.upsertedCount || 0;
+    modified = res.modifiedCount || 0;
+  }
+
+  clearServiceabilityCache();
+  return { upserted, modified, invalid };
+}
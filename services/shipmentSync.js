@@ -0,0 +1,367 @@
+// services/shipmentSync.js
+
+import crypto from 'crypto';
+import Order from '../models/Order.js';
+import { getCarrier } from './shipping.js';
+import { transitionOrder } from './orderLifecycle.js';
+import { sendEmail, orderStatusEmailTemplate } from '../utils/email.js';
+
+/**
+ * Courier status → order.shipping / order.status.
+ *
+ * Updates arrive two ways and take the same path (applyTrackingUpdate):
+ *   - courier webhooks  (ingestShippingWebhook)
+ *   - a poller that calls track() for open shipments (runShipmentSync)
+ *
+ * Scans are stored in order.trackingEvents. The latest scan's mapped status
+ * becomes order.shipping.status; pickup moves the order to 'shipped', delivery
+ * to 'delivered' and a completed RTO to 'returned' (stock restored) through
+ * transitionOrder (which sends those emails).
+ * Out-for-delivery, failed attempts (NDR) and RTO get their own emails here.
+ */
+
+export const SHIPMENT_SYNC_CONFIG = {
+  enabled: process.env.SHIPMENT_SYNC_ENABLED !== '0',
+  intervalMinutes: Number(process.env.SHIPMENT_SYNC_INTERVAL_MINUTES || 30),
+  // Shipments synced (webhook or poll) more recently than this are skipped
+  staleMinutes: Number(process.env.SHIPMENT_SYNC_STALE_MINUTES || 60),
+  batchSize: Number(process.env.SHIPMENT_SYNC_BATCH_SIZE || 100)
+};
+
+// Shipments that still move; everything else is left alone by the poller
+export const OPEN_SHIPMENT_STATUSES = ['pushed', 'assigned', 'pickup_scheduled', 'picked_up', 'in_transit', 'out_for_delivery', 'ndr', 'rto'];
+const FINAL_SHIPMENT_STATUSES = ['delivered', 'rto_delivered', 'cancelled'];
+
+// First match wins, so the specific phrases come before the generic ones
+const STATUS_RULES = [
+  [/rto.*deliver|returned to (origin|seller|shipper)|rto received/i, 'rto_delivered'],
+  [/\brto\b|return to origin|returning to origin|rto initiated|rto in transit/i, 'rto'],
+  [/cancel/i, 'cancelled'],
+  [/undeliver|not delivered|\bndr\b|delivery (attempt|failed)|attempted|consignee (not available|unavailable|refused)|door locked/i, 'ndr'],
+  [/out for delivery|\bofd\b/i, 'out_for_delivery'],
+  [/delivered/i, 'delivered'],
+  [/in transit|in-transit|reached|arrived|dispatched|departed|connected|forwarded|received at/i, 'in_transit'],
+  [/picked up|pickup (done|completed)|shipped/i, 'picked_up'],
+  [/pickup (scheduled|pending|generated)|manifest|awb assigned|ready to ship/i, 'pickup_scheduled']
+];
+
+/**
+ * Our shipment status for a courier's wording, or null when unrecognised.
+ */
+export function mapCourierStatus(courierStatus) {
+  const text = String(courierStatus || '').trim();
+  if (!text) return null;
+  const rule = STATUS_RULES.find(([pattern]) => pattern.test(text));
+  return rule ? rule[1] : null;
+}
+
+// Emails for shipment milestones without an order status of their own
+const MILESTONE_EMAILS = {
+  out_for_delivery: {
+    subject: 'Your order is out for delivery',
+    heading: 'Out for Delivery 🚚',
+    message: () => 'Your order is out for delivery today. Please keep your phone reachable for the delivery partner.'
+  },
+  ndr: {
+    subject: 'We could not deliver your order',
+    heading: 'Delivery Attempt Failed',
+    message: (order) => `The courier could not deliver your order${order.shipping?.ndrReason ? ` (${order.shipping.ndrReason})` : ''}. They will try again; reply to our support email if you need to change the address or time.`
+  },
+  rto: {
+    subject: 'Your order is being returned to us',
+    heading: 'Returning to Sender',
+    message: () => 'After failed delivery attempts your order is on its way back to us. We will contact you about a re-shipment or refund.'
+  }
+};
+
+const eventKey = (e) => `${String(e.status).toLowerCase()}|${new Date(e.at).getTime()}`;
+
+function mergeEvents(order, scans, source) {
+  const seen = new Set((order.trackingEvents || []).map(eventKey));
+  let added = 0;
+
+  for (const scan of scans) {
+    const at = scan.at ? new Date(scan.at) : new Date();
+    if (!scan.status || Number.isNaN(at.getTime())) continue;
+
+    const event = {
+      status: scan.status,
+      mapped: mapCourierStatus(scan.status) || undefined,
+      location: scan.location || '',
+      remark: scan.remark || '',
+      at,
+      source
+    };
+    if (seen.has(eventKey(event))) continue;
+    seen.add(eventKey(event));
+    order.trackingEvents.push(event);
+    added += 1;
+  }
+
+  if (added) order.trackingEvents.sort((a, b) => new Date(a.at) - new Date(b.at));
+  return added;
+}
+
+// Bring order.status up to date with the shipment (never backwards)
+async function advanceOrder(order, shipmentStatus, actor) {
+  const shippedStates = ['picked_up', 'in_transit', 'out_for_delivery', 'ndr', 'rto', 'rto_delivered', 'delivered'];
+  if (!shippedStates.includes(shipmentStatus)) return;
+  if (!['pending', 'processing', 'shipped'].includes(order.status)) return;
+
+  if (order.status === 'pending') {
+    await transitionOrder(order, 'processing', { actor, note: 'Picked up by courier' });
+  }
+  if (order.status === 'processing') {
+    await transitionOrder(order, 'shipped', { actor, note: `Courier: ${order.shipping.courierStatus}` });
+  }
+  if (shipmentStatus === 'delivered' && order.status === 'shipped') {
+    await transitionOrder(order, 'delivered', { actor, note: `Courier: ${order.shipping.courierStatus}` });
+  }
+  if (shipmentStatus === 'rto_delivered' && order.status === 'shipped') {
+    await transitionOrder(order, 'returned', { actor, note: `Returned to origin. Courier: ${order.shipping.courierStatus}` });
+  }
+}
+
+async function sendMilestoneEmail(order, milestone) {
+  const template = MILESTONE_EMAILS[milestone];
+  if (!template || !order.shippingAddress?.email) return;
+  try {
+    await sendEmail({
+      email: order.shippingAddress.email,
+      subject: template.subject,
+      html: orderStatusEmailTemplate({
+        orderId: order.orderId,
+        heading: template.heading,
+        message: template.message(order)
+      })
+    });
+  } catch (err) {
+    console.error(`❌ ${milestone} email for order ${order.orderId} failed:`, err?.message || err);
+  }
+}
+
+/**
+ * Apply a normalized Tracking (see services/shipping.js) to an order.
+ * Returns { added, status, changed }.
+ */
+export async function applyTrackingUpdate(order, tracking, { source = 'poll' } = {}) {
+  order.shipping = order.shipping || {};
+  const added = mergeEvents(order, tracking.scans || [], source);
+
+  const latest = order.trackingEvents[order.trackingEvents.length - 1];
+  const courierStatus = latest?.status || tracking.status;
+  const mapped = mapCourierStatus(courierStatus);
+  const previous = order.shipping.status;
+
+  order.shipping.lastSyncedAt = new Date();
+  if (latest) order.shipping.lastEventAt = latest.at;
+  if (courierStatus) order.shipping.courierStatus = courierStatus;
+  if (tracking.expectedDelivery) {
+    const eta = new Date(tracking.expectedDelivery);
+    if (!Number.isNaN(eta.getTime())) order.shipping.expectedDelivery = eta;
+  }
+  if (tracking.courier && !order.shipping.courier) order.shipping.courier = tracking.courier;
+
+  // Final states stick; an out-of-order scan can't reopen a delivered parcel
+  const changed = Boolean(mapped) && mapped !== previous && !FINAL_SHIPMENT_STATUSES.includes(previous);
+  let milestone = null;
+
+  if (changed) {
+    order.shipping.status = mapped;
+    if (mapped === 'ndr') {
+      order.shipping.ndrCount = (order.shipping.ndrCount || 0) + 1;
+      order.shipping.ndrReason = latest?.remark || courierStatus;
+    }
+    if (MILESTONE_EMAILS[mapped]) {
+      // One email per milestone, except NDR which repeats per failed attempt
+      const notified = order.shipping.notified || [];
+      if (mapped === 'ndr' || !notified.includes(mapped)) {
+        milestone = mapped;
+        order.shipping.notified = [...new Set([...notified, mapped])];
+      }
+    }
+  }
+
+  await order.save();
+
+  if (changed) {
+    const actor = { kind: 'system', name: `courier:${source}` };
+    try {
+      await advanceOrder(order, mapped, actor);
+    } catch (err) {
+      console.error(`❌ Order ${order.orderId} status from courier (${mapped}) failed:`, err?.message || err);
+    }
+    if (milestone) await sendMilestoneEmail(order, milestone);
+  }
+
+  return { added, status: order.shipping.status, changed };
+}
+
+const secretMatches = (given, expected) => {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Courier webhooks are authenticated by the X-Shipping-Webhook-Secret header
+ * (SHIPPING_WEBHOOK_SECRET). Without a secret they are refused, unless
+ * SHIPPING_WEBHOOK_ALLOW_UNSIGNED=1 opens them for local development (never in
+ * production). Returns null when the request may proceed, else { statusCode, message }.
+ */
+export function shippingWebhookAuthError(headers = {}) {
+  const secret = process.env.SHIPPING_WEBHOOK_SECRET;
+  if (secret) {
+    if (!secretMatches(headers['x-shipping-webhook-secret'], secret)) {
+      return { statusCode: 401, message: 'Invalid webhook secret' };
+    }
+    return null;
+  }
+  if (process.env.SHIPPING_WEBHOOK_ALLOW_UNSIGNED === '1' && process.env.NODE_ENV !== 'production') return null;
+  return { statusCode: 503, message: 'Shipping webhook is not configured' };
+}
+
+/**
+ * Courier payload → normalized Tracking (no side effects).
+ */
+export function parseShippingWebhook(carrierName, body) {
+  return getCarrier(carrierName).parseWebhook(body);
+}
+
+/**
+ * Apply a parsed courier status push. Unknown AWBs resolve with { matched: false }
+ * so the courier doesn't retry forever.
+ */
+export async function applyShippingWebhook(tracking) {
+  const or = [];
+  if (tracking.awbNumber) or.push({ 'shipping.awb_number': String(tracking.awbNumber) });
+  if (tracking.orderId) or.push({ orderId: String(tracking.orderId) }, { 'shipping.order_id': String(tracking.orderId) });
+  if (!or.length) return { matched: false };
+
+  const order = await Order.findOne({ $or: or });
+  if (!order) {
+    console.warn(`[shipmentSync] webhook for unknown shipment ${tracking.awbNumber || tracking.orderId}`);
+    return { matched: false };
+  }
+
+  if (!order.shipping?.awb_number && tracking.awbNumber) {
+    order.shipping.awb_number = String(tracking.awbNumber);
+  }
+
+  const result = await applyTrackingUpdate(order, tracking, { source: 'webhook' });
+  return { matched: true, orderId: order.orderId, ...result };
+}
+
+/**
+ * Courier status push: parseShippingWebhook() + applyShippingWebhook().
+ */
+export async function ingestShippingWebhook(carrierName, body) {
+  return applyShippingWebhook(parseShippingWebhook(carrierName, body));
+}
+
+/**
+ * Poll the courier for one order now.
+ */
+export async function syncShipment(order) {
+  const awb = order.shipping?.awb_number;
+  if (!awb) return { skipped: true, reason: 'no AWB yet' };
+
+  const tracking = await getCarrier(order.shipping.carrier).track(awb);
+  return applyTrackingUpdate(order, tracking, { source: 'poll' });
+}
+
+// --- poller --------------------------------------------------------------------
+
+const MAX_RECENT_FAILURES = 20;
+
+const stats = {
+  runs: 0,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: 0,
+  lastResult: null,
+  totals: { checked: 0, changed: 0, failures: 0 },
+  recentFailures: []
+};
+
+let timer = null;
+
+function recordFailure(ref, err) {
+  stats.totals.failures += 1;
+  stats.recentFailures.unshift({ at: new Date(), ref, message: err?.message || String(err) });
+  stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  console.warn(`[shipmentSync] sync failed for ${ref}:`, err?.message || err);
+}
+
+/**
+ * One polling pass over open shipments, least recently synced first.
+ * Overlapping runs are skipped.
+ */
+export async function runShipmentSync() {
+  if (stats.running) return { skipped: true, reason: 'already running' };
+
+  stats.running = true;
+  const startedAt = Date.now();
+  const now = new Date();
+  const result = { checked: 0, changed: 0 };
+
+  try {
+    const staleBefore = new Date(now.getTime() - SHIPMENT_SYNC_CONFIG.staleMinutes * 60 * 1000);
+    const orders = await Order.find({
+      'shipping.awb_number': { $nin: [null, ''] },
+      'shipping.status': { $in: OPEN_SHIPMENT_STATUSES },
+      status: { $nin: ['cancelled', 'returned'] },
+      $or: [{ 'shipping.lastSyncedAt': null }, { 'shipping.lastSyncedAt': { $lte: staleBefore } }]
+    })
+      .sort({ 'shipping.lastSyncedAt': 1 })
+      .limit(SHIPMENT_SYNC_CONFIG.batchSize);
+
+    for (const order of orders) {
+      try {
+        const res = await syncShipment(order);
+        result.checked += 1;
+        if (res.changed) result.changed += 1;
+      } catch (err) {
+        recordFailure(order.orderId, err);
+      }
+    }
+  } catch (err) {
+    recordFailure('run', err);
+  } finally {
+    stats.running = false;
+    stats.runs += 1;
+    stats.lastRunAt = now;
+    stats.lastDurationMs = Date.now() - startedAt;
+    stats.lastResult = result;
+    stats.totals.checked += result.checked;
+    stats.totals.changed += result.changed;
+  }
+
+  return result;
+}
+
+export function startShipmentSync() {
+  if (!SHIPMENT_SYNC_CONFIG.enabled || timer) return;
+
+  timer = setInterval(() => {
+    runShipmentSync().catch(err => recordFailure('timer', err));
+  }, SHIPMENT_SYNC_CONFIG.intervalMinutes * 60 * 1000);
+  timer.unref?.();
+
+  console.log(`[shipmentSync] started (every ${SHIPMENT_SYNC_CONFIG.intervalMinutes} min)`);
+}
+
+export function stopShipmentSync() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function getShipmentSyncStats() {
+  return {
+    config: SHIPMENT_SYNC_CONFIG,
+    scheduled: Boolean(timer),
+    ...stats,
+    totals: { ...stats.totals },
+    recentFailures: [...stats.recentFailures]
+  };
+}
@@ -1,76 +1,97 @@
 // services/shipping.js
 import dotenv from 'dotenv';
 dotenv.config();
-import fetch from "node-fetch";
+import { aggregatorCarrier } from "./carriers/aggregatorCarrier.js";
+import { mockCarrier } from "./carriers/mockCarrier.js";
 
-const BASE_URL = "https://shipping-api.com/app/api/v1";
-const PUBLIC_KEY = process.env.SHIPPING_PUBLIC_KEY;
-const PRIVATE_KEY = process.env.SHIPPING_PRIVATE_KEY;
+/**
+ * Carrier adapters. Everything outside services/carriers/ talks to a carrier
+ * through this normalized model only.
+ *
+ * Shipment request (createShipment / updateShipment):
+ *   { orderId, orderDate, consignee: { name, phone, email, addressLine1, addressLine2, city, state, pincode },
+ *     items: [{ name, sku, quantity, unitPrice }], payment: { mode: 'cod'|'prepaid', codAmount },
+ *     parcel: { weight, length, width, height }, warehouseId }
+ * Reverse request (createReverseShipment): same, with `pickup` instead of `consignee`,
+ *   `originalOrderId`, and a `reason` per item.
+ *
+ * Shipment (returned): { orderId, referenceId, awbNumber, courier, labelUrl, raw }
+ * Tracking (track):    { orderId, referenceId, awbNumber, courier, status, statusTime,
+ *                        expectedDelivery, scans: [{ status, location, at, remark }], raw }
+ *
+ * Adapter methods:
+ *   createShipment(req) · updateShipment(referenceId, req) · assignCourier({ orderId, referenceId })
+ *   schedulePickup({ orderId, referenceId }) · getShipment({ orderId, referenceId }) · track(awbNumber)
+ *   cancelShipment({ orderId, referenceId, awbNumber }) · getLabel({ orderId, awbNumber }) → { labelUrl, pdf? }
+ *   createReverseShipment(req) · checkServiceability(pincode) → { prepaid, cod, city, state, transitDays } | null
+ *   parseWebhook(body) → Tracking (status push from the courier)
+ *
+ * The adapter is chosen by SHIPPING_CARRIER (aggregator | mock), aggregator when unset;
+ * the in-process mock is only ever used when asked for by name.
+ * Orders remember the carrier they were booked with (order.shipping.carrier).
+ */
 
+const carriers = {
+  aggregator: aggregatorCarrier,
+  mock: mockCarrier,
+};
 
-async function request(endpoint, options = {}) {
-  const headers = {
-    "Content-Type": "application/json",
-    "public-key": PUBLIC_KEY,
-    "private-key": PRIVATE_KEY,
-    ...options.headers,
-  };
-if (options.body) {
-    try {
-      //console.log("➡️ Body:", JSON.stringify(JSON.parse(options.body), null, 2));
-    } catch (err) {
-      //console.log("➡️ Raw Body:", options.body);
-    }
-  }
-  const res = await fetch(`${BASE_URL}${endpoint}`, {
-    ...options,
-    headers,
-  });
-
-  const data = await res.json().catch(() => ({}));
-
-  if (!res.ok || (data && data.result === "0")) {
-    console.error("❌ Shipping API error details:", {
-      status: res.status,
-      statusText: res.statusText,
-      body: data,
-    });
-    throw new Error(
-      `Shipping API Error: ${data?.message || res.statusText || "Unknown error"}`
-    );
-  }
-
-  return data;
+export function defaultCarrierName() {
+  return process.env.SHIPPING_CARRIER || 'aggregator';
 }
 
-export const ShippingAPI = {
-  pushOrder: (body) =>
-    request("/push-order", { method: "POST", body: JSON.stringify(body) }),
-
-  autoAssignCourier: (orderId) =>
-    request("/auto-assign-order", {
-      method: "POST",
-      body: JSON.stringify({ order_id: orderId }),
-    }),
-
-  schedulePickup: (orderId) =>
-    request("/schedule-pickup", {
-      method: "POST",
-      body: JSON.stringify({ order_id: orderId }),
-    }),
+/**
+ * Adapter by name (defaults to the environment's carrier).
+ */
+export function getCarrier(name) {
+  const key = name || defaultCarrierName();
+  const carrier = carriers[key];
+  if (!carrier) throw new Error(`Unknown shipping carrier '${key}'`);
+  return carrier;
+}
 
-  trackOrder: (awb) =>
-    request(`/track-order?awb_number=${awb}`, { method: "GET" }),
+/**
+ * Add or swap an adapter (tests, new couriers). Returns the previous one.
+ */
+export function registerCarrier(name, adapter) {
+  const previous = carriers[name];
+  carriers[name] = adapter;
+  return previous;
+}
 
-  cancelOrder: (orderId, awb) =>
-    request("/cancel-order", {
-      method: "POST",
-      body: JSON.stringify({ order_id: orderId, awb_number: awb }),
-    }),
+// Order address in the carrier-neutral shape
+export function toCarrierAddress(address = {}) {
+  return {
+    name: address.fullName || '',
+    phone: address.phone || '',
+    email: address.email || '',
+    addressLine1: address.address || '',
+    addressLine2: address.addressLine2 || '',
+    city: address.city || '',
+    state: address.state || '',
+    pincode: address.postalCode || ''
+  };
+}
 
-  getLabel: (awb) =>
-    request(`/get-order-label/${awb}`, { method: "GET" }),
+/**
+ * Carrier shipment request for an order (same shape for every creation path).
+ * `parcel` comes from computeParcel(order.shippableItems()); gift cards are not shipped.
+ */
+export function buildShipment(order, parcel) {
+  const isCod = order.paymentMethod === "cod";
 
-  getOrderDetail: (orderId) =>
-    request(`/get-order-detail/${orderId}`, { method: "GET" }),
-};
+  return {
+    orderId: order.orderId,
+    orderDate: new Date(order.createdAt || Date.now()).toISOString().split('T')[0],
+    consignee: toCarrierAddress(order.shippingAddress),
+    items: order.shippableItems().map((item) => ({
+      name: item.name,
+      sku: item.product ? item.product.toString() : '',
+      quantity: item.quantity,
+      unitPrice: item.price
+    })),
+    payment: { mode: isCod ? 'cod' : 'prepaid', codAmount: isCod ? order.codCollectable() : 0 },
+    parcel: { weight: parcel.weight, length: parcel.length, width: parcel.width, height: parcel.height },
+    warehouseId: process.env.SHIPPING_WAREHOUSE_ID || ""
+  };
+}
@@ -0,0 +1,210 @@
+// services/stockReservationService.js
+
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+
+/**
+ * Stock reservation lifecycle (requires a replica set — transactions):
+ *
+ *   reserveStock()      active    stock decremented atomically for every line, or for none
+ *   commitReservation() committed payment succeeded, stock stays decremented
+ *   releaseReservation() released payment failed/expired, stock put back
+ *
+ * Commit/release are idempotent: only an `active` reservation moves.
+ */
+
+export const RESERVATION_TTL_MINUTES = Number(process.env.STOCK_RESERVATION_TTL_MINUTES || 30);
+
+export class StockError extends Error {
+  constructor(message, items = [], statusCode = 409) {
+    super(message);
+    this.name = 'StockError';
+    this.items = items;
+    this.statusCode = statusCode;
+  }
+}
+
+function normalizeItems(items = []) {
+  return items
+    .filter(it => it && it.product && (it.variantId || it.variant || it.size) && Number(it.quantity) > 0)
+    .map(it => ({
+      product: it.product?._id || it.product,
+      variantId: it.variantId ? String(it.variantId) : '',
+      variant: it.variant || it.size || '',
+      quantity: Number(it.quantity)
+    }));
+}
+
+async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+async function decrementLines(items, session) {
+  const failed = [];
+  for (const item of items) {
+    const res = await Product.updateOne(
+      { _id: item.product, variants: { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } } },
+      { $inc: { 'variants.$.stock': -item.quantity } },
+      { session }
+    );
+    if (!res.modifiedCount) failed.push(item);
+  }
+  return failed;
+}
+
+async function incrementLines(items, session) {
+  for (const item of items) {
+    // Older order lines only carry the size label
+    const match = item.variantId ? { 'variants._id': item.variantId } : { 'variants.size': item.variant };
+    await Product.updateOne(
+      { _id: item.product, ...match },
+      { $inc: { 'variants.$.stock': item.quantity } },
+      { session }
+    );
+  }
+}
+
+async function describeShortfall(items) {
+  const products = await Product.find({ _id: { $in: items.map(i => i.product) } }).select('name variants');
+  const map = new Map(products.map(p => [String(p._id), p]));
+  return items.map(item => {
+    const product = map.get(String(item.product));
+    const variant = product?.variants?.id(item.variantId);
+    return {
+      name: product ? `${product.name} (${variant?.size || item.variant})` : String(item.product),
+      requested: item.quantity,
+      available: variant?.stock ?? 0
+    };
+  });
+}
+
+// Keep the listing flag in sync with variant stock (same rule as order creation).
+async function syncAvailability(productIds = []) {
+  const ids = [...new Set(productIds.map(String))];
+  const products = await Product.find({ _id: { $in: ids } });
+  for (const product of products) {
+    const totalStock = product.variants.reduce((sum, v) => sum + (v.stock || 0), 0);
+    if (totalStock === 0 && product.isActive) {
+      product.isActive = false;
+      await product.save().catch(e => console.warn('[stockReservation] product save warning:', e));
+    }
+  }
+}
+
+/**
+ * Atomically hold stock for every line of a checkout. Throws StockError if any line is short;
+ * in that case nothing is decremented.
+ * Re-reserving an existing active reference returns it unchanged.
+ */
+export async function reserveStock({ reference, referenceType = 'intent', items, ttlMinutes = RESERVATION_TTL_MINUTES }) {
+  if (!reference) throw new Error('reference required');
+  const lines = normalizeItems(items);
+  if (!lines.length || lines.some(l => !l.variantId)) throw new StockError('Nothing to reserve', [], 400);
+
+  let shortfall = [];
+  const reservation = await runInTransaction(async (session) => {
+    shortfall = [];
+    const existing = await StockReservation.findOne({ reference }).session(session);
+    if (existing && existing.status !== 'released') return existing;
+
+    const failed = await decrementLines(lines, session);
+    if (failed.length) {
+      shortfall = failed;
+      throw new StockError('Some items are out of stock');
+    }
+
+    const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+    if (existing) {
+      existing.items = lines;
+      existing.status = 'active';
+      existing.expiresAt = expiresAt;
+      existing.releasedAt = undefined;
+      existing.releaseReason = '';
+      return existing.save({ session });
+    }
+
+    const [created] = await StockReservation.create([{ reference, referenceType, items: lines, expiresAt }], { session });
+    return created;
+  }).catch(async (err) => {
+    if (err instanceof StockError && shortfall.length) {
+      throw new StockError(err.message, await describeShortfall(shortfall));
+    }
+    throw err;
+  });
+
+  return reservation;
+}
+
+/**
+ * Whether a reservation holds exactly these lines (same variants and quantities).
+ */
+export function reservationMatches(reservation, items) {
+  const key = (lines) => lines
+    .map(l => `${l.product}:${l.variantId}:${l.quantity}`)
+    .sort()
+    .join('|');
+  return Boolean(reservation) && key(normalizeItems(reservation.items)) === key(normalizeItems(items));
+}
+
+/**
+ * Payment succeeded: keep the held stock. Returns the reservation, or null if none exists.
+ */
+export async function commitReservation(reference) {
+  const reservation = await StockReservation.findOneAndUpdate(
+    { reference, status: 'active' },
+    { $set: { status: 'committed', committedAt: new Date() } },
+    { new: true }
+  );
+
+  if (reservation) {
+    await syncAvailability(reservation.items.map(i => i.product));
+    return reservation;
+  }
+
+  return StockReservation.findOne({ reference });
+}
+
+/**
+ * Payment failed or checkout expired: return held stock. No-op unless the reservation is active.
+ */
+export async function releaseReservation(reference, reason = '') {
+  return runInTransaction(async (session) => {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { reference, status: 'active' },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+      { new: true, session }
+    );
+    if (!reservation) return null;
+
+    await incrementLines(reservation.items, session);
+    return reservation;
+  });
+}
+
+/**
+ * Reserve and commit in one step (orders placed without a payment intent, or
+ * paid intents whose reservation was already released).
+ */
+export async function allocateStock({ reference, referenceType = 'order', items }) {
+  await reserveStock({ reference, referenceType, items });
+  return commitReservation(reference);
+}
+
+/**
+ * Put stock back for lines leaving a committed order (cancellation/returns).
+ */
+export async function restoreStock(items) {
+  const lines = normalizeItems(items);
+  if (!lines.length) return;
+  await runInTransaction((session) => incrementLines(lines, session));
+}
@@ -0,0 +1,503 @@
+// services/walletService.js
+
+import mongoose from 'mongoose';
+import { customAlphabet } from 'nanoid';
+import User from '../models/User.js';
+import PaymentIntent from '../models/PaymentIntent.js';
+import WalletTransaction, { WALLET_CREDIT_KINDS, WALLET_DEBIT_KINDS } from '../models/WalletTransaction.js';
+
+/**
+ * Store credit wallet (requires a replica set — transactions, like stock reservations).
+ *
+ * The balance is User.wallet.balancePaise; every change writes a WalletTransaction in the
+ * same transaction, so the history always adds up to the balance.
+ *
+ *   creditWallet()   goodwill / promotional credit (admin), refunds as store credit,
+ *                    released checkout holds
+ *   debitWallet()    admin debits, checkout holds; never below zero
+ *
+ * Promotional credit expires: debits spend the credit that expires first, and the expiry
+ * job takes whatever is left of it once expiresAt passes.
+ *
+ * Checkout: the wallet part of an order is held when the PaymentIntent is created
+ * (holdWalletForCheckout), kept when the order is created (settleIntentWallet) and given
+ * back when the payment fails or the intent expires (releaseWalletHold). The gateway
+ * collects the rest: intent.totals.totalPaise.
+ */
+
+export const WALLET_CONFIG = {
+  enabled: process.env.WALLET_EXPIRY_ENABLED !== '0',
+  intervalMinutes: Number(process.env.WALLET_EXPIRY_INTERVAL_MINUTES || 60),
+  promoExpiryDays: Number(process.env.WALLET_PROMO_EXPIRY_DAYS || 90),
+  batchSize: Number(process.env.WALLET_EXPIRY_BATCH_SIZE || 200),
+  // Gateways refuse tiny amounts; the wallet never leaves less than this to pay online
+  minGatewayPaise: 100
+};
+
+export class WalletError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WalletError';
+    this.statusCode = statusCode;
+  }
+}
+
+const nanoidShort = customAlphabet('0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ', 12);
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RECENT_FAILURES = 20;
+
+export const toPaise = (rupees) => Math.round(Number(rupees || 0) * 100);
+
+async function runInTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+function assertAmount(amountPaise) {
+  if (!Number.isInteger(amountPaise) || amountPaise <= 0) {
+    throw new WalletError('Amount must be a positive number of paise');
+  }
+}
+
+// Run `write` once per idempotency key; a repeat (or a racing duplicate) gets the first transaction
+async function writeOnce(idempotencyKey, write) {
+  if (idempotencyKey) {
+    const existing = await WalletTransaction.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+  try {
+    return await runInTransaction(write);
+  } catch (err) {
+    if (err?.code === 11000 && idempotencyKey) {
+      const existing = await WalletTransaction.findOne({ idempotencyKey });
+      if (existing) return existing;
+    }
+    throw err;
+  }
+}
+
+function transactionFields({ user, type, kind, amountPaise, balanceAfterPaise, reason, reference, order, idempotencyKey, actor }) {
+  return {
+    transactionId: `wt_${nanoidShort()}`,
+    user,
+    type,
+    kind,
+    amountPaise,
+    balanceAfterPaise,
+    reason: String(reason || '').slice(0, 500),
+    reference: reference || undefined,
+    order: order?._id || undefined,
+    orderId: order?.orderId || undefined,
+    idempotencyKey: idempotencyKey || undefined,
+    actor: { kind: actor?.kind || 'system', user: actor?.user || undefined, name: actor?.name || '' }
+  };
+}
+
+// Spend expiring credit, soonest expiry first. Returns [{ transaction, amountPaise }].
+async function consumeExpiringCredit(userId, amountPaise, session, now = new Date()) {
+  const lots = await WalletTransaction.find({
+    user: userId,
+    type: 'credit',
+    remainingPaise: { $gt: 0 },
+    expiresAt: { $gt: now }
+  }).sort({ expiresAt: 1 }).session(session);
+
+  const consumed = [];
+  let left = amountPaise;
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, lot.remainingPaise);
+    await WalletTransaction.updateOne({ _id: lot._id }, { $inc: { remainingPaise: -take } }, { session });
+    consumed.push({ transaction: lot._id, amountPaise: take });
+    left -= take;
+  }
+  return consumed;
+}
+
+// --- balance changes -----------------------------------------------------------
+
+/**
+ * Add store credit. Promotional credit expires (expiresAt, default WALLET_PROMO_EXPIRY_DAYS);
+ * `restore` gives expiring credit used by a released hold back to its original lots.
+ */
+export async function creditWallet(userId, {
+  amountPaise,
+  kind = 'goodwill',
+  reason = '',
+  expiresAt,
+  reference,
+  order,
+  idempotencyKey,
+  actor,
+  restore = []
+} = {}) {
+  if (!WALLET_CREDIT_KINDS.includes(kind)) throw new WalletError(`Unknown credit kind '${kind}'`);
+  assertAmount(amountPaise);
+
+  const now = new Date();
+  let expiry = null;
+  if (kind === 'promotional') {
+    expiry = expiresAt ? new Date(expiresAt) : new Date(now.getTime() + WALLET_CONFIG.promoExpiryDays * DAY);
+    if (Number.isNaN(expiry.getTime()) || expiry <= now) throw new WalletError('expiresAt must be a future date');
+  }
+
+  return writeOnce(idempotencyKey, async (session) => {
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      { $inc: { 'wallet.balancePaise': amountPaise }, $set: { 'wallet.updatedAt': now } },
+      { new: true, session }
+    ).select('wallet');
+    if (!user) throw new WalletError('User not found', 404);
+
+    for (const lot of restore) {
+      await WalletTransaction.updateOne({ _id: lot.transaction }, { $inc: { remainingPaise: lot.amountPaise } }, { session });
+    }
+
+    const [transaction] = await WalletTransaction.create([{
+      ...transactionFields({
+        user: userId, type: 'credit', kind, amountPaise,
+        balanceAfterPaise: user.wallet.balancePaise, reason, reference, order, idempotencyKey, actor
+      }),
+      ...(expiry ? { expiresAt: expiry, remainingPaise: amountPaise } : {})
+    }], { session });
+    return transaction;
+  });
+}
+
+/**
+ * Take store credit. WalletError 409 when the balance is short.
+ */
+export async function debitWallet(userId, {
+  amountPaise,
+  kind = 'admin_debit',
+  reason = '',
+  reference,
+  order,
+  idempotencyKey,
+  actor
+} = {}) {
+  if (!WALLET_DEBIT_KINDS.includes(kind) || kind === 'expiry') throw new WalletError(`Unknown debit kind '${kind}'`);
+  assertAmount(amountPaise);
+
+  return writeOnce(idempotencyKey, async (session) => {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'wallet.balancePaise': { $gte: amountPaise } },
+      { $inc: { 'wallet.balancePaise': -amountPaise }, $set: { 'wallet.updatedAt': now } },
+      { new: true, session }
+    ).select('wallet');
+    if (!user) {
+      const exists = await User.exists({ _id: userId }).session(session);
+      throw exists ? new WalletError('Insufficient wallet balance', 409) : new WalletError('User not found', 404);
+    }
+
+    const consumed = await consumeExpiringCredit(userId, amountPaise, session, now);
+    const [transaction] = await WalletTransaction.create([{
+      ...transactionFields({
+        user: userId, type: 'debit', kind, amountPaise,
+        balanceAfterPaise: user.wallet.balancePaise, reason, reference, order, idempotencyKey, actor
+      }),
+      consumed
+    }], { session });
+    return transaction;
+  });
+}
+
+/**
+ * Balance plus the promotional credit still to expire, soonest first.
+ */
+export async function getWalletSummary(userId) {
+  const [user, expiring] = await Promise.all([
+    User.findById(userId).select('wallet'),
+    WalletTransaction.find({ user: userId, type: 'credit', remainingPaise: { $gt: 0 }, expiresAt: { $gt: new Date() } })
+      .select('transactionId remainingPaise expiresAt reason')
+      .sort({ expiresAt: 1 })
+      .limit(20)
+  ]);
+  if (!user) throw new WalletError('User not found', 404);
+
+  const balancePaise = user.wallet?.balancePaise || 0;
+  return {
+    balancePaise,
+    balance: balancePaise / 100,
+    expiring: expiring.map(t => ({ transactionId: t.transactionId, amountPaise: t.remainingPaise, expiresAt: t.expiresAt, reason: t.reason }))
+  };
+}
+
+// --- checkout --------------------------------------------------------------------
+
+/**
+ * How much of `totalPaise` the user's wallet covers. `requestedPaise` caps it; gift card
+ * lines in the cart (`giftCardLinesPaise`) cannot be paid with wallet credit. Online
+ * checkouts (`minRemainderPaise`) leave at least the gateway minimum to pay, or nothing.
+ * Returns { balancePaise, amountPaise, payablePaise }.
+ */
+export async function walletApplication(userId, totalPaise, {
+  requestedPaise,
+  giftCardLinesPaise = 0,
+  minRemainderPaise = WALLET_CONFIG.minGatewayPaise
+} = {}) {
+  if (!userId) throw new WalletError('Sign in to use your wallet balance', 401);
+  const user = await User.findById(userId).select('wallet');
+  if (!user) throw new WalletError('User not found', 404);
+
+  const balancePaise = user.wallet?.balancePaise || 0;
+  const cap = Number.isInteger(requestedPaise) && requestedPaise >= 0 ? requestedPaise : Infinity;
+  let amountPaise = Math.max(0, Math.min(balancePaise, totalPaise - giftCardLinesPaise, cap));
+  let payablePaise = totalPaise - amountPaise;
+
+  if (payablePaise > 0 && payablePaise < minRemainderPaise) {
+    amountPaise = Math.max(0, amountPaise - (minRemainderPaise - payablePaise));
+    payablePaise = totalPaise - amountPaise;
+  }
+  return { balancePaise, amountPaise, payablePaise };
+}
+
+/**
+ * Take the wallet part of a saved checkout intent from the balance and record the hold on it.
+ */
+export async function holdWalletForCheckout(intent, amountPaise, { actor } = {}) {
+  const transaction = await debitWallet(intent.user, {
+    amountPaise,
+    kind: 'checkout',
+    reason: 'Checkout',
+    reference: intent.intentId,
+    idempotencyKey: `checkout:${intent.intentId}`,
+    actor
+  });
+  const wallet = { amountPaise, status: 'held', transaction: transaction._id };
+  await PaymentIntent.updateOne({ _id: intent._id }, { $set: { wallet } });
+  intent.wallet = wallet;
+  return transaction;
+}
+
+/**
+ * Give a held checkout amount back (payment failed, intent expired). Idempotent: only a
+ * `held` wallet part moves. Resolves to the credit, or null when there was nothing to release.
+ */
+export async function releaseWalletHold(intent, reason = 'Checkout not completed') {
+  if (intent.wallet?.status !== 'held') return null;
+
+  const claimed = await PaymentIntent.updateOne(
+    { _id: intent._id, 'wallet.status': 'held' },
+    { $set: { 'wallet.status': 'released' } }
+  );
+  if (!claimed.modifiedCount) return null;
+  intent.wallet.status = 'released';
+
+  try {
+    const hold = await WalletTransaction.findById(intent.wallet.transaction).select('consumed');
+    return await creditWallet(intent.user, {
+      amountPaise: intent.wallet.amountPaise,
+      kind: 'release',
+      reason,
+      reference: intent.intentId,
+      idempotencyKey: `release:${intent.intentId}`,
+      restore: hold?.consumed || []
+    });
+  } catch (err) {
+    // Back to held so the sweeper tries again
+    await PaymentIntent.updateOne({ _id: intent._id, 'wallet.status': 'released' }, { $set: { 'wallet.status': 'held' } });
+    intent.wallet.status = 'held';
+    throw err;
+  }
+}
+
+/**
+ * The intent is paid: keep the held wallet part. If the hold was already released (the
+ * payment landed after the intent failed or expired), take it again as far as the balance
+ * allows; any shortfall shows as due in the order's ledger balance.
+ * Resolves to the paise actually paid from the wallet.
+ */
+export async function settleIntentWallet(intent) {
+  const wallet = intent.wallet;
+  if (!wallet?.amountPaise) return 0;
+  if (wallet.status === 'committed') return wallet.amountPaise;
+
+  if (wallet.status === 'held') {
+    const claimed = await PaymentIntent.updateOne(
+      { _id: intent._id, 'wallet.status': 'held' },
+      { $set: { 'wallet.status': 'committed' } }
+    );
+    if (claimed.modifiedCount) {
+      wallet.status = 'committed';
+      return wallet.amountPaise;
+    }
+    const fresh = await PaymentIntent.findById(intent._id).select('wallet');
+    if (fresh?.wallet?.status === 'committed') {
+      wallet.status = 'committed';
+      return wallet.amountPaise;
+    }
+  }
+
+  // Released before the payment arrived
+  const { balancePaise } = await getWalletSummary(intent.user);
+  const amountPaise = Math.min(balancePaise, wallet.amountPaise);
+  if (amountPaise < wallet.amountPaise) {
+    console.warn(`[wallet] intent ${intent.intentId}: wallet short by ${wallet.amountPaise - amountPaise} paise after a late payment`);
+  }
+  if (amountPaise > 0) {
+    await debitWallet(intent.user, {
+      amountPaise,
+      kind: 'checkout',
+      reason: 'Checkout (payment confirmed late)',
+      reference: intent.intentId,
+      idempotencyKey: `checkout:${intent.intentId}:late`
+    });
+  }
+  await PaymentIntent.updateOne(
+    { _id: intent._id },
+    { $set: { 'wallet.status': 'committed', 'wallet.amountPaise': amountPaise } }
+  );
+  wallet.status = 'committed';
+  wallet.amountPaise = amountPaise;
+  return amountPaise;
+}
+
+// --- expiry job ------------------------------------------------------------------
+
+const stats = {
+  runs: 0,
+  running: false,
+  lastRunAt: null,
+  lastDurationMs: 0,
+  lastResult: null,
+  totals: { expired: 0, expiredPaise: 0, released: 0, failures: 0 },
+  recentFailures: []
+};
+
+let timer = null;
+
+function recordFailure(stage, ref, err) {
+  stats.totals.failures += 1;
+  stats.recentFailures.unshift({ at: new Date(), stage, ref, message: err?.message || String(err) });
+  stats.recentFailures.length = Math.min(stats.recentFailures.length, MAX_RECENT_FAILURES);
+  console.warn(`[wallet] ${stage} failed for ${ref}:`, err?.message || err);
+}
+
+// Take what is left of one lapsed promotional credit
+async function expireCredit(lotId, now) {
+  return runInTransaction(async (session) => {
+    const lot = await WalletTransaction.findOneAndUpdate(
+      { _id: lotId, remainingPaise: { $gt: 0 }, expiresAt: { $lte: now } },
+      { $set: { remainingPaise: 0 } },
+      { session }
+    );
+    if (!lot) return null;
+
+    const user = await User.findById(lot.user).select('wallet').session(session);
+    const amountPaise = Math.min(lot.remainingPaise, user?.wallet?.balancePaise || 0);
+    if (amountPaise <= 0) return null;
+
+    const updated = await User.findOneAndUpdate(
+      { _id: lot.user },
+      { $inc: { 'wallet.balancePaise': -amountPaise }, $set: { 'wallet.updatedAt': now } },
+      { new: true, session }
+    ).select('wallet');
+
+    const [transaction] = await WalletTransaction.create([{
+      ...transactionFields({
+        user: lot.user, type: 'debit', kind: 'expiry', amountPaise,
+        balanceAfterPaise: updated.wallet.balancePaise,
+        reason: `Promotional credit ${lot.transactionId} expired`,
+        reference: lot.transactionId,
+        idempotencyKey: `expiry:${lot.transactionId}`
+      }),
+      consumed: [{ transaction: lot._id, amountPaise }]
+    }], { session });
+    return transaction;
+  });
+}
+
+async function expirePromotionalCredit(now, result) {
+  const lapsed = await WalletTransaction.find({ remainingPaise: { $gt: 0 }, expiresAt: { $lte: now } })
+    .select('_id transactionId')
+    .limit(WALLET_CONFIG.batchSize);
+
+  for (const lot of lapsed) {
+    try {
+      const transaction = await expireCredit(lot._id, now);
+      if (!transaction) continue;
+      result.expired += 1;
+      result.expiredPaise += transaction.amountPaise;
+    } catch (err) {
+      recordFailure('expire', lot.transactionId, err);
+    }
+  }
+}
+
+// Holds of intents that failed or expired without being given back (e.g. a release that errored)
+async function releaseStrandedHolds(result) {
+  const intents = await PaymentIntent.find({ status: { $in: ['failed', 'expired'] }, 'wallet.status': 'held' })
+    .limit(WALLET_CONFIG.batchSize);
+
+  for (const intent of intents) {
+    try {
+      if (await releaseWalletHold(intent, `Checkout ${intent.status}`)) result.released += 1;
+    } catch (err) {
+      recordFailure('release', intent.intentId, err);
+    }
+  }
+}
+
+/**
+ * One run. Safe to call manually (admin endpoint); overlapping runs are skipped.
+ */
+export async function runWalletExpiry() {
+  if (stats.running) return { skipped: true, reason: 'already running' };
+
+  stats.running = true;
+  const startedAt = Date.now();
+  const now = new Date();
+  const result = { expired: 0, expiredPaise: 0, released: 0 };
+
+  try {
+    await expirePromotionalCredit(now, result);
+    await releaseStrandedHolds(result);
+  } catch (err) {
+    recordFailure('run', 'run', err);
+  } finally {
+    stats.running = false;
+    stats.runs += 1;
+    stats.lastRunAt = now;
+    stats.lastDurationMs = Date.now() - startedAt;
+    stats.lastResult = result;
+    for (const key of Object.keys(result)) stats.totals[key] += result[key];
+  }
+
+  return result;
+}
+
+export function startWalletExpiry() {
+  if (!WALLET_CONFIG.enabled || timer) return;
+
+  timer = setInterval(() => {
+    runWalletExpiry().catch(err => recordFailure('run', 'timer', err));
+  }, WALLET_CONFIG.intervalMinutes * 60 * 1000);
+  timer.unref?.();
+
+  console.log(`[wallet] expiry job started (every ${WALLET_CONFIG.intervalMinutes} min)`);
+}
+
+export function stopWalletExpiry() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+export function getWalletExpiryStats() {
+  return {
+    config: WALLET_CONFIG,
+    scheduled: Boolean(timer),
+    ...stats,
+    totals: { ...stats.totals },
+    recentFailures: [...stats.recentFailures]
+  };
+}
@@ -0,0 +1,203 @@
+// services/webhookEventService.js
+import crypto from 'crypto';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { parsePaymentWebhook, applyPaymentWebhook } from './paymentService.js';
+import { shippingWebhookAuthError, parseShippingWebhook, applyShippingWebhook } from './shipmentSync.js';
+import { safeJson } from './gateways/common.js';
+
+/**
+ * Every inbound gateway / courier webhook goes through receiveWebhook(), which stores
+ * it (models/WebhookEvent.js) before and after handling it:
+ *
+ *   verify + parse   failure → stored as `rejected` (body capped, expires after
+ *                    WEBHOOK_REJECTED_TTL_DAYS), caller answers err.statusCode
+ *   dedupe           (provider, eventId); eventId is the gateway's own, else sha256 of the body.
+ *                    A re-delivery only bumps `deliveries`, unless the event failed before:
+ *                    then the delivery that claims it (failed → received) handles it again.
+ *   apply            → `processed` | `ignored` | `failed` (thrown again so the sender retries)
+ *
+ * replayWebhookEvent() runs a stored event through the handlers again (after a bug fix).
+ * Events that passed verification on arrival skip it on replay: signatures can expire.
+ */
+
+export class WebhookEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Never stored
+const DROPPED_HEADERS = ['cookie'];
+// Unverified deliveries can come from anyone: only the start of their body is kept
+const REJECTED_BODY_LIMIT = 16 * 1024;
+// Stored (replays need them) but not shown to admins
+const REDACTED_HEADERS = ['authorization', 'x-shipping-webhook-secret'];
+
+const handlers = {
+  payment: {
+    parse: (provider, request, options) => parsePaymentWebhook(provider, request, options),
+    apply: (provider, event) => applyPaymentWebhook(provider, event)
+  },
+  shipping: {
+    parse(provider, { headers, rawBody }, { skipVerification = false } = {}) {
+      if (!skipVerification) {
+        const authError = shippingWebhookAuthError(headers);
+        if (authError) throw new WebhookEventError(authError.message, authError.statusCode);
+      }
+      let body;
+      try {
+        body = JSON.parse(rawBody.toString('utf8') || '{}');
+      } catch (e) {
+        throw new WebhookEventError('Invalid JSON', 400);
+      }
+      const tracking = parseShippingWebhook(provider, body);
+      return { kind: 'shipping', type: tracking.status || '', tracking };
+    },
+    apply: (provider, event) => applyShippingWebhook(event.tracking)
+  }
+};
+
+function storableHeaders(headers = {}) {
+  const stored = {};
+  for (const [name, value] of Object.entries(headers)) {
+    if (!DROPPED_HEADERS.includes(name.toLowerCase())) stored[name.toLowerCase()] = value;
+  }
+  return stored;
+}
+
+export function redactWebhookHeaders(headers = {}) {
+  const shown = { ...headers };
+  for (const name of REDACTED_HEADERS) {
+    if (shown[name] !== undefined) shown[name] = '[redacted]';
+  }
+  return shown;
+}
+
+const bodyHash = (rawBody) => `sha256:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+// Handler result without documents; the linked order is kept as a reference
+function outcomeOf(result = {}) {
+  const { order, ...rest } = result;
+  return safeJson(rest);
+}
+
+async function applyAndRecord(event, handler, parsed) {
+  let result;
+  let failure = null;
+  try {
+    result = await handler.apply(event.provider, parsed);
+    event.status = result.kind === 'ignored' || result.handled === false || result.matched === false
+      ? 'ignored'
+      : 'processed';
+    event.outcome = outcomeOf(result);
+    event.error = undefined;
+
+    const intentId = result.intentId || parsed.lookup?.intentId;
+    if (intentId) event.intentId = intentId;
+    if (result.order?._id) event.order = result.order._id;
+    const orderId = result.order?.orderId || result.orderId;
+    if (orderId) event.orderId = orderId;
+  } catch (err) {
+    failure = err;
+    event.status = 'failed';
+    event.error = String(err?.message || err).slice(0, 2000);
+  }
+  event.processedAt = new Date();
+  await event.save();
+  return { result, failure };
+}
+
+/**
+ * Store and handle one inbound webhook. `rawBody` is the unparsed body (Buffer or string).
+ * Resolves to { event, result, duplicate }; throws WebhookEventError for rejected
+ * deliveries and the handler's own error when applying failed.
+ */
+export async function receiveWebhook({ source, provider, headers = {}, rawBody }) {
+  const handler = handlers[source];
+  if (!handler) throw new WebhookEventError(`Unknown webhook source '${source}'`, 404);
+
+  const body = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody ?? ''), 'utf8');
+  const stored = {
+    source,
+    provider: String(provider || ''),
+    rawBody: body.toString('utf8'),
+    headers: storableHeaders(headers)
+  };
+
+  let parsed;
+  try {
+    parsed = await handler.parse(stored.provider, { headers, rawBody: body }, {});
+  } catch (err) {
+    await WebhookEvent.create({
+      ...stored,
+      rawBody: stored.rawBody.slice(0, REJECTED_BODY_LIMIT),
+      status: 'rejected',
+      verified: false,
+      verificationError: err.message
+    })
+      .catch(e => console.warn('[webhooks] could not store rejected event:', e.message));
+    throw new WebhookEventError(err.message, err.statusCode || 400);
+  }
+
+  const eventId = parsed.eventId || bodyHash(body);
+  let event;
+  try {
+    event = await WebhookEvent.create({ ...stored, eventId, eventType: parsed.type || '', verified: true });
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    const where = { provider: stored.provider, eventId };
+    const delivered = { $inc: { deliveries: 1 }, $set: { lastDeliveredAt: new Date() } };
+
+    // Still being applied (`received`) or already handled: nothing more to do
+    event = await WebhookEvent.findOneAndUpdate(
+      { ...where, status: 'failed' },
+      { ...delivered, $set: { ...delivered.$set, status: 'received' } },
+      { new: true }
+    );
+    if (!event) {
+      const seen = await WebhookEvent.findOneAndUpdate(where, delivered, { new: true });
+      if (!seen) throw err;
+      return { event: seen, result: seen.outcome, duplicate: true };
+    }
+  }
+
+  const { result, failure } = await applyAndRecord(event, handler, parsed);
+  if (failure) throw failure;
+  return { event, result, duplicate: false };
+}
+
+/**
+ * Run a stored event through its handler again and record the attempt on it.
+ * Never throws for handler failures; they end up on the event.
+ */
+export async function replayWebhookEvent(id, { actor = { kind: 'system' } } = {}) {
+  const event = await WebhookEvent.findById(id).select('+rawBody +headers');
+  if (!event) throw new WebhookEventError('Webhook event not found', 404);
+
+  const handler = handlers[event.source];
+  if (!handler) throw new WebhookEventError(`Unknown webhook source '${event.source}'`, 400);
+
+  const request = { headers: event.headers || {}, rawBody: Buffer.from(event.rawBody || '', 'utf8') };
+  let parsed;
+  try {
+    parsed = await handler.parse(event.provider, request, { skipVerification: event.verified });
+  } catch (err) {
+    event.verificationError = err.message;
+    event.replays.push({ by: actor, status: 'rejected', error: err.message });
+    await event.save();
+    return event;
+  }
+
+  if (!event.verified) {
+    event.verified = true;
+    event.verificationError = undefined;
+    event.eventType = parsed.type || event.eventType;
+  }
+
+  await applyAndRecord(event, handler, parsed);
+  event.replays.push({ by: actor, status: event.status, error: event.error, outcome: event.outcome });
+  await event.save();
+  return event;
+}
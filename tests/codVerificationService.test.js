@@ -0,0 +1,121 @@
+// tests/codVerificationService.test.js
+import { jest } from '@jest/globals';
+
+const pushOrderToShipping = jest.fn(async () => null);
+jest.unstable_mockModule('../services/fulfillmentOutbox.js', () => ({ pushOrderToShipping }));
+
+const { default: Order } = await import('../models/Order.js');
+const { registerSmsProvider } = await import('../utils/sms.js');
+const {
+  COD_VERIFICATION,
+  CodVerificationError,
+  startCodVerification,
+  verifyCodOtp
+} = await import('../services/codVerificationService.js');
+
+// Messages the test SMS provider was asked to send
+const sent = [];
+registerSmsProvider('test', {
+  async send({ to, message }) {
+    sent.push({ to, message });
+    return { messageId: `test_${sent.length}` };
+  }
+});
+
+const allow = { action: 'allow', flags: [] };
+const lastCode = () => sent[sent.length - 1].message.match(/^\d{6}/)[0];
+
+// The order as the database holds it
+let stored;
+let order;
+
+beforeEach(() => {
+  sent.length = 0;
+  pushOrderToShipping.mockClear();
+  process.env.SMS_PROVIDER = 'test';
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  order = new Order({
+    orderId: 'ORD-COD-1',
+    user: null,
+    status: 'pending',
+    paymentMethod: 'cod',
+    totalPrice: 800,
+    shippingAddress: { fullName: 'Guest', email: 'guest@example.com', phone: '+91 98765 43210', postalCode: '560001' }
+  });
+  stored = order.toObject();
+
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function () {
+    stored = this.toObject();
+    return this;
+  });
+  // The attempt counter in verifyCodOtp()
+  jest.spyOn(Order, 'updateOne').mockImplementation(async (filter) => {
+    const v = stored.codVerification;
+    const counted = v.status === filter['codVerification.status']
+      && v.otpHash === filter['codVerification.otpHash']
+      && (v.otpAttempts || 0) < filter['codVerification.otpAttempts'].$lt;
+    if (counted) v.otpAttempts = (v.otpAttempts || 0) + 1;
+    return { modifiedCount: counted ? 1 : 0 };
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.SMS_PROVIDER;
+});
+
+test('the right code confirms the order and sends it to the courier', async () => {
+  const state = await startCodVerification(order, allow);
+  expect(state).toMatchObject({ status: 'otp_pending', phone: '******3210' });
+  expect(sent[0].to).toBe('9876543210');
+
+  const verified = await verifyCodOtp(order, lastCode());
+
+  expect(verified).toMatchObject({ status: 'verified', orderStatus: 'processing' });
+  expect(stored.status).toBe('processing');
+  expect(pushOrderToShipping).toHaveBeenCalledTimes(1);
+});
+
+test('an expired code is refused and the order stays pending', async () => {
+  await startCodVerification(order, allow);
+  order.codVerification.otpExpiresAt = new Date(Date.now() - 1000);
+
+  const err = await verifyCodOtp(order, lastCode()).catch(e => e);
+
+  expect(err).toBeInstanceOf(CodVerificationError);
+  expect(err.statusCode).toBe(401);
+  expect(order.status).toBe('pending');
+  expect(pushOrderToShipping).not.toHaveBeenCalled();
+});
+
+test('after too many wrong guesses even the right code is refused', async () => {
+  await startCodVerification(order, allow);
+  const code = lastCode();
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  for (let i = 0; i < COD_VERIFICATION.maxAttempts; i += 1) {
+    await expect(verifyCodOtp(order, wrong)).rejects.toMatchObject({ statusCode: 401 });
+  }
+  await expect(verifyCodOtp(order, code)).rejects.toMatchObject({ statusCode: 429 });
+  expect(stored.status).toBe('pending');
+});
+
+test('without an SMS provider the order waits for review instead of being confirmed', async () => {
+  delete process.env.SMS_PROVIDER;
+
+  const state = await startCodVerification(order, allow);
+
+  expect(state).toMatchObject({ status: 'review', orderStatus: 'pending' });
+  expect(stored.codVerification.risk.flags.map(f => f.rule)).toContain('no_sms');
+  expect(sent).toHaveLength(0);
+  expect(pushOrderToShipping).not.toHaveBeenCalled();
+});
+
+test('a block rule refuses COD before any code is sent', async () => {
+  const risk = { action: 'block', flags: [{ rule: 'rto_history', action: 'block', message: '3 earlier RTOs' }] };
+
+  await expect(startCodVerification(order, risk)).rejects.toMatchObject({ statusCode: 422 });
+  expect(sent).toHaveLength(0);
+  expect(order.codVerification?.status).toBeUndefined();
+});
@@ -0,0 +1,174 @@
+// tests/gatewayWebhooks.test.js
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+
+// Webhooks the simulator sends to our own endpoint, captured instead of POSTed
+const delivered = [];
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    post: jest.fn(async (url, body, { headers } = {}) => {
+      delivered.push({ url, rawBody: Buffer.from(body), headers });
+      return { status: 200, data: { received: true } };
+    })
+  }
+}));
+
+process.env.RAZORPAY_ENV = 'local';
+process.env.STRIPE_ENV = 'local';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'whsec_razorpay_test';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_stripe_test';
+process.env.PHONEPE_WEBHOOK_USER = 'hook';
+process.env.PHONEPE_WEBHOOK_PASS = 'hook-pass';
+process.env.SIMULATOR_WEBHOOK_DELAY_MS = '0';
+
+const { completeSimulatedPayment, phonepeSimulator } = await import('../services/gateways/simulator.js');
+const { razorpayGateway } = await import('../services/gateways/razorpayGateway.js');
+const { stripeGateway } = await import('../services/gateways/stripeGateway.js');
+const { phonepeGateway } = await import('../services/gateways/phonepeGateway.js');
+
+const intent = (intentId) => ({
+  intentId,
+  totals: { totalPaise: 129900, subtotal: 1299, shippingFee: 0, discountAmount: 0 },
+  shippingAddress: { email: 'guest@example.com' }
+});
+
+const lastWebhook = () => delivered[delivered.length - 1];
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(() => {
+  delivered.length = 0;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Razorpay', () => {
+  test('a simulated capture arrives as a signed webhook the adapter accepts', async () => {
+    const session = await razorpayGateway.createSession(intent('ci_rzp_1'));
+    await completeSimulatedPayment(session.gatewayOrderId, 'success');
+
+    const webhook = lastWebhook();
+    expect(webhook.url).toMatch(/\/api\/payments\/razorpay\/webhook$/);
+    const event = await razorpayGateway.parseWebhook(webhook);
+    expect(event).toMatchObject({
+      kind: 'payment',
+      state: 'paid',
+      lookup: { intentId: 'ci_rzp_1', gatewayOrderId: session.gatewayOrderId },
+      amountPaise: 129900
+    });
+    expect(event.eventId).toBeTruthy();
+  });
+
+  test('a tampered body fails the signature check', async () => {
+    const session = await razorpayGateway.createSession(intent('ci_rzp_2'));
+    await completeSimulatedPayment(session.gatewayOrderId, 'success');
+
+    const { headers, rawBody } = lastWebhook();
+    const tampered = Buffer.from(rawBody.toString('utf8').replace('129900', '100'));
+    await expect(async () => razorpayGateway.parseWebhook({ headers, rawBody: tampered }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('a refund sent twice with the same refundId is made once and found by it', async () => {
+    const session = await razorpayGateway.createSession(intent('ci_rzp_3'));
+    await completeSimulatedPayment(session.gatewayOrderId, 'success');
+    const { paymentRef } = await razorpayGateway.parseWebhook(lastWebhook());
+
+    const request = { refundId: 'rf_rzp1', paymentRef, amountPaise: 50000 };
+    const first = await razorpayGateway.createRefund(request);
+    const again = await razorpayGateway.createRefund(request);
+    expect(again.gatewayRefundId).toBe(first.gatewayRefundId);
+
+    expect(await razorpayGateway.fetchRefund({ refundId: 'rf_rzp1', paymentRef })).toMatchObject({
+      gatewayRefundId: first.gatewayRefundId,
+      status: 'succeeded'
+    });
+    expect(await razorpayGateway.fetchRefund({ refundId: 'rf_never_sent', paymentRef })).toMatchObject({ status: 'failed' });
+  });
+});
+
+describe('Stripe', () => {
+  test('success and failure both arrive verified; a failed attempt keeps the checkout open', async () => {
+    const paid = await stripeGateway.createSession(intent('ci_str_1'));
+    await completeSimulatedPayment(paid.gatewayOrderId, 'success');
+    expect(await stripeGateway.parseWebhook(lastWebhook())).toMatchObject({
+      kind: 'payment',
+      state: 'paid',
+      lookup: { intentId: 'ci_str_1' }
+    });
+
+    const declined = await stripeGateway.createSession(intent('ci_str_2'));
+    await completeSimulatedPayment(declined.gatewayOrderId, 'failure');
+    expect(await stripeGateway.parseWebhook(lastWebhook())).toMatchObject({ kind: 'payment', state: 'pending' });
+  });
+
+  test('a refund is confirmed by a later refund webhook', async () => {
+    const session = await stripeGateway.createSession(intent('ci_str_3'));
+    await completeSimulatedPayment(session.gatewayOrderId, 'success');
+
+    const refund = await stripeGateway.createRefund({ refundId: 'rf_test1', paymentRef: session.gatewayOrderId, amountPaise: 50000 });
+    expect(refund.status).toBe('processing');
+
+    await settle();
+    expect(await stripeGateway.parseWebhook(lastWebhook())).toMatchObject({
+      kind: 'refund',
+      gatewayRefundId: refund.gatewayRefundId,
+      status: 'succeeded'
+    });
+  });
+
+  test('a webhook signed with another secret is refused', async () => {
+    const session = await stripeGateway.createSession(intent('ci_str_4'));
+    await completeSimulatedPayment(session.gatewayOrderId, 'success');
+
+    process.env.STRIPE_WEBHOOK_SECRET = 'whsec_rotated';
+    try {
+      await expect(stripeGateway.parseWebhook(lastWebhook())).rejects.toMatchObject({ statusCode: 400 });
+    } finally {
+      process.env.STRIPE_WEBHOOK_SECRET = 'whsec_stripe_test';
+    }
+  });
+});
+
+describe('PhonePe', () => {
+  test('a completed order arrives with the configured webhook credentials', async () => {
+    phonepeSimulator.createOrder({ merchantOrderId: 'mo_ci_pp_1', amount: 129900 });
+    await completeSimulatedPayment('mo_ci_pp_1', 'success');
+
+    const event = await phonepeGateway.parseWebhook(lastWebhook());
+    expect(event).toMatchObject({
+      kind: 'payment',
+      state: 'paid',
+      lookup: { merchantOrderId: 'mo_ci_pp_1' },
+      amountPaise: 129900
+    });
+  });
+
+  test('other credentials are refused', async () => {
+    phonepeSimulator.createOrder({ merchantOrderId: 'mo_ci_pp_2', amount: 129900 });
+    await completeSimulatedPayment('mo_ci_pp_2', 'success');
+
+    const { rawBody } = lastWebhook();
+    await expect(async () => phonepeGateway.parseWebhook({ headers: { authorization: 'SHA256(nope)' }, rawBody }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('without configured credentials even the hash of an empty pair is refused', async () => {
+    const user = process.env.PHONEPE_WEBHOOK_USER;
+    delete process.env.PHONEPE_WEBHOOK_USER;
+    try {
+      phonepeSimulator.createOrder({ merchantOrderId: 'mo_ci_pp_3', amount: 129900 });
+      await completeSimulatedPayment('mo_ci_pp_3', 'success');
+      expect(delivered).toHaveLength(0);
+
+      const forged = `SHA256(${crypto.createHash('sha256').update(':').digest('hex')})`;
+      const rawBody = Buffer.from(JSON.stringify({ event: 'checkout.order.completed', payload: { merchantOrderId: 'mo_ci_pp_3', state: 'COMPLETED' } }));
+      await expect(async () => phonepeGateway.parseWebhook({ headers: { authorization: forged }, rawBody }))
+        .rejects.toMatchObject({ statusCode: 503 });
+    } finally {
+      process.env.PHONEPE_WEBHOOK_USER = user;
+    }
+  });
+});
@@ -0,0 +1,134 @@
+// tests/giftCardService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import GiftCard from '../models/GiftCard.js';
+import {
+  GiftCardError,
+  giftCardApplication,
+  redeemGiftCards,
+  refundToGiftCards
+} from '../services/giftCardService.js';
+
+const { BSON } = mongoose.mongo;
+
+// The cards as the database holds them, by id
+let stored;
+const load = (id) => {
+  const card = stored.get(String(id));
+  return card ? GiftCard.hydrate(BSON.deserialize(BSON.serialize(card))) : null;
+};
+
+function storeCard(code, balancePaise, fields = {}) {
+  const card = {
+    _id: new mongoose.Types.ObjectId(),
+    code,
+    initialPaise: balancePaise,
+    balancePaise,
+    status: 'active',
+    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    recipient: { email: 'friend@example.com' },
+    entries: [],
+    ...fields
+  };
+  stored.set(String(card._id), card);
+  return card;
+}
+
+const balanceOf = (card) => stored.get(String(card._id)).balancePaise;
+const entriesOf = (card) => stored.get(String(card._id)).entries;
+
+beforeEach(() => {
+  stored = new Map();
+
+  jest.spyOn(GiftCard, 'find').mockImplementation(async (filter) =>
+    [...stored.values()].filter(c => filter.code.$in.includes(c.code)).map(c => load(c._id)));
+  jest.spyOn(GiftCard, 'findById').mockImplementation(async (id) => load(id));
+  // One document update guarded by the balance as read, as in MongoDB
+  jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const card = stored.get(String(filter._id));
+    const key = filter['entries.key']?.$ne;
+    if (!card || card.balancePaise !== filter.balancePaise || (key && card.entries.some(e => e.key === key))) return null;
+    Object.assign(card, update.$set);
+    card.entries.push(update.$push.entries);
+    return load(card._id);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('partial redemption', () => {
+  test('a card worth more than the order pays all of it and keeps the rest', async () => {
+    const card = storeCard('GC-AAAA-BBBB-CCCC', 100000);
+
+    const application = await giftCardApplication(['gc-aaaa-bbbb-cccc'], 60000);
+    expect(application).toMatchObject({ amountPaise: 60000, payablePaise: 0 });
+
+    await redeemGiftCards(application, { reference: 'ci_1' });
+    expect(balanceOf(card)).toBe(40000);
+    expect(entriesOf(card)).toEqual([expect.objectContaining({ kind: 'redeem', amountPaise: -60000, balanceAfterPaise: 40000 })]);
+  });
+
+  test('a card worth less than the order is emptied and the rest is left to pay', async () => {
+    const first = storeCard('GC-AAAA-BBBB-CCCC', 30000);
+    const second = storeCard('GC-DDDD-EEEE-FFFF', 20000);
+
+    const application = await giftCardApplication(['GC-AAAA-BBBB-CCCC', 'GC-DDDD-EEEE-FFFF'], 80000);
+    expect(application).toMatchObject({ amountPaise: 50000, payablePaise: 30000 });
+
+    await redeemGiftCards(application, { reference: 'ci_1' });
+    expect(balanceOf(first)).toBe(0);
+    expect(balanceOf(second)).toBe(0);
+  });
+
+  test('the same checkout redeemed twice takes the amount once', async () => {
+    const card = storeCard('GC-AAAA-BBBB-CCCC', 100000);
+    const application = await giftCardApplication(['GC-AAAA-BBBB-CCCC'], 25000);
+
+    await redeemGiftCards(application, { reference: 'ci_1' });
+    await redeemGiftCards(application, { reference: 'ci_1' });
+
+    expect(balanceOf(card)).toBe(75000);
+    expect(entriesOf(card)).toHaveLength(1);
+  });
+
+  test('two checkouts spending the same balance: the second is refused', async () => {
+    const card = storeCard('GC-AAAA-BBBB-CCCC', 50000);
+    const application = await giftCardApplication(['GC-AAAA-BBBB-CCCC'], 40000);
+
+    const results = await Promise.allSettled([
+      redeemGiftCards(application, { reference: 'ci_1' }),
+      redeemGiftCards(application, { reference: 'ci_2' })
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason).toBeInstanceOf(GiftCardError);
+    expect(balanceOf(card)).toBe(10000);
+  });
+});
+
+describe('refundToGiftCards', () => {
+  const order = { _id: new mongoose.Types.ObjectId(), orderId: 'ORD-GC-1' };
+
+  test('puts the refunded part back on the card once', async () => {
+    const card = storeCard('GC-AAAA-BBBB-CCCC', 40000);
+    const refund = { refundId: 'rf_1', reason: 'Order cancelled', giftCards: [{ card: card._id, amount: 350 }] };
+
+    await refundToGiftCards(order, refund);
+    await refundToGiftCards(order, refund);
+
+    expect(balanceOf(card)).toBe(75000);
+    expect(entriesOf(card)).toEqual([
+      expect.objectContaining({ kind: 'refund', amountPaise: 35000, balanceAfterPaise: 75000, reference: 'rf_1', orderId: 'ORD-GC-1' })
+    ]);
+  });
+
+  test('a voided card refuses the refund', async () => {
+    const card = storeCard('GC-AAAA-BBBB-CCCC', 0, { status: 'void' });
+
+    await expect(refundToGiftCards(order, { refundId: 'rf_1', giftCards: [{ card: card._id, amount: 100 }] }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(balanceOf(card)).toBe(0);
+  });
+});
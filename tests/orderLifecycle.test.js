@@ -0,0 +1,100 @@
+// tests/orderLifecycle.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+const restoreStock = jest.fn(async () => {});
+jest.unstable_mockModule('../services/stockReservationService.js', () => ({ restoreStock }));
+jest.unstable_mockModule('../services/fulfillmentOutbox.js', () => ({ pushOrderToShipping: jest.fn(async () => null) }));
+jest.unstable_mockModule('../services/refundService.js', () => ({
+  addPendingRefund: jest.fn(),
+  refundableBalance: () => 0,
+  processWalletRefunds: jest.fn(async () => {})
+}));
+jest.unstable_mockModule('../services/giftCardService.js', () => ({
+  issueOrderGiftCards: jest.fn(async () => []),
+  voidOrderGiftCards: jest.fn(async () => {})
+}));
+jest.unstable_mockModule('../services/ledgerService.js', () => ({ recordCodCollection: jest.fn(async () => null) }));
+
+const { default: Order, OrderTransitionError } = await import('../models/Order.js');
+const { transitionOrder } = await import('../services/orderLifecycle.js');
+
+const customer = { kind: 'customer', name: 'Guest' };
+
+function orderIn(status) {
+  return new Order({
+    orderId: 'ORD-LC-1',
+    status,
+    paymentMethod: 'cod',
+    totalPrice: 500,
+    orderItems: [{ product: new mongoose.Types.ObjectId(), name: 'Ghee', price: 500, quantity: 1 }],
+    shippingAddress: { fullName: 'Guest', email: '' }
+  });
+}
+
+beforeEach(() => {
+  restoreStock.mockClear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test.each([
+  ['shipped', 'cancelled'],
+  ['pending', 'delivered'],
+  ['cancelled', 'processing'],
+  ['delivered', 'pending']
+])('%s → %s is refused with a 409 and nothing is saved', async (from, to) => {
+  const save = jest.spyOn(Order.prototype, 'save');
+  const order = orderIn(from);
+
+  const err = await transitionOrder(order, to, { actor: customer }).catch(e => e);
+
+  expect(err).toBeInstanceOf(OrderTransitionError);
+  expect(err.statusCode).toBe(409);
+  expect(err.message).toBe(`Cannot change order status from '${from}' to '${to}'`);
+  expect(order.status).toBe(from);
+  expect(order.statusHistory).toHaveLength(0);
+  expect(save).not.toHaveBeenCalled();
+});
+
+test('a cancellation that lost the race to shipping is a 409 naming the status it lost to', async () => {
+  const order = orderIn('processing');
+  jest.spyOn(Order.prototype, 'save').mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: order._id }));
+  jest.spyOn(Order, 'findById').mockReturnValue({ select: async () => ({ status: 'shipped' }) });
+
+  const err = await transitionOrder(order, 'cancelled', { actor: customer }).catch(e => e);
+
+  expect(err).toBeInstanceOf(OrderTransitionError);
+  expect(err.statusCode).toBe(409);
+  expect(err.from).toBe('shipped');
+  expect(restoreStock).not.toHaveBeenCalled();
+});
+
+test('a legal cancellation is saved against the old status and restores stock', async () => {
+  const order = orderIn('pending');
+  let savedWhere;
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function () {
+    savedWhere = this.$where;
+    return this;
+  });
+
+  await transitionOrder(order, 'cancelled', { actor: customer, note: 'Changed my mind' });
+
+  expect(savedWhere).toMatchObject({ status: 'pending' });
+  expect(order.status).toBe('cancelled');
+  expect(order.statusHistory.at(-1)).toMatchObject({ from: 'pending', to: 'cancelled', note: 'Changed my mind' });
+  expect(restoreStock).toHaveBeenCalledWith(order.orderItems);
+});
+
+test('an RTO (shipped → returned) restocks the order; a customer return does not', async () => {
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function () { return this; });
+
+  await transitionOrder(orderIn('shipped'), 'returned', { note: 'Returned to origin' });
+  expect(restoreStock).toHaveBeenCalledTimes(1);
+
+  await transitionOrder(orderIn('delivered'), 'returned', { note: 'Returned via RMA-1' });
+  expect(restoreStock).toHaveBeenCalledTimes(1);
+});
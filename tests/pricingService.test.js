@@ -0,0 +1,121 @@
+// tests/pricingService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Product from '../models/Product.js';
+import Coupon from '../models/Coupon.js';
+import {
+  PRICING,
+  PricingError,
+  resolveVariant,
+  quoteCheckout,
+  recordCouponUsage
+} from '../services/pricingService.js';
+
+const product = new Product({
+  name: 'Sesame oil',
+  price: 300,
+  variants: [
+    { size: '500ml', price: 300, stock: 10 },
+    { size: '1L', price: 550, stock: 10 }
+  ]
+});
+const [small, large] = product.variants;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('resolveVariant', () => {
+  test('an unknown or malformed variantId resolves to nothing, not to the first variant', () => {
+    expect(resolveVariant(product, { variantId: String(large._id) })).toBe(large);
+    expect(resolveVariant(product, { variantId: String(new mongoose.Types.ObjectId()) })).toBeNull();
+    expect(resolveVariant(product, { variantId: 'not-an-id' })).toBeNull();
+    expect(resolveVariant(product, { size: '500ml' })).toBe(small);
+  });
+});
+
+describe('quoteCheckout', () => {
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockResolvedValue([product]);
+  });
+
+  test('a line with an unknown variantId is a 400', async () => {
+    const err = await quoteCheckout({
+      orderItems: [{ product: product._id, variantId: String(new mongoose.Types.ObjectId()), quantity: 1 }]
+    }).catch(e => e);
+
+    expect(err).toBeInstanceOf(PricingError);
+    expect(err.statusCode).toBe(400);
+  });
+
+  test('tax is the GST already inside the total', async () => {
+    const quote = await quoteCheckout({
+      orderItems: [{ product: product._id, variantId: String(large._id), quantity: 2 }]
+    });
+
+    expect(quote.itemsPrice).toBe(1100);
+    expect(quote.total).toBe(1100 + quote.shippingFee);
+    expect(quote.tax).toBeGreaterThan(0);
+    expect(quote.tax).toBe(quote.gst.total);
+    // 5% GST inside ₹1100 of goods
+    expect(quote.gst.goods).toBeCloseTo(1100 - 1100 / (1 + PRICING.gstRate / 100), 1);
+  });
+});
+
+describe('recordCouponUsage', () => {
+  // The coupon as the database holds it; updateOne applies its guards atomically, as MongoDB does
+  let stored;
+
+  beforeEach(() => {
+    stored = { code: 'LASTONE', usageLimit: 1, userLimit: 1, usedCount: 0, usedBy: [] };
+
+    jest.spyOn(Coupon, 'updateOne').mockImplementation(async (filter, update) => {
+      const use = update.$push.usedBy;
+      const counted = stored.usedBy.some(u => String(u.order) === String(filter['usedBy.order'].$ne));
+      const byCustomer = stored.usedBy.filter(u => (use.user && String(u.user) === String(use.user)) || u.email === use.email);
+      if (filter.code !== stored.code || counted || stored.usedCount >= stored.usageLimit || byCustomer.length >= stored.userLimit) {
+        return { modifiedCount: 0 };
+      }
+      stored.usedCount += update.$inc.usedCount;
+      stored.usedBy.push(use);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Coupon, 'exists').mockImplementation(async (filter) =>
+      stored.usedBy.some(u => String(u.order) === String(filter['usedBy.order'])) ? { _id: 'coupon' } : null);
+  });
+
+  const order = (email) => ({
+    _id: new mongoose.Types.ObjectId(),
+    couponCode: 'lastone',
+    totalPrice: 900,
+    shippingAddress: { email }
+  });
+
+  test('two orders racing for the last use: one counts it, the other is refused', async () => {
+    const results = await Promise.all([
+      recordCouponUsage(order('a@example.com')),
+      recordCouponUsage(order('b@example.com'))
+    ]);
+
+    expect(results.sort()).toEqual([false, true]);
+    expect(stored.usedCount).toBe(1);
+    expect(Coupon.updateOne.mock.calls[0][0].$expr).toBeDefined();
+  });
+
+  test('the same order recorded twice counts once', async () => {
+    stored.usageLimit = 5;
+    const placed = order('a@example.com');
+
+    expect(await recordCouponUsage(placed)).toBe(true);
+    expect(await recordCouponUsage(placed)).toBe(true);
+    expect(stored.usedCount).toBe(1);
+  });
+
+  test('a customer past their own limit is refused while uses remain', async () => {
+    stored.usageLimit = 5;
+
+    expect(await recordCouponUsage(order('a@example.com'))).toBe(true);
+    expect(await recordCouponUsage(order('A@example.com '))).toBe(false);
+    expect(stored.usedCount).toBe(1);
+  });
+});
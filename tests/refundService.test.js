@@ -0,0 +1,176 @@
+// tests/refundService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+// Stub gateway client, shaped like the adapters in services/gateways/
+function createStubGateway({ status = 'succeeded', fail = null, statusCode } = {}) {
+  return {
+    createRefund: jest.fn(async ({ refundId }) => {
+      if (fail) throw Object.assign(new Error(fail), { statusCode });
+      return { gatewayRefundId: `stub_${refundId}`, status, raw: { stub: true } };
+    }),
+    fetchRefund: jest.fn(async ({ gatewayRefundId }) => ({ gatewayRefundId, status, raw: { stub: true } }))
+  };
+}
+
+let gateway;
+jest.unstable_mockModule('../services/paymentGateways.js', () => ({
+  hasPaymentGateway: (name) => name === 'razorpay',
+  getPaymentGateway: () => gateway
+}));
+jest.unstable_mockModule('../services/ledgerService.js', () => ({ recordRefund: jest.fn(async () => null) }));
+jest.unstable_mockModule('../services/walletService.js', () => ({ creditWallet: jest.fn(async () => null) }));
+jest.unstable_mockModule('../services/giftCardService.js', () => ({ refundToGiftCards: jest.fn(async () => null) }));
+
+const { default: Order } = await import('../models/Order.js');
+const {
+  RefundError,
+  createRefund,
+  recordPendingRefund,
+  refundableBalance,
+  applyRefundUpdate
+} = await import('../services/refundService.js');
+
+const { BSON } = mongoose.mongo;
+
+// The order as the database holds it; the model's reads and writes below go through it
+let stored;
+const load = () => Order.hydrate(BSON.deserialize(BSON.serialize(stored)));
+
+function storeRefund(fields) {
+  stored.refunds.push({ refundId: `rf_other_${stored.refunds.length}`, status: 'pending', source: 'manual', ...fields });
+}
+
+beforeEach(() => {
+  gateway = createStubGateway();
+  stored = new Order({
+    orderId: 'ORD-1',
+    user: new mongoose.Types.ObjectId(),
+    paymentMethod: 'razorpay',
+    paymentResult: { id: 'pay_1' },
+    isPaid: true,
+    totalPrice: 1000,
+    refunds: []
+  }).toObject();
+
+  jest.spyOn(Order, 'findById').mockImplementation(async () => load());
+  jest.spyOn(Order, 'findOne').mockImplementation(async () => load());
+
+  // The pending → processing claim in processRefund()
+  jest.spyOn(Order, 'updateOne').mockImplementation(async (filter) => {
+    const { refundId } = filter.refunds.$elemMatch;
+    const refund = stored.refunds.find(r => r.refundId === refundId && r.status === 'pending');
+    if (refund) refund.status = 'processing';
+    return { modifiedCount: refund ? 1 : 0 };
+  });
+
+  // Honour the refund-count guard that recordPendingRefund() puts on the save
+  jest.spyOn(Order.prototype, 'save').mockImplementation(async function () {
+    const guard = this.$where?.refunds ?? this.$where?.$or?.[0].refunds;
+    if (guard && guard.$size !== stored.refunds.length) {
+      throw new mongoose.Error.DocumentNotFoundError({ _id: this._id }, 'Order', 0, {});
+    }
+    stored = this.toObject();
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createRefund', () => {
+  test('refunds the whole balance through the order gateway', async () => {
+    const { refund } = await createRefund(load(), { reason: 'Damaged' });
+
+    expect(gateway.createRefund).toHaveBeenCalledWith(expect.objectContaining({
+      refundId: refund.refundId,
+      paymentRef: 'pay_1',
+      amountPaise: 100000
+    }));
+    expect(refund.status).toBe('succeeded');
+    expect(stored.refunds).toHaveLength(1);
+    expect(stored.refunds[0]).toMatchObject({ status: 'succeeded', gatewayRefundId: `stub_${refund.refundId}` });
+    expect(refundableBalance(load())).toBe(0);
+  });
+
+  test('refuses more than the refundable balance', async () => {
+    storeRefund({ amount: 700, status: 'succeeded' });
+
+    await expect(createRefund(load(), { amount: 400 })).rejects.toMatchObject({ statusCode: 409 });
+    expect(gateway.createRefund).not.toHaveBeenCalled();
+    expect(stored.refunds).toHaveLength(1);
+  });
+
+  test('a refund recorded since the order was read wins; the second one is refused', async () => {
+    const order = load();
+    storeRefund({ amount: 600 });
+
+    const err = await createRefund(order, { amount: 600 }).catch(e => e);
+    expect(err).toBeInstanceOf(RefundError);
+    expect(err.statusCode).toBe(409);
+    expect(stored.refunds).toHaveLength(1);
+    expect(gateway.createRefund).not.toHaveBeenCalled();
+  });
+
+  test('a refund the gateway refuses is failed with its message', async () => {
+    gateway = createStubGateway({ fail: 'Amount exceeds captured amount', statusCode: 400 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { refund } = await createRefund(load(), { amount: 250 });
+
+    expect(refund.status).toBe('failed');
+    expect(stored.refunds[0]).toMatchObject({ status: 'failed', error: 'Amount exceeds captured amount' });
+    // A failed refund gives the balance back
+    expect(refundableBalance(load())).toBe(1000);
+  });
+
+  test('a timeout leaves the refund processing, so it cannot be paid again', async () => {
+    gateway = createStubGateway({ fail: 'socket hang up' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const { refund } = await createRefund(load(), { amount: 250 });
+
+    expect(gateway.createRefund).toHaveBeenCalledWith(expect.objectContaining({ refundId: refund.refundId }));
+    expect(stored.refunds[0]).toMatchObject({ status: 'processing', error: 'socket hang up' });
+    expect(refundableBalance(load())).toBe(750);
+    await expect(createRefund(load(), { amount: 1000 })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('recordPendingRefund', () => {
+  test('re-checks against the stored order after losing a race', async () => {
+    const order = load();
+    storeRefund({ amount: 900 });
+
+    const build = jest.fn((current) => ({ amount: Math.min(500, refundableBalance(current)), source: 'return' }));
+    const { order: saved, refund } = await recordPendingRefund(order, build);
+
+    expect(build).toHaveBeenCalledTimes(2);
+    expect(refund.amount).toBe(100);
+    expect(saved.refunds).toHaveLength(2);
+    expect(stored.refunds.map(r => r.amount)).toEqual([900, 100]);
+  });
+
+  test('records nothing when the builder finds nothing owed', async () => {
+    const { refund } = await recordPendingRefund(load(), () => null);
+
+    expect(refund).toBeNull();
+    expect(stored.refunds).toHaveLength(0);
+  });
+});
+
+describe('applyRefundUpdate', () => {
+  test('settles a processing refund from the gateway callback, once', async () => {
+    gateway = createStubGateway({ status: 'processing' });
+    const { refund } = await createRefund(load(), { amount: 300 });
+    expect(stored.refunds[0].status).toBe('processing');
+
+    await applyRefundUpdate({ gatewayRefundId: refund.gatewayRefundId, status: 'succeeded' });
+    expect(stored.refunds[0].status).toBe('succeeded');
+
+    // A late failure callback does not reopen it
+    await applyRefundUpdate({ refundId: refund.refundId, status: 'failed', error: 'late' });
+    expect(stored.refunds[0]).toMatchObject({ status: 'succeeded', error: '' });
+  });
+});
@@ -0,0 +1,66 @@
+// tests/returnService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import Order from '../models/Order.js';
+import ReturnRequest from '../models/ReturnRequest.js';
+import { createReturn, ReturnError } from '../services/returnService.js';
+
+// A delivered guest order with one returnable line
+let order;
+
+const request = (photos) => createReturn({
+  order,
+  items: [{ orderItemId: order.orderItems[0]._id, quantity: 1, reason: 'damaged' }],
+  photos
+});
+
+beforeEach(() => {
+  process.env.CLOUDINARY_CLOUD_NAME = 'roots';
+  order = new Order({
+    orderId: 'ORD-1',
+    user: null,
+    status: 'delivered',
+    deliveredAt: new Date(),
+    paymentMethod: 'cod',
+    itemsPrice: 500,
+    totalPrice: 500,
+    orderItems: [{ product: new mongoose.Types.ObjectId(), name: 'Hair oil', image: 'oil.jpg', price: 500, quantity: 1 }]
+  });
+
+  jest.spyOn(ReturnRequest, 'find').mockReturnValue({ select: async () => [] });
+  jest.spyOn(ReturnRequest.prototype, 'save').mockImplementation(async function () {
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.CLOUDINARY_CLOUD_NAME;
+});
+
+test('a guest order can be returned, with photos uploaded to our cloud', async () => {
+  const photo = 'https://res.cloudinary.com/roots/image/upload/v1/returns/leak.jpg';
+  const ret = await request([photo]);
+
+  expect(ret.user).toBeNull();
+  expect(ret.photos).toEqual([photo]);
+  expect(ret.refundAmount).toBe(500);
+});
+
+test.each([
+  ['plain http', 'http://res.cloudinary.com/roots/image/upload/leak.jpg'],
+  ['another host', 'https://example.com/leak.jpg'],
+  ['another cloudinary account', 'https://res.cloudinary.com/someone-else/image/upload/leak.jpg'],
+  ['not a URL', 'leak.jpg'],
+  ['a script URL', 'javascript:alert(1)']
+])('refuses a photo on %s', async (_, photo) => {
+  const err = await request([photo]).catch(e => e);
+
+  expect(err).toBeInstanceOf(ReturnError);
+  expect(err.statusCode).toBe(400);
+  expect(ReturnRequest.prototype.save).not.toHaveBeenCalled();
+});
+
+test('refuses photos that are not a list', async () => {
+  await expect(request('https://res.cloudinary.com/roots/image/upload/leak.jpg')).rejects.toBeInstanceOf(ReturnError);
+});
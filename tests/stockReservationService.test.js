@@ -0,0 +1,149 @@
+// tests/stockReservationService.test.js
+// Runs against a single-node replica set (mongodb-memory-server): reservations
+// need real transactions. The first run downloads a mongod binary; point
+// MONGOMS_SYSTEM_BINARY at an installed one to skip that.
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import Product from '../models/Product.js';
+import StockReservation from '../models/StockReservation.js';
+import {
+  StockError,
+  reserveStock,
+  commitReservation,
+  releaseReservation,
+  reservationMatches
+} from '../services/stockReservationService.js';
+
+jest.setTimeout(60000);
+
+let replSet;
+let product;
+
+const line = (variant, quantity) => ({ product: product._id, variantId: variant._id, variant: variant.size, quantity });
+const small = () => product.variants[0];
+const large = () => product.variants[1];
+
+async function stockOf(variant) {
+  const fresh = await Product.findById(product._id);
+  return fresh.variants.id(variant._id).stock;
+}
+
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Collections and indexes exist before the first transaction touches them
+  await Promise.all([Product.init(), StockReservation.init()]);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([Product.deleteMany({}), StockReservation.deleteMany({})]);
+  product = await Product.create({
+    name: 'Groundnut oil',
+    slug: 'groundnut-oil',
+    price: 250,
+    category: 'Wood-Pressed Oils',
+    sku: 'GNO',
+    createdBy: new mongoose.Types.ObjectId(),
+    variants: [
+      { size: '500ml', price: 250, stock: 2 },
+      { size: '1L', price: 450, stock: 5 }
+    ]
+  });
+});
+
+describe('reserveStock', () => {
+  test('holds every line of the checkout', async () => {
+    const reservation = await reserveStock({ reference: 'ci_1', items: [line(small(), 2), line(large(), 1)] });
+
+    expect(reservation.status).toBe('active');
+    expect(reservation.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(await stockOf(small())).toBe(0);
+    expect(await stockOf(large())).toBe(4);
+  });
+
+  test('a short line rolls back the lines already taken', async () => {
+    const err = await reserveStock({ reference: 'ci_1', items: [line(large(), 3), line(small(), 3)] }).catch(e => e);
+
+    expect(err).toBeInstanceOf(StockError);
+    expect(err.items).toEqual([expect.objectContaining({ requested: 3, available: 2 })]);
+    expect(await stockOf(large())).toBe(5);
+    expect(await StockReservation.countDocuments()).toBe(0);
+  });
+
+  test('two checkouts racing for the last units: one gets them, the other is refused', async () => {
+    const results = await Promise.allSettled([
+      reserveStock({ reference: 'ci_1', items: [line(small(), 2)] }),
+      reserveStock({ reference: 'ci_2', items: [line(small(), 2)] })
+    ]);
+
+    const won = results.filter(r => r.status === 'fulfilled');
+    const lost = results.filter(r => r.status === 'rejected');
+    expect(won).toHaveLength(1);
+    expect(lost).toHaveLength(1);
+    expect(lost[0].reason).toBeInstanceOf(StockError);
+    expect(await stockOf(small())).toBe(0);
+    expect(await StockReservation.countDocuments()).toBe(1);
+  });
+
+  test('the same reference reserved twice at once takes stock once', async () => {
+    await Promise.allSettled([
+      reserveStock({ reference: 'ci_1', items: [line(large(), 2)] }),
+      reserveStock({ reference: 'ci_1', items: [line(large(), 2)] })
+    ]);
+
+    expect(await stockOf(large())).toBe(3);
+    expect(await StockReservation.countDocuments({ reference: 'ci_1' })).toBe(1);
+  });
+
+  test('refuses lines without a variant', async () => {
+    await expect(reserveStock({ reference: 'ci_1', items: [{ product: product._id, size: '500ml', quantity: 1 }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('commit and release', () => {
+  test('released stock goes back on the shelf once', async () => {
+    await reserveStock({ reference: 'ci_1', items: [line(small(), 2)] });
+
+    const [first, second] = await Promise.all([
+      releaseReservation('ci_1', 'expired'),
+      releaseReservation('ci_1', 'expired')
+    ]);
+    expect([first, second].filter(Boolean)).toHaveLength(1);
+    expect(await stockOf(small())).toBe(2);
+  });
+
+  test('a committed reservation can no longer be released', async () => {
+    await reserveStock({ reference: 'ci_1', items: [line(small(), 1)] });
+
+    expect((await commitReservation('ci_1')).status).toBe('committed');
+    expect(await releaseReservation('ci_1', 'late failure')).toBeNull();
+    expect(await stockOf(small())).toBe(1);
+  });
+
+  test('a released reference can be reserved again', async () => {
+    await reserveStock({ reference: 'ci_1', items: [line(small(), 2)] });
+    await releaseReservation('ci_1', 'expired');
+
+    const again = await reserveStock({ reference: 'ci_1', items: [line(small(), 1)] });
+    expect(again.status).toBe('active');
+    expect(await stockOf(small())).toBe(1);
+  });
+});
+
+describe('reservationMatches', () => {
+  test('compares variants and quantities, not line order', () => {
+    const reservation = { items: [line(small(), 1), line(large(), 2)] };
+
+    expect(reservationMatches(reservation, [line(large(), 2), line(small(), 1)])).toBe(true);
+    expect(reservationMatches(reservation, [line(large(), 2)])).toBe(false);
+    expect(reservationMatches(reservation, [line(small(), 1), line(large(), 3)])).toBe(false);
+    expect(reservationMatches(null, [line(small(), 1)])).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+// tests/walletService.test.js
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import WalletTransaction from '../models/WalletTransaction.js';
+import { WalletError, debitWallet, walletApplication } from '../services/walletService.js';
+
+const userId = new mongoose.Types.ObjectId();
+
+// The balance and ledger as the database holds them
+let balancePaise;
+let transactions;
+
+// Chainable stand-in for a mongoose query
+const query = (run) => {
+  const q = {
+    select: () => q,
+    session: () => q,
+    sort: () => q,
+    limit: () => q,
+    then: (resolve, reject) => Promise.resolve().then(run).then(resolve, reject)
+  };
+  return q;
+};
+
+beforeEach(() => {
+  balancePaise = 50000;
+  transactions = [];
+
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  });
+  // One document update: the balance guard and the decrement happen together, as in MongoDB
+  jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => query(() => {
+    if (balancePaise < filter['wallet.balancePaise'].$gte) return null;
+    balancePaise += update.$inc['wallet.balancePaise'];
+    return { wallet: { balancePaise } };
+  }));
+  jest.spyOn(User, 'exists').mockImplementation(() => query(() => ({ _id: userId })));
+  jest.spyOn(User, 'findById').mockImplementation(() => query(() => ({ wallet: { balancePaise } })));
+  jest.spyOn(WalletTransaction, 'find').mockImplementation(() => query(() => []));
+  jest.spyOn(WalletTransaction, 'findOne').mockImplementation((filter) =>
+    query(() => transactions.find(t => t.idempotencyKey === filter.idempotencyKey) || null));
+  jest.spyOn(WalletTransaction, 'create').mockImplementation(async ([doc]) => {
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...doc };
+    transactions.push(transaction);
+    return [transaction];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('debitWallet', () => {
+  test('a debit larger than the balance is refused and changes nothing', async () => {
+    const err = await debitWallet(userId, { amountPaise: 50001, kind: 'admin_debit' }).catch(e => e);
+
+    expect(err).toBeInstanceOf(WalletError);
+    expect(err.statusCode).toBe(409);
+    expect(balancePaise).toBe(50000);
+    expect(transactions).toHaveLength(0);
+  });
+
+  test('two checkouts racing for the same credit: one gets it, the other is refused', async () => {
+    const results = await Promise.allSettled([
+      debitWallet(userId, { amountPaise: 40000, kind: 'checkout', idempotencyKey: 'checkout:ci_1' }),
+      debitWallet(userId, { amountPaise: 40000, kind: 'checkout', idempotencyKey: 'checkout:ci_2' })
+    ]);
+
+    expect(results.map(r => r.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(r => r.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+    expect(balancePaise).toBe(10000);
+    expect(transactions).toHaveLength(1);
+    expect(transactions[0].balanceAfterPaise).toBe(10000);
+  });
+
+  test('the same idempotency key debits once', async () => {
+    const first = await debitWallet(userId, { amountPaise: 20000, kind: 'checkout', idempotencyKey: 'checkout:ci_1' });
+    const again = await debitWallet(userId, { amountPaise: 20000, kind: 'checkout', idempotencyKey: 'checkout:ci_1' });
+
+    expect(again).toBe(first);
+    expect(balancePaise).toBe(30000);
+  });
+
+  test('refuses amounts that are not whole positive paise', async () => {
+    for (const amountPaise of [0, -100, 10.5]) {
+      await expect(debitWallet(userId, { amountPaise })).rejects.toMatchObject({ statusCode: 400 });
+    }
+    expect(balancePaise).toBe(50000);
+  });
+});
+
+describe('walletApplication', () => {
+  test('never plans more than the balance', async () => {
+    expect(await walletApplication(userId, 80000)).toEqual({ balancePaise: 50000, amountPaise: 50000, payablePaise: 30000 });
+  });
+
+  test('leaves at least the gateway minimum to pay online, or nothing', async () => {
+    expect(await walletApplication(userId, 50050)).toMatchObject({ amountPaise: 49950, payablePaise: 100 });
+    expect(await walletApplication(userId, 50000)).toMatchObject({ amountPaise: 50000, payablePaise: 0 });
+  });
+});
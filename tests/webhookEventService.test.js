@@ -0,0 +1,84 @@
+// tests/webhookEventService.test.js
+import { jest } from '@jest/globals';
+
+const applyPaymentWebhook = jest.fn(async () => ({ kind: 'payment', handled: true, state: 'paid', intentId: 'ci_1' }));
+jest.unstable_mockModule('../services/paymentService.js', () => ({
+  parsePaymentWebhook: async () => ({ kind: 'payment', type: 'payment.captured', eventId: 'evt_1', lookup: { intentId: 'ci_1' } }),
+  applyPaymentWebhook
+}));
+jest.unstable_mockModule('../services/shipmentSync.js', () => ({
+  shippingWebhookAuthError: () => null,
+  parseShippingWebhook: () => ({}),
+  applyShippingWebhook: async () => ({})
+}));
+
+const { default: WebhookEvent } = await import('../models/WebhookEvent.js');
+const { receiveWebhook } = await import('../services/webhookEventService.js');
+
+// The stored event for evt_1, as the collection holds it
+let stored;
+
+const delivery = () => receiveWebhook({ source: 'payment', provider: 'razorpay', headers: {}, rawBody: '{"event":"payment.captured"}' });
+
+// Minimal findOneAndUpdate: equality filters, $inc and $set
+function matches(filter) {
+  return Object.entries(filter).every(([key, value]) => stored?.[key] === value);
+}
+
+beforeEach(() => {
+  stored = null;
+  applyPaymentWebhook.mockClear();
+
+  jest.spyOn(WebhookEvent, 'create').mockImplementation(async (fields) => {
+    if (stored && fields.eventId) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    const doc = new WebhookEvent(fields);
+    stored = doc.toObject();
+    return doc;
+  });
+  jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    if (!matches(filter)) return null;
+    for (const [key, by] of Object.entries(update.$inc || {})) stored[key] += by;
+    Object.assign(stored, update.$set);
+    return WebhookEvent.hydrate({ ...stored });
+  });
+  jest.spyOn(WebhookEvent.prototype, 'save').mockImplementation(async function () {
+    stored = this.toObject();
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('a delivery that arrives while the first is still being applied is a duplicate', async () => {
+  let finish;
+  applyPaymentWebhook.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+
+  const first = delivery();
+  await new Promise(resolve => setImmediate(resolve));
+  expect(stored.status).toBe('received');
+
+  const second = await delivery();
+  expect(second.duplicate).toBe(true);
+  expect(second.event.deliveries).toBe(2);
+  expect(applyPaymentWebhook).toHaveBeenCalledTimes(1);
+
+  finish({ kind: 'payment', handled: true, state: 'paid' });
+  expect((await first).duplicate).toBe(false);
+  expect(stored.status).toBe('processed');
+});
+
+test('a failed event is handled again by the next delivery only', async () => {
+  applyPaymentWebhook.mockRejectedValueOnce(new Error('database down'));
+  await expect(delivery()).rejects.toThrow('database down');
+  expect(stored.status).toBe('failed');
+
+  const retry = await delivery();
+  expect(retry.duplicate).toBe(false);
+  expect(stored.status).toBe('processed');
+
+  const again = await delivery();
+  expect(again.duplicate).toBe(true);
+  expect(applyPaymentWebhook).toHaveBeenCalledTimes(2);
+});
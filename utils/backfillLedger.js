@@ -0,0 +1,43 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import Order from '../models/Order.js';
+import { backfillOrderLedger } from '../services/ledgerService.js';
+
+dotenv.config();
+
+// Usage: node utils/backfillLedger.js [since]
+// Posts ledger entries (charge, settled refunds, COD collection) for orders placed
+// before the ledger existed. Safe to re-run: postings are idempotent per order / refund.
+
+const run = async (since) => {
+  try {
+    await connectDB();
+
+    const filter = since ? { createdAt: { $gte: new Date(since) } } : {};
+    let orders = 0;
+    let entries = 0;
+    const failed = [];
+    for await (const order of Order.find(filter).sort({ createdAt: 1 }).cursor()) {
+      orders += 1;
+      try {
+        entries += (await backfillOrderLedger(order)).length;
+      } catch (err) {
+        failed.push(`${order.orderId}: ${err.message}`);
+      }
+    }
+
+    console.log(`Ledger backfill: ${orders} orders checked, ${entries} entries posted or already present`);
+    if (failed.length) {
+      console.warn(`Failed for ${failed.length} orders:`, failed.slice(0, 20).join('; '));
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling ledger:', error);
+    process.exit(1);
+  }
+};
+
+run(process.argv[2]);
@@ -1,3 +1,4 @@
+import he from 'he';
 import { createTransporter } from './emailTransportBrevo.js';
 
 // Send email function
@@ -368,3 +369,128 @@ export const shippedEmailTemplate = ({ orderId, courierPartner, trackingNumber }
     </div>
   </div>
 `;
+
+// Generic order status email (cancelled, delivered, …)
+
+export const orderStatusEmailTemplate = ({ orderId, heading, message }) => `
+  <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto; border: 1px solid #eee; border-radius: 8px; padding: 20px;">
+    <h2 style="color: #d4a441; text-align: center;">${heading}</h2>
+
+    <p>Dear Customer,</p>
+    <p>${message}</p>
+
+    <div style="background: #fafafa; padding: 15px; border-radius: 6px; margin: 20px 0;">
+      <p><strong>Order:</strong> #${orderId}</p>
+      <p><a href="${process.env.FRONTEND_URL}/track-my-order" target="_blank" style="color: #d4a441; text-decoration: none; font-weight: bold;">View Your Order</a></p>
+    </div>
+
+    <p>Thank you for shopping with <strong>Roots and Richness</strong>.</p>
+
+    <p style="font-size:12px; color:#999; margin-top:25px;">
+      This is an automated message. Please do not reply directly.
+    </p>
+
+    <div style="background: #f4f4f4; text-align: center; padding: 15px; font-size: 12px; color: #777;">
+      &copy; ${new Date().getFullYear()} Roots and Richness. All rights reserved.<br>
+    </div>
+  </div>
+`;
+
+// Guest order access (one-time code + magic link)
+
+export const guestAccessEmailTemplate = ({ orderId, code, link, minutes }) => `
+  <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto; border: 1px solid #eee; border-radius: 8px; padding: 20px;">
+    <h2 style="color: #d4a441; text-align: center;">View Your Order</h2>
+
+    <p>Dear Customer,</p>
+    <p>Use this code to open order <strong>#${orderId}</strong>:</p>
+
+    <div style="background: #fafafa; padding: 15px; border-radius: 6px; margin: 20px 0; text-align: center;">
+      <p style="font-size: 28px; letter-spacing: 6px; font-weight: bold; margin: 0;">${code}</p>
+    </div>
+
+    <p>Or open it directly: <a href="${link}" target="_blank" style="color: #d4a441; text-decoration: none; font-weight: bold;">View Order</a></p>
+
+    <p>The code and link expire in ${minutes} minutes and work once. If you did not ask for this, you can ignore this email.</p>
+
+    <p style="font-size:12px; color:#999; margin-top:25px;">
+      This is an automated message. Please do not reply directly.
+    </p>
+
+    <div style="background: #f4f4f4; text-align: center; padding: 15px; font-size: 12px; color: #777;">
+      &copy; ${new Date().getFullYear()} Roots and Richness. All rights reserved.<br>
+    </div>
+  </div>
+`;
+
+// Abandoned checkout reminder (resume link, optional come-back coupon)
+
+export const abandonedCheckoutEmailTemplate = ({ name, items = [], total, link, couponCode, couponText, followUp }) => `
+  <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto; border: 1px solid #eee; border-radius: 8px; padding: 20px;">
+    <h2 style="color: #d4a441; text-align: center;">${followUp ? 'Still thinking it over?' : 'You left something behind'}</h2>
+
+    <p>Dear ${name || 'Customer'},</p>
+    <p>Your cart is saved. Pick up right where you left off:</p>
+
+    <div style="background: #fafafa; padding: 15px; border-radius: 6px; margin: 20px 0;">
+      ${items.map(item => `<p style="margin: 4px 0;">${item.name || 'Item'} &times; ${item.quantity || 1}</p>`).join('')}
+      ${total ? `<p style="margin-top: 10px;"><strong>Total:</strong> ₹${Number(total).toFixed(2)}</p>` : ''}
+    </div>
+
+    ${couponCode ? `
+    <div style="background: #fff8e6; padding: 15px; border-radius: 6px; margin: 20px 0; text-align: center;">
+      <p style="margin: 0;">${couponText}</p>
+      <p style="font-size: 22px; letter-spacing: 3px; font-weight: bold; margin: 8px 0 0;">${couponCode}</p>
+    </div>` : ''}
+
+    <p style="text-align: center;">
+      <a href="${link}" target="_blank" style="background: #d4a441; color: #fff; padding: 10px 20px; border-radius: 4px; text-decoration: none; font-weight: bold;">Complete My Order</a>
+    </p>
+
+    <p>Thank you for shopping with <strong>Roots and Richness</strong>.</p>
+
+    <p style="font-size:12px; color:#999; margin-top:25px;">
+      This is an automated message. Please do not reply directly.
+    </p>
+
+    <div style="background: #f4f4f4; text-align: center; padding: 15px; font-size: 12px; color: #777;">
+      &copy; ${new Date().getFullYear()} Roots and Richness. All rights reserved.<br>
+    </div>
+  </div>
+`;
+
+// Gift card for its recipient (code, amount, sender's note). Names and the note are
+// typed by the buyer, so they are escaped.
+
+export const giftCardEmailTemplate = ({ recipientName, senderName, message, code, amount, expiresAt }) => `
+  <div style="font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: auto; border: 1px solid #eee; border-radius: 8px; padding: 20px;">
+    <h2 style="color: #d4a441; text-align: center;">You've received a gift card 🎁</h2>
+
+    <p>Dear ${he.encode(recipientName || 'Customer')},</p>
+    <p>${he.encode(senderName || 'Someone')} sent you a <strong>Roots and Richness</strong> gift card worth <strong>₹${Number(amount).toFixed(2)}</strong>.</p>
+
+    ${message ? `
+    <div style="background: #fff8e6; padding: 15px; border-radius: 6px; margin: 20px 0;">
+      <p style="margin: 0; font-style: italic;">&ldquo;${he.encode(message)}&rdquo;</p>
+    </div>` : ''}
+
+    <div style="background: #fafafa; padding: 15px; border-radius: 6px; margin: 20px 0; text-align: center;">
+      <p style="margin: 0;">Your gift card code</p>
+      <p style="font-size: 22px; letter-spacing: 3px; font-weight: bold; margin: 8px 0 0;">${code}</p>
+    </div>
+
+    <p>Enter the code at checkout. You can use it over several orders until the balance runs out${expiresAt ? `; it is valid until ${new Date(expiresAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}` : ''}.</p>
+
+    <p style="text-align: center;">
+      <a href="${process.env.FRONTEND_URL}" target="_blank" style="background: #d4a441; color: #fff; padding: 10px 20px; border-radius: 4px; text-decoration: none; font-weight: bold;">Start Shopping</a>
+    </p>
+
+    <p style="font-size:12px; color:#999; margin-top:25px;">
+      Keep this code safe: anyone who has it can spend the balance. This is an automated message. Please do not reply directly.
+    </p>
+
+    <div style="background: #f4f4f4; text-align: center; padding: 15px; font-size: 12px; color: #777;">
+      &copy; ${new Date().getFullYear()} Roots and Richness. All rights reserved.<br>
+    </div>
+  </div>
+`;
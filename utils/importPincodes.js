@@ -0,0 +1,46 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/database.js';
+import { importPincodes } from '../services/serviceabilityService.js';
+
+dotenv.config();
+
+// Usage: node utils/importPincodes.js pincodes.csv
+// Header row required: pincode,city,state,zone,prepaid,cod,deliveryDays[,isActive]
+// zone: local | regional | metro | national | special; prepaid/cod: Y/N
+
+const parseCsv = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(l => l.trim());
+  const columns = header.split(',').map(c => c.trim());
+  return lines.map(line => {
+    const cells = line.split(',').map(c => c.trim());
+    return Object.fromEntries(columns.map((c, i) => [c, cells[i] ?? '']));
+  });
+};
+
+const run = async (file) => {
+  try {
+    const rows = parseCsv(fs.readFileSync(file, 'utf8'));
+    await connectDB();
+
+    const result = await importPincodes(rows);
+    console.log(`Pincodes imported: ${result.upserted} new, ${result.modified} updated`);
+    if (result.invalid.length) {
+      console.warn(`Skipped ${result.invalid.length} invalid rows:`, result.invalid.slice(0, 20).join(', '));
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing pincodes:', error);
+    process.exit(1);
+  }
+};
+
+if (!process.argv[2]) {
+  console.error('Usage: node utils/importPincodes.js <file.csv>');
+  process.exit(1);
+}
+
+run(process.argv[2]);
@@ -1,7 +1,7 @@
 import PhonePeSDK from "phonepe-pg-sdk-node";
 
 // 1️⃣ Destructure Env as well
-const { StandardCheckoutClient, StandardCheckoutPayRequest, StandardCheckoutStatusRequest, Env } = PhonePeSDK;
+const { StandardCheckoutClient, StandardCheckoutPayRequest, StandardCheckoutStatusRequest, RefundRequest, Env } = PhonePeSDK;
 
 // 2️⃣ Prepare variables
 const clientId = process.env.PHONEPE_CLIENT_ID;
@@ -19,4 +19,4 @@ export const phonepe = new StandardCheckoutClient(
   environment
 );
 
-export { StandardCheckoutPayRequest, StandardCheckoutStatusRequest };
\ No newline at end of file
+export { StandardCheckoutPayRequest, StandardCheckoutStatusRequest, RefundRequest };
\ No newline at end of file
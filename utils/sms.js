@@ -0,0 +1,68 @@
+// utils/sms.js
+import path from 'path';
+import fs from 'fs-extra';
+
+/**
+ * Outgoing SMS through a swappable provider, picked by SMS_PROVIDER (unset: no SMS):
+ *   - console: prints the message (development; codes are masked when NODE_ENV=production)
+ *   - file:    appends one JSON line per message to SMS_FILE_PATH, for tests and staging
+ * A real gateway registers itself with registerSmsProvider(name, { send }).
+ */
+
+// One-time codes never reach production logs; locally the developer needs them
+const maskCodes = (message) => String(message).replace(/\b\d{4,8}\b/g, code => '*'.repeat(code.length));
+
+const consoleProvider = {
+  async send({ to, message }) {
+    const text = process.env.NODE_ENV === 'production' ? maskCodes(message) : message;
+    console.log(`📱 SMS to ${to}: ${text}`);
+    return { messageId: `console_${Date.now()}` };
+  }
+};
+
+const fileProvider = {
+  async send({ to, message }) {
+    const file = process.env.SMS_FILE_PATH || path.join(process.cwd(), 'tmp', 'sms.log');
+    const messageId = `file_${Date.now()}`;
+    await fs.ensureDir(path.dirname(file));
+    await fs.appendFile(file, JSON.stringify({ messageId, to, message, at: new Date().toISOString() }) + '\n');
+    return { messageId };
+  }
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider
+};
+
+export function registerSmsProvider(name, provider) {
+  if (typeof provider?.send !== 'function') throw new Error(`SMS provider "${name}" must implement send()`);
+  providers[name] = provider;
+}
+
+// Whether SMS_PROVIDER names a provider that can send
+export function smsConfigured() {
+  const name = process.env.SMS_PROVIDER;
+  return Boolean(name && providers[name]);
+}
+
+export function getSmsProvider(name = process.env.SMS_PROVIDER) {
+  if (!name) throw new Error('No SMS provider configured (SMS_PROVIDER)');
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider "${name}"`);
+  return provider;
+}
+
+// Send an SMS; `to` is a 10-digit Indian mobile number
+export const sendSms = async ({ to, message }) => {
+  try {
+    const info = await getSmsProvider().send({ to, message });
+    return info;
+  } catch (error) {
+    console.error('SMS sending failed:', error?.message || error);
+    throw error;
+  }
+};
+
+export const codOtpSmsTemplate = ({ orderId, code, minutes }) =>
+  `${code} is your code to confirm Cash on Delivery order #${orderId} at Roots and Richness. Valid for ${minutes} minutes. Do not share it.`;